@@ -7,7 +7,6 @@ export const {
   SUPABASE_JWT_SECRET,
   SUPABASE_SERVICE_KEY,
   JWT_SECRET,
-  ENCRYPTION_KEY,
   ENCRYPTION_IV,
   PORT,
   FRONTEND_URL,
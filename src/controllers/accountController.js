@@ -1,4 +1,14 @@
 import * as accountService from '../services/accountService.js';
+import * as checkoutService from '../services/checkoutService.js';
+import * as accountImportService from '../services/accountImportService.js';
+import * as accountExportService from '../services/accountExportService.js';
+import * as dependencyService from '../services/dependencyService.js';
+import * as sshKeyService from '../services/sshKeyService.js';
+import * as passwordVersionService from '../services/passwordVersionService.js';
+import accountImportJob from '../jobs/accountImportJob.js';
+import { resolveSafeAccess, applySecretVisibility } from '../services/safeAccessService.js';
+import { setPageHeaders } from '../utils/listQuery.js';
+import { SSH_KEY_ACCOUNT_TYPE } from '../utils/sshKeys.js';
 
 export async function create(req, res, next) {
   const requestId = Date.now().toString(36) + Math.random().toString(36).substr(2);
@@ -35,9 +45,12 @@ export async function create(req, res, next) {
     const requiredFields = [
       { field: 'system_type', value: req.body.system_type },
       { field: 'hostname/hostname_ip', value: hostname_ip },
-      { field: 'username', value: req.body.username },
-      { field: 'password', value: req.body.password }
+      { field: 'username', value: req.body.username }
     ];
+    // ssh_key accounts authenticate with their key pair, which the service generates when none is sent
+    if (req.body.account_type !== SSH_KEY_ACCOUNT_TYPE) {
+      requiredFields.push({ field: 'password', value: req.body.password });
+    }
     const missingFields = requiredFields.filter(item => !item.value).map(item => item.field);
     
     if (missingFields.length > 0) {
@@ -101,11 +114,12 @@ export async function create(req, res, next) {
       }
     }
     
-    const { name, system_type, port, username, password, connection_method, platform_id, account_type, rotation_policy, notes } = req.body;
+    const { name, system_type, port, username, password, connection_method, platform_id, account_type, rotation_policy, notes, reconcile_account_id, logon_account_id, private_key, key_algorithm, key_bits } = req.body;
     
     console.log(`[${requestId}] Calling account service...`);
     const account = await accountService.createAccount({
       ownerId: req.user.id,
+      role: req.user.role,
       name,
       system_type,
       hostname_ip,
@@ -117,7 +131,12 @@ export async function create(req, res, next) {
       account_type,
       rotation_policy,
       safe_id: finalSafeId,
-      notes
+      notes,
+      reconcile_account_id,
+      logon_account_id,
+      private_key,
+      key_algorithm,
+      key_bits
     });
     
     console.log(`[${requestId}] ✓ Account created successfully:`, account.id);
@@ -125,7 +144,8 @@ export async function create(req, res, next) {
     // Remove sensitive data from response
     const responseAccount = {
       ...account,
-      encrypted_password: undefined // Don't send encrypted password in response
+      encrypted_password: undefined, // Don't send encrypted password in response
+      encrypted_private_key: undefined
     };
     
     console.log(`[${requestId}] === Account Creation Completed ===`);
@@ -183,20 +203,22 @@ export async function create(req, res, next) {
 
 export async function list(req, res, next) {
   try {
-    const { system_type, status, safe_id, limit, offset } = req.query;
-    const accounts = await accountService.listAccounts({
+    const { username, hostname, match } = req.query;
+    const page = await accountService.listAccountPage({
       ownerId: req.user.id,
       role: req.user.role,
-      system_type,
-      status,
-      safe_id,
-      limit: parseInt(limit) || 50,
-      offset: parseInt(offset) || 0
+      username,
+      hostname,
+      match,
+      list: req.listQuery
     });
+    const access = await resolveSafeAccess({ userId: req.user.id, role: req.user.role });
+    const visible = await checkoutService.applyCheckoutVisibility(applySecretVisibility(page.rows, access), req.user.id);
     res.json({
-      data: accounts,
-      count: accounts.length,
-      total: accounts.length
+      data: visible,
+      count: visible.length,
+      total: page.total,
+      pagination: setPageHeaders(res, page)
     });
   } catch (err) {
     next(err);
@@ -210,7 +232,8 @@ export async function getById(req, res, next) {
       ownerId: req.user.id,
       role: req.user.role
     });
-    res.json(account);
+    const access = await resolveSafeAccess({ userId: req.user.id, role: req.user.role });
+    res.json(await checkoutService.applyCheckoutVisibility(applySecretVisibility(account, access), req.user.id));
   } catch (err) {
     next(err);
   }
@@ -256,15 +279,90 @@ export async function rotatePassword(req, res, next) {
   }
 }
 
+export async function reconcile(req, res, next) {
+  try {
+    const account = await accountService.reconcileAccountPassword({
+      id: req.params.id,
+      ownerId: req.user.id,
+      role: req.user.role,
+      reason: req.body.reason
+    });
+    res.json(account);
+  } catch (err) {
+    next(err);
+  }
+}
+
+export async function publicKey(req, res, next) {
+  try {
+    const key = await sshKeyService.getPublicKey({
+      id: req.params.id,
+      ownerId: req.user.id,
+      role: req.user.role
+    });
+    res.json(key);
+  } catch (err) {
+    next(err);
+  }
+}
+
+export async function sshKeyReport(req, res, next) {
+  try {
+    const report = await sshKeyService.getKeyReport({
+      ownerId: req.user.id,
+      role: req.user.role,
+      filters: {
+        min_age_days: req.query.min_age_days,
+        key_algorithm: req.query.key_algorithm,
+        safe_id: req.query.safe_id
+      }
+    });
+    res.json(report);
+  } catch (err) {
+    next(err);
+  }
+}
+
 export async function rotationHistory(req, res, next) {
   try {
-    const history = await accountService.listRotationHistory(req.params.id);
+    const history = await accountService.listRotationHistory(req.params.id, {
+      ownerId: req.user.id,
+      role: req.user.role
+    });
     res.json(history);
   } catch (err) {
     next(err);
   }
 }
 
+export async function passwordVersions(req, res, next) {
+  try {
+    const versions = await passwordVersionService.listPasswordVersions({
+      id: req.params.id,
+      ownerId: req.user.id,
+      role: req.user.role
+    });
+    res.json(versions);
+  } catch (err) {
+    next(err);
+  }
+}
+
+export async function revealPasswordVersion(req, res, next) {
+  try {
+    const version = await passwordVersionService.revealPasswordVersion({
+      id: req.params.id,
+      version: req.params.version,
+      ownerId: req.user.id,
+      role: req.user.role,
+      reason: req.body.reason
+    });
+    res.json(version);
+  } catch (err) {
+    next(err);
+  }
+}
+
 export async function validateAccount(req, res, next) {
   try {
     console.log(`Validating account ${req.params.id} for user ${req.user.email}`);
@@ -303,3 +401,171 @@ export async function getValidationHistory(req, res, next) {
     next(err);
   }
 }
+
+export async function checkout(req, res, next) {
+  try {
+    const result = await checkoutService.checkoutAccount({
+      accountId: req.params.id,
+      userId: req.user.id,
+      role: req.user.role,
+      reason: req.body.reason,
+      ticketId: req.body.ticket_id,
+      durationMinutes: req.body.duration_minutes
+    });
+    res.status(201).json(result);
+  } catch (err) {
+    next(err);
+  }
+}
+
+export async function checkin(req, res, next) {
+  try {
+    const checkout = await checkoutService.checkinAccount({
+      accountId: req.params.id,
+      userId: req.user.id,
+      role: req.user.role
+    });
+    res.json(checkout);
+  } catch (err) {
+    next(err);
+  }
+}
+
+export async function checkoutHistory(req, res, next) {
+  try {
+    // Access check on the account itself
+    await accountService.getAccountById({
+      id: req.params.id,
+      ownerId: req.user.id,
+      role: req.user.role
+    });
+    const checkouts = await checkoutService.listCheckouts(req.params.id);
+    res.json({
+      data: checkouts,
+      count: checkouts.length
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
+export async function importAccounts(req, res, next) {
+  try {
+    const options = {
+      rows: req.importRows,
+      validationErrors: req.importValidationErrors,
+      userId: req.user.id,
+      role: req.user.role,
+      dryRun: req.query.dry_run === 'true',
+      deduplicate: req.query.deduplicate !== 'false',
+      // Folders from other tools become safes
+      createSafes: Boolean(req.params.source),
+      source: req.params.source || null
+    };
+
+    if (options.rows.length > accountImportService.SYNC_IMPORT_ROWS) {
+      const progress = accountImportJob.start(options);
+      return res.status(202).json(progress);
+    }
+
+    const summary = await accountImportService.importAccounts(options);
+    res.json(summary);
+  } catch (err) {
+    next(err);
+  }
+}
+
+export async function exportAccounts(req, res, next) {
+  try {
+    const file = await accountExportService.exportAccounts({
+      userId: req.user.id,
+      role: req.user.role,
+      filters: {
+        safe_id: req.body.safe_id,
+        system_type: req.body.system_type,
+        tags: req.body.tags
+      },
+      format: req.body.format || 'csv',
+      password: req.body.password,
+      reason: req.body.reason
+    });
+
+    res.setHeader('Content-Type', file.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${file.filename}"`);
+    res.setHeader('X-Export-Count', String(file.count));
+    res.send(file.content);
+  } catch (err) {
+    next(err);
+  }
+}
+
+export async function importProgress(req, res, next) {
+  try {
+    const progress = accountImportJob.getProgress(req.params.jobId, {
+      userId: req.user.id,
+      role: req.user.role
+    });
+    res.json(progress);
+  } catch (err) {
+    next(err);
+  }
+}
+
+export async function listDependencies(req, res, next) {
+  try {
+    const dependencies = await dependencyService.listDependencies({
+      accountId: req.params.id,
+      userId: req.user.id,
+      role: req.user.role
+    });
+    res.json({
+      data: dependencies,
+      count: dependencies.length
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
+export async function createDependency(req, res, next) {
+  try {
+    const dependency = await dependencyService.createDependency({
+      accountId: req.params.id,
+      userId: req.user.id,
+      role: req.user.role,
+      fields: req.body
+    });
+    res.status(201).json(dependency);
+  } catch (err) {
+    next(err);
+  }
+}
+
+export async function updateDependency(req, res, next) {
+  try {
+    const dependency = await dependencyService.updateDependency({
+      accountId: req.params.id,
+      dependencyId: req.params.dependencyId,
+      userId: req.user.id,
+      role: req.user.role,
+      updates: req.body
+    });
+    res.json(dependency);
+  } catch (err) {
+    next(err);
+  }
+}
+
+export async function removeDependency(req, res, next) {
+  try {
+    await dependencyService.deleteDependency({
+      accountId: req.params.id,
+      dependencyId: req.params.dependencyId,
+      userId: req.user.id,
+      role: req.user.role
+    });
+    res.status(204).end();
+  } catch (err) {
+    next(err);
+  }
+}
@@ -4,6 +4,7 @@
  */
 
 import * as credentialService from '../services/credentialService.js';
+import { scopeCredentialQuery } from '../services/safeAccessService.js';
 import supabaseService from '../utils/supabaseServiceClient.js';
 import { logger } from '../cpm/utils/logger.js';
 
@@ -13,7 +14,8 @@ export async function getStatus(req, res, next) {
     // Get overall CPM statistics
     const { data: credentials, error: credError } = await supabaseService
       .from('credentials')
-      .select('id, type, status, verified_at, last_verification_attempt, created_at');
+      .select('id, type, status, verified_at, last_verification_attempt, created_at')
+      .is('deleted_at', null);
     
     if (credError) {
       throw credError;
@@ -86,9 +88,7 @@ export async function triggerVerification(req, res, next) {
       .select('id, type, name, status, user_id')
       .in('id', credential_ids);
 
-    if (req.user.role === 'User') {
-      query = query.eq('user_id', req.user.id);
-    }
+    query = scopeCredentialQuery(query, { userId: req.user.id, role: req.user.role });
 
     const { data: credentials, error } = await query;
 
@@ -171,9 +171,7 @@ export async function getVerificationHistory(req, res, next) {
       .eq('id', credentialId)
       .single();
 
-    if (req.user.role === 'User') {
-      credQuery = credQuery.eq('user_id', req.user.id);
-    }
+    credQuery = scopeCredentialQuery(credQuery, { userId: req.user.id, role: req.user.role });
 
     const { data: credential, error: credError } = await credQuery;
 
@@ -249,12 +247,11 @@ export async function getCredentialsRequiringAttention(req, res, next) {
         verification_error,
         created_at,
         updated_at
-      `);
+      `)
+      .is('deleted_at', null);
 
     // Apply user-level filtering
-    if (req.user.role === 'User') {
-      query = query.eq('user_id', req.user.id);
-    }
+    query = scopeCredentialQuery(query, { userId: req.user.id, role: req.user.role });
 
     // Apply filters
     if (type) {
@@ -1,5 +1,6 @@
 import * as credentialService from '../services/credentialService.js';
 import { logtail } from '../utils/logger.js';
+import { setPageHeaders } from '../utils/listQuery.js';
 
 export async function create(req, res, next) {
   try {
@@ -60,28 +61,18 @@ export async function create(req, res, next) {
 
 export async function list(req, res, next) {
   try {
-    console.log('Credentials list request - User info:', {
-      id: req.user.id,
-      email: req.user.email,
-      role: req.user.role
-    });
-    
-    const credentials = await credentialService.getCredentials({
+    const page = await credentialService.listCredentialPage({
       userId: req.user.id,
       role: req.user.role,
+      list: req.listQuery
     });
     
-    console.log(`Returning ${credentials.length} credentials to frontend`);
-    
-    // Send response with count for frontend compatibility
-    const response = {
-      data: credentials,
-      count: credentials.length,
-      total: credentials.length
-    };
-    
-    console.log('Credentials response:', JSON.stringify(response, null, 2));
-    res.json(response);
+    res.json({
+      data: page.rows,
+      count: page.rows.length,
+      total: page.total,
+      pagination: setPageHeaders(res, page)
+    });
   } catch (err) {
     console.error('Error fetching credentials:', err);
     next(err);
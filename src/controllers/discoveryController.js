@@ -1,5 +1,6 @@
 import * as discoveryService from '../services/discoveryService.js';
 import { logtail } from '../utils/logger.js';
+import { setPageHeaders } from '../utils/listQuery.js';
 
 // Discovery Targets Management
 export async function createTarget(req, res, next) {
@@ -199,18 +200,17 @@ export async function initiateDiscoveryScan(req, res, next) {
 
 export async function listScans(req, res, next) {
   try {
-    const { targetId, limit = 50, offset = 0 } = req.query;
+    const { targetId } = req.query;
 
-    const scans = await discoveryService.getDiscoveryScans({
+    const page = await discoveryService.listScanPage({
       userId: req.user.id,
       role: req.user.role,
       targetId: targetId || null,
-      limit: parseInt(limit),
-      offset: parseInt(offset)
+      list: req.listQuery
     });
 
     // Enhance scan data with better error details
-    const enhancedScans = scans.map(scan => {
+    const enhancedScans = page.rows.map(scan => {
       if (scan.status === 'failed' && scan.metadata?.error_message) {
         // Parse error details if available
         try {
@@ -239,10 +239,8 @@ export async function listScans(req, res, next) {
       success: true,
       data: enhancedScans,
       count: enhancedScans.length,
-      pagination: {
-        limit: parseInt(limit),
-        offset: parseInt(offset)
-      }
+      total: page.total,
+      pagination: setPageHeaders(res, page)
     });
   } catch (err) {
     next(err);
@@ -318,19 +316,21 @@ export async function getScanById(req, res, next) {
 // Discovered Accounts Management
 export async function listDiscoveredAccounts(req, res, next) {
   try {
-    const { scanId, status = 'inactive' } = req.query;
+    const { scanId } = req.query;
 
-    const accounts = await discoveryService.getDiscoveredAccounts({
+    const page = await discoveryService.listDiscoveredAccountPage({
       userId: req.user.id,
       role: req.user.role,
       scanId: scanId || null,
-      status
+      list: req.listQuery
     });
 
     res.json({
       success: true,
-      data: accounts,
-      count: accounts.length
+      data: page.rows,
+      count: page.rows.length,
+      total: page.total,
+      pagination: setPageHeaders(res, page)
     });
   } catch (err) {
     next(err);
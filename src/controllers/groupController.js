@@ -0,0 +1,82 @@
+import * as groupService from '../services/groupService.js';
+
+export async function list(req, res, next) {
+  try {
+    const groups = await groupService.listGroups();
+    res.json(groups);
+  } catch (err) {
+    next(err);
+  }
+}
+
+export async function getById(req, res, next) {
+  try {
+    const group = await groupService.getGroupById(req.params.id);
+    res.json(group);
+  } catch (err) {
+    next(err);
+  }
+}
+
+export async function create(req, res, next) {
+  try {
+    const group = await groupService.createGroup({
+      ...req.body,
+      userId: req.user.id
+    });
+    res.status(201).json(group);
+  } catch (err) {
+    next(err);
+  }
+}
+
+export async function update(req, res, next) {
+  try {
+    const group = await groupService.updateGroup({
+      id: req.params.id,
+      userId: req.user.id,
+      updates: req.body
+    });
+    res.json(group);
+  } catch (err) {
+    next(err);
+  }
+}
+
+export async function remove(req, res, next) {
+  try {
+    await groupService.deleteGroup({
+      id: req.params.id,
+      userId: req.user.id
+    });
+    res.status(204).end();
+  } catch (err) {
+    next(err);
+  }
+}
+
+export async function addMembers(req, res, next) {
+  try {
+    const members = await groupService.addGroupMembers({
+      id: req.params.id,
+      userIds: req.body.userIds,
+      userId: req.user.id
+    });
+    res.json(members);
+  } catch (err) {
+    next(err);
+  }
+}
+
+export async function removeMember(req, res, next) {
+  try {
+    await groupService.removeGroupMember({
+      id: req.params.id,
+      memberId: req.params.userId,
+      userId: req.user.id
+    });
+    res.status(204).end();
+  } catch (err) {
+    next(err);
+  }
+}
@@ -1,9 +1,10 @@
 import * as jitService from '../services/jitService.js';
 import { logtail } from '../utils/logger.js';
+import { setPageHeaders } from '../utils/listQuery.js';
 
 export async function request(req, res, next) {
   try {
-    const { resource, system, reason, durationMinutes } = req.body;
+    const { resource, system, reason, durationMinutes, ssh_principals } = req.body;
     
     // Additional validation
     if (!reason || typeof reason !== 'string' || reason.trim() === '') {
@@ -19,6 +20,7 @@ export async function request(req, res, next) {
       system,
       reason: reason.trim(),
       durationMinutes: durationMinutes || 60, // default 1hr
+      sshPrincipals: ssh_principals,
     });
 
     // Log JIT access request
@@ -55,40 +57,21 @@ export async function request(req, res, next) {
 
 export async function list(req, res, next) {
   try {
-    const { status = 'active', limit = 50, offset = 0 } = req.query;
+    const { status = 'active' } = req.query;
     
-    let sessions;
-    if (status === 'active') {
-      sessions = await jitService.listActiveSessions({
-        userId: req.user.id,
-        role: req.user.role,
-      });
-    } else if (status === 'history' || status === 'expired') {
-      sessions = await jitService.listSessionHistory({
-        userId: req.user.id,
-        role: req.user.role,
-        limit: parseInt(limit),
-        offset: parseInt(offset)
-      });
-    } else {
-      sessions = await jitService.getAllSessions({
-        userId: req.user.id,
-        role: req.user.role,
-        status,
-        limit: parseInt(limit),
-        offset: parseInt(offset)
-      });
-    }
+    const page = await jitService.listSessionPage({
+      userId: req.user.id,
+      role: req.user.role,
+      status,
+      list: req.listQuery
+    });
     
     res.json({
-      data: sessions,
-      count: sessions.length,
-      total: sessions.length,
+      data: page.rows,
+      count: page.rows.length,
+      total: page.total,
       status: status,
-      pagination: {
-        limit: parseInt(limit),
-        offset: parseInt(offset)
-      }
+      pagination: setPageHeaders(res, page)
     });
   } catch (err) {
     next(err);
@@ -123,6 +106,42 @@ export async function revoke(req, res, next) {
   }
 }
 
+async function review(req, res, next, approved) {
+  try {
+    const session = await jitService.reviewSession({
+      id: req.params.id,
+      userId: req.user.id,
+      approved
+    });
+
+    logtail.info(approved ? "JIT session approved" : "JIT session rejected", {
+      app_name: "CyberVault API",
+      type: "jit_event",
+      action: approved ? "approve_session" : "reject_session",
+      user_id: req.user.id,
+      user_role: req.user.role,
+      session_id: req.params.id,
+      requester_id: session.user_id,
+      ip: req.ip,
+      user_agent: req.headers['user-agent'],
+      timestamp: new Date().toISOString(),
+      success: true
+    });
+
+    res.json(session);
+  } catch (err) {
+    next(err);
+  }
+}
+
+export function approve(req, res, next) {
+  return review(req, res, next, true);
+}
+
+export function reject(req, res, next) {
+  return review(req, res, next, false);
+}
+
 export async function getById(req, res, next) {
   try {
     const session = await jitService.getSessionById({
@@ -0,0 +1,59 @@
+import * as platformService from '../services/platformService.js';
+
+export async function list(req, res, next) {
+  try {
+    const { active } = req.query;
+    const platforms = await platformService.listPlatforms({
+      active: active === undefined ? undefined : active === 'true'
+    });
+    res.json(platforms);
+  } catch (err) {
+    next(err);
+  }
+}
+
+export async function getById(req, res, next) {
+  try {
+    const platform = await platformService.getPlatformById(req.params.id);
+    res.json(platform);
+  } catch (err) {
+    next(err);
+  }
+}
+
+export async function create(req, res, next) {
+  try {
+    const platform = await platformService.createPlatform({
+      ...req.body,
+      userId: req.user.id
+    });
+    res.status(201).json(platform);
+  } catch (err) {
+    next(err);
+  }
+}
+
+export async function update(req, res, next) {
+  try {
+    const platform = await platformService.updatePlatform({
+      id: req.params.id,
+      userId: req.user.id,
+      updates: req.body
+    });
+    res.json(platform);
+  } catch (err) {
+    next(err);
+  }
+}
+
+export async function remove(req, res, next) {
+  try {
+    await platformService.deletePlatform({
+      id: req.params.id,
+      userId: req.user.id
+    });
+    res.status(204).end();
+  } catch (err) {
+    next(err);
+  }
+}
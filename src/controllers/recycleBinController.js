@@ -0,0 +1,42 @@
+import * as recycleBinService from '../services/recycleBinService.js';
+
+export async function list(req, res, next) {
+  try {
+    const items = await recycleBinService.listDeletedItems({
+      userId: req.user.id,
+      role: req.user.role,
+      type: req.query.type
+    });
+    res.json(items);
+  } catch (err) {
+    next(err);
+  }
+}
+
+export async function restore(req, res, next) {
+  try {
+    const result = await recycleBinService.restoreItem({
+      type: req.params.type,
+      id: req.params.id,
+      userId: req.user.id,
+      role: req.user.role
+    });
+    res.json(result);
+  } catch (err) {
+    next(err);
+  }
+}
+
+export async function purge(req, res, next) {
+  try {
+    const result = await recycleBinService.purgeItem({
+      type: req.params.type,
+      id: req.params.id,
+      userId: req.user.id,
+      role: req.user.role
+    });
+    res.json(result);
+  } catch (err) {
+    next(err);
+  }
+}
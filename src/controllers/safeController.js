@@ -1,15 +1,19 @@
 import * as safeService from '../services/safeService.js';
+import * as permissionExpiryService from '../services/permissionExpiryService.js';
+import * as checkoutService from '../services/checkoutService.js';
+import { setPageHeaders } from '../utils/listQuery.js';
 
 export async function create(req, res, next) {
   try {
-    const { name, description, safe_type, access_level, settings } = req.body;
+    const { name, description, safe_type, access_level, settings, retention_days } = req.body;
     const safe = await safeService.createSafe({
       name,
       description,
       ownerId: req.user.id,
       safe_type,
       access_level,
-      settings
+      settings,
+      retention_days
     });
     res.status(201).json(safe);
   } catch (err) {
@@ -19,17 +23,17 @@ export async function create(req, res, next) {
 
 export async function list(req, res, next) {
   try {
-    const { safe_type, access_level, status, limit, offset } = req.query;
-    const safes = await safeService.listSafes({
+    const page = await safeService.listSafePage({
       ownerId: req.user.id,
       role: req.user.role,
-      safe_type,
-      access_level,
-      status,
-      limit: parseInt(limit) || 50,
-      offset: parseInt(offset) || 0
+      list: req.listQuery
+    });
+    res.json({
+      data: page.rows,
+      count: page.rows.length,
+      total: page.total,
+      pagination: setPageHeaders(res, page)
     });
-    res.json(safes);
   } catch (err) {
     next(err);
   }
@@ -78,12 +82,17 @@ export async function remove(req, res, next) {
 
 export async function grantPermission(req, res, next) {
   try {
-    const { userId, permission_level } = req.body;
+    const { userId, groupId, permission_level, view_previous_versions, valid_from, valid_until } = req.body;
     const permission = await safeService.grantPermission({
       safeId: req.params.id,
       userId,
+      groupId,
       permission_level,
-      granted_by: req.user.id
+      view_previous_versions,
+      valid_from,
+      valid_until,
+      granted_by: req.user.id,
+      role: req.user.role
     });
     res.json(permission);
   } catch (err) {
@@ -106,7 +115,10 @@ export async function revokePermission(req, res, next) {
 
 export async function listActivity(req, res, next) {
   try {
-    const activities = await safeService.listActivityLog(req.params.id);
+    const activities = await safeService.listActivityLog(req.params.id, {
+      ownerId: req.user.id,
+      role: req.user.role
+    });
     res.json(activities);
   } catch (err) {
     next(err);
@@ -115,7 +127,22 @@ export async function listActivity(req, res, next) {
 
 export async function listPermissions(req, res, next) {
   try {
-    const permissions = await safeService.listSafePermissions(req.params.id);
+    const permissions = await safeService.listSafePermissions(req.params.id, {
+      ownerId: req.user.id,
+      role: req.user.role
+    });
+    res.json(permissions);
+  } catch (err) {
+    next(err);
+  }
+}
+
+export async function listEffectivePermissions(req, res, next) {
+  try {
+    const permissions = await safeService.listEffectivePermissions(req.params.id, {
+      ownerId: req.user.id,
+      role: req.user.role
+    });
     res.json(permissions);
   } catch (err) {
     next(err);
@@ -128,7 +155,7 @@ export async function listAccounts(req, res, next) {
       ownerId: req.user.id,
       role: req.user.role
     });
-    res.json(accounts);
+    res.json(await checkoutService.applyCheckoutVisibility(accounts, req.user.id));
   } catch (err) {
     next(err);
   }
@@ -146,6 +173,19 @@ export async function statistics(req, res, next) {
   }
 }
 
+export async function upcomingExpirations(req, res, next) {
+  try {
+    const expirations = await permissionExpiryService.listUpcomingExpirations({
+      userId: req.user.id,
+      role: req.user.role,
+      days: req.query.days
+    });
+    res.json(expirations);
+  } catch (err) {
+    next(err);
+  }
+}
+
 export async function moveAccounts(req, res, next) {
   try {
     const { sourceId, targetId, accountIds } = req.body;
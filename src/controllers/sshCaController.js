@@ -0,0 +1,44 @@
+import * as sshCaService from '../services/sshCaService.js';
+
+// Plain text so hosts can fetch it straight into their TrustedUserCAKeys file
+export async function trustedUserCaKeys(req, res, next) {
+  try {
+    const keys = await sshCaService.getTrustedUserCaKeys();
+    res.type('text/plain').send(keys.map(key => `${key}\n`).join(''));
+  } catch (err) {
+    next(err);
+  }
+}
+
+export async function issueCertificate(req, res, next) {
+  try {
+    const certificate = await sshCaService.issueCertificate({
+      userId: req.user.id,
+      role: req.user.role,
+      sessionId: req.body.jit_session_id,
+      publicKey: req.body.public_key,
+      principals: req.body.principals
+    });
+    res.status(201).json(certificate);
+  } catch (err) {
+    next(err);
+  }
+}
+
+export async function list(req, res, next) {
+  try {
+    const authorities = await sshCaService.listAuthorities();
+    res.json(authorities);
+  } catch (err) {
+    next(err);
+  }
+}
+
+export async function rotate(req, res, next) {
+  try {
+    const result = await sshCaService.rotateAuthority({ userId: req.user.id });
+    res.json(result);
+  } catch (err) {
+    next(err);
+  }
+}
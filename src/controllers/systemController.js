@@ -0,0 +1,229 @@
+import reencryptionJob from '../jobs/reencryptionJob.js';
+import blindIndexJob from '../jobs/blindIndexJob.js';
+import { keyManager } from '../utils/keyManagement.js';
+import { logAction } from '../services/auditService.js';
+import * as encryptionService from '../services/encryptionService.js';
+import * as backupService from '../services/backupService.js';
+
+export async function getEncryptionStatus(req, res, next) {
+  try {
+    res.json({
+      keys: keyManager.getKeyStatus(),
+      reencryption: reencryptionJob.getProgress()
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
+export async function rotateKey(req, res, next) {
+  try {
+    const status = await keyManager.rotateKey();
+
+    await logAction({
+      userId: req.user.id,
+      action: 'encryption_key_rotated',
+      resource: 'system:encryption',
+      metadata: {
+        provider: status.provider,
+        new_key_version: status.current_version
+      }
+    });
+
+    res.status(201).json(status);
+  } catch (err) {
+    next(err);
+  }
+}
+
+export async function startReencryption(req, res, next) {
+  try {
+    const batchSize = parseInt(req.body?.batch_size) || 100;
+    const progress = reencryptionJob.start({
+      requestedBy: req.user.id,
+      batchSize
+    });
+
+    await logAction({
+      userId: req.user.id,
+      action: 'encryption_reencrypt_started',
+      resource: 'system:encryption',
+      metadata: {
+        target_key_version: progress.target_key_version,
+        batch_size: batchSize
+      }
+    });
+
+    res.status(202).json(progress);
+  } catch (err) {
+    next(err);
+  }
+}
+
+export async function getLegacyCiphertextReport(req, res, next) {
+  try {
+    const report = await encryptionService.countLegacyCiphertexts();
+    res.json(report);
+  } catch (err) {
+    next(err);
+  }
+}
+
+export async function startBlindIndexBackfill(req, res, next) {
+  try {
+    const batchSize = parseInt(req.body?.batch_size) || 100;
+    const progress = blindIndexJob.start({
+      requestedBy: req.user.id,
+      batchSize
+    });
+
+    await logAction({
+      userId: req.user.id,
+      action: 'blind_index_backfill_started',
+      resource: 'system:blind_index',
+      metadata: {
+        target_key_version: progress.target_key_version,
+        batch_size: batchSize
+      }
+    });
+
+    res.status(202).json(progress);
+  } catch (err) {
+    next(err);
+  }
+}
+
+export async function getBlindIndexProgress(req, res, next) {
+  try {
+    res.json(blindIndexJob.getProgress());
+  } catch (err) {
+    next(err);
+  }
+}
+
+export async function createBackup(req, res, next) {
+  try {
+    const archive = await backupService.createBackup({
+      passphrase: req.body.passphrase || req.body.backup_key,
+      userId: req.user.id
+    });
+
+    await logAction({
+      userId: req.user.id,
+      action: 'vault_backup_created',
+      resource: 'system:backup',
+      metadata: { manifest: archive.manifest }
+    });
+
+    const filename = `cybervault-backup-${archive.created_at.replace(/[:.]/g, '-')}.json`;
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.json(archive);
+  } catch (err) {
+    next(err);
+  }
+}
+
+export async function restoreBackup(req, res, next) {
+  try {
+    const dryRun = req.body.dry_run === true || req.body.dry_run === 'true';
+    const result = await backupService.restoreBackup({
+      archive: req.body.archive,
+      passphrase: req.body.passphrase || req.body.backup_key,
+      conflict: req.body.conflict || 'skip',
+      dryRun
+    });
+
+    await logAction({
+      userId: req.user.id,
+      action: dryRun ? 'vault_restore_dry_run' : 'vault_restore_completed',
+      resource: 'system:backup',
+      metadata: {
+        conflict: result.conflict,
+        backup_created_at: result.backup_created_at,
+        tables: result.tables,
+        error_count: result.errors.length
+      }
+    });
+
+    res.json(result);
+  } catch (err) {
+    next(err);
+  }
+}
+
+export async function getSealStatus(req, res, next) {
+  try {
+    res.json(keyManager.getSealStatus());
+  } catch (err) {
+    next(err);
+  }
+}
+
+export async function initializeSeal(req, res, next) {
+  try {
+    const shares = parseInt(req.body.secret_shares);
+    const threshold = parseInt(req.body.secret_threshold);
+    const result = await keyManager.initializeSeal({ shares, threshold, userId: req.user.id });
+
+    await logAction({
+      userId: req.user.id,
+      action: 'vault_seal_initialized',
+      resource: 'system:seal',
+      metadata: { secret_shares: shares, secret_threshold: threshold }
+    });
+
+    res.status(201).json(result);
+  } catch (err) {
+    next(err);
+  }
+}
+
+export async function unseal(req, res, next) {
+  try {
+    if (req.body.reset) {
+      res.json(keyManager.resetUnsealProgress());
+      return;
+    }
+
+    const wasSealed = keyManager.isSealed();
+    const status = await keyManager.submitUnsealShare(req.body.share, req.user.id);
+
+    if (wasSealed) {
+      await logAction({
+        userId: req.user.id,
+        action: status.sealed ? 'vault_unseal_share_submitted' : 'vault_unsealed',
+        resource: 'system:seal',
+        metadata: { progress: status.progress, secret_threshold: status.secret_threshold }
+      });
+    }
+
+    res.json(status);
+  } catch (err) {
+    next(err);
+  }
+}
+
+export async function seal(req, res, next) {
+  try {
+    const status = keyManager.seal();
+
+    await logAction({
+      userId: req.user.id,
+      action: 'vault_sealed',
+      resource: 'system:seal',
+      metadata: { reason: req.body?.reason || null }
+    });
+
+    res.json(status);
+  } catch (err) {
+    next(err);
+  }
+}
+
+export async function getReencryptionProgress(req, res, next) {
+  try {
+    res.json(reencryptionJob.getProgress());
+  } catch (err) {
+    next(err);
+  }
+}
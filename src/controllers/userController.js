@@ -1,4 +1,5 @@
 import * as userService from '../services/userService.js';
+import * as notificationService from '../services/notificationService.js';
 
 export async function getDashboardPreferences(req, res, next) {
   try {
@@ -79,4 +80,38 @@ export async function updateUserProfile(req, res, next) {
   } catch (err) {
     next(err);
   }
-}
\ No newline at end of file
+}
+
+export async function listNotifications(req, res, next) {
+  try {
+    const { notifications, total } = await notificationService.listNotifications({
+      userId: req.user.id,
+      unreadOnly: req.query.unread === 'true',
+      limit: parseInt(req.query.limit) || 50,
+      offset: parseInt(req.query.offset) || 0
+    });
+    res.json({
+      success: true,
+      data: notifications,
+      count: notifications.length,
+      total
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
+export async function markNotificationRead(req, res, next) {
+  try {
+    const notification = await notificationService.markNotificationRead({
+      id: req.params.id,
+      userId: req.user.id
+    });
+    res.json({
+      success: true,
+      data: notification
+    });
+  } catch (err) {
+    next(err);
+  }
+}
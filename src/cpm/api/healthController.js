@@ -114,7 +114,10 @@ router.get('/ready', async (req, res) => {
     }
 
     // Environment variables check
-    const requiredEnvVars = ['ENCRYPTION_KEY', 'ENCRYPTION_IV', 'SUPABASE_URL'];
+    const requiredEnvVars = ['ENCRYPTION_IV', 'SUPABASE_URL'];
+    if ((process.env.KMS_PROVIDER || 'env') === 'env') {
+      requiredEnvVars.push('ENCRYPTION_KEY');
+    }
     const missingEnvVars = requiredEnvVars.filter(envVar => !process.env[envVar]);
     
     if (missingEnvVars.length > 0) {
@@ -163,7 +166,8 @@ router.get('/metrics', async (req, res) => {
     // Get credential statistics
     const { data: credentials, error } = await supabase
       .from('credentials')
-      .select('type, status, verified_at, last_verification_attempt, created_at');
+      .select('type, status, verified_at, last_verification_attempt, created_at')
+      .is('deleted_at', null);
 
     if (error) throw error;
 
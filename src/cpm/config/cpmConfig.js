@@ -3,7 +3,8 @@
  * Handles all configuration for the Central Policy Manager
  */
 
-import { ENCRYPTION_KEY, ENCRYPTION_IV } from '../../config/env.js';
+import { ENCRYPTION_IV } from '../../config/env.js';
+import { keyManager } from '../../utils/keyManagement.js';
 
 export class CPMConfig {
   static instance = null;
@@ -30,7 +31,7 @@ export class CPMConfig {
       exponentialBackoff: process.env.CPM_EXPONENTIAL_BACKOFF !== 'false',
       
       // Security configuration
-      encryptionKey: ENCRYPTION_KEY,
+      kmsProvider: keyManager.getProviderName(),
       encryptionIV: ENCRYPTION_IV,
       
       // Feature flags
@@ -80,7 +81,7 @@ export class CPMConfig {
   }
   
   validate() {
-    const required = ['encryptionKey', 'encryptionIV'];
+    const required = ['kmsProvider', 'encryptionIV'];
     const missing = required.filter(key => !this.config[key]);
     
     if (missing.length > 0) {
@@ -103,9 +104,12 @@ export class CPMConfig {
       }
     }
     
-    // Validate encryption key format
-    if (!this.config.encryptionKey || this.config.encryptionKey.length !== 64) {
-      console.error('❌ Invalid encryption key format');
+    // Validate that the master key is available from the configured provider
+    // (a sealed vault is valid: scans are skipped until it is unsealed)
+    try {
+      if (!keyManager.isSealed()) keyManager.getCurrentKey();
+    } catch (error) {
+      console.error(`❌ Encryption key unavailable: ${error.message}`);
       return false;
     }
     
@@ -10,6 +10,7 @@
 import { CPMService } from './services/CPMService.js';
 import { logger } from './utils/logger.js';
 import { CPMConfig } from './config/cpmConfig.js';
+import { keyManager } from '../utils/keyManagement.js';
 
 // Handle graceful shutdown
 process.on('SIGINT', handleShutdown);
@@ -27,6 +28,16 @@ async function main() {
     logger.info('🔐 Starting CyberVault Central Policy Manager (CPM)');
     logger.info('================================================');
     
+    // Load encryption keys from the configured KMS provider
+    await keyManager.initialize();
+    logger.info(`✓ Key management provider: ${keyManager.getProviderName()}`);
+    
+    // The standalone process has no unseal endpoint of its own
+    if (keyManager.isSealed()) {
+      logger.error('❌ Vault is sealed. The API server runs CPM itself when SEAL_MODE=shamir. Exiting.');
+      process.exit(1);
+    }
+    
     // Validate configuration
     const config = CPMConfig.getInstance();
     if (!config.validate()) {
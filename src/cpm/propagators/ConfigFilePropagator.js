@@ -0,0 +1,110 @@
+/**
+ * Config File Propagator
+ * Rewrites the password in a configuration file on a Linux/Unix host over SSH
+ */
+
+import { NodeSSH } from 'node-ssh';
+import { logger } from '../utils/logger.js';
+
+function shellQuote(value) {
+  return `'${String(value).replace(/'/g, `'\\''`)}'`;
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * New file contents, or null when there is nothing to replace. With a key, the
+ * value of "key = value" / "key: value" lines is replaced (keeping quotes);
+ * otherwise every occurrence of the old password is.
+ */
+export function replacePassword(content, { key, oldPassword, password }) {
+  if (key) {
+    const pattern = new RegExp(`^(\\s*${escapeRegExp(key)}\\s*[=:]\\s*)(["']?)(.*?)\\2(\\s*)$`, 'gm');
+    if (!pattern.test(content)) return null;
+    pattern.lastIndex = 0;
+    return content.replace(pattern, (match, prefix, quote, value, trailing) => `${prefix}${quote}${password}${quote}${trailing}`);
+  }
+
+  if (!oldPassword || !content.includes(oldPassword)) return null;
+  return content.split(oldPassword).join(password);
+}
+
+export class ConfigFilePropagator {
+  constructor(config) {
+    this.config = config;
+    this.timeout = config.get('sshTimeout');
+  }
+
+  /**
+   * Update the password in a config file
+   * @param {Object} target - host, port, connectUsername, connectPassword, path, key,
+   *   oldPassword, password (new), sudo, restartCommand
+   * @returns {Promise<Object>} { success, message }
+   */
+  async push(target) {
+    logger.info(`📄 Pushing new password to ${target.path} on ${target.host}`);
+
+    const ssh = new NodeSSH();
+    try {
+      const connectionPromise = ssh.connect({
+        host: target.host,
+        port: target.port || 22,
+        username: target.connectUsername,
+        password: target.connectPassword,
+        readyTimeout: this.timeout
+      });
+      const timeoutPromise = new Promise((_, reject) => {
+        setTimeout(() => reject(new Error('SSH connection timeout')), this.timeout);
+      });
+      await Promise.race([connectionPromise, timeoutPromise]);
+    } catch (error) {
+      ssh.dispose();
+      return { success: false, message: `SSH connection to ${target.host} failed: ${error.message}` };
+    }
+
+    try {
+      const sudo = target.sudo ? 'sudo -n ' : '';
+      const path = shellQuote(target.path);
+      const execOptions = { timeout: this.timeout };
+
+      const read = await ssh.execCommand(`${sudo}cat ${path}`, { execOptions });
+      if (read.code !== 0) {
+        return { success: false, message: `Could not read ${target.path}: ${read.stderr.trim() || `exit code ${read.code}`}` };
+      }
+
+      const updated = replacePassword(read.stdout, target);
+      if (updated === null) {
+        if (!target.key && read.stdout.includes(target.password)) {
+          return { success: true, message: `${target.path} already has the new password` };
+        }
+        return {
+          success: false,
+          message: target.key ? `No '${target.key}' setting in ${target.path}` : `Current password not found in ${target.path}`
+        };
+      }
+
+      // tee writes in place, so the file keeps its owner and mode
+      const write = await ssh.execCommand(`${sudo}tee ${path} > /dev/null`, { stdin: updated, execOptions });
+      if (write.code !== 0) {
+        return { success: false, message: `Could not write ${target.path}: ${write.stderr.trim() || `exit code ${write.code}`}` };
+      }
+
+      if (target.restartCommand) {
+        const restart = await ssh.execCommand(target.restartCommand, { execOptions });
+        if (restart.code !== 0) {
+          return { success: false, message: `Updated ${target.path} but the restart command failed: ${restart.stderr.trim() || `exit code ${restart.code}`}` };
+        }
+      }
+
+      logger.info(`✅ Updated ${target.path} on ${target.host}`);
+      return { success: true, message: `Updated ${target.path}` };
+    } catch (error) {
+      logger.error(`❌ Push to ${target.path} on ${target.host} failed:`, error.message);
+      return { success: false, message: error.message };
+    } finally {
+      ssh.dispose();
+    }
+  }
+}
@@ -0,0 +1,111 @@
+/**
+ * Windows Dependency Propagator
+ * Pushes a rotated password over WinRM to the Windows service, scheduled task or
+ * IIS application pool that runs as the account
+ */
+
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { logger } from '../utils/logger.js';
+
+const execFileAsync = promisify(execFile);
+
+// Secrets reach PowerShell through environment variables, never the command line
+const PUSH_SCRIPT = `
+$ErrorActionPreference = 'Stop'
+try {
+  $credential = New-Object System.Management.Automation.PSCredential($env:CV_CONNECT_USERNAME, (ConvertTo-SecureString $env:CV_CONNECT_PASSWORD -AsPlainText -Force))
+  $session = New-PSSession -ComputerName $env:CV_HOST -Port ([int]$env:CV_PORT) -Credential $credential
+} catch {
+  Write-Output "PUSH_CONNECT_FAILED: $($_.Exception.Message)"; exit 0
+}
+try {
+  Invoke-Command -Session $session -ArgumentList $env:CV_TYPE, $env:CV_NAME, $env:CV_LOGIN, $env:CV_NEW_PASSWORD, $env:CV_RESTART -ScriptBlock {
+    param($type, $name, $login, $password, $restart)
+    $ErrorActionPreference = 'Stop'
+    switch ($type) {
+      'windows_service' {
+        $service = Get-CimInstance Win32_Service -Filter "Name='$($name -replace "'", "''")'"
+        if (-not $service) { throw "Service '$name' not found" }
+        $result = Invoke-CimMethod -InputObject $service -MethodName Change -Arguments @{ StartName = $login; StartPassword = $password }
+        if ($result.ReturnValue -ne 0) { throw "Win32_Service.Change returned $($result.ReturnValue)" }
+        if ($restart -eq 'true' -and $service.State -eq 'Running') { Restart-Service -Name $service.Name -Force }
+      }
+      'scheduled_task' {
+        $index = $name.LastIndexOf('\\')
+        $taskPath = if ($index -ge 0) { $name.Substring(0, $index + 1) } else { '\\' }
+        Set-ScheduledTask -TaskPath $taskPath -TaskName $name.Substring($index + 1) -User $login -Password $password | Out-Null
+      }
+      'iis_app_pool' {
+        Import-Module WebAdministration
+        $pool = "IIS:\\AppPools\\$name"
+        if (-not (Test-Path $pool)) { throw "Application pool '$name' not found" }
+        Set-ItemProperty $pool -Name processModel -Value @{ userName = $login; password = $password; identityType = 3 }
+        if ($restart -eq 'true') { Restart-WebAppPool -Name $name }
+      }
+      default { throw "Unsupported dependency type '$type'" }
+    }
+  }
+  Write-Output 'PUSH_OK'
+} catch {
+  Write-Output "PUSH_FAILED: $($_.Exception.Message)"
+}
+Remove-PSSession $session
+`;
+
+function markerMessage(output, marker) {
+  const line = output.split(/\r?\n/).find(entry => entry.startsWith(`${marker}:`));
+  return line ? line.slice(marker.length + 1).trim() : null;
+}
+
+export class WindowsDependencyPropagator {
+  constructor(config) {
+    this.config = config;
+    this.timeout = config.get('windowsTimeout') || config.get('verificationTimeout');
+  }
+
+  /**
+   * Update a Windows dependency with the new password
+   * @param {Object} target - type, name, host, port, connectUsername, connectPassword,
+   *   login (account the dependency runs as), password (new), restart
+   * @returns {Promise<Object>} { success, message }
+   */
+  async push(target) {
+    logger.info(`🪟 Pushing new password to ${target.type} '${target.name}' on ${target.host}`);
+
+    let output;
+    try {
+      const { stdout } = await execFileAsync('powershell', ['-NoProfile', '-NonInteractive', '-Command', PUSH_SCRIPT], {
+        // Connect, update and a possible restart each get the full timeout
+        timeout: this.timeout * 3,
+        env: {
+          ...process.env,
+          CV_TYPE: target.type,
+          CV_NAME: target.name,
+          CV_HOST: target.host,
+          CV_PORT: String(target.port || 5985),
+          CV_CONNECT_USERNAME: target.connectUsername,
+          CV_CONNECT_PASSWORD: target.connectPassword,
+          CV_LOGIN: target.login,
+          CV_NEW_PASSWORD: target.password,
+          CV_RESTART: target.restart === false ? 'false' : 'true'
+        }
+      });
+      output = stdout;
+    } catch (error) {
+      logger.error(`❌ Push to ${target.type} '${target.name}' on ${target.host} failed:`, error.message);
+      return { success: false, message: `WinRM push did not complete: ${error.message}` };
+    }
+
+    if (output.includes('PUSH_OK')) {
+      logger.info(`✅ Updated ${target.type} '${target.name}' on ${target.host}`);
+      return { success: true, message: `Updated ${target.type} '${target.name}'` };
+    }
+
+    const connectError = markerMessage(output, 'PUSH_CONNECT_FAILED');
+    if (connectError !== null) {
+      return { success: false, message: `WinRM connection to ${target.host} failed: ${connectError}` };
+    }
+    return { success: false, message: markerMessage(output, 'PUSH_FAILED') || 'Unknown error' };
+  }
+}
@@ -0,0 +1,289 @@
+/**
+ * Database Password Rotator
+ * Changes a database account's own password with ALTER USER (ALTER LOGIN on SQL Server,
+ * updateUser on MongoDB) using the DatabaseVerifier connection settings
+ */
+
+import mysql from 'mysql2/promise';
+import pg from 'pg';
+import { MongoClient } from 'mongodb';
+import sql from 'mssql';
+import { logger } from '../utils/logger.js';
+import { DatabaseVerifier } from '../verifiers/DatabaseVerifier.js';
+
+const TYPE_ALIASES = {
+  mysql: 'mysql',
+  mariadb: 'mysql',
+  postgresql: 'postgresql',
+  postgres: 'postgresql',
+  mongodb: 'mongodb',
+  mongo: 'mongodb',
+  mssql: 'sqlserver',
+  sqlserver: 'sqlserver'
+};
+
+// T-SQL cannot bind parameters in DDL, so identifiers and literals are quoted by hand
+function quoteSqlServerIdentifier(value) {
+  return `[${String(value).replace(/]/g, ']]')}]`;
+}
+
+function quoteSqlServerLiteral(value) {
+  return `N'${String(value).replace(/'/g, "''")}'`;
+}
+
+export class DatabaseRotator {
+  constructor(config) {
+    this.config = config;
+    this.verifier = new DatabaseVerifier(config);
+  }
+  
+  resolveType(target) {
+    const requested = (target.type || '').toLowerCase();
+    return TYPE_ALIASES[requested] || TYPE_ALIASES[this.verifier.inferDatabaseType(target.port)] || null;
+  }
+  
+  /**
+   * Rotate a database password
+   * @param {Object} target - host, port, username, password, newPassword, database, type
+   * @returns {Promise<Object>} Rotation result
+   */
+  async rotate(target) {
+    const dbType = this.resolveType(target);
+    if (!dbType) {
+      return {
+        success: false,
+        passwordChanged: false,
+        message: `Password rotation is not supported for database type '${target.type || target.port}'`,
+        errorCategory: 'unsupported'
+      };
+    }
+    
+    logger.info(`🗄️ Rotating ${dbType} password for ${target.username}@${target.host}`);
+    
+    // The session opened with the old password stays usable after the change,
+    // so it is also the one used to roll back
+    let session;
+    try {
+      session = await this.openSession(dbType, target);
+    } catch (error) {
+      return {
+        ...this.verifier.categorizeDBError(error, dbType),
+        passwordChanged: false
+      };
+    }
+    
+    try {
+      await session.changePassword(target.password, target.newPassword);
+    } catch (error) {
+      await session.close();
+      logger.error(`❌ ${dbType} password change failed for ${target.username}@${target.host}:`, error.message);
+      return {
+        success: false,
+        passwordChanged: false,
+        message: `Password change failed: ${error.message}`,
+        errorCategory: 'change_failed'
+      };
+    }
+    
+    const verification = await this.verifyPassword(dbType, target, target.newPassword);
+    if (verification.success) {
+      await session.close();
+      logger.info(`✅ ${dbType} password rotated and verified for ${target.username}@${target.host}`);
+      return {
+        success: true,
+        passwordChanged: true,
+        message: `${dbType} password rotated and verified`,
+        details: { dbType }
+      };
+    }
+    
+    logger.warn(`⚠️ New ${dbType} password failed verification for ${target.username}@${target.host}, rolling back`);
+    let rollbackApplied = false;
+    let rolledBack = false;
+    try {
+      await session.changePassword(target.newPassword, target.password);
+      rollbackApplied = true;
+      rolledBack = (await this.verifyPassword(dbType, target, target.password)).success;
+    } catch (error) {
+      logger.error(`❌ ${dbType} rollback failed for ${target.username}@${target.host}:`, error.message);
+    } finally {
+      await session.close();
+    }
+    
+    // Neither password verified after the rollback was applied: the target state is unknown
+    let passwordChanged = true;
+    if (rolledBack) passwordChanged = false;
+    else if (rollbackApplied) passwordChanged = null;
+    
+    return {
+      success: false,
+      passwordChanged,
+      rolledBack,
+      message: `New password failed verification (${verification.message})${rolledBack ? '; previous password restored' : rollbackApplied ? '; rollback applied but the previous password failed verification' : '; rollback failed'}`,
+      errorCategory: 'verification_failed',
+      details: { dbType }
+    };
+  }
+  
+  /**
+   * Reset an out-of-sync database password as the reconcile account
+   * @param {Object} target - host, port, username, newPassword, database, type,
+   *   reconcileUsername, reconcilePassword
+   * @returns {Promise<Object>} Rotation result; success also requires a login with the new password
+   */
+  async reconcile(target) {
+    const dbType = this.resolveType(target);
+    if (!dbType) {
+      return {
+        success: false,
+        passwordChanged: false,
+        message: `Reconcile is not supported for database type '${target.type || target.port}'`,
+        errorCategory: 'unsupported'
+      };
+    }
+    
+    logger.info(`🔧 Reconciling ${dbType} password for ${target.username}@${target.host} as ${target.reconcileUsername}`);
+    
+    let session;
+    try {
+      session = await this.openAdminSession(dbType, {
+        ...target,
+        username: target.reconcileUsername,
+        password: target.reconcilePassword
+      });
+    } catch (error) {
+      return {
+        ...this.verifier.categorizeDBError(error, dbType),
+        passwordChanged: false
+      };
+    }
+    
+    try {
+      await session.resetPassword(target.username, target.newPassword);
+    } catch (error) {
+      logger.error(`❌ ${dbType} reconcile failed for ${target.username}@${target.host}:`, error.message);
+      return {
+        success: false,
+        passwordChanged: false,
+        message: `Password reset failed: ${error.message}`,
+        errorCategory: 'change_failed'
+      };
+    } finally {
+      await session.close();
+    }
+    
+    const verification = await this.verifyPassword(dbType, target, target.newPassword);
+    return {
+      success: verification.success,
+      passwordChanged: true,
+      message: verification.success
+        ? `${dbType} password reconciled and verified`
+        : `${dbType} password reset but the new password failed verification (${verification.message})`,
+      errorCategory: verification.success ? undefined : 'verification_failed',
+      details: { dbType }
+    };
+  }
+  
+  async verifyPassword(dbType, target, password) {
+    const config = { ...target, password };
+    switch (dbType) {
+      case 'mysql':
+        return this.verifier.verifyMySQL(config);
+      case 'postgresql':
+        return this.verifier.verifyPostgreSQL(config);
+      case 'mongodb':
+        return this.verifier.verifyMongoDB(config);
+      case 'sqlserver':
+        return this.verifier.verifySQLServer(config);
+    }
+  }
+  
+  // Connection authenticated with the current password, exposing changePassword/close
+  async openSession(dbType, target) {
+    switch (dbType) {
+      case 'mysql': {
+        const connection = await mysql.createConnection(this.verifier.getMySQLOptions(target));
+        return {
+          changePassword: (_, newPassword) => connection.query('ALTER USER CURRENT_USER() IDENTIFIED BY ?', [newPassword]),
+          close: () => connection.end().catch(() => {})
+        };
+      }
+      case 'postgresql': {
+        const client = new pg.Client(this.verifier.getPostgreSQLOptions(target));
+        await client.connect();
+        return {
+          changePassword: (_, newPassword) => client.query(`ALTER USER CURRENT_USER WITH PASSWORD ${client.escapeLiteral(newPassword)}`),
+          close: () => client.end().catch(() => {})
+        };
+      }
+      case 'mongodb': {
+        const client = new MongoClient(this.verifier.getMongoDBUri(target), this.verifier.getMongoDBOptions());
+        await client.connect();
+        return {
+          changePassword: (_, newPassword) => client.db(target.database || 'admin').command({ updateUser: target.username, pwd: newPassword }),
+          close: () => client.close().catch(() => {})
+        };
+      }
+      case 'sqlserver': {
+        const pool = new sql.ConnectionPool(this.verifier.getSQLServerOptions(target));
+        await pool.connect();
+        return {
+          // OLD_PASSWORD lets a login without ALTER ANY LOGIN change its own password
+          changePassword: (oldPassword, newPassword) => pool.request().query(
+            `ALTER LOGIN ${quoteSqlServerIdentifier(target.username)} WITH PASSWORD = ${quoteSqlServerLiteral(newPassword)} OLD_PASSWORD = ${quoteSqlServerLiteral(oldPassword)}`
+          ),
+          close: () => pool.close().catch(() => {})
+        };
+      }
+    }
+  }
+  
+  // Connection as the reconcile account, exposing resetPassword(username, password)/close
+  async openAdminSession(dbType, target) {
+    switch (dbType) {
+      case 'mysql': {
+        const connection = await mysql.createConnection(this.verifier.getMySQLOptions(target));
+        return {
+          // The same user name can exist for several hosts; reset every one of them
+          resetPassword: async (username, newPassword) => {
+            const [rows] = await connection.query('SELECT Host FROM mysql.user WHERE User = ?', [username]);
+            if (rows.length === 0) throw new Error(`User '${username}' not found`);
+            for (const row of rows) {
+              await connection.query('ALTER USER ?@? IDENTIFIED BY ?', [username, row.Host, newPassword]);
+            }
+          },
+          close: () => connection.end().catch(() => {})
+        };
+      }
+      case 'postgresql': {
+        const client = new pg.Client(this.verifier.getPostgreSQLOptions(target));
+        await client.connect();
+        return {
+          resetPassword: (username, newPassword) => client.query(
+            `ALTER USER ${client.escapeIdentifier(username)} WITH PASSWORD ${client.escapeLiteral(newPassword)}`
+          ),
+          close: () => client.end().catch(() => {})
+        };
+      }
+      case 'mongodb': {
+        const client = new MongoClient(this.verifier.getMongoDBUri(target), this.verifier.getMongoDBOptions());
+        await client.connect();
+        return {
+          resetPassword: (username, newPassword) => client.db(target.database || 'admin').command({ updateUser: username, pwd: newPassword }),
+          close: () => client.close().catch(() => {})
+        };
+      }
+      case 'sqlserver': {
+        const pool = new sql.ConnectionPool(this.verifier.getSQLServerOptions(target));
+        await pool.connect();
+        return {
+          // UNLOCK clears a lockout left behind by the failed logins
+          resetPassword: (username, newPassword) => pool.request().query(
+            `ALTER LOGIN ${quoteSqlServerIdentifier(username)} WITH PASSWORD = ${quoteSqlServerLiteral(newPassword)} UNLOCK`
+          ),
+          close: () => pool.close().catch(() => {})
+        };
+      }
+    }
+  }
+}
@@ -0,0 +1,152 @@
+/**
+ * SSH Key Rotator
+ * Replaces an account's key pair in ~/.ssh/authorized_keys: the new public key is
+ * added, a login with the new private key is verified and only then is the old key removed
+ */
+
+import { NodeSSH } from 'node-ssh';
+import { logger } from '../utils/logger.js';
+import { encryptField } from '../../utils/secureEncryption.js';
+import { publicKeyBlob } from '../../utils/sshKeys.js';
+import { SSHVerifier } from '../verifiers/SSHVerifier.js';
+
+const AUTHORIZED_KEYS = '"$HOME/.ssh/authorized_keys"';
+
+// Written to a private temporary file and moved into place, so a failed write never truncates the file
+const WRITE_AUTHORIZED_KEYS = `umask 077 && mkdir -p "$HOME/.ssh" && cat > "$HOME/.ssh/authorized_keys.cybervault" && mv "$HOME/.ssh/authorized_keys.cybervault" ${AUTHORIZED_KEYS}`;
+
+export class SSHKeyRotator {
+  constructor(config) {
+    this.config = config;
+    this.timeout = config.get('sshTimeout');
+    this.verifier = new SSHVerifier(config);
+  }
+
+  /**
+   * Rotate an SSH key pair
+   * @param {Object} target - host, port, username, privateKey, publicKey (current pair),
+   *   newPrivateKey, newPublicKey
+   * @returns {Promise<Object>} Rotation result; oldKeyRemoved tells whether the previous
+   *   public key is gone from authorized_keys
+   */
+  async rotate(target) {
+    logger.info(`🗝️ Rotating SSH key for ${target.username}@${target.host}`);
+
+    const ssh = new NodeSSH();
+    try {
+      const connectionPromise = ssh.connect({
+        host: target.host,
+        port: target.port || 22,
+        username: target.username,
+        privateKey: target.privateKey,
+        readyTimeout: this.timeout
+      });
+      const timeoutPromise = new Promise((_, reject) => {
+        setTimeout(() => reject(new Error('SSH connection timeout')), this.timeout);
+      });
+      await Promise.race([connectionPromise, timeoutPromise]);
+    } catch (error) {
+      ssh.dispose();
+      return {
+        success: false,
+        passwordChanged: false,
+        message: `SSH connection with the current key failed: ${error.message}`,
+        errorCategory: /authentication/i.test(error.message) ? 'authentication' : 'connection'
+      };
+    }
+
+    const newBlob = publicKeyBlob(target.newPublicKey);
+    const oldBlob = publicKeyBlob(target.publicKey);
+
+    try {
+      try {
+        await this.editAuthorizedKeys(ssh, lines => [
+          ...lines.filter(line => !this.hasBlob(line, newBlob)),
+          target.newPublicKey.trim()
+        ]);
+      } catch (error) {
+        logger.error(`❌ Adding the new key failed for ${target.username}@${target.host}:`, error.message);
+        return {
+          success: false,
+          passwordChanged: false,
+          message: `Could not add the new key to authorized_keys: ${error.message}`,
+          errorCategory: 'change_failed'
+        };
+      }
+
+      const verification = await this.verifyKey(target, target.newPrivateKey);
+      if (!verification.success) {
+        logger.warn(`⚠️ New SSH key failed verification for ${target.username}@${target.host}, removing it`);
+        let rolledBack = false;
+        try {
+          await this.editAuthorizedKeys(ssh, lines => lines.filter(line => !this.hasBlob(line, newBlob)));
+          rolledBack = true;
+        } catch (error) {
+          logger.error(`❌ Removing the unverified key failed for ${target.username}@${target.host}:`, error.message);
+        }
+        // The old key still works either way, so the vault keeps it
+        return {
+          success: false,
+          passwordChanged: false,
+          rolledBack,
+          message: `New key failed verification (${verification.message})${rolledBack ? '; new key removed' : '; new key left in authorized_keys'}`,
+          errorCategory: 'verification_failed'
+        };
+      }
+
+      let oldKeyRemoved = !oldBlob || oldBlob === newBlob;
+      let message = 'SSH key rotated and verified';
+      if (!oldKeyRemoved) {
+        try {
+          await this.editAuthorizedKeys(ssh, lines => lines.filter(line => !this.hasBlob(line, oldBlob)));
+          oldKeyRemoved = true;
+        } catch (error) {
+          logger.warn(`⚠️ Old SSH key could not be removed for ${target.username}@${target.host}: ${error.message}`);
+          message = `SSH key rotated and verified, but the old key could not be removed: ${error.message}`;
+        }
+      }
+
+      logger.info(`✅ SSH key rotated for ${target.username}@${target.host}`);
+      return {
+        success: true,
+        passwordChanged: true,
+        oldKeyRemoved,
+        message
+      };
+    } finally {
+      ssh.dispose();
+    }
+  }
+
+  hasBlob(line, blob) {
+    return Boolean(blob) && line.trim().split(/\s+/).includes(blob);
+  }
+
+  // Read authorized_keys (missing counts as empty), apply edit to its lines and write it back
+  async editAuthorizedKeys(ssh, edit) {
+    const execOptions = { timeout: this.timeout };
+    const read = await ssh.execCommand(`cat ${AUTHORIZED_KEYS} 2>/dev/null || true`, { execOptions });
+    const lines = read.stdout.split(/\r?\n/).filter(line => line.trim() !== '');
+
+    const write = await ssh.execCommand(WRITE_AUTHORIZED_KEYS, {
+      stdin: `${edit(lines).join('\n')}\n`,
+      execOptions
+    });
+    if (write.code !== 0) {
+      throw new Error(write.stderr.trim() || `write exited with code ${write.code}`);
+    }
+  }
+
+  async verifyKey(target, privateKey) {
+    return this.verifier.verify({
+      id: target.id,
+      name: target.username,
+      value: encryptField(JSON.stringify({
+        host: target.host,
+        port: target.port || 22,
+        username: target.username,
+        privateKey
+      }))
+    });
+  }
+}
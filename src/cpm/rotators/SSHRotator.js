@@ -0,0 +1,197 @@
+/**
+ * SSH Password Rotator
+ * Changes a Linux/Unix account's password with chpasswd over SSH
+ */
+
+import { NodeSSH } from 'node-ssh';
+import { logger } from '../utils/logger.js';
+import { encryptField } from '../../utils/secureEncryption.js';
+import { SSHVerifier } from '../verifiers/SSHVerifier.js';
+
+export class SSHRotator {
+  constructor(config) {
+    this.config = config;
+    this.timeout = config.get('sshTimeout');
+    this.verifier = new SSHVerifier(config);
+  }
+  
+  /**
+   * Rotate an SSH account password
+   * @param {Object} target - host, port, username, password, newPassword
+   * @returns {Promise<Object>} Rotation result
+   */
+  async rotate(target) {
+    logger.info(`🔑 Rotating SSH password for ${target.username}@${target.host}`);
+    
+    // The session opened with the old password survives the change and is reused for rollback
+    const ssh = new NodeSSH();
+    try {
+      const connectionPromise = ssh.connect({
+        host: target.host,
+        port: target.port || 22,
+        username: target.username,
+        password: target.password,
+        readyTimeout: this.timeout
+      });
+      const timeoutPromise = new Promise((_, reject) => {
+        setTimeout(() => reject(new Error('SSH connection timeout')), this.timeout);
+      });
+      await Promise.race([connectionPromise, timeoutPromise]);
+    } catch (error) {
+      ssh.dispose();
+      return {
+        success: false,
+        passwordChanged: false,
+        message: `SSH connection with the current password failed: ${error.message}`,
+        errorCategory: 'connection'
+      };
+    }
+    
+    try {
+      const access = await this.detectAccess(ssh);
+      
+      try {
+        await this.setPassword(ssh, target, access, target.password, target.newPassword);
+      } catch (error) {
+        logger.error(`❌ SSH password change failed for ${target.username}@${target.host}:`, error.message);
+        return {
+          success: false,
+          passwordChanged: false,
+          message: `Password change failed: ${error.message}`,
+          errorCategory: 'change_failed'
+        };
+      }
+      
+      const verification = await this.verifyPassword(target, target.newPassword);
+      if (verification.success) {
+        logger.info(`✅ SSH password rotated and verified for ${target.username}@${target.host}`);
+        return {
+          success: true,
+          passwordChanged: true,
+          message: 'SSH password rotated and verified'
+        };
+      }
+      
+      logger.warn(`⚠️ New SSH password failed verification for ${target.username}@${target.host}, rolling back`);
+      let rolledBack = false;
+      try {
+        await this.setPassword(ssh, target, access, target.newPassword, target.password);
+        rolledBack = (await this.verifyPassword(target, target.password)).success;
+      } catch (error) {
+        logger.error(`❌ SSH rollback failed for ${target.username}@${target.host}:`, error.message);
+      }
+      
+      return {
+        success: false,
+        passwordChanged: !rolledBack,
+        rolledBack,
+        message: `New password failed verification (${verification.message})${rolledBack ? '; previous password restored' : '; rollback failed'}`,
+        errorCategory: 'verification_failed'
+      };
+    } finally {
+      ssh.dispose();
+    }
+  }
+  
+  /**
+   * Reset an out-of-sync password by logging in as the reconcile account
+   * @param {Object} target - host, port, username, newPassword, reconcileUsername, reconcilePassword
+   * @returns {Promise<Object>} Rotation result; success also requires a login with the new password
+   */
+  async reconcile(target) {
+    logger.info(`🔧 Reconciling SSH password for ${target.username}@${target.host} as ${target.reconcileUsername}`);
+    
+    const ssh = new NodeSSH();
+    try {
+      const connectionPromise = ssh.connect({
+        host: target.host,
+        port: target.port || 22,
+        username: target.reconcileUsername,
+        password: target.reconcilePassword,
+        readyTimeout: this.timeout
+      });
+      const timeoutPromise = new Promise((_, reject) => {
+        setTimeout(() => reject(new Error('SSH connection timeout')), this.timeout);
+      });
+      await Promise.race([connectionPromise, timeoutPromise]);
+    } catch (error) {
+      ssh.dispose();
+      return {
+        success: false,
+        passwordChanged: false,
+        message: `SSH connection as reconcile account ${target.reconcileUsername} failed: ${error.message}`,
+        errorCategory: 'connection'
+      };
+    }
+    
+    try {
+      const access = await this.detectAccess(ssh);
+      await this.setPassword(ssh, target, access, target.reconcilePassword, target.newPassword);
+    } catch (error) {
+      logger.error(`❌ SSH reconcile failed for ${target.username}@${target.host}:`, error.message);
+      return {
+        success: false,
+        passwordChanged: false,
+        message: `Password reset failed: ${error.message}`,
+        errorCategory: 'change_failed'
+      };
+    } finally {
+      ssh.dispose();
+    }
+    
+    const verification = await this.verifyPassword(target, target.newPassword);
+    return {
+      success: verification.success,
+      passwordChanged: true,
+      message: verification.success
+        ? 'SSH password reconciled and verified'
+        : `SSH password reset but the new password failed verification (${verification.message})`,
+      errorCategory: verification.success ? undefined : 'verification_failed'
+    };
+  }
+  
+  // root runs chpasswd directly; other accounts need sudo, with or without a password
+  async detectAccess(ssh) {
+    if ((await ssh.execCommand('id -u')).stdout.trim() === '0') {
+      return 'root';
+    }
+    // -k ignores cached sudo credentials, so this only succeeds for NOPASSWD rules
+    const noPassword = await ssh.execCommand('sudo -k -n true');
+    return noPassword.code === 0 ? 'sudo_nopasswd' : 'sudo';
+  }
+  
+  // chpasswd reads "user:password" from stdin; with password sudo, the first line is the
+  // account's current password (-k makes sudo read it even with a cached ticket,
+  // so it can never reach chpasswd)
+  async setPassword(ssh, target, access, sudoPassword, newPassword) {
+    const commands = {
+      root: 'chpasswd',
+      sudo_nopasswd: 'sudo -n chpasswd',
+      sudo: "sudo -k -S -p '' chpasswd"
+    };
+    const stdin = `${access === 'sudo' ? `${sudoPassword}\n` : ''}${target.username}:${newPassword}\n`;
+    const command = commands[access];
+    
+    const result = await ssh.execCommand(command, {
+      stdin,
+      execOptions: { timeout: this.timeout }
+    });
+    
+    if (result.code !== 0) {
+      throw new Error(result.stderr.trim() || `chpasswd exited with code ${result.code}`);
+    }
+  }
+  
+  async verifyPassword(target, password) {
+    return this.verifier.verify({
+      id: target.id,
+      name: target.username,
+      value: encryptField(JSON.stringify({
+        host: target.host,
+        port: target.port || 22,
+        username: target.username,
+        password
+      }))
+    });
+  }
+}
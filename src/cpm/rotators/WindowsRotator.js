@@ -0,0 +1,247 @@
+/**
+ * Windows Password Rotator
+ * Changes a local Windows account's password over WinRM (Set-LocalUser, or net user
+ * on hosts without the LocalAccounts module)
+ */
+
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { logger } from '../utils/logger.js';
+
+const execFileAsync = promisify(execFile);
+
+// Secrets reach PowerShell through environment variables, never the command line.
+// The session opened with the old password survives the change and is reused for rollback.
+const ROTATION_SCRIPT = `
+$ErrorActionPreference = 'Stop'
+$login = if ($env:CV_DOMAIN) { "$($env:CV_DOMAIN)\\$($env:CV_USERNAME)" } else { $env:CV_USERNAME }
+function New-Credential($password) {
+  New-Object System.Management.Automation.PSCredential($login, (ConvertTo-SecureString $password -AsPlainText -Force))
+}
+function Set-TargetPassword($password) {
+  Invoke-Command -Session $session -ArgumentList $env:CV_USERNAME, $password -ScriptBlock {
+    param($name, $password)
+    if (Get-Command Set-LocalUser -ErrorAction SilentlyContinue) {
+      Set-LocalUser -Name $name -Password (ConvertTo-SecureString $password -AsPlainText -Force)
+    } else {
+      net user $name $password | Out-Null
+      if ($LASTEXITCODE -ne 0) { throw "net user exited with code $LASTEXITCODE" }
+    }
+  }
+}
+try {
+  $session = New-PSSession -ComputerName $env:CV_HOST -Port ([int]$env:CV_PORT) -Credential (New-Credential $env:CV_CURRENT_PASSWORD)
+} catch {
+  Write-Output "ROTATION_CONNECT_FAILED: $($_.Exception.Message)"; exit 0
+}
+try {
+  Set-TargetPassword $env:CV_NEW_PASSWORD
+} catch {
+  Write-Output "ROTATION_CHANGE_FAILED: $($_.Exception.Message)"; Remove-PSSession $session; exit 0
+}
+try {
+  $check = New-PSSession -ComputerName $env:CV_HOST -Port ([int]$env:CV_PORT) -Credential (New-Credential $env:CV_NEW_PASSWORD)
+  Remove-PSSession $check
+  Write-Output 'ROTATION_VERIFIED'
+} catch {
+  Write-Output "ROTATION_VERIFY_FAILED: $($_.Exception.Message)"
+  try {
+    Set-TargetPassword $env:CV_CURRENT_PASSWORD
+    Write-Output 'ROTATION_ROLLED_BACK'
+  } catch {
+    Write-Output "ROTATION_ROLLBACK_FAILED: $($_.Exception.Message)"
+  }
+}
+Remove-PSSession $session
+`;
+
+// Logs in as the reconcile account (which may carry its own DOMAIN\\ prefix) to reset the
+// target account, then checks the new password with a session of its own
+const RECONCILE_SCRIPT = `
+$ErrorActionPreference = 'Stop'
+$login = if ($env:CV_DOMAIN) { "$($env:CV_DOMAIN)\\$($env:CV_USERNAME)" } else { $env:CV_USERNAME }
+try {
+  $session = New-PSSession -ComputerName $env:CV_HOST -Port ([int]$env:CV_PORT) -Credential (New-Object System.Management.Automation.PSCredential($env:CV_RECONCILE_USERNAME, (ConvertTo-SecureString $env:CV_RECONCILE_PASSWORD -AsPlainText -Force)))
+} catch {
+  Write-Output "RECONCILE_CONNECT_FAILED: $($_.Exception.Message)"; exit 0
+}
+try {
+  Invoke-Command -Session $session -ArgumentList $env:CV_USERNAME, $env:CV_NEW_PASSWORD -ScriptBlock {
+    param($name, $password)
+    if (Get-Command Set-LocalUser -ErrorAction SilentlyContinue) {
+      Set-LocalUser -Name $name -Password (ConvertTo-SecureString $password -AsPlainText -Force)
+    } else {
+      net user $name $password | Out-Null
+      if ($LASTEXITCODE -ne 0) { throw "net user exited with code $LASTEXITCODE" }
+    }
+  }
+} catch {
+  Write-Output "RECONCILE_CHANGE_FAILED: $($_.Exception.Message)"; Remove-PSSession $session; exit 0
+}
+Remove-PSSession $session
+try {
+  $check = New-PSSession -ComputerName $env:CV_HOST -Port ([int]$env:CV_PORT) -Credential (New-Object System.Management.Automation.PSCredential($login, (ConvertTo-SecureString $env:CV_NEW_PASSWORD -AsPlainText -Force)))
+  Remove-PSSession $check
+  Write-Output 'RECONCILE_VERIFIED'
+} catch {
+  Write-Output "RECONCILE_VERIFY_FAILED: $($_.Exception.Message)"
+}
+`;
+
+function markerMessage(output, marker) {
+  const line = output.split(/\r?\n/).find(entry => entry.startsWith(`${marker}:`));
+  return line ? line.slice(marker.length + 1).trim() : null;
+}
+
+export class WindowsRotator {
+  constructor(config) {
+    this.config = config;
+    this.timeout = config.get('windowsTimeout') || config.get('verificationTimeout');
+  }
+  
+  /**
+   * Rotate a Windows account password
+   * @param {Object} target - host, port, username, password, newPassword, domain
+   * @returns {Promise<Object>} Rotation result
+   */
+  async rotate(target) {
+    logger.info(`🪟 Rotating Windows password for ${target.username}@${target.host}`);
+    
+    let output;
+    try {
+      const { stdout } = await execFileAsync('powershell', ['-NoProfile', '-NonInteractive', '-Command', ROTATION_SCRIPT], {
+        // Connect, change, verify and a possible rollback each get the full timeout
+        timeout: this.timeout * 4,
+        env: {
+          ...process.env,
+          CV_HOST: target.host,
+          CV_PORT: String(target.port || 5985),
+          CV_USERNAME: target.username,
+          CV_DOMAIN: target.domain || '',
+          CV_CURRENT_PASSWORD: target.password,
+          CV_NEW_PASSWORD: target.newPassword
+        }
+      });
+      output = stdout;
+    } catch (error) {
+      // The script may have been cut off after the change, so the target state is unknown
+      logger.error(`❌ Windows rotation failed for ${target.username}@${target.host}:`, error.message);
+      return {
+        success: false,
+        passwordChanged: null,
+        message: `WinRM rotation did not complete: ${error.message}`,
+        errorCategory: 'execution_failed'
+      };
+    }
+    
+    if (output.includes('ROTATION_VERIFIED')) {
+      logger.info(`✅ Windows password rotated and verified for ${target.username}@${target.host}`);
+      return {
+        success: true,
+        passwordChanged: true,
+        message: 'Windows password rotated and verified'
+      };
+    }
+    
+    const connectError = markerMessage(output, 'ROTATION_CONNECT_FAILED');
+    if (connectError !== null) {
+      return {
+        success: false,
+        passwordChanged: false,
+        message: `WinRM connection with the current password failed: ${connectError}`,
+        errorCategory: 'connection'
+      };
+    }
+    
+    const changeError = markerMessage(output, 'ROTATION_CHANGE_FAILED');
+    if (changeError !== null) {
+      return {
+        success: false,
+        passwordChanged: false,
+        message: `Password change failed: ${changeError}`,
+        errorCategory: 'change_failed'
+      };
+    }
+    
+    const rolledBack = output.includes('ROTATION_ROLLED_BACK');
+    logger.warn(`⚠️ New Windows password failed verification for ${target.username}@${target.host}${rolledBack ? ', rolled back' : ', rollback failed'}`);
+    return {
+      success: false,
+      passwordChanged: !rolledBack,
+      rolledBack,
+      message: `New password failed verification (${markerMessage(output, 'ROTATION_VERIFY_FAILED') || 'unknown error'})${rolledBack ? '; previous password restored' : '; rollback failed'}`,
+      errorCategory: 'verification_failed'
+    };
+  }
+  
+  /**
+   * Reset an out-of-sync Windows password as the reconcile account
+   * @param {Object} target - host, port, username, domain, newPassword, reconcileUsername, reconcilePassword
+   * @returns {Promise<Object>} Rotation result; success also requires a login with the new password
+   */
+  async reconcile(target) {
+    logger.info(`🔧 Reconciling Windows password for ${target.username}@${target.host} as ${target.reconcileUsername}`);
+    
+    let output;
+    try {
+      const { stdout } = await execFileAsync('powershell', ['-NoProfile', '-NonInteractive', '-Command', RECONCILE_SCRIPT], {
+        timeout: this.timeout * 3,
+        env: {
+          ...process.env,
+          CV_HOST: target.host,
+          CV_PORT: String(target.port || 5985),
+          CV_USERNAME: target.username,
+          CV_DOMAIN: target.domain || '',
+          CV_RECONCILE_USERNAME: target.reconcileUsername,
+          CV_RECONCILE_PASSWORD: target.reconcilePassword,
+          CV_NEW_PASSWORD: target.newPassword
+        }
+      });
+      output = stdout;
+    } catch (error) {
+      logger.error(`❌ Windows reconcile failed for ${target.username}@${target.host}:`, error.message);
+      return {
+        success: false,
+        passwordChanged: null,
+        message: `WinRM reconcile did not complete: ${error.message}`,
+        errorCategory: 'execution_failed'
+      };
+    }
+    
+    if (output.includes('RECONCILE_VERIFIED')) {
+      logger.info(`✅ Windows password reconciled and verified for ${target.username}@${target.host}`);
+      return {
+        success: true,
+        passwordChanged: true,
+        message: 'Windows password reconciled and verified'
+      };
+    }
+    
+    const connectError = markerMessage(output, 'RECONCILE_CONNECT_FAILED');
+    if (connectError !== null) {
+      return {
+        success: false,
+        passwordChanged: false,
+        message: `WinRM connection as reconcile account ${target.reconcileUsername} failed: ${connectError}`,
+        errorCategory: 'connection'
+      };
+    }
+    
+    const changeError = markerMessage(output, 'RECONCILE_CHANGE_FAILED');
+    if (changeError !== null) {
+      return {
+        success: false,
+        passwordChanged: false,
+        message: `Password reset failed: ${changeError}`,
+        errorCategory: 'change_failed'
+      };
+    }
+    
+    return {
+      success: false,
+      passwordChanged: true,
+      message: `Windows password reset but the new password failed verification (${markerMessage(output, 'RECONCILE_VERIFY_FAILED') || 'unknown error'})`,
+      errorCategory: 'verification_failed'
+    };
+  }
+}
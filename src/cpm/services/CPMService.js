@@ -13,6 +13,16 @@ import { WindowsVerifier } from '../verifiers/WindowsVerifier.js';
 import { DatabaseVerifier } from '../verifiers/DatabaseVerifier.js';
 import { WebsiteVerifier } from '../verifiers/WebsiteVerifier.js';
 import { CertificateVerifier } from '../verifiers/CertificateVerifier.js';
+import { keyManager } from '../../utils/keyManagement.js';
+
+/**
+ * Whether a verification result means the target rejected the password
+ * @param {Object} result - Verifier result (errorCategory or error_category)
+ * @returns {boolean}
+ */
+export function isAuthenticationFailure(result) {
+  return !result.success && (result.errorCategory || result.error_category) === 'authentication';
+}
 
 export class CPMService {
   constructor(config) {
@@ -94,8 +104,8 @@ export class CPMService {
     try {
       logger.debug(`Starting account existence verification: ${credentialData.target_username}@${credentialData.target_hostname}`);
       
-      // Get appropriate verifier based on credential type
-      let verifier = this.verifiers[credentialData.type];
+      // Get appropriate verifier: the account's platform first, then the credential type
+      let verifier = await this.getPlatformVerifier(credentialData) || this.verifiers[credentialData.type];
       
       // Fallback mappings for common cases
       if (!verifier) {
@@ -181,6 +191,30 @@ export class CPMService {
     }
   }
 
+  /**
+   * Verifier configured on the platform definition named by platform_id
+   * @param {Object} credential - Credential or account data with an optional platform_id
+   * @returns {Promise<Object|null>} Verifier, or null when the platform does not name one
+   */
+  async getPlatformVerifier(credential) {
+    if (!credential.platform_id) return null;
+    
+    const { data: platform, error } = await this.db
+      .from('platforms')
+      .select('verifier')
+      .eq('id', credential.platform_id)
+      .maybeSingle();
+    
+    if (error) {
+      logger.warn(`Failed to load platform ${credential.platform_id}: ${error.message}`);
+      return null;
+    }
+    if (platform?.verifier && !this.verifiers[platform.verifier]) {
+      logger.warn(`Platform ${credential.platform_id} names unknown verifier '${platform.verifier}'`);
+    }
+    return this.verifiers[platform?.verifier] || null;
+  }
+
   /**
    * Stop the CPM service
    */
@@ -251,6 +285,13 @@ export class CPMService {
    */
   async performScan() {
     const scanStartTime = Date.now();
+    
+    // Credentials cannot be decrypted until the vault is unsealed
+    if (keyManager.isSealed()) {
+      logger.info('🔒 Vault is sealed - skipping credential verification scan');
+      return;
+    }
+    
     logger.info('🔍 Starting credential verification scan...');
     
     try {
@@ -353,8 +394,8 @@ export class CPMService {
     try {
       logger.debug(`Starting verification: ${credential.id} (${credential.type})`);
       
-      // Get appropriate verifier based on credential type
-      let verifier = this.verifiers[credential.type];
+      // Get appropriate verifier: the account's platform first, then the credential type
+      let verifier = await this.getPlatformVerifier(credential) || this.verifiers[credential.type];
       
       // Fallback mappings for common cases
       if (!verifier) {
@@ -396,6 +437,10 @@ export class CPMService {
       // Log audit event
       await this.auditLogger.logVerificationAudit(credential, verificationResult);
       
+      if (isAuthenticationFailure(verificationResult)) {
+        await this.reconcileLinkedAccounts(credential);
+      }
+      
       const duration = Date.now() - startTime;
       
       return {
@@ -438,6 +483,43 @@ export class CPMService {
     }
   }
   
+  /**
+   * Reconcile the accounts whose password a rejected credential holds: the account
+   * itself when an account was verified, otherwise the owner's accounts for the same
+   * host and user. Only accounts with a reconcile account are touched.
+   * @param {Object} credential - Credential (or account in credential form) that failed authentication
+   */
+  async reconcileLinkedAccounts(credential) {
+    try {
+      const accountService = await import('../../services/accountService.js');
+      const { parseListQuery, MAX_LIMIT } = await import('../../utils/listQuery.js');
+      
+      let accounts;
+      if (credential.account_id) {
+        accounts = [await accountService.getAccountById({ id: credential.account_id, role: 'Admin' })];
+      } else if (credential.user_id && credential.host && credential.username) {
+        ({ rows: accounts } = await accountService.listAccountPage({
+          ownerId: credential.user_id,
+          role: 'User',
+          username: credential.username,
+          hostname: credential.host,
+          match: 'exact',
+          list: parseListQuery({ limit: String(MAX_LIMIT) }, accountService.ACCOUNT_LIST)
+        }));
+      } else {
+        return;
+      }
+      
+      for (const account of accounts) {
+        if (!account.reconcile_account_id) continue;
+        logger.info(`🔧 Credential ${credential.id} was rejected by ${credential.host}, reconciling account ${account.id}`);
+        await accountService.reconcileAfterAuthenticationFailure(account);
+      }
+    } catch (error) {
+      logger.error(`Failed to reconcile accounts for credential ${credential.id}: ${error.message}`);
+    }
+  }
+  
   /**
    * Update credential status in database
    * @param {Object} credential - Credential to update
@@ -40,6 +40,7 @@ export class CredentialScanner {
           created_at,
           updated_at
         `)
+        .is('deleted_at', null)
         .or(`status.eq.pending,verified_at.is.null`)
         .order('created_at', { ascending: true })
         .limit(this.batchSize);
@@ -98,6 +99,7 @@ export class CredentialScanner {
           created_at,
           updated_at
         `)
+        .is('deleted_at', null)
         .eq('status', 'failed')
         .or(`last_verification_attempt.is.null,last_verification_attempt.lt.${retryThreshold.toISOString()}`)
         .order('last_verification_attempt', { ascending: true })
@@ -0,0 +1,34 @@
+/**
+ * Dependency Propagation Service
+ * Routes a rotated password to the propagator for each kind of account dependency
+ */
+
+import { WindowsDependencyPropagator } from '../propagators/WindowsDependencyPropagator.js';
+import { ConfigFilePropagator } from '../propagators/ConfigFilePropagator.js';
+
+export class DependencyPropagationService {
+  constructor(config) {
+    this.config = config;
+    const windows = new WindowsDependencyPropagator(config);
+    this.propagators = {
+      windows_service: windows,
+      scheduled_task: windows,
+      iis_app_pool: windows,
+      config_file: new ConfigFilePropagator(config)
+    };
+  }
+
+  /**
+   * Push the new password to one dependency on a remote host
+   * @param {string} type - Dependency type
+   * @param {Object} target - Propagator-specific fields (see each propagator)
+   * @returns {Promise<Object>} { success, message }
+   */
+  async push(type, target) {
+    const propagator = this.propagators[type];
+    if (!propagator) {
+      throw new Error(`No propagator for '${type}' dependencies`);
+    }
+    return propagator.push({ type, ...target });
+  }
+}
@@ -0,0 +1,56 @@
+/**
+ * Password Rotation Service
+ * Routes target-side password changes to the driver for the account's system
+ */
+
+import { SSHRotator } from '../rotators/SSHRotator.js';
+import { WindowsRotator } from '../rotators/WindowsRotator.js';
+import { DatabaseRotator } from '../rotators/DatabaseRotator.js';
+import { SSHKeyRotator } from '../rotators/SSHKeyRotator.js';
+
+export const ROTATION_DRIVERS = ['ssh', 'windows', 'database'];
+
+export class PasswordRotationService {
+  constructor(config) {
+    this.config = config;
+    this.rotators = {
+      ssh: new SSHRotator(config),
+      windows: new WindowsRotator(config),
+      database: new DatabaseRotator(config),
+      // Key pairs of ssh_key accounts; chosen by account type, never by a platform
+      ssh_key: new SSHKeyRotator(config)
+    };
+  }
+  
+  /**
+   * Change the password on the target, verify it and roll back on failure
+   * @param {string} driver - One of ROTATION_DRIVERS
+   * @param {Object} target - host, port, username, password, newPassword and driver-specific fields
+   * @returns {Promise<Object>} { success, passwordChanged, rolledBack, message, errorCategory }
+   *   passwordChanged is true when the target now has the new password, false when it
+   *   still has the old one and null when that is unknown
+   */
+  async rotate(driver, target) {
+    const rotator = this.rotators[driver];
+    if (!rotator) {
+      throw new Error(`No rotation driver '${driver}'`);
+    }
+    return rotator.rotate(target);
+  }
+  
+  /**
+   * Reset the password as the account's reconcile account and verify it. Used when
+   * the vault no longer has the password on the target, so there is nothing to roll back to.
+   * @param {string} driver - One of ROTATION_DRIVERS
+   * @param {Object} target - host, port, username, newPassword, reconcileUsername,
+   *   reconcilePassword and driver-specific fields
+   * @returns {Promise<Object>} { success, passwordChanged, message, errorCategory }
+   */
+  async reconcile(driver, target) {
+    const rotator = this.rotators[driver];
+    if (!rotator?.reconcile) {
+      throw new Error(`No reconcile support in rotation driver '${driver}'`);
+    }
+    return rotator.reconcile(target);
+  }
+}
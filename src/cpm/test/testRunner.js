@@ -9,7 +9,7 @@ import { SSHVerifier } from '../verifiers/SSHVerifier.js';
 import { APIVerifier } from '../verifiers/APIVerifier.js';
 import { CPMConfig } from '../config/cpmConfig.js';
 import { logger } from '../utils/logger.js';
-import { encrypt } from '../../utils/encryption.js';
+import { encryptField } from '../../utils/secureEncryption.js';
 
 async function runTests() {
   logger.info('🧪 Starting CPM Test Suite');
@@ -43,7 +43,7 @@ async function runTests() {
       id: 'test-ssh',
       type: 'ssh',
       name: 'Test SSH',
-      value: encrypt(JSON.stringify({
+      value: encryptField(JSON.stringify({
         host: 'invalid-host-12345.local',
         port: 22,
         username: 'testuser',
@@ -77,7 +77,7 @@ async function runTests() {
       id: 'test-api',
       type: 'api_token',
       name: 'Test API Token',
-      value: encrypt(JSON.stringify({
+      value: encryptField(JSON.stringify({
         token: 'test-bearer-token',
         type: 'bearer'
       }))
@@ -109,7 +109,7 @@ async function runTests() {
     const validSshCred = {
       id: 'valid-ssh',
       type: 'ssh',
-      value: encrypt(JSON.stringify({
+      value: encryptField(JSON.stringify({
         host: 'example.com',
         username: 'user',
         password: 'pass'
@@ -122,7 +122,7 @@ async function runTests() {
     const validApiCred = {
       id: 'valid-api',
       type: 'api_token',
-      value: encrypt(JSON.stringify({
+      value: encryptField(JSON.stringify({
         token: 'valid-token',
         type: 'bearer'
       }))
@@ -5,7 +5,7 @@
 
 // Use built-in fetch in Node.js 18+
 import { logger } from '../utils/logger.js';
-import { decrypt } from '../../utils/encryption.js';
+import { decryptField } from '../../utils/secureEncryption.js';
 
 export class APIVerifier {
   constructor(config) {
@@ -26,7 +26,7 @@ export class APIVerifier {
     
     try {
       // Decrypt the credential value
-      const decryptedValue = decrypt(credential.value);
+      const decryptedValue = decryptField(credential.value);
       let tokenConfig;
       
       try {
@@ -206,7 +206,7 @@ export class APIVerifier {
     const errors = [];
     
     try {
-      const decryptedValue = decrypt(credential.value);
+      const decryptedValue = decryptField(credential.value);
       let tokenConfig;
       
       try {
@@ -256,7 +256,7 @@ export class APIVerifier {
       try {
         // Create temporary credential with specific endpoint
         const tempCredential = { ...credential };
-        const decryptedValue = decrypt(credential.value);
+        const decryptedValue = decryptField(credential.value);
         let tokenConfig;
         
         try {
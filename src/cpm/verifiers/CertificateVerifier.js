@@ -8,7 +8,7 @@ import tls from 'tls';
 import fs from 'fs';
 import { X509Certificate } from 'crypto';
 import { logger } from '../utils/logger.js';
-import { decrypt } from '../../utils/encryption.js';
+import { decryptField } from '../../utils/secureEncryption.js';
 
 export class CertificateVerifier {
   constructor(config) {
@@ -27,7 +27,7 @@ export class CertificateVerifier {
     
     try {
       // Decrypt the credential value
-      const decryptedValue = decrypt(credential.value);
+      const decryptedValue = decryptField(credential.value);
       let certificateConfig;
       
       try {
@@ -545,7 +545,7 @@ export class CertificateVerifier {
     const errors = [];
     
     try {
-      const decryptedValue = decrypt(credential.value);
+      const decryptedValue = decryptField(credential.value);
       let certificateConfig;
       
       try {
@@ -7,7 +7,7 @@ import mysql from 'mysql2/promise';
 import pg from 'pg';
 import { MongoClient } from 'mongodb';
 import { logger } from '../utils/logger.js';
-import { decrypt } from '../../utils/encryption.js';
+import { decryptField } from '../../utils/secureEncryption.js';
 
 // Optional Oracle support - only load if available
 let oracledb = null;
@@ -34,7 +34,7 @@ export class DatabaseVerifier {
     
     try {
       // Decrypt the credential value
-      const decryptedValue = decrypt(credential.value);
+      const decryptedValue = decryptField(credential.value);
       let connectionConfig;
       
       try {
@@ -128,6 +128,65 @@ export class DatabaseVerifier {
     }
   }
   
+  /**
+   * Connection settings per database type, shared with the DatabaseRotator
+   */
+  getMySQLOptions(config) {
+    return {
+      host: config.host,
+      port: config.port || 3306,
+      user: config.username,
+      password: config.password,
+      database: config.database || 'information_schema',
+      connectTimeout: this.timeout,
+      acquireTimeout: this.timeout,
+      ssl: config.ssl || false
+    };
+  }
+  
+  getPostgreSQLOptions(config) {
+    return {
+      host: config.host,
+      port: config.port || 5432,
+      user: config.username,
+      password: config.password,
+      database: config.database || 'postgres',
+      connectionTimeoutMillis: this.timeout,
+      ssl: config.ssl || false
+    };
+  }
+  
+  getMongoDBUri(config) {
+    if (config.uri) return config.uri;
+    // Credentials are URI-encoded so generated passwords with reserved characters still parse
+    const auth = `${encodeURIComponent(config.username)}:${encodeURIComponent(config.password)}`;
+    return `mongodb://${auth}@${config.host}:${config.port || 27017}/${config.database || 'admin'}`;
+  }
+  
+  getMongoDBOptions() {
+    return {
+      connectTimeoutMS: this.timeout,
+      serverSelectionTimeoutMS: this.timeout,
+      socketTimeoutMS: this.timeout
+    };
+  }
+  
+  getSQLServerOptions(config) {
+    return {
+      server: config.host,
+      port: config.port || 1433,
+      user: config.username,
+      password: config.password,
+      database: config.database || 'master',
+      connectionTimeout: this.timeout,
+      requestTimeout: this.timeout,
+      options: {
+        encrypt: config.encrypt || false,
+        trustServerCertificate: config.trustServerCertificate || true
+      }
+    };
+  }
+  
   /**
    * Verify MySQL/MariaDB connection
    */
@@ -135,18 +194,7 @@ export class DatabaseVerifier {
     let connection = null;
     
     try {
-      const connectionConfig = {
-        host: config.host,
-        port: config.port || 3306,
-        user: config.username,
-        password: config.password,
-        database: config.database || 'information_schema',
-        connectTimeout: this.timeout,
-        acquireTimeout: this.timeout,
-        ssl: config.ssl || false
-      };
-      
-      connection = await mysql.createConnection(connectionConfig);
+      connection = await mysql.createConnection(this.getMySQLOptions(config));
       
       // Test query
       const [rows] = await connection.execute('SELECT VERSION() as version, USER() as user');
@@ -177,15 +225,7 @@ export class DatabaseVerifier {
    * Verify PostgreSQL connection
    */
   async verifyPostgreSQL(config) {
-    const client = new pg.Client({
-      host: config.host,
-      port: config.port || 5432,
-      user: config.username,
-      password: config.password,
-      database: config.database || 'postgres',
-      connectionTimeoutMillis: this.timeout,
-      ssl: config.ssl || false
-    });
+    const client = new pg.Client(this.getPostgreSQLOptions(config));
     
     try {
       await client.connect();
@@ -219,13 +259,7 @@ export class DatabaseVerifier {
     let client = null;
     
     try {
-      const uri = config.uri || `mongodb://${config.username}:${config.password}@${config.host}:${config.port || 27017}/${config.database || 'admin'}`;
-      
-      client = new MongoClient(uri, {
-        connectTimeoutMS: this.timeout,
-        serverSelectionTimeoutMS: this.timeout,
-        socketTimeoutMS: this.timeout
-      });
+      client = new MongoClient(this.getMongoDBUri(config), this.getMongoDBOptions());
       
       await client.connect();
       
@@ -307,23 +341,9 @@ export class DatabaseVerifier {
   async verifySQLServer(config) {
     try {
       // Dynamic import since mssql might not be installed
-      const sql = await import('mssql');
-      
-      const connectionConfig = {
-        server: config.host,
-        port: config.port || 1433,
-        user: config.username,
-        password: config.password,
-        database: config.database || 'master',
-        connectionTimeout: this.timeout,
-        requestTimeout: this.timeout,
-        options: {
-          encrypt: config.encrypt || false,
-          trustServerCertificate: config.trustServerCertificate || true
-        }
-      };
+      const { default: sql } = await import('mssql');
       
-      const pool = new sql.ConnectionPool(connectionConfig);
+      const pool = new sql.ConnectionPool(this.getSQLServerOptions(config));
       await pool.connect();
       
       // Test query
@@ -602,7 +622,7 @@ export class DatabaseVerifier {
     const errors = [];
     
     try {
-      const decryptedValue = decrypt(credential.value);
+      const decryptedValue = decryptField(credential.value);
       let connectionConfig;
       
       try {
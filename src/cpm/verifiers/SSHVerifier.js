@@ -5,7 +5,7 @@
 
 import { NodeSSH } from 'node-ssh';
 import { logger } from '../utils/logger.js';
-import { decrypt } from '../../utils/encryption.js';
+import { decryptField } from '../../utils/secureEncryption.js';
 
 export class SSHVerifier {
   constructor(config) {
@@ -26,7 +26,7 @@ export class SSHVerifier {
     
     try {
       // Decrypt the credential value
-      const decryptedValue = decrypt(credential.value);
+      const decryptedValue = decryptField(credential.value);
       let connectionConfig;
       
       try {
@@ -178,7 +178,7 @@ export class SSHVerifier {
     const errors = [];
     
     try {
-      const decryptedValue = decrypt(credential.value);
+      const decryptedValue = decryptField(credential.value);
       let connectionConfig;
       
       try {
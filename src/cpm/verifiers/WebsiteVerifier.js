@@ -6,7 +6,7 @@
 // Use built-in fetch in Node.js 18+
 import { JSDOM } from 'jsdom';
 import { logger } from '../utils/logger.js';
-import { decrypt } from '../../utils/encryption.js';
+import { decryptField } from '../../utils/secureEncryption.js';
 
 export class WebsiteVerifier {
   constructor(config) {
@@ -25,7 +25,7 @@ export class WebsiteVerifier {
     
     try {
       // Decrypt the credential value
-      const decryptedValue = decrypt(credential.value);
+      const decryptedValue = decryptField(credential.value);
       let connectionConfig;
       
       try {
@@ -557,7 +557,7 @@ export class WebsiteVerifier {
     const errors = [];
     
     try {
-      const decryptedValue = decrypt(credential.value);
+      const decryptedValue = decryptField(credential.value);
       let connectionConfig;
       
       try {
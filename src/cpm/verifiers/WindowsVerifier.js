@@ -6,7 +6,7 @@
 import { exec } from 'child_process';
 import { promisify } from 'util';
 import { logger } from '../utils/logger.js';
-import { decrypt } from '../../utils/encryption.js';
+import { decryptField } from '../../utils/secureEncryption.js';
 
 const execAsync = promisify(exec);
 
@@ -27,7 +27,7 @@ export class WindowsVerifier {
     
     try {
       // Decrypt the credential value
-      const decryptedValue = decrypt(credential.value);
+      const decryptedValue = decryptField(credential.value);
       let connectionConfig;
       
       try {
@@ -408,7 +408,7 @@ export class WindowsVerifier {
     const errors = [];
     
     try {
-      const decryptedValue = decrypt(credential.value);
+      const decryptedValue = decryptField(credential.value);
       let connectionConfig;
       
       try {
@@ -704,7 +704,7 @@ export class WindowsVerifier {
    */
   parseCredentialValue(credentialValue) {
     try {
-      const decryptedValue = decrypt(credentialValue);
+      const decryptedValue = decryptField(credentialValue);
       try {
         return JSON.parse(decryptedValue);
       } catch {
@@ -19,8 +19,13 @@ import { corsLogger, securityLogger } from './middlewares/endpointLogger.js';
 import { apiMonitoring, criticalEndpointMonitoring } from './middlewares/apiMonitoring.js';
 import jitCleanupJob from './jobs/jitCleanupJob.js';
 import verifyAccountsJob from './jobs/verifyAccountsJob.js';
+import checkoutExpiryJob from './jobs/checkoutExpiryJob.js';
+import rotationSchedulerJob from './jobs/rotationSchedulerJob.js';
+import recycleBinPurgeJob from './jobs/recycleBinPurgeJob.js';
+import permissionExpiryJob from './jobs/permissionExpiryJob.js';
 import { CPMService } from './cpm/services/CPMService.js';
 import { CPMConfig } from './cpm/config/cpmConfig.js';
+import { keyManager } from './utils/keyManagement.js';
 
 dotenv.config();
 
@@ -63,7 +68,7 @@ const corsOptions = {
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
   allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Accept', 'Origin'],
-  exposedHeaders: ['X-Total-Count', 'X-Page-Count'],
+  exposedHeaders: ['X-Total-Count', 'X-Page-Count', 'X-Next-Cursor', 'X-Export-Count'],
   maxAge: 86400 // 24 hours
 };
 
@@ -81,7 +86,7 @@ app.use(cors({
   credentials: true,
   methods: ['GET','POST','PUT','PATCH','DELETE','OPTIONS'],
   allowedHeaders: ['Content-Type','Authorization','X-Requested-With','Accept','Origin'],
-  exposedHeaders: ['X-Total-Count','X-Page-Count'],
+  exposedHeaders: ['X-Total-Count','X-Page-Count','X-Next-Cursor','X-Export-Count'],
   maxAge: 86400
 }));
 
@@ -91,6 +96,11 @@ app.options('*', cors(corsOptions));
 // Trust proxy for accurate IP addresses
 app.set('trust proxy', true);
 
+// Vault restores upload the whole backup archive; parsed here before the default limit applies
+app.use('/api/v1/system/restore', express.json({ limit: process.env.BACKUP_MAX_SIZE || '50mb' }));
+// Account imports carry a whole CSV or JSON file
+const importLimit = process.env.ACCOUNT_IMPORT_MAX_SIZE || '5mb';
+app.use('/api/v1/accounts/import', express.json({ limit: importLimit }), express.text({ type: ['text/csv', 'text/plain'], limit: importLimit }));
 app.use(express.json({ limit: '10kb' }));
 
 // Enhanced Morgan request logging with Logtail
@@ -167,6 +177,18 @@ jitCleanupJob.start();
 // Start the account verification background job
 verifyAccountsJob.start();
 
+// Release account checkouts past their maximum duration
+checkoutExpiryJob.start();
+
+// Maintain next_rotation, send rotation notices and auto-rotate due accounts
+rotationSchedulerJob.start();
+
+// Permanently delete recycle bin items past their retention
+recycleBinPurgeJob.start();
+
+// Remove expired safe permissions and notify owners of upcoming expiries
+permissionExpiryJob.start();
+
 // Start the CPM service for credential verification
 let cpmService;
 async function startCPMService() {
@@ -184,10 +206,29 @@ async function startCPMService() {
   }
 }
 
+// Load the encryption key ring from the configured KMS provider
+async function initializeKeyManagement() {
+  const status = await keyManager.initialize();
+  logger.info('Key management initialized', {
+    provider: status.provider,
+    key_version: status.current_version
+  });
+  if (status.sealed) {
+    logger.warn('Vault is sealed - secret routes return 503 until key shares are submitted to /api/v1/system/unseal');
+  }
+}
+
 const PORT = process.env.PORT || 4000;
-app.listen(PORT, async () => {
-  logger.info(`Server listening on port ${PORT}`);
-  logger.info('JIT cleanup background job started');
-  logger.info('Account verification background job started');
-  await startCPMService();
-});
+initializeKeyManagement()
+  .then(() => {
+    app.listen(PORT, async () => {
+      logger.info(`Server listening on port ${PORT}`);
+      logger.info('JIT cleanup background job started');
+      logger.info('Account verification background job started');
+      await startCPMService();
+    });
+  })
+  .catch((error) => {
+    logger.error('Failed to initialize key management:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,91 @@
+import { v4 as uuidv4 } from 'uuid';
+import { importAccounts } from '../services/accountImportService.js';
+import logger from '../utils/logger.js';
+
+// Finished imports stay pollable for this long
+const RETENTION_MS = 60 * 60 * 1000;
+
+class AccountImportJob {
+  constructor() {
+    this.imports = new Map();
+  }
+
+  // Run an import in the background and return its initial progress
+  start({ rows, validationErrors, userId, role, dryRun, ...options }) {
+    this.prune();
+
+    const running = [...this.imports.values()].find(job => job.requested_by === userId && job.status === 'running');
+    if (running) {
+      const error = new Error(`Import ${running.id} is still running`);
+      error.status = 409;
+      throw error;
+    }
+
+    const job = {
+      id: uuidv4(),
+      status: 'running',
+      source: options.source || null,
+      dry_run: dryRun,
+      requested_by: userId,
+      started_at: new Date().toISOString(),
+      finished_at: null,
+      total: rows.length,
+      processed: 0,
+      summary: null,
+      error: null
+    };
+    this.imports.set(job.id, job);
+
+    importAccounts({
+      rows,
+      validationErrors,
+      userId,
+      role,
+      dryRun,
+      ...options,
+      onProgress: summary => {
+        job.processed = summary.results.length;
+      }
+    })
+      .then(summary => {
+        job.status = 'completed';
+        job.summary = summary;
+      })
+      .catch(error => {
+        logger.error(`Account import ${job.id} failed:`, error);
+        job.status = 'failed';
+        job.error = error.message;
+      })
+      .finally(() => {
+        job.finished_at = new Date().toISOString();
+      });
+
+    return this.getProgress(job.id, { userId, role });
+  }
+
+  // Imports are visible to whoever started them and to admins
+  getProgress(id, { userId, role }) {
+    const job = this.imports.get(id);
+    if (!job || (job.requested_by !== userId && role !== 'Admin')) {
+      const error = new Error('Import not found');
+      error.status = 404;
+      throw error;
+    }
+
+    return {
+      ...job,
+      percent_complete: job.total > 0 ? Math.round((job.processed / job.total) * 100) : 100
+    };
+  }
+
+  prune() {
+    const cutoff = Date.now() - RETENTION_MS;
+    for (const [id, job] of this.imports) {
+      if (job.finished_at && new Date(job.finished_at).getTime() < cutoff) {
+        this.imports.delete(id);
+      }
+    }
+  }
+}
+
+export default new AccountImportJob();
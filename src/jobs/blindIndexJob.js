@@ -0,0 +1,187 @@
+import { supabaseAdmin } from '../utils/supabaseClient.js';
+import { decryptField, blindIndexAccountFields } from '../utils/secureEncryption.js';
+import { keyManager } from '../utils/keyManagement.js';
+import { logAction } from '../services/auditService.js';
+import { getSafeDataKey } from '../services/safeService.js';
+import logger from '../utils/logger.js';
+
+const TABLE = 'privileged_accounts';
+const MAX_RECORDED_ERRORS = 50;
+
+// The index is derived from these; it is only written while they still hold what was read
+const SOURCE_COLUMNS = ['safe_id', 'username', 'hostname_ip', 'encrypted_username', 'encrypted_hostname_ip'];
+
+// Rebuilds username/hostname blind indexes for rows missing one or indexed under an older key
+class BlindIndexJob {
+  constructor() {
+    this.isRunning = false;
+    this.safeKeys = new Map();
+    this.progress = this.createProgress('idle');
+  }
+
+  createProgress(status, extra = {}) {
+    return {
+      status,
+      target_key_version: null,
+      requested_by: null,
+      started_at: null,
+      finished_at: null,
+      total: 0,
+      processed: 0,
+      indexed: 0,
+      skipped: 0,
+      failed: 0,
+      errors: [],
+      ...extra
+    };
+  }
+
+  getProgress() {
+    const { total, processed, status } = this.progress;
+    return {
+      ...this.progress,
+      percent_complete: total > 0 ? Math.round((processed / total) * 100) : (status === 'completed' ? 100 : 0)
+    };
+  }
+
+  // Kick off the backfill in the background and return the initial progress
+  start({ requestedBy, batchSize = 100 } = {}) {
+    if (this.isRunning) {
+      const error = new Error('Blind index backfill is already running');
+      error.status = 409;
+      throw error;
+    }
+
+    this.isRunning = true;
+    this.safeKeys = new Map();
+    this.progress = this.createProgress('running', {
+      target_key_version: keyManager.getCurrentKeyVersion(),
+      requested_by: requestedBy || null,
+      started_at: new Date().toISOString()
+    });
+
+    this.execute(batchSize)
+      .catch(error => {
+        logger.error('Blind index backfill failed:', error);
+        this.progress.status = 'failed';
+        this.progress.errors.push({ message: error.message });
+      })
+      .finally(() => {
+        this.isRunning = false;
+        this.safeKeys = new Map();
+        this.progress.finished_at = new Date().toISOString();
+        this.logCompletion();
+      });
+
+    return this.getProgress();
+  }
+
+  staleFilter() {
+    return `blind_index_version.is.null,blind_index_version.neq.${this.progress.target_key_version}`;
+  }
+
+  async execute(batchSize) {
+    const { count, error } = await supabaseAdmin
+      .from(TABLE)
+      .select('id', { count: 'exact', head: true })
+      .or(this.staleFilter());
+    if (error) throw error;
+
+    this.progress.total = count || 0;
+    logger.info(`Starting blind index backfill for ${this.progress.total} accounts`);
+
+    // Keyset pagination: rows leave the stale set as they are indexed
+    let lastId = null;
+    while (true) {
+      let query = supabaseAdmin
+        .from(TABLE)
+        .select(['id', ...SOURCE_COLUMNS].join(', '))
+        .or(this.staleFilter())
+        .order('id', { ascending: true })
+        .limit(batchSize);
+      if (lastId) {
+        query = query.gt('id', lastId);
+      }
+
+      const { data: rows, error: batchError } = await query;
+      if (batchError) throw batchError;
+      if (!rows || rows.length === 0) break;
+
+      for (const row of rows) {
+        await this.processRow(row);
+      }
+
+      lastId = rows[rows.length - 1].id;
+      if (rows.length < batchSize) break;
+    }
+
+    this.progress.status = 'completed';
+    logger.info('Blind index backfill completed', {
+      indexed: this.progress.indexed,
+      skipped: this.progress.skipped,
+      failed: this.progress.failed
+    });
+  }
+
+  async processRow(row) {
+    try {
+      const safeKey = row.safe_id ? await this.getSafeKey(row.safe_id) : null;
+
+      // Discovered accounts may still carry plaintext columns
+      const username = row.encrypted_username ? decryptField(row.encrypted_username, safeKey) : row.username;
+      const hostname_ip = row.encrypted_hostname_ip ? decryptField(row.encrypted_hostname_ip, safeKey) : row.hostname_ip;
+
+      let query = supabaseAdmin
+        .from(TABLE)
+        .update(blindIndexAccountFields({ username, hostname_ip }))
+        .eq('id', row.id);
+      for (const column of SOURCE_COLUMNS) {
+        query = row[column] === null || row[column] === undefined
+          ? query.is(column, null)
+          : query.eq(column, row[column]);
+      }
+
+      const { data, error } = await query.select('id');
+      if (error) throw error;
+
+      // Edited since it was read: the writer indexed it, or the next run will
+      if (data && data.length > 0) {
+        this.progress.indexed++;
+      } else {
+        this.progress.skipped++;
+      }
+    } catch (error) {
+      this.progress.failed++;
+      logger.error(`Blind index backfill failed for ${TABLE}:${row.id} - ${error.message}`);
+      if (this.progress.errors.length < MAX_RECORDED_ERRORS) {
+        this.progress.errors.push({ id: row.id, message: error.message });
+      }
+    } finally {
+      this.progress.processed++;
+    }
+  }
+
+  async getSafeKey(safeId) {
+    if (!this.safeKeys.has(safeId)) {
+      this.safeKeys.set(safeId, await getSafeDataKey(safeId));
+    }
+    return this.safeKeys.get(safeId);
+  }
+
+  logCompletion() {
+    logAction({
+      userId: this.progress.requested_by,
+      action: 'blind_index_backfill_finished',
+      resource: 'system:blind_index',
+      metadata: {
+        status: this.progress.status,
+        target_key_version: this.progress.target_key_version,
+        indexed: this.progress.indexed,
+        skipped: this.progress.skipped,
+        failed: this.progress.failed
+      }
+    }).catch(error => logger.error('Failed to audit blind index backfill completion:', error));
+  }
+}
+
+export default new BlindIndexJob();
@@ -0,0 +1,52 @@
+import cron from 'node-cron';
+import * as checkoutService from '../services/checkoutService.js';
+import { keyManager } from '../utils/keyManagement.js';
+import logger from '../utils/logger.js';
+
+class CheckoutExpiryJob {
+  constructor() {
+    this.isRunning = false;
+  }
+
+  // Release checkouts past their maximum duration every 5 minutes
+  start() {
+    logger.info('Starting checkout expiry job scheduler...');
+
+    cron.schedule('*/5 * * * *', async () => {
+      if (this.isRunning) {
+        logger.warn('Checkout expiry job already running, skipping this execution');
+        return;
+      }
+      // Post-checkin rotation needs the vault keys
+      if (keyManager.isSealed()) {
+        logger.debug('Vault is sealed, skipping checkout expiry');
+        return;
+      }
+
+      try {
+        this.isRunning = true;
+        await this.executeExpiry();
+      } catch (error) {
+        logger.error('Checkout expiry job failed:', error);
+      } finally {
+        this.isRunning = false;
+      }
+    });
+
+    logger.info('Checkout expiry job scheduler started successfully');
+  }
+
+  async executeExpiry() {
+    const expired = await checkoutService.expireCheckouts();
+
+    if (expired.length > 0) {
+      logger.info(`Checkout expiry completed: ${expired.length} checkouts released`);
+    } else {
+      logger.debug('Checkout expiry completed: no lapsed checkouts found');
+    }
+
+    return { success: true, expiredCount: expired.length };
+  }
+}
+
+export default new CheckoutExpiryJob();
@@ -0,0 +1,51 @@
+import cron from 'node-cron';
+import * as permissionExpiryService from '../services/permissionExpiryService.js';
+import logger from '../utils/logger.js';
+
+const SCHEDULE = process.env.SAFE_PERMISSION_EXPIRY_SCHEDULE || '*/15 * * * *';
+
+class PermissionExpiryJob {
+  constructor() {
+    this.isRunning = false;
+  }
+
+  // Remove safe permissions past valid_until and warn safe owners ahead of expiries
+  start() {
+    logger.info('Starting safe permission expiry job scheduler...');
+
+    // Permissions hold no secrets, so expiry also runs while the vault is sealed
+    cron.schedule(SCHEDULE, async () => {
+      if (this.isRunning) {
+        logger.warn('Safe permission expiry job already running, skipping this execution');
+        return;
+      }
+
+      try {
+        this.isRunning = true;
+        await this.executeExpiry();
+      } catch (error) {
+        logger.error('Safe permission expiry job failed:', error);
+      } finally {
+        this.isRunning = false;
+      }
+    });
+
+    logger.info(`Safe permission expiry job scheduler started (schedule: ${SCHEDULE})`);
+  }
+
+  async executeExpiry() {
+    const now = new Date();
+    const expired = await permissionExpiryService.expirePermissions(now);
+    const notified = await permissionExpiryService.sendExpiryNotices(now);
+
+    if (expired + notified > 0) {
+      logger.info(`Safe permission expiry completed: ${expired} expired, ${notified} owners notified`);
+    } else {
+      logger.debug('Safe permission expiry completed: nothing expired or expiring');
+    }
+
+    return { success: true, expired, notified };
+  }
+}
+
+export default new PermissionExpiryJob();
@@ -0,0 +1,50 @@
+import cron from 'node-cron';
+import * as recycleBinService from '../services/recycleBinService.js';
+import logger from '../utils/logger.js';
+
+const PURGE_SCHEDULE = process.env.RECYCLE_BIN_PURGE_SCHEDULE || '30 2 * * *';
+
+class RecycleBinPurgeJob {
+  constructor() {
+    this.isRunning = false;
+  }
+
+  // Permanently delete recycle bin items past their retention, nightly by default
+  start() {
+    logger.info('Starting recycle bin purge job scheduler...');
+
+    // Purging only deletes rows, so it also runs while the vault is sealed
+    cron.schedule(PURGE_SCHEDULE, async () => {
+      if (this.isRunning) {
+        logger.warn('Recycle bin purge job already running, skipping this execution');
+        return;
+      }
+
+      try {
+        this.isRunning = true;
+        await this.executePurge();
+      } catch (error) {
+        logger.error('Recycle bin purge job failed:', error);
+      } finally {
+        this.isRunning = false;
+      }
+    });
+
+    logger.info('Recycle bin purge job scheduler started successfully');
+  }
+
+  async executePurge() {
+    const counts = await recycleBinService.purgeExpiredItems();
+    const total = counts.safes + counts.accounts + counts.credentials;
+
+    if (total > 0) {
+      logger.info('Recycle bin purge completed', counts);
+    } else {
+      logger.debug('Recycle bin purge completed: nothing past retention');
+    }
+
+    return { success: true, ...counts };
+  }
+}
+
+export default new RecycleBinPurgeJob();
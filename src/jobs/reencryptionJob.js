@@ -0,0 +1,235 @@
+import { supabaseAdmin } from '../utils/supabaseClient.js';
+import { needsReencryption, reencryptField, encryptField, decryptField, isSafeCiphertext } from '../utils/secureEncryption.js';
+import { keyManager } from '../utils/keyManagement.js';
+import { logAction } from '../services/auditService.js';
+import { ENCRYPTED_COLUMNS, SAFE_KEYED_TABLES } from '../services/encryptionService.js';
+import { getSafeDataKey } from '../services/safeService.js';
+import logger from '../utils/logger.js';
+
+const MAX_RECORDED_ERRORS = 50;
+// Attempts per row when concurrent writes keep replacing the ciphertext
+const MAX_ATTEMPTS = 3;
+
+// Every encrypted column is rewritten into the envelope format under the current key;
+// account fields and password versions in a safe are moved onto that safe's data key
+const TARGETS = Object.entries(ENCRYPTED_COLUMNS).map(([table, columns]) => ({
+  table,
+  columns,
+  safeKeyed: SAFE_KEYED_TABLES.includes(table)
+}));
+
+class ReencryptionJob {
+  constructor() {
+    this.isRunning = false;
+    this.safeKeys = new Map();
+    this.progress = this.createProgress('idle');
+  }
+
+  createProgress(status, extra = {}) {
+    return {
+      status,
+      target_key_version: null,
+      requested_by: null,
+      started_at: null,
+      finished_at: null,
+      tables: {},
+      errors: [],
+      ...extra
+    };
+  }
+
+  getProgress() {
+    const tables = Object.values(this.progress.tables);
+    const total = tables.reduce((sum, t) => sum + t.total, 0);
+    const processed = tables.reduce((sum, t) => sum + t.processed, 0);
+
+    return {
+      ...this.progress,
+      percent_complete: total > 0 ? Math.round((processed / total) * 100) : (this.progress.status === 'completed' ? 100 : 0)
+    };
+  }
+
+  // Kick off re-encryption in the background and return the initial progress
+  start({ requestedBy, batchSize = 100 } = {}) {
+    if (this.isRunning) {
+      const error = new Error('Re-encryption job is already running');
+      error.status = 409;
+      throw error;
+    }
+
+    // Pick up any key configuration changes made since the last run
+    keyManager.reloadKeyRing();
+
+    this.isRunning = true;
+    this.safeKeys = new Map();
+    this.progress = this.createProgress('running', {
+      target_key_version: keyManager.getCurrentKeyVersion(),
+      requested_by: requestedBy || null,
+      started_at: new Date().toISOString()
+    });
+
+    this.execute(batchSize)
+      .catch(error => {
+        logger.error('Re-encryption job failed:', error);
+        this.progress.status = 'failed';
+        this.progress.errors.push({ message: error.message });
+      })
+      .finally(() => {
+        this.isRunning = false;
+        this.safeKeys = new Map();
+        this.progress.finished_at = new Date().toISOString();
+        this.logCompletion();
+      });
+
+    return this.getProgress();
+  }
+
+  async execute(batchSize) {
+    logger.info(`Starting re-encryption to key version ${this.progress.target_key_version}`);
+
+    for (const target of TARGETS) {
+      const { count, error } = await supabaseAdmin
+        .from(target.table)
+        .select('id', { count: 'exact', head: true });
+      if (error) throw error;
+
+      this.progress.tables[target.table] = {
+        total: count || 0,
+        processed: 0,
+        reencrypted: 0,
+        skipped: 0,
+        failed: 0
+      };
+    }
+
+    for (const target of TARGETS) {
+      await this.processTable(target, batchSize);
+    }
+
+    this.progress.status = 'completed';
+    logger.info('Re-encryption completed', { tables: this.progress.tables });
+  }
+
+  async processTable(target, batchSize) {
+    const stats = this.progress.tables[target.table];
+    let offset = 0;
+
+    while (true) {
+      const { data: rows, error } = await supabaseAdmin
+        .from(target.table)
+        .select(this.selectColumns(target))
+        .order('id', { ascending: true })
+        .range(offset, offset + batchSize - 1);
+
+      if (error) throw error;
+      if (!rows || rows.length === 0) break;
+
+      for (const row of rows) {
+        await this.processRow(target, row, stats);
+      }
+
+      offset += rows.length;
+      if (rows.length < batchSize) break;
+    }
+  }
+
+  async processRow(target, row, stats) {
+    try {
+      let current = row;
+      for (let attempt = 1; ; attempt++) {
+        const outcome = await this.reencryptRow(target, current);
+        if (outcome !== 'changed') {
+          stats[outcome]++;
+          break;
+        }
+        // The row changed since it was read (rotation, edit, move); start from its new values
+        if (attempt === MAX_ATTEMPTS) {
+          throw new Error('Row kept changing during re-encryption, left for the next run');
+        }
+        current = await this.readRow(target, row.id);
+        if (!current) {
+          stats.skipped++;
+          break;
+        }
+      }
+    } catch (error) {
+      stats.failed++;
+      logger.error(`Re-encryption failed for ${target.table}:${row.id} - ${error.message}`);
+      if (this.progress.errors.length < MAX_RECORDED_ERRORS) {
+        this.progress.errors.push({ table: target.table, id: row.id, message: error.message });
+      }
+    } finally {
+      stats.processed++;
+    }
+  }
+
+  // Returns reencrypted, skipped (nothing to do) or changed (the row no longer holds what was read)
+  async reencryptRow(target, row) {
+    const updates = {};
+    const safeKey = target.safeKeyed && row.safe_id ? await this.getSafeKey(row.safe_id) : null;
+
+    for (const column of target.columns) {
+      if (safeKey) {
+        if (row[column] && !isSafeCiphertext(row[column])) {
+          updates[column] = encryptField(decryptField(row[column]), safeKey);
+        }
+      } else if (needsReencryption(row[column])) {
+        updates[column] = reencryptField(row[column]);
+      }
+    }
+
+    if (Object.keys(updates).length === 0) return 'skipped';
+
+    // Only overwrite the ciphertext that was re-encrypted; a concurrent write wins
+    let query = supabaseAdmin
+      .from(target.table)
+      .update(updates)
+      .eq('id', row.id);
+    for (const column of [...target.columns, ...(target.safeKeyed ? ['safe_id'] : [])]) {
+      query = row[column] === null || row[column] === undefined
+        ? query.is(column, null)
+        : query.eq(column, row[column]);
+    }
+
+    const { data, error } = await query.select('id');
+    if (error) throw error;
+    return data && data.length > 0 ? 'reencrypted' : 'changed';
+  }
+
+  async readRow(target, id) {
+    const { data, error } = await supabaseAdmin
+      .from(target.table)
+      .select(this.selectColumns(target))
+      .eq('id', id)
+      .maybeSingle();
+    if (error) throw error;
+    return data;
+  }
+
+  selectColumns(target) {
+    return ['id', ...(target.safeKeyed ? ['safe_id'] : []), ...target.columns].join(', ');
+  }
+
+  async getSafeKey(safeId) {
+    if (!this.safeKeys.has(safeId)) {
+      this.safeKeys.set(safeId, await getSafeDataKey(safeId));
+    }
+    return this.safeKeys.get(safeId);
+  }
+
+  logCompletion() {
+    logAction({
+      userId: this.progress.requested_by,
+      action: 'encryption_reencrypt_finished',
+      resource: 'system:encryption',
+      metadata: {
+        status: this.progress.status,
+        target_key_version: this.progress.target_key_version,
+        tables: this.progress.tables,
+        error_count: this.progress.errors.length
+      }
+    }).catch(error => logger.error('Failed to audit re-encryption completion:', error));
+  }
+}
+
+export default new ReencryptionJob();
@@ -0,0 +1,255 @@
+import cron from 'node-cron';
+import { supabaseAdmin } from '../utils/supabaseClient.js';
+import { keyManager } from '../utils/keyManagement.js';
+import * as accountService from '../services/accountService.js';
+import { notifyUser } from '../services/notificationService.js';
+import { logAction } from '../services/auditService.js';
+import logger from '../utils/logger.js';
+
+const TABLE = 'privileged_accounts';
+const PAGE_SIZE = 500;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const SCHEDULE = process.env.ROTATION_SCHEDULE || '0 * * * *';
+const BATCH_SIZE = parseInt(process.env.ROTATION_BATCH_SIZE) || 10;
+// A failed automatic rotation is not retried until this many hours have passed
+const RETRY_HOURS = parseInt(process.env.ROTATION_RETRY_HOURS) || 24;
+
+function sameInstant(a, b) {
+  if (!a || !b) return !a && !b;
+  return new Date(a).getTime() === new Date(b).getTime();
+}
+
+// Keeps next_rotation in step with rotation_policy, warns owners ahead of rotations
+// and rotates overdue accounts whose policy has auto_rotate
+class RotationSchedulerJob {
+  constructor() {
+    this.isRunning = false;
+  }
+
+  start() {
+    logger.info('Starting rotation scheduler job...');
+
+    cron.schedule(SCHEDULE, async () => {
+      if (this.isRunning) {
+        logger.warn('Rotation scheduler already running, skipping this execution');
+        return;
+      }
+      if (keyManager.isSealed()) {
+        logger.info('Vault is sealed, skipping scheduled rotation');
+        return;
+      }
+
+      try {
+        this.isRunning = true;
+        await this.execute();
+      } catch (error) {
+        logger.error('Rotation scheduler failed:', error);
+      } finally {
+        this.isRunning = false;
+      }
+    });
+
+    logger.info(`Rotation scheduler started (schedule: ${SCHEDULE}, batch size: ${BATCH_SIZE})`);
+  }
+
+  async execute() {
+    const scheduled = await this.syncNextRotation();
+    const notified = await this.sendRotationNotices();
+    const rotation = await this.rotateDueAccounts();
+
+    logger.info('Rotation scheduler completed', { scheduled, notified, ...rotation });
+    return { scheduled, notified, ...rotation };
+  }
+
+  // Recompute next_rotation for every account; only rows that changed are written
+  async syncNextRotation() {
+    let updated = 0;
+    let afterId = null;
+
+    while (true) {
+      let query = supabaseAdmin
+        .from(TABLE)
+        .select('id, rotation_policy, last_rotated, created_at, next_rotation')
+        .is('deleted_at', null)
+        .order('id', { ascending: true })
+        .limit(PAGE_SIZE);
+      if (afterId) query = query.gt('id', afterId);
+
+      const { data: rows, error } = await query;
+      if (error) throw error;
+      if (!rows || rows.length === 0) break;
+
+      for (const row of rows) {
+        const nextRotation = accountService.computeNextRotation(row);
+        if (sameInstant(nextRotation, row.next_rotation)) continue;
+
+        const { error: updateError } = await supabaseAdmin
+          .from(TABLE)
+          .update({ next_rotation: nextRotation })
+          .eq('id', row.id);
+        if (updateError) {
+          logger.error(`Failed to update next_rotation for account ${row.id}:`, updateError);
+          continue;
+        }
+        updated++;
+      }
+
+      afterId = rows[rows.length - 1].id;
+      if (rows.length < PAGE_SIZE) break;
+    }
+
+    return updated;
+  }
+
+  // One notice per scheduled rotation, notification_days ahead of it
+  async sendRotationNotices() {
+    const now = new Date();
+    let sent = 0;
+    let afterId = null;
+
+    while (true) {
+      let query = supabaseAdmin
+        .from(TABLE)
+        .select('id, owner_id, rotation_policy, next_rotation, rotation_notice_for')
+        .is('deleted_at', null)
+        .eq('status', 'active')
+        .gt('next_rotation', now.toISOString())
+        .order('id', { ascending: true })
+        .limit(PAGE_SIZE);
+      if (afterId) query = query.gt('id', afterId);
+
+      const { data: rows, error } = await query;
+      if (error) throw error;
+      if (!rows || rows.length === 0) break;
+
+      for (const row of rows) {
+        const noticeDays = parseInt(row.rotation_policy?.notification_days) || 0;
+        const nextRotation = new Date(row.next_rotation);
+        const daysLeft = Math.ceil((nextRotation - now) / DAY_MS);
+
+        if (noticeDays < 1 || daysLeft > noticeDays) continue;
+        if (sameInstant(row.rotation_notice_for, row.next_rotation)) continue;
+
+        try {
+          await this.notifyOwner(row, daysLeft);
+          await supabaseAdmin
+            .from(TABLE)
+            .update({ rotation_notice_for: row.next_rotation })
+            .eq('id', row.id);
+          sent++;
+        } catch (error) {
+          logger.error(`Failed to send rotation notice for account ${row.id}:`, error);
+        }
+      }
+
+      afterId = rows[rows.length - 1].id;
+      if (rows.length < PAGE_SIZE) break;
+    }
+
+    return sent;
+  }
+
+  async notifyOwner(account, daysLeft) {
+    const automatic = account.rotation_policy?.auto_rotate === true;
+    await notifyUser({
+      userId: account.owner_id,
+      type: 'rotation_due',
+      preference: 'credentialRotation',
+      title: 'Password rotation due',
+      message: automatic
+        ? `An account password will be rotated automatically in ${daysLeft} day(s).`
+        : `An account password is due for rotation in ${daysLeft} day(s).`,
+      metadata: {
+        account_id: account.id,
+        next_rotation: account.next_rotation,
+        auto_rotate: automatic
+      }
+    });
+  }
+
+  // Rotate overdue auto_rotate accounts BATCH_SIZE at a time
+  async rotateDueAccounts() {
+    const totals = { rotated: 0, failed: 0, skipped: 0 };
+    let afterId = null;
+
+    while (true) {
+      const due = await accountService.checkAccountsRequiringRotation({ afterId, limit: BATCH_SIZE });
+      if (due.length === 0) break;
+      afterId = due[due.length - 1].id;
+
+      const blocked = await this.findBlockedAccounts(due.map(account => account.id));
+      const eligible = due.filter(account => !blocked.has(account.id));
+      totals.skipped += due.length - eligible.length;
+
+      const results = await Promise.allSettled(eligible.map(account => this.rotateAccount(account)));
+      results.forEach(result => {
+        if (result.status === 'fulfilled') totals.rotated++;
+        else totals.failed++;
+      });
+
+      if (due.length < BATCH_SIZE) break;
+    }
+
+    return totals;
+  }
+
+  // Accounts that are checked out right now or failed an automatic rotation recently
+  async findBlockedAccounts(accountIds) {
+    const blocked = new Set();
+    const retryAfter = new Date(Date.now() - RETRY_HOURS * 60 * 60 * 1000).toISOString();
+
+    const [{ data: checkouts, error: checkoutError }, { data: failures, error: failureError }] = await Promise.all([
+      supabaseAdmin
+        .from('account_checkouts')
+        .select('account_id')
+        .in('account_id', accountIds)
+        .eq('status', 'active'),
+      supabaseAdmin
+        .from('account_rotation_history')
+        .select('account_id')
+        .in('account_id', accountIds)
+        .eq('rotation_type', 'automatic')
+        .eq('rotation_status', 'failed')
+        .gte('rotated_at', retryAfter)
+    ]);
+    if (checkoutError) throw checkoutError;
+    if (failureError) throw failureError;
+
+    (checkouts || []).forEach(row => blocked.add(row.account_id));
+    (failures || []).forEach(row => blocked.add(row.account_id));
+    return blocked;
+  }
+
+  // rotateAccountPassword records the outcome, with the failure reason, in account_rotation_history
+  async rotateAccount(account) {
+    try {
+      await accountService.rotateAccountPassword({
+        id: account.id,
+        ownerId: null,
+        role: 'Admin',
+        rotationType: 'automatic'
+      });
+      await this.audit(account, 'account_password_auto_rotated');
+    } catch (error) {
+      logger.error(`Automatic rotation failed for account ${account.id}: ${error.message}`);
+      await this.audit(account, 'account_password_auto_rotation_failed', { error: error.message });
+      throw error;
+    }
+  }
+
+  async audit(account, action, metadata = {}) {
+    try {
+      await logAction({
+        userId: null,
+        action,
+        resource: `account:${account.id}`,
+        metadata: { next_rotation: account.next_rotation, ...metadata }
+      });
+    } catch (error) {
+      logger.error(`Failed to audit ${action} for account ${account.id}:`, error);
+    }
+  }
+}
+
+export default new RotationSchedulerJob();
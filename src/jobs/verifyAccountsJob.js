@@ -2,8 +2,10 @@ import cron from 'node-cron';
 import * as accountService from '../services/accountService.js';
 import * as credentialService from '../services/credentialService.js';
 import * as jitService from '../services/jitService.js';
+import * as platformService from '../services/platformService.js';
 import logger from '../utils/logger.js';
-import { CPMService } from '../cpm/services/CPMService.js';
+import { keyManager } from '../utils/keyManagement.js';
+import { CPMService, isAuthenticationFailure } from '../cpm/services/CPMService.js';
 import { CPMConfig } from '../cpm/config/cpmConfig.js';
 
 class VerifyAccountsJob {
@@ -26,6 +28,10 @@ class VerifyAccountsJob {
         logger.warn('Account verification job already running, skipping this execution');
         return;
       }
+      if (keyManager.isSealed()) {
+        logger.info('Vault is sealed, skipping account verification');
+        return;
+      }
       
       try {
         this.isRunning = true;
@@ -39,6 +45,7 @@ class VerifyAccountsJob {
 
     // Also run a comprehensive check every hour
     cron.schedule('0 * * * *', async () => {
+      if (keyManager.isSealed()) return;
       try {
         logger.info('Running hourly comprehensive account verification');
         await this.executeComprehensiveVerification();
@@ -49,6 +56,7 @@ class VerifyAccountsJob {
 
     // Run JIT session account verification every 5 minutes
     cron.schedule('*/5 * * * *', async () => {
+      if (keyManager.isSealed()) return;
       try {
         logger.info('Running JIT session account verification');
         await this.verifyJITSessionAccounts();
@@ -109,17 +117,36 @@ class VerifyAccountsJob {
     try {
       // Find accounts that need verification:
       // 1. status = 'pending' (never verified)
-      // 2. No validation in last 24 hours and status != 'failed'
+      // 2. No validation within their platform's verification frequency (24 hours by default)
       // 3. status = 'active' but last_validated_at is old
-      
-      const oneDayAgo = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString();
+      const limit = this.config.get('batchSize') || 10;
+      const hoursAgo = hours => new Date(Date.now() - hours * 60 * 60 * 1000).toISOString();
+      
+      // Platforms with their own frequency are queried separately from the rest
+      const platformsByFrequency = new Map();
+      for (const platform of await platformService.listPlatforms()) {
+        const hours = platformService.getVerificationFrequency(platform);
+        if (hours === platformService.DEFAULT_VERIFICATION_HOURS) continue;
+        platformsByFrequency.set(hours, [...(platformsByFrequency.get(hours) || []), platform.id]);
+      }
       
       const accounts = await accountService.findAccountsForVerification({
         statuses: ['pending', 'active'],
-        lastValidatedBefore: oneDayAgo,
-        limit: this.config.get('batchSize') || 10
+        lastValidatedBefore: hoursAgo(platformService.DEFAULT_VERIFICATION_HOURS),
+        excludePlatformIds: [...platformsByFrequency.values()].flat(),
+        limit
       });
       
+      for (const [hours, platformIds] of platformsByFrequency) {
+        if (accounts.length >= limit) break;
+        accounts.push(...await accountService.findAccountsForVerification({
+          statuses: ['pending', 'active'],
+          lastValidatedBefore: hoursAgo(hours),
+          platformIds,
+          limit: limit - accounts.length
+        }));
+      }
+      
       return accounts;
     } catch (error) {
       logger.error('Failed to find accounts needing verification:', error);
@@ -144,7 +171,8 @@ class VerifyAccountsJob {
         ...credential,
         verification_type: 'account_existence',
         target_username: account.username,
-        target_hostname: account.hostname_ip
+        target_hostname: account.hostname_ip,
+        platform_id: account.platform_id
       };
       
       // Step 3: Perform verification using CPM verifiers
@@ -161,6 +189,10 @@ class VerifyAccountsJob {
         
         // Log audit trail
         await this.logAccountVerification(account, 'failed', result.verificationResult.message);
+        
+        if (isAuthenticationFailure(result.verificationResult)) {
+          await this.reconcileRejectedLogin(account, credential);
+        }
       }
       
       return result;
@@ -173,6 +205,16 @@ class VerifyAccountsJob {
 
   async findLinkedCredential(account) {
     try {
+      // Strategy 0: The account's logon account is how its target is reached
+      if (account.logon_account_id) {
+        try {
+          const logonAccount = await accountService.getAccountById({ id: account.logon_account_id, role: 'Admin' });
+          return accountService.accountAsCredential(logonAccount);
+        } catch (error) {
+          logger.warn(`Logon account ${account.logon_account_id} of account ${account.id} is unavailable: ${error.message}`);
+        }
+      }
+      
       // Strategy 1: Find credential with same hostname and username
       let credentials = await credentialService.findCredentialsByHostAndUser({
         host: account.hostname_ip,
@@ -220,6 +262,21 @@ class VerifyAccountsJob {
     }
   }
 
+  // The target rejected the login: reconcile whichever vault account it used, the
+  // logon account or the account itself. Other matched credentials are left to the CPM scan.
+  async reconcileRejectedLogin(account, credential) {
+    try {
+      if (account.logon_account_id && credential.account_id === account.logon_account_id) {
+        const logonAccount = await accountService.getAccountById({ id: account.logon_account_id, role: 'Admin' });
+        await accountService.reconcileAfterAuthenticationFailure(logonAccount);
+      } else if (credential.username?.toLowerCase() === account.username?.toLowerCase()) {
+        await accountService.reconcileAfterAuthenticationFailure(account);
+      }
+    } catch (error) {
+      logger.error(`Failed to reconcile after authentication failure for account ${account.id}:`, error);
+    }
+  }
+
   async markAccountAsVerified(accountId, verificationResult) {
     try {
       await accountService.updateAccountVerificationStatus({
@@ -527,6 +584,7 @@ class VerifyAccountsJob {
         verification_type: 'jit_account_existence',
         target_username: account.username,
         target_hostname: account.hostname_ip,
+        platform_id: account.platform_id,
         jit_session_id: jitSession.id,
         jit_user_id: jitSession.user_id,
         jit_resource: jitSession.resource,
@@ -543,6 +601,10 @@ class VerifyAccountsJob {
       } else {
         await this.markAccountAsFailed(account.id, result.verificationResult.message);
         await this.logJITAccountVerification(account, jitSession, 'failed', result.verificationResult.message);
+        
+        if (isAuthenticationFailure(result.verificationResult)) {
+          await this.reconcileRejectedLogin(account, credential);
+        }
       }
       
       return result;
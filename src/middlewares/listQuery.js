@@ -0,0 +1,16 @@
+import { parseListQuery } from '../utils/listQuery.js';
+
+// Parse pagination, sort and filters for a list route into req.listQuery
+export function listQuery(spec) {
+  return (req, res, next) => {
+    const { errors, ...list } = parseListQuery(req.query, spec);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors
+      });
+    }
+    req.listQuery = list;
+    next();
+  };
+}
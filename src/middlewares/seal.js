@@ -0,0 +1,12 @@
+import { keyManager } from '../utils/keyManagement.js';
+
+// Reject requests that need key material while the vault is sealed
+export function requireUnsealed(req, res, next) {
+  if (keyManager.isSealed()) {
+    return res.status(503).json({
+      message: 'Vault is sealed. Key custodians must submit their shares to /api/v1/system/unseal',
+      sealed: true
+    });
+  }
+  next();
+}
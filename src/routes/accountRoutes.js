@@ -1,8 +1,15 @@
 import { Router } from 'express';
-import { body, validationResult } from 'express-validator';
+import { body, param, query, validationResult } from 'express-validator';
 import * as accountController from '../controllers/accountController.js';
 import { authenticate } from '../middlewares/auth.js';
+import { listQuery } from '../middlewares/listQuery.js';
 import * as safeService from '../services/safeService.js';
+import { parseImportPayload } from '../services/accountImportService.js';
+import { parseSourceImport, IMPORT_SOURCES, IMPORT_TARGETS } from '../services/sourceImportService.js';
+import { EXPORT_FORMATS } from '../services/accountExportService.js';
+import { DEPENDENCY_TYPES } from '../services/dependencyService.js';
+import { SSH_KEY_ACCOUNT_TYPE, SSH_KEY_ALGORITHMS, RSA_KEY_BITS } from '../utils/sshKeys.js';
+import { ACCOUNT_LIST } from '../services/accountService.js';
 
 // Field mapping middleware to handle frontend field names
 const mapFrontendFields = async (req, res, next) => {
@@ -48,6 +55,143 @@ const handleValidationErrors = (req, res, next) => {
   next();
 };
 
+// Account fields accepted on create; also applied to every row of an import
+const createAccountValidators = [
+  body('system_type')
+    .isIn(['Windows', 'Linux', 'Database', 'Cloud', 'Network', 'Application', 'Security', 'Directory', 'Website', 'Operating System', 'Certificates', 'Misc', 'Oracle DB', 'AWS', 'Azure'])
+    .withMessage('System type must be one of the allowed values'),
+  body('hostname_ip')
+    .optional()
+    .isLength({ min: 1, max: 255 })
+    .withMessage('Hostname/IP must be between 1 and 255 characters')
+    .matches(/^[a-zA-Z0-9.-]+$/)
+    .withMessage('Hostname/IP contains invalid characters'),
+  body('hostname')
+    .optional()
+    .isLength({ min: 1, max: 255 })
+    .withMessage('Hostname must be between 1 and 255 characters')
+    .matches(/^[a-zA-Z0-9.-]+$/)
+    .withMessage('Hostname contains invalid characters'),
+  body('port')
+    .optional()
+    .isInt({ min: 1, max: 65535 })
+    .withMessage('Port must be between 1 and 65535'),
+  body('username')
+    .notEmpty()
+    .withMessage('Username is required')
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Username must be between 1 and 100 characters')
+    .trim(),
+  body('password')
+    .if(body('account_type').not().equals(SSH_KEY_ACCOUNT_TYPE))
+    .notEmpty()
+    .withMessage('Password is required')
+    .isLength({ min: 8, max: 256 })
+    .withMessage('Password must be between 8 and 256 characters long'),
+  body('connection_method')
+    .optional()
+    .isIn(['RDP', 'SSH', 'SQL', 'HTTPS', 'HTTP', 'SFTP', 'Telnet', 'VNC', 'PowerShell', 'WinRM', 'Custom'])
+    .withMessage('Connection method must be one of the allowed values'),
+  body('platform_id')
+    .optional()
+    .isLength({ max: 100 })
+    .withMessage('Platform ID must not exceed 100 characters')
+    .trim(),
+  body('account_type')
+    .optional()
+    .isIn(['Local', 'Domain', 'Service', 'Application', 'Database', 'System', 'Shared', 'Emergency', SSH_KEY_ACCOUNT_TYPE])
+    .withMessage('Account type must be one of the allowed values'),
+  body('private_key')
+    .optional()
+    .isString()
+    .isLength({ min: 1, max: 16384 })
+    .withMessage('Private key must be an OpenSSH or PEM private key'),
+  body('key_algorithm')
+    .optional()
+    .isIn(SSH_KEY_ALGORITHMS)
+    .withMessage(`Key algorithm must be one of: ${SSH_KEY_ALGORITHMS.join(', ')}`),
+  body('key_bits')
+    .optional()
+    .isIn(RSA_KEY_BITS)
+    .withMessage(`Key bits must be one of: ${RSA_KEY_BITS.join(', ')}`)
+    .toInt(),
+  body('safe_id')
+    .optional()
+    .isUUID()
+    .withMessage('Safe ID must be a valid UUID'),
+  body('safe_name')
+    .optional()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Safe name must be between 1 and 100 characters')
+    .trim(),
+  body('rotation_policy')
+    .optional()
+    .isObject()
+    .withMessage('Rotation policy must be an object'),
+  body('account_description')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Description must not exceed 500 characters')
+    .trim(),
+  body('tags')
+    .optional()
+    .isArray()
+    .withMessage('Tags must be an array'),
+  body('reconcile_account_id')
+    .optional({ nullable: true })
+    .isUUID()
+    .withMessage('Reconcile account ID must be a valid UUID'),
+  body('logon_account_id')
+    .optional({ nullable: true })
+    .isUUID()
+    .withMessage('Logon account ID must be a valid UUID')
+];
+
+// Parse an import body into req.importRows; bad files are reported like validation errors
+const parseImport = parse => async (req, res, next) => {
+  try {
+    req.importRows = await parse(req);
+  } catch (error) {
+    if (!error.status) return next(error);
+    return res.status(error.status).json({
+      error: 'Validation failed',
+      details: [{ field: 'body', message: error.message }]
+    });
+  }
+  next();
+};
+
+// Run the create validators on every account row (credential and skipped rows are checked on import).
+// Rows that fail keep their errors in req.importValidationErrors (keyed by row index).
+const validateImportRows = async (req, res, next) => {
+  req.importValidationErrors = {};
+  for (const [index, row] of req.importRows.entries()) {
+    if (row.skip || row.target === 'credential') continue;
+
+    const rowRequest = { body: row };
+    for (const validator of createAccountValidators) {
+      await validator.run(rowRequest);
+    }
+    const errors = validationResult(rowRequest);
+    if (!errors.isEmpty()) {
+      // Values are left out so rejected passwords are not echoed back
+      req.importValidationErrors[index] = errors.array().map(error => ({ field: error.path, message: error.msg }));
+    }
+  }
+  next();
+};
+
+const importQueryValidators = [
+  query('dry_run')
+    .optional()
+    .isIn(['true', 'false'])
+    .withMessage('dry_run must be true or false'),
+  query('deduplicate')
+    .optional()
+    .isIn(['true', 'false'])
+    .withMessage('deduplicate must be true or false')
+];
+
 const router = Router();
 
 router.use(authenticate);
@@ -56,83 +200,136 @@ router.use(authenticate);
 router.post(
   '/',
   mapFrontendFields,
+  createAccountValidators,
+  handleValidationErrors,
+  accountController.create
+);
+
+// List accounts
+router.get(
+  '/',
   [
-    body('system_type')
-      .isIn(['Windows', 'Linux', 'Database', 'Cloud', 'Network', 'Application', 'Security', 'Directory', 'Website', 'Operating System', 'Certificates', 'Misc', 'Oracle DB', 'AWS', 'Azure'])
-      .withMessage('System type must be one of the allowed values'),
-    body('hostname_ip')
+    query('username')
       .optional()
-      .isLength({ min: 1, max: 255 })
-      .withMessage('Hostname/IP must be between 1 and 255 characters')
-      .matches(/^[a-zA-Z0-9.-]+$/)
-      .withMessage('Hostname/IP contains invalid characters'),
-    body('hostname')
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Username search must be between 1 and 100 characters'),
+    query('hostname')
       .optional()
       .isLength({ min: 1, max: 255 })
-      .withMessage('Hostname must be between 1 and 255 characters')
-      .matches(/^[a-zA-Z0-9.-]+$/)
-      .withMessage('Hostname contains invalid characters'),
-    body('port')
+      .withMessage('Hostname search must be between 1 and 255 characters'),
+    query('match')
       .optional()
-      .isInt({ min: 1, max: 65535 })
-      .withMessage('Port must be between 1 and 65535'),
-    body('username')
-      .notEmpty()
-      .withMessage('Username is required')
-      .isLength({ min: 1, max: 100 })
-      .withMessage('Username must be between 1 and 100 characters')
-      .trim(),
-    body('password')
-      .notEmpty()
-      .withMessage('Password is required')
-      .isLength({ min: 8, max: 256 })
-      .withMessage('Password must be between 8 and 256 characters long'),
-    body('connection_method')
+      .isIn(['exact', 'prefix'])
+      .withMessage('Match must be exact or prefix')
+  ],
+  handleValidationErrors,
+  listQuery(ACCOUNT_LIST),
+  accountController.list
+);
+
+// Bulk import from CSV or JSON; large files run in the background
+router.post(
+  '/import',
+  importQueryValidators,
+  handleValidationErrors,
+  parseImport(req => parseImportPayload(req.body)),
+  validateImportRows,
+  accountController.importAccounts
+);
+
+// Import an export from KeePass, Bitwarden, 1Password or CyberArk
+router.post(
+  '/import/:source',
+  [
+    ...importQueryValidators,
+    param('source')
+      .isIn(IMPORT_SOURCES)
+      .withMessage(`Source must be one of: ${IMPORT_SOURCES.join(', ')}`),
+    body('target')
       .optional()
-      .isIn(['RDP', 'SSH', 'SQL', 'HTTPS', 'HTTP', 'SFTP', 'Telnet', 'VNC', 'PowerShell', 'WinRM', 'Custom'])
-      .withMessage('Connection method must be one of the allowed values'),
-    body('platform_id')
+      .isIn(IMPORT_TARGETS)
+      .withMessage(`Target must be one of: ${IMPORT_TARGETS.join(', ')}`),
+    body('mapping')
       .optional()
-      .isLength({ max: 100 })
-      .withMessage('Platform ID must not exceed 100 characters')
+      .isObject()
+      .withMessage('Mapping must be an object'),
+    body('password')
+      .optional()
+      .isString()
+      .withMessage('Password must be a string')
+  ],
+  handleValidationErrors,
+  parseImport(req => parseSourceImport(req.params.source, req.body)),
+  validateImportRows,
+  accountController.importAccounts
+);
+
+// Background import progress
+router.get('/import/:jobId', accountController.importProgress);
+
+// Password-protected export (encrypted ZIP or KeePass) for safe owners and admins
+router.post(
+  '/export',
+  [
+    body('reason')
+      .notEmpty()
+      .withMessage('A reason is required to export accounts')
+      .isLength({ max: 500 })
+      .withMessage('Reason must not exceed 500 characters')
       .trim(),
-    body('account_type')
+    body('password')
+      .isString()
+      .isLength({ min: 12 })
+      .withMessage('An export password of at least 12 characters is required'),
+    body('format')
       .optional()
-      .isIn(['Local', 'Domain', 'Service', 'Application', 'Database', 'System', 'Shared', 'Emergency'])
-      .withMessage('Account type must be one of the allowed values'),
+      .isIn(EXPORT_FORMATS)
+      .withMessage(`Format must be one of: ${EXPORT_FORMATS.join(', ')}`),
     body('safe_id')
       .optional()
       .isUUID()
       .withMessage('Safe ID must be a valid UUID'),
-    body('safe_name')
-      .optional()
-      .isLength({ min: 1, max: 100 })
-      .withMessage('Safe name must be between 1 and 100 characters')
-      .trim(),
-    body('rotation_policy')
-      .optional()
-      .isObject()
-      .withMessage('Rotation policy must be an object'),
-    body('account_description')
+    body('system_type')
       .optional()
-      .isLength({ max: 500 })
-      .withMessage('Description must not exceed 500 characters')
-      .trim(),
+      .isLength({ min: 1, max: 50 })
+      .withMessage('System type must be between 1 and 50 characters'),
     body('tags')
       .optional()
       .isArray()
       .withMessage('Tags must be an array')
   ],
   handleValidationErrors,
-  accountController.create
+  accountController.exportAccounts
 );
 
-// List accounts
-router.get('/', accountController.list);
+// Age and fingerprint of every SSH key the caller can see
+router.get(
+  '/ssh-keys/report',
+  [
+    query('min_age_days')
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage('min_age_days must be a non-negative integer')
+      .toInt(),
+    query('key_algorithm')
+      .optional()
+      .isIn(SSH_KEY_ALGORITHMS)
+      .withMessage(`Key algorithm must be one of: ${SSH_KEY_ALGORITHMS.join(', ')}`),
+    query('safe_id')
+      .optional()
+      .isUUID()
+      .withMessage('Safe ID must be a valid UUID')
+  ],
+  handleValidationErrors,
+  accountController.sshKeyReport
+);
 
 // Get account by ID
 router.get('/:id', accountController.getById);
 
+// Public key of an ssh_key account, as an authorized_keys line
+router.get('/:id/public-key', accountController.publicKey);
+
 // Update account
 router.put(
   '/:id',
@@ -158,18 +355,19 @@ router.put(
       .optional()
       .isObject()
       .withMessage('Rotation policy must be an object'),
-    body('account_description')
-      .optional()
-      .isLength({ max: 500 })
-      .withMessage('Description must not exceed 500 characters'),
-    body('tags')
-      .optional()
-      .isArray()
-      .withMessage('Tags must be an array'),
-    body('status')
+    body('reconcile_account_id')
+      .optional({ nullable: true })
+      .isUUID()
+      .withMessage('Reconcile account ID must be a valid UUID'),
+    body('logon_account_id')
+      .optional({ nullable: true })
+      .isUUID()
+      .withMessage('Logon account ID must be a valid UUID'),
+    body('private_key')
       .optional()
-      .isIn(['active', 'inactive', 'expired', 'rotation_required'])
-      .withMessage('Status must be one of the allowed values')
+      .isString()
+      .isLength({ min: 1, max: 16384 })
+      .withMessage('Private key must be an OpenSSH or PEM private key')
   ],
   handleValidationErrors,
   accountController.update
@@ -181,13 +379,116 @@ router.delete('/:id', accountController.remove);
 // Rotate account password
 router.post('/:id/rotate', accountController.rotatePassword);
 
+// Reset an out-of-sync password through the account's reconcile account
+router.post(
+  '/:id/reconcile',
+  [
+    body('reason')
+      .optional()
+      .isLength({ max: 500 })
+      .withMessage('Reason must not exceed 500 characters')
+      .trim()
+  ],
+  handleValidationErrors,
+  accountController.reconcile
+);
+
 // Get rotation history
 router.get('/:id/history', accountController.rotationHistory);
 
+// Previous password versions: metadata, and the password itself under view_previous_versions
+router.get('/:id/versions', accountController.passwordVersions);
+router.post(
+  '/:id/versions/:version/reveal',
+  [
+    param('version')
+      .isInt({ min: 1 })
+      .withMessage('Version must be a positive integer')
+      .toInt(),
+    body('reason')
+      .optional()
+      .isLength({ max: 500 })
+      .withMessage('Reason must not exceed 500 characters')
+      .trim()
+  ],
+  handleValidationErrors,
+  accountController.revealPasswordVersion
+);
+
 // Validate account credentials (test connectivity)
 router.post('/:id/validate', accountController.validateAccount);
 
 // Get validation history
 router.get('/:id/validation-history', accountController.getValidationHistory);
 
+// Exclusive checkout: the password is released to one user at a time
+router.post(
+  '/:id/checkout',
+  [
+    body('reason')
+      .notEmpty()
+      .withMessage('A reason is required to check out an account')
+      .isLength({ max: 500 })
+      .withMessage('Reason must not exceed 500 characters')
+      .trim(),
+    body('ticket_id')
+      .optional()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Ticket ID must be between 1 and 100 characters')
+      .trim(),
+    body('duration_minutes')
+      .optional()
+      .isInt({ min: 1, max: 1440 })
+      .withMessage('Duration must be between 1 and 1440 minutes')
+      .toInt()
+  ],
+  handleValidationErrors,
+  accountController.checkout
+);
+
+// Release a checkout
+router.post('/:id/checkin', accountController.checkin);
+
+// Checkout history
+router.get('/:id/checkouts', accountController.checkoutHistory);
+
+// Dependencies: where the account's password is used; updated after each rotation
+const dependencyValidators = isUpdate => [
+  (isUpdate ? body('type').optional() : body('type'))
+    .isIn(DEPENDENCY_TYPES)
+    .withMessage(`Type must be one of: ${DEPENDENCY_TYPES.join(', ')}`),
+  (isUpdate ? body('name').optional() : body('name'))
+    .isLength({ min: 1, max: 500 })
+    .withMessage('Name must be between 1 and 500 characters')
+    .trim(),
+  body('host')
+    .optional({ nullable: true })
+    .isLength({ min: 1, max: 255 })
+    .withMessage('Host must be between 1 and 255 characters')
+    .trim(),
+  body('port')
+    .optional({ nullable: true })
+    .isInt({ min: 1, max: 65535 })
+    .withMessage('Port must be between 1 and 65535')
+    .toInt(),
+  body('connect_account_id')
+    .optional({ nullable: true })
+    .isUUID()
+    .withMessage('Connect account ID must be a valid UUID'),
+  body('settings')
+    .optional()
+    .isObject()
+    .withMessage('Settings must be an object'),
+  body('enabled')
+    .optional()
+    .isBoolean()
+    .withMessage('Enabled must be a boolean')
+    .toBoolean()
+];
+
+router.get('/:id/dependencies', accountController.listDependencies);
+router.post('/:id/dependencies', dependencyValidators(false), handleValidationErrors, accountController.createDependency);
+router.put('/:id/dependencies/:dependencyId', dependencyValidators(true), handleValidationErrors, accountController.updateDependency);
+router.delete('/:id/dependencies/:dependencyId', accountController.removeDependency);
+
 export default router;
@@ -1,21 +1,29 @@
 import { Router } from 'express';
 import { authenticate } from '../middlewares/auth.js';
 import { authorizeRoles } from '../middlewares/rbac.js';
+import { listQuery } from '../middlewares/listQuery.js';
 import * as auditService from '../services/auditService.js';
+import { setPageHeaders } from '../utils/listQuery.js';
 
 const router = Router();
 router.use(authenticate, authorizeRoles('Admin', 'Manager'));
 
-router.get('/', async (req, res, next) => {
+router.get('/', listQuery(auditService.AUDIT_LOG_LIST), async (req, res, next) => {
   try {
-    const logs = await auditService.listLogs({
+    const page = await auditService.listLogPage({
       userId: req.user.id,
       role: req.user.role,
+      list: req.listQuery
+    });
+    res.json({
+      data: page.rows,
+      count: page.rows.length,
+      total: page.total,
+      pagination: setPageHeaders(res, page)
     });
-    res.json(logs);
   } catch (err) {
     next(err);
   }
 });
 
-export default router; 
\ No newline at end of file
+export default router;
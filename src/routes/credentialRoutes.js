@@ -2,6 +2,8 @@ import { Router } from 'express';
 import { body } from 'express-validator';
 import * as credentialController from '../controllers/credentialController.js';
 import { authenticate } from '../middlewares/auth.js';
+import { listQuery } from '../middlewares/listQuery.js';
+import { CREDENTIAL_LIST } from '../services/credentialService.js';
 
 const router = Router();
 
@@ -22,7 +24,7 @@ router.post(
   credentialController.create
 );
 
-router.get('/', credentialController.list);
+router.get('/', listQuery(CREDENTIAL_LIST), credentialController.list);
 router.get('/:id', credentialController.getById);
 router.get('/:id/history', credentialController.getHistory);
 router.post('/:id/verify', credentialController.verifyCredential);
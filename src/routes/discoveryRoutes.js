@@ -1,5 +1,7 @@
 import { Router } from 'express';
 import { authenticate } from '../middlewares/auth.js';
+import { listQuery } from '../middlewares/listQuery.js';
+import { SCAN_LIST, DISCOVERED_ACCOUNT_LIST } from '../services/discoveryService.js';
 import * as discoveryController from '../controllers/discoveryController.js';
 
 const router = Router();
@@ -16,11 +18,11 @@ router.delete('/targets/:id', discoveryController.deleteTarget);
 
 // Discovery Scans Endpoints
 router.post('/targets/:targetId/scan', discoveryController.initiateDiscoveryScan);
-router.get('/scans', discoveryController.listScans);
+router.get('/scans', listQuery(SCAN_LIST), discoveryController.listScans);
 router.get('/scans/:scanId', discoveryController.getScanById);
 
 // Discovered Accounts Endpoints
-router.get('/accounts', discoveryController.listDiscoveredAccounts);
+router.get('/accounts', listQuery(DISCOVERED_ACCOUNT_LIST), discoveryController.listDiscoveredAccounts);
 router.post('/accounts/approve', discoveryController.approveDiscoveredAccounts);
 router.post('/accounts/reject', discoveryController.rejectDiscoveredAccounts);
 
@@ -0,0 +1,105 @@
+import { Router } from 'express';
+import { body, param, validationResult } from 'express-validator';
+import { authenticate } from '../middlewares/auth.js';
+import { authorizeRoles } from '../middlewares/rbac.js';
+import * as groupController from '../controllers/groupController.js';
+
+// Validation error handler middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+  next();
+};
+
+const groupIdValidator = param('id')
+  .isUUID()
+  .withMessage('Valid group ID is required');
+
+const descriptionValidator = body('description')
+  .optional({ nullable: true })
+  .isLength({ max: 500 })
+  .withMessage('Description must not exceed 500 characters');
+
+const router = Router();
+
+router.use(authenticate);
+
+// Groups are readable by everyone who grants safe permissions
+router.get('/', groupController.list);
+router.get('/:id', groupIdValidator, handleValidationErrors, groupController.getById);
+
+router.post(
+  '/',
+  authorizeRoles('Admin'),
+  [
+    body('name')
+      .trim()
+      .isLength({ min: 2, max: 100 })
+      .withMessage('Group name must be 2-100 characters'),
+    descriptionValidator,
+    body('members')
+      .optional()
+      .isArray()
+      .withMessage('Members must be an array of user IDs'),
+    body('members.*')
+      .isUUID()
+      .withMessage('Each member must be a valid user ID')
+  ],
+  handleValidationErrors,
+  groupController.create
+);
+
+router.put(
+  '/:id',
+  authorizeRoles('Admin'),
+  [
+    groupIdValidator,
+    body('name')
+      .optional()
+      .trim()
+      .isLength({ min: 2, max: 100 })
+      .withMessage('Group name must be 2-100 characters'),
+    descriptionValidator
+  ],
+  handleValidationErrors,
+  groupController.update
+);
+
+router.delete('/:id', authorizeRoles('Admin'), groupIdValidator, handleValidationErrors, groupController.remove);
+
+// Membership
+router.post(
+  '/:id/members',
+  authorizeRoles('Admin'),
+  [
+    groupIdValidator,
+    body('userIds')
+      .isArray({ min: 1 })
+      .withMessage('userIds must be a non-empty array'),
+    body('userIds.*')
+      .isUUID()
+      .withMessage('Each user ID must be a valid UUID')
+  ],
+  handleValidationErrors,
+  groupController.addMembers
+);
+
+router.delete(
+  '/:id/members/:userId',
+  authorizeRoles('Admin'),
+  [
+    groupIdValidator,
+    param('userId')
+      .isUUID()
+      .withMessage('Valid user ID is required')
+  ],
+  handleValidationErrors,
+  groupController.removeMember
+);
+
+export default router;
@@ -15,13 +15,20 @@ import cpmRoutes from './cpmRoutes.js';
 import userRoutes from './userRoutes.js';
 import validationRoutes from './validationRoutes.js';
 import healthRoutes from './healthRoutes.js';
+import systemRoutes from './systemRoutes.js';
+import platformRoutes from './platformRoutes.js';
+import sshCaRoutes from './sshCaRoutes.js';
+import recycleBinRoutes from './recycleBinRoutes.js';
+import groupRoutes from './groupRoutes.js';
+import { requireUnsealed } from '../middlewares/seal.js';
 
 
 const router = Router();
 
-router.use('/credentials', credentialRoutes);
+// Routes that read or write secrets return 503 while the vault is sealed
+router.use('/credentials', requireUnsealed, credentialRoutes);
 router.use('/jit', jitRoutes);
-router.use('/discovery', discoveryRoutes);
+router.use('/discovery', requireUnsealed, discoveryRoutes);
 router.use('/sessions', sessionRoutes);
 router.use('/roles', roleRoutes);
 router.use('/policies', policyRoutes);
@@ -29,12 +36,17 @@ router.use('/audit', auditRoutes);
 router.use('/integrations', integrationRoutes);
 router.use('/auth', authRoutes);
 router.use('/dashboard', dashboardRoutes);
-router.use('/accounts', accountRoutes);
+router.use('/accounts', requireUnsealed, accountRoutes);
 router.use('/safes', safeRoutes);
-router.use('/cpm', cpmRoutes);
+router.use('/cpm', requireUnsealed, cpmRoutes);
 router.use('/user', userRoutes);
 router.use('/validation', validationRoutes);
 router.use('/health', healthRoutes);
+router.use('/system', systemRoutes);
+router.use('/platforms', platformRoutes);
+router.use('/ssh-ca', requireUnsealed, sshCaRoutes);
+router.use('/recycle-bin', requireUnsealed, recycleBinRoutes);
+router.use('/groups', groupRoutes);
 // TODO: add credential, JIT access, discovery, session, policy routes
 
 export default router; 
\ No newline at end of file
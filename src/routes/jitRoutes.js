@@ -1,7 +1,11 @@
 import { Router } from 'express';
-import { body, validationResult } from 'express-validator';
+import { body, query, validationResult } from 'express-validator';
 import * as jitController from '../controllers/jitController.js';
 import { authenticate } from '../middlewares/auth.js';
+import { authorizeRoles } from '../middlewares/rbac.js';
+import { listQuery } from '../middlewares/listQuery.js';
+import { SESSION_LIST } from '../services/jitService.js';
+import { PRINCIPAL_PATTERN } from '../utils/sshCertificates.js';
 
 // Validation error handler middleware
 const handleValidationErrors = (req, res, next) => {
@@ -30,20 +34,35 @@ router.post(
       .isLength({ min: 3, max: 500 })
       .withMessage('Reason must be between 3 and 500 characters')
       .trim(),
-    body('durationMinutes').optional().isInt({ min: 1, max: 480 }).withMessage('Duration must be between 1-480 minutes (8 hours max)')
+    body('durationMinutes').optional().isInt({ min: 1, max: 480 }).withMessage('Duration must be between 1-480 minutes (8 hours max)'),
+    body('ssh_principals').optional().isArray({ min: 1, max: 32 }).withMessage('SSH principals must be a non-empty array of at most 32 names'),
+    body('ssh_principals.*').matches(PRINCIPAL_PATTERN).withMessage('Each SSH principal must be a valid login name')
   ],
   handleValidationErrors,
   jitController.request
 );
 
 // List sessions with optional filtering
-router.get('/', jitController.list);
+router.get(
+  '/',
+  [
+    query('status')
+      .optional()
+      .isIn(['active', 'history', 'expired', 'expiring_soon', 'all'])
+      .withMessage('Status must be one of: active, history, expired, expiring_soon, all')
+  ],
+  handleValidationErrors,
+  listQuery(SESSION_LIST),
+  jitController.list
+);
 
 // Get individual session
 router.get('/:id', jitController.getById);
 
 // Session management
 router.post('/:id/revoke', jitController.revoke);
+router.post('/:id/approve', authorizeRoles('Admin', 'Manager'), jitController.approve);
+router.post('/:id/reject', authorizeRoles('Admin', 'Manager'), jitController.reject);
 router.post('/:id/extend', [
   body('additionalMinutes').isInt({ min: 1, max: 480 }).withMessage('Additional minutes must be between 1 and 480')
 ], jitController.extend);
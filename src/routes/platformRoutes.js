@@ -0,0 +1,124 @@
+import { Router } from 'express';
+import { body, query, validationResult } from 'express-validator';
+import { authenticate } from '../middlewares/auth.js';
+import { authorizeRoles } from '../middlewares/rbac.js';
+import * as platformController from '../controllers/platformController.js';
+import { VERIFIER_TYPES, ROTATION_DRIVER_TYPES, ACCOUNT_PROPERTIES } from '../services/platformService.js';
+
+// Validation error handler middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ 
+      error: 'Validation failed', 
+      details: errors.array() 
+    });
+  }
+  next();
+};
+
+// Shared by create and update; only the platform id and name differ
+const platformFieldValidators = [
+  body('description')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Description must not exceed 500 characters'),
+  body('system_type')
+    .optional({ nullable: true })
+    .isString()
+    .withMessage('System type must be a string'),
+  body('connection_method')
+    .optional({ nullable: true })
+    .isIn(['RDP', 'SSH', 'SQL', 'HTTPS', 'HTTP', 'SFTP', 'Telnet', 'VNC', 'PowerShell', 'WinRM', 'Custom'])
+    .withMessage('Invalid connection method'),
+  body('default_port')
+    .optional({ nullable: true })
+    .isInt({ min: 1, max: 65535 })
+    .withMessage('Default port must be between 1 and 65535')
+    .toInt(),
+  body('verifier')
+    .optional({ nullable: true })
+    .isIn(VERIFIER_TYPES)
+    .withMessage(`Verifier must be one of: ${VERIFIER_TYPES.join(', ')}`),
+  body('rotation_driver')
+    .optional({ nullable: true })
+    .isIn(ROTATION_DRIVER_TYPES)
+    .withMessage(`Rotation driver must be one of: ${ROTATION_DRIVER_TYPES.join(', ')}`),
+  body('password_policy')
+    .optional()
+    .isObject()
+    .withMessage('Password policy must be a valid JSON object'),
+  body('verification_frequency_hours')
+    .optional({ nullable: true })
+    .isInt({ min: 1, max: 8760 })
+    .withMessage('Verification frequency must be between 1 and 8760 hours')
+    .toInt(),
+  body('required_properties')
+    .optional()
+    .isArray()
+    .withMessage('Required properties must be an array'),
+  body('required_properties.*')
+    .isIn(ACCOUNT_PROPERTIES)
+    .withMessage(`Required properties must be account fields: ${ACCOUNT_PROPERTIES.join(', ')}`),
+  body('active')
+    .optional()
+    .isBoolean()
+    .withMessage('Active must be a boolean')
+    .toBoolean()
+];
+
+const router = Router();
+
+router.use(authenticate);
+
+// Platform definitions are readable by everyone who creates accounts
+router.get(
+  '/',
+  [
+    query('active')
+      .optional()
+      .isIn(['true', 'false'])
+      .withMessage('Active must be true or false')
+  ],
+  handleValidationErrors,
+  platformController.list
+);
+router.get('/:id', platformController.getById);
+
+router.post(
+  '/',
+  authorizeRoles('Admin'),
+  [
+    body('id')
+      .matches(/^[A-Za-z0-9_-]{2,50}$/)
+      .withMessage('Platform id must be 2-50 letters, digits, underscores or hyphens'),
+    body('name')
+      .notEmpty()
+      .withMessage('Platform name is required')
+      .isLength({ max: 100 })
+      .withMessage('Platform name must not exceed 100 characters'),
+    ...platformFieldValidators
+  ],
+  handleValidationErrors,
+  platformController.create
+);
+
+router.put(
+  '/:id',
+  authorizeRoles('Admin'),
+  [
+    body('name')
+      .optional()
+      .notEmpty()
+      .withMessage('Platform name cannot be empty')
+      .isLength({ max: 100 })
+      .withMessage('Platform name must not exceed 100 characters'),
+    ...platformFieldValidators
+  ],
+  handleValidationErrors,
+  platformController.update
+);
+
+router.delete('/:id', authorizeRoles('Admin'), platformController.remove);
+
+export default router;
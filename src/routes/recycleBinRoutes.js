@@ -0,0 +1,51 @@
+import { Router } from 'express';
+import { param, query, validationResult } from 'express-validator';
+import * as recycleBinController from '../controllers/recycleBinController.js';
+import { authenticate } from '../middlewares/auth.js';
+import { RECYCLE_BIN_TYPES } from '../services/recycleBinService.js';
+
+// Validation error handler middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+  next();
+};
+
+const itemValidators = [
+  param('type')
+    .isIn(RECYCLE_BIN_TYPES)
+    .withMessage(`Type must be one of: ${RECYCLE_BIN_TYPES.join(', ')}`),
+  param('id')
+    .isUUID()
+    .withMessage('Valid item ID is required')
+];
+
+const router = Router();
+
+router.use(authenticate);
+
+// List deleted accounts, credentials and safes
+router.get(
+  '/',
+  [
+    query('type')
+      .optional()
+      .isIn(RECYCLE_BIN_TYPES)
+      .withMessage(`Type must be one of: ${RECYCLE_BIN_TYPES.join(', ')}`)
+  ],
+  handleValidationErrors,
+  recycleBinController.list
+);
+
+// Restore a deleted item
+router.post('/:type/:id/restore', itemValidators, handleValidationErrors, recycleBinController.restore);
+
+// Permanently delete an item
+router.delete('/:type/:id', itemValidators, handleValidationErrors, recycleBinController.purge);
+
+export default router;
@@ -1,7 +1,9 @@
 import { Router } from 'express';
-import { body, validationResult } from 'express-validator';
+import { body, query, validationResult } from 'express-validator';
 import * as safeController from '../controllers/safeController.js';
 import { authenticate } from '../middlewares/auth.js';
+import { listQuery } from '../middlewares/listQuery.js';
+import { SAFE_LIST } from '../services/safeService.js';
 
 // Validation error handler middleware
 const handleValidationErrors = (req, res, next) => {
@@ -43,18 +45,37 @@ router.post(
     body('settings')
       .optional()
       .isObject()
-      .withMessage('Settings must be a valid JSON object')
+      .withMessage('Settings must be a valid JSON object'),
+    body('retention_days')
+      .optional({ nullable: true })
+      .isInt({ min: 1, max: 3650 })
+      .withMessage('Retention must be between 1 and 3650 days')
+      .toInt()
   ],
   handleValidationErrors,
   safeController.create
 );
 
 // List safes
-router.get('/', safeController.list);
+router.get('/', listQuery(SAFE_LIST), safeController.list);
 
 // Get safe statistics
 router.get('/statistics', safeController.statistics);
 
+// Permissions expiring soon on safes the caller manages
+router.get(
+  '/permissions/expiring',
+  [
+    query('days')
+      .optional()
+      .isInt({ min: 1, max: 365 })
+      .withMessage('Days must be between 1 and 365')
+      .toInt()
+  ],
+  handleValidationErrors,
+  safeController.upcomingExpirations
+);
+
 // Get safe by ID
 router.get('/:id', safeController.getById);
 
@@ -85,7 +106,12 @@ router.put(
     body('settings')
       .optional()
       .isObject()
-      .withMessage('Settings must be a valid JSON object')
+      .withMessage('Settings must be a valid JSON object'),
+    body('retention_days')
+      .optional({ nullable: true })
+      .isInt({ min: 1, max: 3650 })
+      .withMessage('Retention must be between 1 and 3650 days')
+      .toInt()
   ],
   handleValidationErrors,
   safeController.update
@@ -99,18 +125,39 @@ router.post(
   '/:id/permissions',
   [
     body('userId')
-      .notEmpty()
+      .optional()
       .isUUID()
       .withMessage('Valid user ID is required'),
+    body('groupId')
+      .optional()
+      .isUUID()
+      .withMessage('Valid group ID is required'),
+    body()
+      .custom(({ userId, groupId }) => Boolean(userId) !== Boolean(groupId))
+      .withMessage('Exactly one of userId or groupId is required'),
     body('permission_level')
       .isIn(['read', 'write', 'admin', 'owner'])
-      .withMessage('Permission level must be one of: read, write, admin, owner')
+      .withMessage('Permission level must be one of: read, write, admin, owner'),
+    body('view_previous_versions')
+      .optional()
+      .isBoolean()
+      .withMessage('view_previous_versions must be a boolean')
+      .toBoolean(),
+    body('valid_from')
+      .optional({ nullable: true })
+      .isISO8601()
+      .withMessage('valid_from must be an ISO 8601 date'),
+    body('valid_until')
+      .optional({ nullable: true })
+      .isISO8601()
+      .withMessage('valid_until must be an ISO 8601 date')
   ],
   handleValidationErrors,
   safeController.grantPermission
 );
 
 router.get('/:id/permissions', safeController.listPermissions);
+router.get('/:id/permissions/effective', safeController.listEffectivePermissions);
 router.delete('/:id/permissions/:permissionId', safeController.revokePermission);
 
 // Safe activity log
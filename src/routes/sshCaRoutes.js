@@ -0,0 +1,51 @@
+import { Router } from 'express';
+import { body, validationResult } from 'express-validator';
+import { authenticate } from '../middlewares/auth.js';
+import { authorizeRoles } from '../middlewares/rbac.js';
+import * as sshCaController from '../controllers/sshCaController.js';
+import { PRINCIPAL_PATTERN } from '../utils/sshCertificates.js';
+
+// Validation error handler middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ 
+      error: 'Validation failed', 
+      details: errors.array() 
+    });
+  }
+  next();
+};
+
+const router = Router();
+
+// Public: hosts fetch the CA keys without vault credentials
+router.get('/trusted-user-ca-keys', sshCaController.trustedUserCaKeys);
+
+router.use(authenticate);
+
+router.post(
+  '/certificates',
+  [
+    body('jit_session_id').isUUID().withMessage('jit_session_id must be a valid UUID'),
+    body('public_key')
+      .isString()
+      .withMessage('public_key must be an OpenSSH public key')
+      .isLength({ min: 16, max: 8192 })
+      .withMessage('public_key must be between 16 and 8192 characters'),
+    body('principals')
+      .optional()
+      .isArray({ min: 1, max: 32 })
+      .withMessage('principals must be a non-empty array of at most 32 names'),
+    body('principals.*')
+      .matches(PRINCIPAL_PATTERN)
+      .withMessage('Each principal must be a valid login name')
+  ],
+  handleValidationErrors,
+  sshCaController.issueCertificate
+);
+
+router.get('/', authorizeRoles('Admin'), sshCaController.list);
+router.post('/rotate', authorizeRoles('Admin'), sshCaController.rotate);
+
+export default router;
@@ -0,0 +1,156 @@
+import { Router } from 'express';
+import { body, validationResult } from 'express-validator';
+import { authenticate } from '../middlewares/auth.js';
+import { authorizeRoles } from '../middlewares/rbac.js';
+import { requireUnsealed } from '../middlewares/seal.js';
+import * as systemController from '../controllers/systemController.js';
+
+// Validation error handler middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ 
+      error: 'Validation failed', 
+      details: errors.array() 
+    });
+  }
+  next();
+};
+
+const router = Router();
+
+router.use(authenticate, authorizeRoles('Admin'));
+
+// Seal status and unseal (submitting shares or resetting the collected ones) are for key custodians, who are Admins
+router.get('/seal-status', systemController.getSealStatus);
+router.post(
+  '/unseal',
+  [
+    body('share')
+      .if(body('reset').not().equals('true'))
+      .isString()
+      .notEmpty()
+      .withMessage('Key share is required'),
+    body('reset')
+      .optional()
+      .isBoolean()
+      .withMessage('Reset must be a boolean')
+  ],
+  handleValidationErrors,
+  systemController.unseal
+);
+
+// Split a new root key into Shamir shares (also used to re-key)
+router.post(
+  '/seal/init',
+  [
+    body('secret_shares')
+      .isInt({ min: 1, max: 255 })
+      .withMessage('Secret shares must be between 1 and 255'),
+    body('secret_threshold')
+      .isInt({ min: 1, max: 255 })
+      .withMessage('Secret threshold must be between 1 and 255')
+      .custom((value, { req }) => parseInt(value) <= parseInt(req.body.secret_shares))
+      .withMessage('Secret threshold cannot exceed the number of shares')
+  ],
+  handleValidationErrors,
+  systemController.initializeSeal
+);
+
+// Emergency seal: drop key material from memory
+router.post(
+  '/seal',
+  [
+    body('reason')
+      .optional()
+      .isString()
+      .isLength({ max: 500 })
+      .withMessage('Reason must be at most 500 characters')
+  ],
+  handleValidationErrors,
+  systemController.seal
+);
+
+// Key versions and re-encryption progress
+router.get('/encryption', systemController.getEncryptionStatus);
+
+// Generate and activate a new wrapped key (KMS providers only)
+router.post('/encryption/rotate-key', requireUnsealed, systemController.rotateKey);
+
+// Remaining values in pre-envelope formats (static-IV CBC, PBKDF2 GCM)
+router.get('/encryption/legacy', systemController.getLegacyCiphertextReport);
+
+// Re-encrypt stored secrets under the current key version
+router.post(
+  '/encryption/reencrypt',
+  [
+    body('batch_size')
+      .optional()
+      .isInt({ min: 1, max: 1000 })
+      .withMessage('Batch size must be between 1 and 1000')
+  ],
+  handleValidationErrors,
+  requireUnsealed,
+  systemController.startReencryption
+);
+router.get('/encryption/reencrypt', systemController.getReencryptionProgress);
+
+// Encrypted export of safes, groups, permissions, accounts, credentials, platforms, policies, account dependencies and password versions
+const backupSecretValidation = body('passphrase')
+  .if(body('backup_key').not().exists())
+  .isString()
+  .isLength({ min: 12 })
+  .withMessage('A backup passphrase of at least 12 characters (or backup_key) is required');
+
+router.post(
+  '/backup',
+  [
+    backupSecretValidation,
+    body('backup_key')
+      .optional()
+      .isHexadecimal()
+      .isLength({ min: 64, max: 64 })
+      .withMessage('Backup key must be 64 hex characters')
+  ],
+  handleValidationErrors,
+  requireUnsealed,
+  systemController.createBackup
+);
+
+router.post(
+  '/restore',
+  [
+    backupSecretValidation,
+    body('archive')
+      .isObject()
+      .withMessage('Backup archive is required'),
+    body('conflict')
+      .optional()
+      .isIn(['skip', 'overwrite', 'rename'])
+      .withMessage('Conflict must be skip, overwrite or rename'),
+    body('dry_run')
+      .optional()
+      .isBoolean()
+      .withMessage('Dry run must be a boolean')
+  ],
+  handleValidationErrors,
+  requireUnsealed,
+  systemController.restoreBackup
+);
+
+// Build username/hostname blind indexes for existing accounts
+router.post(
+  '/blind-index/backfill',
+  [
+    body('batch_size')
+      .optional()
+      .isInt({ min: 1, max: 1000 })
+      .withMessage('Batch size must be between 1 and 1000')
+  ],
+  handleValidationErrors,
+  requireUnsealed,
+  systemController.startBlindIndexBackfill
+);
+router.get('/blind-index/backfill', systemController.getBlindIndexProgress);
+
+export default router;
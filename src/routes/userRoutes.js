@@ -13,6 +13,10 @@ router.put('/preferences/dashboard', userController.updateDashboardPreferences);
 router.get('/preferences/notifications', userController.getNotificationPreferences);
 router.put('/preferences/notifications', userController.updateNotificationPreferences);
 
+// In-app notifications
+router.get('/notifications', userController.listNotifications);
+router.post('/notifications/:id/read', userController.markNotificationRead);
+
 // User profile routes
 router.get('/profile', userController.getUserProfile);
 router.put('/profile', userController.updateUserProfile);
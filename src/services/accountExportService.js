@@ -0,0 +1,176 @@
+import supabase from '../utils/supabaseClient.js';
+import kdbxweb from '../utils/keepass.js';
+import { ZipWriter, Uint8ArrayWriter, TextReader, configure } from '@zip.js/zip.js';
+import { decryptAccountFields } from '../utils/secureEncryption.js';
+import { toCsv } from '../utils/csv.js';
+import { getSafeDataKeys } from './safeService.js';
+import { logAction } from './auditService.js';
+import { resolveSafeAccess, safeActions } from './safeAccessService.js';
+import { assertNotCheckedOutByOther } from './checkoutService.js';
+
+configure({ useWebWorkers: false });
+
+const TABLE = 'privileged_accounts';
+const PAGE_SIZE = 1000;
+
+export const EXPORT_FORMATS = ['csv', 'keepass_xml', 'kdbx'];
+
+// Same columns the CSV import reads, so an export can be imported again
+const CSV_COLUMNS = [
+  'name', 'system_type', 'hostname_ip', 'port', 'username', 'password', 'connection_method',
+  'platform_id', 'account_type', 'safe_name', 'tags', 'notes', 'last_rotated', 'private_key'
+];
+
+// Written as KeePass custom fields under the account column names
+const KEEPASS_FIELDS = ['system_type', 'hostname_ip', 'port', 'connection_method', 'platform_id', 'account_type'];
+
+function httpError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// Admins export anything; everyone else only a safe they own or manage the members of
+async function assertCanExport({ userId, role, filters, reason }) {
+  if (role === 'Admin') return;
+
+  let allowed = false;
+  if (filters.safe_id) {
+    const access = await resolveSafeAccess({ userId, role });
+    allowed = safeActions({ id: filters.safe_id }, access).has('manage_members');
+  }
+
+  if (!allowed) {
+    await logAction({
+      userId,
+      action: 'accounts_export_denied',
+      resource: filters.safe_id ? `safe:${filters.safe_id}` : 'accounts:export',
+      metadata: { filters, reason }
+    });
+    throw httpError('Only administrators and the safe owner or its managers can export accounts; choose a safe you own', 403);
+  }
+}
+
+async function fetchAccounts(filters) {
+  const rows = [];
+  let offset = 0;
+
+  while (true) {
+    let query = supabase
+      .from(TABLE)
+      .select('*')
+      .is('deleted_at', null)
+      .order('created_at', { ascending: true })
+      .range(offset, offset + PAGE_SIZE - 1);
+
+    if (filters.safe_id) query = query.eq('safe_id', filters.safe_id);
+    if (filters.system_type) query = query.eq('system_type', filters.system_type);
+    if (filters.tags?.length) query = query.contains('tags', filters.tags);
+
+    const { data, error } = await query;
+    if (error) throw error;
+    rows.push(...(data || []));
+    if (!data || data.length < PAGE_SIZE) break;
+    offset += PAGE_SIZE;
+  }
+
+  const safeIds = [...new Set(rows.map(row => row.safe_id).filter(Boolean))];
+  const safeNames = new Map();
+  if (safeIds.length > 0) {
+    const { data, error } = await supabase
+      .from('safes')
+      .select('id, name')
+      .in('id', safeIds);
+
+    if (error) throw error;
+    (data || []).forEach(safe => safeNames.set(safe.id, safe.name));
+  }
+
+  const safeKeys = await getSafeDataKeys(rows.map(row => row.safe_id));
+  return rows.map(row => ({
+    ...decryptAccountFields(row, safeKeys.get(row.safe_id) || null),
+    safe_name: safeNames.get(row.safe_id) || null
+  }));
+}
+
+// One group per safe, account columns as custom fields
+function buildKeePass(accounts, password) {
+  const credentials = new kdbxweb.Credentials(kdbxweb.ProtectedValue.fromString(password));
+  const db = kdbxweb.Kdbx.create(credentials, 'CyberVault export');
+  db.setKdf(kdbxweb.Consts.KdfId.Argon2id);
+
+  const root = db.getDefaultGroup();
+  const groups = new Map();
+  const groupFor = name => {
+    if (!name) return root;
+    if (!groups.has(name)) groups.set(name, db.createGroup(root, name));
+    return groups.get(name);
+  };
+
+  for (const account of accounts) {
+    const entry = db.createEntry(groupFor(account.safe_name));
+    entry.fields.set('Title', account.name || account.username || '');
+    entry.fields.set('UserName', account.username || '');
+    entry.fields.set('Password', kdbxweb.ProtectedValue.fromString(account.password || ''));
+    entry.fields.set('URL', account.hostname_ip ? [account.hostname_ip, account.port].filter(Boolean).join(':') : '');
+    entry.fields.set('Notes', account.notes || '');
+    for (const field of KEEPASS_FIELDS) {
+      if (account[field] !== undefined && account[field] !== null) entry.fields.set(field, String(account[field]));
+    }
+    if (account.private_key) {
+      entry.fields.set('private_key', kdbxweb.ProtectedValue.fromString(account.private_key));
+    }
+    entry.tags = Array.isArray(account.tags) ? account.tags.map(String) : [];
+  }
+
+  return db;
+}
+
+async function encryptedZip(filename, text, password) {
+  const writer = new ZipWriter(new Uint8ArrayWriter(), { password, encryptionStrength: 3 });
+  await writer.add(filename, new TextReader(text));
+  return Buffer.from(await writer.close());
+}
+
+/**
+ * Export accounts, passwords included, into a password-protected file:
+ * csv and keepass_xml are AES-256 encrypted ZIPs, kdbx is a KeePass 2 database
+ * locked with the same password.
+ * @param {Object} filters - safe_id, system_type, tags (accounts must have all of them)
+ * @returns {Promise<Object>} { filename, contentType, content (Buffer), count }
+ */
+export async function exportAccounts({ userId, role, filters = {}, format = 'csv', password, reason }) {
+  await assertCanExport({ userId, role, filters, reason });
+
+  const accounts = await fetchAccounts(filters);
+  await assertNotCheckedOutByOther(accounts, userId);
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const basename = `cybervault-accounts-${stamp}`;
+
+  let file;
+  if (format === 'kdbx') {
+    const db = buildKeePass(accounts, password);
+    file = { filename: `${basename}.kdbx`, contentType: 'application/x-keepass2', content: Buffer.from(await db.save()) };
+  } else if (format === 'keepass_xml') {
+    const db = buildKeePass(accounts, password);
+    file = { filename: `${basename}.zip`, contentType: 'application/zip', content: await encryptedZip(`${basename}.xml`, await db.saveXml(true), password) };
+  } else {
+    const csv = toCsv(accounts, CSV_COLUMNS);
+    file = { filename: `${basename}.zip`, contentType: 'application/zip', content: await encryptedZip(`${basename}.csv`, csv, password) };
+  }
+
+  await logAction({
+    userId,
+    action: 'accounts_exported',
+    resource: filters.safe_id ? `safe:${filters.safe_id}` : 'accounts:export',
+    metadata: {
+      reason,
+      format,
+      filters,
+      count: accounts.length,
+      account_ids: accounts.map(account => account.id)
+    }
+  });
+
+  return { ...file, count: accounts.length };
+}
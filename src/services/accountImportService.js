@@ -0,0 +1,359 @@
+import supabase from '../utils/supabaseClient.js';
+import { parseCsv } from '../utils/csv.js';
+import { parseListQuery, MAX_LIMIT } from '../utils/listQuery.js';
+import { createAccount, validateNewAccount, listAccountPage, ACCOUNT_LIST } from './accountService.js';
+import { createCredential } from './credentialService.js';
+import { createSafe } from './safeService.js';
+import { listPlatforms } from './platformService.js';
+import { logAction } from './auditService.js';
+import { resolveSafeAccess, scopeSafeQuery } from './safeAccessService.js';
+
+export const MAX_IMPORT_ROWS = parseInt(process.env.ACCOUNT_IMPORT_MAX_ROWS) || 5000;
+// Larger imports run as a background job
+export const SYNC_IMPORT_ROWS = parseInt(process.env.ACCOUNT_IMPORT_SYNC_ROWS) || 50;
+
+const CREDENTIAL_TYPES = ['password', 'ssh', 'api_token', 'certificate', 'database'];
+
+function badRequest(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+export function assertImportSize(rows) {
+  if (rows.length === 0) {
+    throw badRequest('Import contains no accounts');
+  }
+  if (rows.length > MAX_IMPORT_ROWS) {
+    throw badRequest(`Import is limited to ${MAX_IMPORT_ROWS} accounts`);
+  }
+}
+
+/**
+ * Rows from an import request: a text/csv body, a JSON array, or a JSON object
+ * with either an accounts array or a csv string
+ */
+export function parseImportPayload(body) {
+  let rows;
+  if (typeof body === 'string') {
+    rows = parseCsv(body);
+  } else if (Array.isArray(body)) {
+    rows = body;
+  } else if (Array.isArray(body?.accounts)) {
+    rows = body.accounts;
+  } else if (typeof body?.csv === 'string') {
+    rows = parseCsv(body.csv);
+  } else {
+    throw badRequest('Send a CSV file (text/csv) or JSON with an accounts array or a csv string');
+  }
+
+  assertImportSize(rows);
+  if (rows.some(row => !row || typeof row !== 'object' || Array.isArray(row))) {
+    throw badRequest('Every imported account must be an object');
+  }
+
+  return rows.map(normalizeImportRow);
+}
+
+// CSV cells are all strings: drop empty ones and decode tags and rotation_policy
+export function normalizeImportRow(row) {
+  const normalized = {};
+  for (const [key, value] of Object.entries(row)) {
+    const field = key.trim();
+    const cell = typeof value === 'string' ? value.trim() : value;
+    if (field && cell !== '' && cell !== null && cell !== undefined) {
+      normalized[field] = cell;
+    }
+  }
+
+  if (normalized.hostname && !normalized.hostname_ip) {
+    normalized.hostname_ip = normalized.hostname;
+  }
+  if (typeof normalized.tags === 'string') {
+    normalized.tags = normalized.tags.split(/[;,]/).map(tag => tag.trim()).filter(Boolean);
+  }
+  if (typeof normalized.rotation_policy === 'string') {
+    try {
+      normalized.rotation_policy = JSON.parse(normalized.rotation_policy);
+    } catch (error) {
+      // Left as a string so the rotation_policy validator reports it
+    }
+  }
+
+  return normalized;
+}
+
+// Safe and platform names used by the rows, resolved once per import. Only safes the
+// user may list are matched; creating the account then checks update on the safe.
+async function resolveReferences(rows, { userId, role }) {
+  const safeNames = [...new Set(rows.map(row => row.safe_name).filter(Boolean))];
+  const safes = new Map();
+
+  if (safeNames.length > 0) {
+    const query = supabase
+      .from('safes')
+      .select('id, name')
+      .in('name', safeNames)
+      .is('deleted_at', null);
+
+    const { data, error } = await scopeSafeQuery(query, await resolveSafeAccess({ userId, role }));
+    if (error) throw error;
+    (data || []).forEach(safe => safes.set(safe.name, safe.id));
+  }
+
+  const platforms = new Map();
+  if (rows.some(row => row.platform_name)) {
+    for (const platform of await listPlatforms()) {
+      platforms.set(platform.name, platform.id);
+    }
+  }
+
+  return { safes, platforms };
+}
+
+// Folders without a matching safe become new safes (once per name)
+async function ensureSafe(name, context) {
+  if (!context.pendingSafes.has(name)) {
+    context.pendingSafes.set(name, createSafe({
+      name,
+      description: context.source ? `Imported from ${context.source}` : 'Created by account import',
+      ownerId: context.userId
+    }).then(safe => {
+      context.references.safes.set(name, safe.id);
+      context.summary.safes_created.push(name);
+      return safe.id;
+    }));
+  }
+  return context.pendingSafes.get(name);
+}
+
+async function applyReferences(row, context) {
+  const account = { ...row };
+  const errors = [];
+
+  if (row.safe_name && !row.safe_id) {
+    account.safe_id = context.references.safes.get(row.safe_name);
+    if (!account.safe_id && context.createSafes) {
+      if (context.dryRun) {
+        if (!context.summary.safes_created.includes(row.safe_name)) context.summary.safes_created.push(row.safe_name);
+      } else {
+        account.safe_id = await ensureSafe(row.safe_name, context);
+      }
+    } else if (!account.safe_id) {
+      errors.push({ field: 'safe_name', message: `Safe '${row.safe_name}' not found` });
+    }
+  }
+  if (row.platform_name && !row.platform_id) {
+    account.platform_id = context.references.platforms.get(row.platform_name);
+    if (!account.platform_id) errors.push({ field: 'platform_name', message: `Platform '${row.platform_name}' not found` });
+  }
+
+  return { account, errors };
+}
+
+function toRowErrors(error) {
+  if (Array.isArray(error.errors) && error.errors.length > 0) {
+    return error.errors.map(detail => ({
+      field: null,
+      message: typeof detail === 'string' ? detail : detail.message || JSON.stringify(detail)
+    }));
+  }
+  return [{ field: null, message: error.message }];
+}
+
+// Same username and host in the same safe (accounts) or for the same user (credentials)
+async function isDuplicate(account, context) {
+  const key = [
+    account.target || 'account',
+    String(account.username || '').toLowerCase(),
+    String(account.hostname_ip || account.host || '').toLowerCase(),
+    account.safe_id || account.safe_name || ''
+  ].join('|');
+
+  if (context.seen.has(key)) return true;
+  context.seen.add(key);
+
+  if (account.target === 'credential') {
+    let query = supabase
+      .from('credentials')
+      .select('id')
+      .is('deleted_at', null)
+      .eq('user_id', context.userId)
+      .eq('username', account.username || '')
+      .limit(1);
+    query = account.host ? query.eq('host', account.host) : query.is('host', null);
+
+    const { data, error } = await query;
+    if (error) throw error;
+    return (data || []).length > 0;
+  }
+
+  // A safe that does not exist yet holds no accounts
+  if (!account.safe_id && account.safe_name) return false;
+
+  const { rows: existing } = await listAccountPage({
+    ownerId: context.userId,
+    role: context.role,
+    username: account.username,
+    hostname: account.hostname_ip,
+    match: 'exact',
+    list: parseListQuery({ limit: String(MAX_LIMIT), ...(account.safe_id && { safe_id: account.safe_id }) }, ACCOUNT_LIST)
+  });
+  return existing.some(match => (match.safe_id || null) === (account.safe_id || null));
+}
+
+async function importCredential(account, context) {
+  const problems = [];
+  if (!account.name) problems.push({ field: 'name', message: 'Credential name is required' });
+  if (!account.password) problems.push({ field: 'password', message: 'Password is required' });
+  if (account.type && !CREDENTIAL_TYPES.includes(account.type)) {
+    problems.push({ field: 'type', message: `Credential type must be one of: ${CREDENTIAL_TYPES.join(', ')}` });
+  }
+  if (problems.length > 0) {
+    return { status: 'failed', errors: problems };
+  }
+  if (context.dryRun) {
+    return { status: 'valid' };
+  }
+
+  const created = await createCredential({
+    userId: context.userId,
+    type: account.type || 'password',
+    name: account.name,
+    value: account.password,
+    host: account.host || null,
+    port: account.port,
+    username: account.username || null,
+    additional_params: account.additional_params
+  });
+  return { status: 'created', id: created.id };
+}
+
+async function importRow(row, context) {
+  if (row.skip) {
+    return { status: 'skipped', errors: [{ field: null, message: row.skip }] };
+  }
+
+  const { account, errors } = await applyReferences(row, context);
+  if (errors.length > 0) {
+    return { status: 'failed', errors };
+  }
+
+  try {
+    if (context.deduplicate && await isDuplicate(account, context)) {
+      return { status: 'duplicate', errors: [{ field: null, message: 'Same username and host already exist in this safe' }] };
+    }
+    if (account.target === 'credential') {
+      return await importCredential(account, context);
+    }
+
+    const fields = {
+      name: account.name,
+      system_type: account.system_type,
+      hostname_ip: account.hostname_ip,
+      port: account.port,
+      username: account.username,
+      password: account.password,
+      connection_method: account.connection_method,
+      platform_id: account.platform_id,
+      account_type: account.account_type,
+      private_key: account.private_key,
+      rotation_policy: account.rotation_policy,
+      safe_id: account.safe_id,
+      notes: account.notes
+    };
+
+    if (context.dryRun) {
+      await validateNewAccount(fields);
+      return { status: 'valid' };
+    }
+    const created = await createAccount({ ownerId: context.userId, role: context.role, ...fields });
+    return { status: 'created', id: created.id };
+  } catch (error) {
+    return { status: 'failed', errors: toRowErrors(error) };
+  }
+}
+
+/**
+ * Validate and create the rows one by one. Rows that failed request validation
+ * (validationErrors, keyed by row index) are reported without being attempted.
+ * Rows with target 'credential' go to credentials, the rest to privileged_accounts.
+ * A dry run runs every check but creates nothing.
+ * @param {Object} options
+ * @param {boolean} options.deduplicate - Skip rows whose username and host already exist in the safe
+ * @param {boolean} options.createSafes - Create safes named by safe_name that do not exist yet
+ * @param {string} options.source - Source format, recorded in the report and audit log
+ * @returns {Promise<Object>} Summary with per-status counts and per-row results
+ */
+export async function importAccounts({
+  rows,
+  validationErrors = {},
+  userId,
+  role,
+  dryRun = false,
+  deduplicate = true,
+  createSafes = false,
+  source = null,
+  onProgress
+}) {
+  const summary = {
+    source,
+    dry_run: dryRun,
+    total: rows.length,
+    created: 0,
+    valid: 0,
+    duplicate: 0,
+    skipped: 0,
+    failed: 0,
+    safes_created: [],
+    results: []
+  };
+  const context = {
+    userId,
+    role,
+    dryRun,
+    deduplicate,
+    createSafes,
+    source,
+    summary,
+    references: await resolveReferences(rows, { userId, role }),
+    pendingSafes: new Map(),
+    seen: new Set()
+  };
+
+  for (let index = 0; index < rows.length; index++) {
+    const row = rows[index];
+    const result = validationErrors[index]
+      ? { status: 'failed', errors: validationErrors[index] }
+      : await importRow(row, context);
+
+    summary[result.status]++;
+    summary.results.push({
+      row: index + 1,
+      target: row.target || 'account',
+      username: row.username || null,
+      hostname_ip: row.hostname_ip || row.host || null,
+      safe_name: row.safe_name || null,
+      ...result
+    });
+    if (onProgress) onProgress(summary);
+  }
+
+  if (!dryRun) {
+    await logAction({
+      userId,
+      action: 'accounts_imported',
+      resource: 'accounts:import',
+      metadata: {
+        source,
+        total: summary.total,
+        created: summary.created,
+        duplicate: summary.duplicate,
+        failed: summary.failed,
+        safes_created: summary.safes_created
+      }
+    });
+  }
+
+  return summary;
+}
@@ -1,13 +1,129 @@
 import supabase, { supabaseAdmin } from '../utils/supabaseClient.js';
 import { v4 as uuidv4 } from 'uuid';
-import { encrypt, decrypt } from '../utils/encryption.js';
-import { encryptAccountFields, decryptAccountFields, encryptField, decryptField } from '../utils/secureEncryption.js';
+import {
+  encryptAccountFields,
+  decryptAccountFields,
+  reencryptAccountFields,
+  encryptField,
+  decryptField,
+  blindIndexAccountFields,
+  searchTokensForIndexing,
+  fingerprintPassword,
+  MIN_INDEX_PREFIX_LENGTH
+} from '../utils/secureEncryption.js';
+import { getSafeDataKey, getSafeDataKeys } from './safeService.js';
+import { assertPasswordAllowed, generatePolicyPassword, generatePassword, mergePolicies } from './passwordPolicyService.js';
+import { applyPlatformToAccount, getPlatform } from './platformService.js';
+import { generateSshKeyPair, inspectSshPrivateKey, SSH_KEY_ACCOUNT_TYPE } from '../utils/sshKeys.js';
+import { fetchPage } from '../utils/listQuery.js';
+import { recordPasswordVersion, moveAccountVersions } from './passwordVersionService.js';
+import { resolveSafeAccess, accountActions, assertAccountAction, assertSafeAction, scopeAccountQuery } from './safeAccessService.js';
+import { assertNotCheckedOutByOther } from './checkoutService.js';
 import crypto from 'crypto';
 
 const TABLE = 'privileged_accounts';
 const HISTORY_TABLE = 'account_rotation_history';
+const DAY_MS = 24 * 60 * 60 * 1000;
 
-export async function createAccount({ ownerId, name, system_type, hostname_ip, port, username, password, connection_method, platform_id, rotation_policy, safe_id, notes }) {
+// Fields PUT /accounts/:id may change; ownership, status, rotation dates, key pairs,
+// search indexes and deletion are maintained by their own paths
+const EDITABLE_FIELDS = [
+  'name', 'username', 'hostname_ip', 'password', 'notes', 'private_key',
+  'system_type', 'port', 'connection_method', 'platform_id', 'rotation_policy',
+  'safe_id', 'reconcile_account_id', 'logon_account_id'
+];
+
+function pickEditable(fields) {
+  return Object.fromEntries(
+    Object.entries(fields).filter(([key, value]) => EDITABLE_FIELDS.includes(key) && value !== undefined)
+  );
+}
+
+const DEFAULT_ROTATION_POLICY = {
+  enabled: false,
+  interval_days: 90,
+  complexity_requirements: {
+    min_length: 12,
+    require_uppercase: true,
+    require_lowercase: true,
+    require_numbers: true,
+    require_symbols: true
+  },
+  notification_days: 7,
+  auto_rotate: false
+};
+
+/**
+ * Checks a new account must pass before it is stored: required fields, imported
+ * SSH private key, safe, platform definition and password policy. Shared by
+ * createAccount and the import dry run.
+ * @returns {Promise<Object>} port and connection_method with platform defaults applied
+ */
+export async function validateNewAccount({ name, system_type, hostname_ip, port, username, password, connection_method, platform_id, rotation_policy, safe_id, notes, account_type, private_key }) {
+  // ssh_key accounts authenticate with a key pair generated or imported at creation
+  const isKeyAccount = account_type === SSH_KEY_ACCOUNT_TYPE;
+  if (!system_type) {
+    throw new Error('System type is required');
+  }
+  if (!hostname_ip) {
+    throw new Error('Hostname/IP is required');
+  }
+  if (!username) {
+    throw new Error('Username is required');
+  }
+  if (!password && !isKeyAccount) {
+    throw new Error('Password is required');
+  }
+  if (isKeyAccount && private_key) {
+    inspectSshPrivateKey(private_key);
+  }
+  
+  console.log('✓ Input validation passed');
+  
+  // Platform definition: required properties, system type and connection defaults
+  const { defaults: platformDefaults } = await applyPlatformToAccount({
+    name, system_type, hostname_ip, port, username, connection_method, platform_id, safe_id, notes
+  });
+  port = platformDefaults.port ?? port;
+  connection_method = platformDefaults.connection_method ?? connection_method;
+  
+  // Validate safe_id if provided
+  if (safe_id) {
+    console.log(`Validating safe_id: ${safe_id}`);
+    const { data: safeExists, error: safeError } = await supabase
+      .from('safes')
+      .select('id, name')
+      .eq('id', safe_id)
+      .is('deleted_at', null)
+      .single();
+      
+    if (safeError) {
+      console.error('Safe validation error:', safeError);
+      throw new Error(`Invalid safe ID: ${safeError.message}`);
+    }
+    
+    if (!safeExists) {
+      throw new Error(`Safe with ID ${safe_id} does not exist`);
+    }
+    
+    console.log(`✓ Safe validation passed: ${safeExists.name}`);
+  }
+  
+  // Platform, safe and rotation_policy password rules
+  if (password) {
+    await assertPasswordAllowed(password, {
+      system_type,
+      platform_id,
+      safe_id,
+      username,
+      rotation_policy: rotation_policy || DEFAULT_ROTATION_POLICY
+    });
+  }
+  
+  return { port, connection_method };
+}
+
+export async function createAccount({ ownerId, role, name, system_type, hostname_ip, port, username, password, connection_method, platform_id, account_type, rotation_policy, safe_id, notes, reconcile_account_id, logon_account_id, private_key, key_algorithm, key_bits }) {
   console.log('=== Starting Account Creation Process ===');
   
   try {
@@ -32,40 +148,23 @@ export async function createAccount({ ownerId, name, system_type, hostname_ip, p
     if (!ownerId) {
       throw new Error('Owner ID is required');
     }
-    if (!system_type) {
-      throw new Error('System type is required');
-    }
-    if (!hostname_ip) {
-      throw new Error('Hostname/IP is required');
-    }
-    if (!username) {
-      throw new Error('Username is required');
-    }
-    if (!password) {
-      throw new Error('Password is required');
-    }
-    
-    console.log('✓ Input validation passed');
     
-    // Validate safe_id if provided
+    ({ port, connection_method } = await validateNewAccount({
+      name, system_type, hostname_ip, port, username, password, connection_method, platform_id, rotation_policy, safe_id, notes, account_type
+    }));
+    await assertLinkedAccounts({ links: { reconcile_account_id, logon_account_id }, ownerId, role });
     if (safe_id) {
-      console.log(`Validating safe_id: ${safe_id}`);
-      const { data: safeExists, error: safeError } = await supabase
-        .from('safes')
-        .select('id, name')
-        .eq('id', safe_id)
-        .single();
-        
-      if (safeError) {
-        console.error('Safe validation error:', safeError);
-        throw new Error(`Invalid safe ID: ${safeError.message}`);
-      }
-      
-      if (!safeExists) {
-        throw new Error(`Safe with ID ${safe_id} does not exist`);
-      }
-      
-      console.log(`✓ Safe validation passed: ${safeExists.name}`);
+      assertSafeAction({ id: safe_id }, await resolveSafeAccess({ userId: ownerId, role }), 'update');
+    }
+    
+    // Imported private keys are inspected, otherwise a new pair is generated
+    let keyPair = null;
+    if (account_type === SSH_KEY_ACCOUNT_TYPE) {
+      const comment = `${username}@${hostname_ip}`;
+      keyPair = private_key
+        ? inspectSshPrivateKey(private_key, comment)
+        : generateSshKeyPair({ algorithm: key_algorithm, bits: key_bits, comment });
+      console.log(`✓ SSH key ready: ${keyPair.algorithm} ${keyPair.fingerprint}`);
     }
     
     // Encrypt all sensitive fields
@@ -77,9 +176,11 @@ export async function createAccount({ ownerId, name, system_type, hostname_ip, p
         username,
         hostname_ip,
         password,
-        notes
+        notes,
+        private_key: keyPair?.privateKey
       };
-      encryptedFields = encryptAccountFields(accountData);
+      const safeKey = safe_id ? await getSafeDataKey(safe_id) : null;
+      encryptedFields = encryptAccountFields(accountData, safeKey);
       console.log('✓ Sensitive data encryption successful');
     } catch (encryptError) {
       console.error('Encryption failed:', encryptError);
@@ -95,25 +196,26 @@ export async function createAccount({ ownerId, name, system_type, hostname_ip, p
       port: port || null,
       connection_method: connection_method || null,
       platform_id: platform_id || null,
-      rotation_policy: rotation_policy || {
-        enabled: false,
-        interval_days: 90,
-        complexity_requirements: {
-          min_length: 12,
-          require_uppercase: true,
-          require_lowercase: true,
-          require_numbers: true,
-          require_symbols: true
-        },
-        notification_days: 7,
-        auto_rotate: false
-      },
+      account_type: account_type || null,
+      rotation_policy: rotation_policy || DEFAULT_ROTATION_POLICY,
       safe_id: safe_id || null,
+      reconcile_account_id: reconcile_account_id || null,
+      logon_account_id: logon_account_id || null,
+      ...(keyPair && {
+        public_key: keyPair.publicKey,
+        key_algorithm: keyPair.algorithm,
+        key_bits: keyPair.bits,
+        key_fingerprint: keyPair.fingerprint,
+        key_created_at: new Date().toISOString()
+      }),
       status: 'active',
       created_at: new Date(),
       // Encrypted fields
-      ...encryptedFields
+      ...encryptedFields,
+      // Blind index for username/hostname search
+      ...blindIndexAccountFields({ username, hostname_ip })
     };
+    account.next_rotation = computeNextRotation(account);
     
     console.log('Account object prepared:', {
       id: account.id,
@@ -177,38 +279,83 @@ export async function createAccount({ ownerId, name, system_type, hostname_ip, p
   }
 }
 
-export async function listAccounts({ ownerId, role, system_type, status, safe_id, limit = 50, offset = 0 }) {
-  console.log(`Fetching accounts for ownerId: ${ownerId}, role: ${role}`);
-  
-  let query = supabase
-    .from(TABLE)
-    .select('*')
-    .order('created_at', { ascending: false })
-    .range(offset, offset + limit - 1);
+// Columns GET /accounts can sort and filter on; encrypted fields are searched with username/hostname instead
+export const ACCOUNT_LIST = {
+  sortable: ['created_at', 'updated_at', 'last_rotated', 'next_rotation', 'status', 'system_type', 'account_type', 'connection_method'],
+  filters: {
+    status: 'text',
+    system_type: 'text',
+    account_type: 'text',
+    connection_method: 'text',
+    platform_id: 'text',
+    safe_id: 'uuid',
+    owner_id: 'uuid',
+    port: 'integer',
+    created_at: 'date',
+    updated_at: 'date',
+    last_rotated: 'date',
+    next_rotation: 'date'
+  },
+  defaultSort: '-created_at'
+};
 
-  if (role === 'User') {
-    query = query.eq('owner_id', ownerId);
-  }
-  
-  // Apply filters
-  if (system_type) {
-    query = query.eq('system_type', system_type);
-  }
-  
-  if (status) {
-    query = query.eq('status', status);
-  }
-  
-  if (safe_id) {
-    query = query.eq('safe_id', safe_id);
+/**
+ * One page of GET /accounts. Username/hostname searches drop blind index collisions
+ * after the query, so their pages can come back short and carry no total
+ * @param {Object} list - Parsed list query (see ACCOUNT_LIST)
+ * @returns {Promise<Object>} fetchPage result with decrypted accounts as rows
+ */
+export async function listAccountPage({ ownerId, role, username, hostname, match = 'exact', list }) {
+  const searches = accountSearches({ username, hostname });
+  const access = await resolveSafeAccess({ userId: ownerId, role });
+
+  const page = await fetchPage((columns, options) => {
+    let query = scopeAccountQuery(supabase.from(TABLE).select(columns, options).is('deleted_at', null), access);
+    for (const search of searches) {
+      query = applyBlindIndexFilter(query, search, match);
+    }
+    return query;
+  }, list);
+
+  const accounts = await enrichAccountsWithUserData(page.rows);
+  if (searches.length === 0) {
+    return { ...page, rows: accounts };
   }
+  return {
+    ...page,
+    rows: accounts.filter(account => matchesSearches(account, searches, match)),
+    total: null,
+    pageCount: null
+  };
+}
 
-  const { data, error } = await query;
-  if (error) throw error;
+// Username/hostname search runs against the blind index, not decrypted values
+function accountSearches({ username, hostname }) {
+  return [
+    { field: 'username', column: 'username', value: username },
+    { field: 'hostname_ip', column: 'hostname', value: hostname }
+  ].filter(search => search.value);
+}
 
-  console.log(`Found ${data ? data.length : 0} accounts`);
-  
-  return await enrichAccountsWithUserData(data || []);
+// Drop truncated-HMAC collisions by checking the decrypted values
+function matchesSearches(account, searches, match) {
+  return searches.every(search => {
+    const actual = String(account[search.field] || '').toLowerCase();
+    const expected = String(search.value).trim().toLowerCase();
+    return match === 'prefix' ? actual.startsWith(expected) : actual === expected;
+  });
+}
+
+function applyBlindIndexFilter(query, { column, value }, match) {
+  if (match === 'prefix') {
+    if (String(value).trim().length < MIN_INDEX_PREFIX_LENGTH) {
+      const error = new Error(`Prefix searches need at least ${MIN_INDEX_PREFIX_LENGTH} characters`);
+      error.status = 400;
+      throw error;
+    }
+    return query.overlaps(`${column}_tokens`, searchTokensForIndexing(value, column, { prefix: true }));
+  }
+  return query.in(`${column}_hash`, searchTokensForIndexing(value, column));
 }
 
 // Helper function to enrich accounts with user data
@@ -217,6 +364,9 @@ async function enrichAccountsWithUserData(accounts) {
     return [];
   }
   
+  const safeKeys = await getSafeDataKeys(accounts.map(account => account.safe_id));
+  const decryptAccount = account => decryptAccountFields(account, safeKeys.get(account.safe_id) || null);
+  
   try {
     const ownerIds = [...new Set(accounts.map(account => account.owner_id))];
     
@@ -224,7 +374,7 @@ async function enrichAccountsWithUserData(accounts) {
     const { data: authUsers, error: authError } = await supabaseAdmin.auth.admin.listUsers();
     if (authError) {
       console.warn('Could not fetch user emails:', authError);
-      return accounts.map(account => decryptAccountFields(account));
+      return accounts.map(decryptAccount);
     }
     
     // Create user email map
@@ -234,7 +384,7 @@ async function enrichAccountsWithUserData(accounts) {
     });
     
     return accounts.map(account => {
-      const decryptedAccount = decryptAccountFields(account);
+      const decryptedAccount = decryptAccount(account);
       return {
         ...decryptedAccount,
         owner_email: userEmailMap[account.owner_id] || 'Unknown User',
@@ -243,7 +393,7 @@ async function enrichAccountsWithUserData(accounts) {
     });
   } catch (error) {
     console.error('Error enriching accounts with user data:', error);
-    return accounts.map(account => decryptAccountFields(account));
+    return accounts.map(decryptAccount);
   }
 }
 
@@ -253,21 +403,47 @@ function getRotationStatus(account) {
   
   const now = new Date();
   const nextRotation = new Date(account.next_rotation);
-  const daysDiff = Math.ceil((nextRotation - now) / (1000 * 60 * 60 * 24));
+  const daysDiff = Math.ceil((nextRotation - now) / DAY_MS);
+  const notificationDays = account.rotation_policy?.notification_days ?? 7;
   
   if (daysDiff < 0) return 'overdue';
-  if (daysDiff <= 7) return 'due_soon';
+  if (daysDiff <= notificationDays) return 'due_soon';
   return 'current';
 }
 
-export async function getAccountById({ id, ownerId, role }) {
-  console.log(`Querying account: id=${id}, ownerId=${ownerId}, role=${role}`);
-  
-  let query = supabase.from(TABLE).select('*').eq('id', id);
+// Reconcile and logon accounts must be other accounts the caller can see
+async function assertLinkedAccounts({ accountId, links, ownerId, role }) {
+  for (const field of ['reconcile_account_id', 'logon_account_id']) {
+    const linkedId = links[field];
+    if (!linkedId) continue;
 
-  if (role === 'User') {
-    query = query.eq('owner_id', ownerId);
+    let linked = null;
+    if (linkedId !== accountId) {
+      try {
+        linked = await getAccountById({ id: linkedId, ownerId, role, action: 'use' });
+      } catch (error) {
+        linked = null;
+      }
+    }
+    if (!linked) {
+      const error = new Error(linkedId === accountId
+        ? `${field} must reference another account`
+        : `Account referenced by ${field} not found`);
+      error.status = 400;
+      throw error;
+    }
   }
+}
+
+/**
+ * Decrypted account the user may take the given action on (see safeAccessService.SAFE_ACTIONS).
+ * The password is always decrypted; callers returning it to the user apply applySecretVisibility.
+ */
+export async function getAccountById({ id, ownerId, role, action = 'view_metadata' }) {
+  console.log(`Querying account: id=${id}, ownerId=${ownerId}, role=${role}`);
+  
+  // Accounts in the recycle bin are only reachable through /recycle-bin
+  const query = supabase.from(TABLE).select('*').eq('id', id).is('deleted_at', null);
 
   // First, let's see what we get without .single()
   const { data: allData, error: listError } = await query;
@@ -289,93 +465,629 @@ export async function getAccountById({ id, ownerId, role }) {
 
   const data = allData[0];
   console.log('Found account:', { id: data.id, owner_id: data.owner_id, system_type: data.system_type });
+  assertAccountAction(data, await resolveSafeAccess({ userId: ownerId, role }), action);
 
-  return decryptAccountFields(data);
+  const safeKey = data.safe_id ? await getSafeDataKey(data.safe_id) : null;
+  return decryptAccountFields(data, safeKey);
 }
 
-export async function updateAccount({ id, ownerId, role, updates }) {
-  const { password, ...restUpdates } = updates;
-  if (password) {
-    restUpdates.encrypted_password = encrypt(password);
+export async function updateAccount({ id, ownerId, role, updates: requested }) {
+  const updates = pickEditable(requested);
+  const { data: current, error: currentError } = await supabase
+    .from(TABLE)
+    .select('*')
+    .eq('id', id)
+    .is('deleted_at', null)
+    .single();
+  if (currentError) throw currentError;
+
+  const access = await resolveSafeAccess({ userId: ownerId, role });
+  assertAccountAction(current, access, 'update');
+  if (updates.password || updates.private_key) {
+    await assertNotCheckedOutByOther(current, ownerId);
+  }
+  await assertLinkedAccounts({ accountId: id, links: updates, ownerId, role });
+
+  // Sensitive fields are encrypted with the key of the safe the account ends up in
+  const targetSafeId = updates.safe_id !== undefined ? (updates.safe_id || null) : current.safe_id;
+  if (current.safe_id && targetSafeId !== current.safe_id) {
+    // Leaving a safe, even for no safe at all, is as strong as deleting from it
+    const actions = accountActions(current, access);
+    if (!actions.has('delete') && !actions.has('manage_members')) {
+      const error = new Error('Moving an account out of its safe requires the delete or manage_members permission on the safe');
+      error.status = 403;
+      throw error;
+    }
+  }
+  if (targetSafeId && targetSafeId !== current.safe_id) {
+    assertSafeAction({ id: targetSafeId }, access, 'update');
+  }
+  const currentKey = current.safe_id ? await getSafeDataKey(current.safe_id) : null;
+  const targetKey = targetSafeId ? await getSafeDataKey(targetSafeId) : null;
+
+  const restUpdates = targetSafeId !== current.safe_id
+    ? { ...reencryptAccountFields(current, currentKey, targetKey), ...encryptAccountFields(updates, targetKey) }
+    : encryptAccountFields(updates, targetKey);
+
+  if (updates.platform_id && updates.platform_id !== current.platform_id) {
+    const currentValues = decryptAccountFields(current, currentKey);
+    const { defaults } = await applyPlatformToAccount({ ...currentValues, safe_id: targetSafeId, ...updates });
+    Object.assign(restUpdates, defaults);
+  }
+
+  // A replaced private key brings its own public key and fingerprint
+  if (updates.private_key) {
+    if (current.account_type !== SSH_KEY_ACCOUNT_TYPE) {
+      const error = new Error('Only ssh_key accounts hold a private key');
+      error.status = 400;
+      throw error;
+    }
+    const keyPair = inspectSshPrivateKey(updates.private_key, current.public_key?.split(/\s+/).slice(2).join(' ') || '');
+    Object.assign(restUpdates, {
+      public_key: keyPair.publicKey,
+      key_algorithm: keyPair.algorithm,
+      key_bits: keyPair.bits,
+      key_fingerprint: keyPair.fingerprint,
+      key_created_at: new Date().toISOString()
+    });
+  }
+
+  if (updates.password) {
+    await assertPasswordAllowed(updates.password, {
+      system_type: updates.system_type ?? current.system_type,
+      platform_id: updates.platform_id ?? current.platform_id,
+      safe_id: targetSafeId,
+      rotation_policy: updates.rotation_policy ?? current.rotation_policy,
+      username: updates.username || decryptField(current.encrypted_username, currentKey)
+    }, current);
+    // A manual password change restarts the rotation interval
+    restUpdates.last_rotated = new Date().toISOString();
   }
 
-  let query = supabase
+  if (updates.rotation_policy !== undefined || updates.password) {
+    restUpdates.next_rotation = computeNextRotation({ ...current, ...restUpdates, rotation_policy: updates.rotation_policy ?? current.rotation_policy });
+  }
+
+  // Rebuild the blind index from the new values, falling back to the stored ones
+  if (updates.username || updates.hostname_ip) {
+    Object.assign(restUpdates, blindIndexAccountFields({
+      username: updates.username || decryptField(current.encrypted_username, currentKey),
+      hostname_ip: updates.hostname_ip || decryptField(current.encrypted_hostname_ip, currentKey)
+    }));
+  }
+
+  const { data, error } = await supabase
     .from(TABLE)
     .update(restUpdates)
     .eq('id', id)
     .single();
+  if (error) throw error;
 
-  if (role === 'User') {
-    query = query.eq('owner_id', ownerId);
+  if (targetSafeId !== current.safe_id) {
+    await moveVersionsWithAccount(id, targetSafeId);
+  }
+
+  if (updates.password) {
+    const previousPassword = current.encrypted_password ? decryptField(current.encrypted_password, currentKey) : null;
+
+    // Keep the replaced password's fingerprint for the reuse check
+    const { error: historyError } = await supabase
+      .from(HISTORY_TABLE)
+      .insert([{
+        account_id: id,
+        rotated_by: ownerId,
+        rotation_type: 'manual',
+        rotation_status: 'success',
+        previous_password_fingerprint: previousPassword ? fingerprintPassword(previousPassword) : null,
+        rotated_at: restUpdates.last_rotated
+      }]);
+    if (historyError) console.error('Failed to record password change history:', historyError);
+
+    await storePreviousVersion({
+      accountId: id,
+      safeId: targetSafeId,
+      password: previousPassword,
+      source: 'manual',
+      validFrom: current.last_rotated || current.created_at,
+      replacedBy: ownerId
+    });
   }
 
-  const { data, error } = await query;
-  if (error) throw error;
   return data;
 }
 
+// Moves the account to the recycle bin; recycleBinService restores or purges it
 export async function deleteAccount({ id, ownerId, role }) {
-  let query = supabase.from(TABLE).delete().eq('id', id).single();
-  if (role === 'User') {
-    query = query.eq('owner_id', ownerId);
-  }
+  const { data: current, error: currentError } = await supabase
+    .from(TABLE)
+    .select('id, safe_id, owner_id')
+    .eq('id', id)
+    .is('deleted_at', null)
+    .single();
+  if (currentError) throw currentError;
+  assertAccountAction(current, await resolveSafeAccess({ userId: ownerId, role }), 'delete');
 
-  const { data, error } = await query;
-  console.log('data', data);
-  console.log('error', error);
+  const { data, error } = await supabase
+    .from(TABLE)
+    .update({ deleted_at: new Date().toISOString(), deleted_by: ownerId || null, deleted_with_safe: false })
+    .eq('id', id)
+    .is('deleted_at', null)
+    .select('id, safe_id, deleted_at')
+    .single();
   if (error) throw error;
   return data;
 }
 
-export async function rotateAccountPassword({ id, ownerId, role }) {
-  let selectQuery = supabase.from(TABLE).select('*').eq('id', id).single();
-  if (role === 'User') {
-    selectQuery = selectQuery.eq('owner_id', ownerId);
-  }
-
-  const { data: account, error: selectError } = await selectQuery;
+export async function rotateAccountPassword({ id, ownerId, role, rotationType = 'manual' }) {
+  const { data: account, error: selectError } = await supabase
+    .from(TABLE)
+    .select('*')
+    .eq('id', id)
+    .is('deleted_at', null)
+    .single();
   if (selectError) throw selectError;
   if (!account) throw new Error('Account not found');
+  assertAccountAction(account, await resolveSafeAccess({ userId: ownerId, role }), 'rotate');
+  // Scheduled and post-checkin rotations skip checked-out accounts on their own
+  if (rotationType === 'manual') {
+    await assertNotCheckedOutByOther(account, ownerId);
+  }
 
-  const currentPasswordHash = encrypt(account.decrypted_password);
-  const rotationType = 'automatic';
-  const newPassword = uuidv4(); // Generate new password
-  const encryptedNewPassword = encrypt(newPassword);
+  // ssh_key accounts rotate their key pair instead of a password
+  if (account.account_type === SSH_KEY_ACCOUNT_TYPE) {
+    const { rotateAccountKey } = await import('./sshKeyService.js');
+    return rotateAccountKey({ account, rotatedBy: ownerId, rotationType });
+  }
 
-  const updateQuery = supabase
-    .from(TABLE)
-    .update({
-      encrypted_password: encryptedNewPassword,
-      last_rotated: new Date(),
-      status: 'active',
-    })
-    .eq('id', id)
-    .single();
+  const driver = resolveRotationDriver(account, await getPlatform(account.platform_id));
+  if (!driver) {
+    const error = new Error(`No rotation driver for ${account.system_type} accounts${account.connection_method ? ` over ${account.connection_method}` : ''}`);
+    error.status = 400;
+    await recordFailedRotation({ accountId: id, rotatedBy: ownerId, rotationType, message: error.message });
+    throw error;
+  }
+
+  const safeKey = account.safe_id ? await getSafeDataKey(account.safe_id) : null;
+  const decrypted = decryptAccountFields(account, safeKey);
+  if (!decrypted.password || decrypted.password === '[DECRYPTION_FAILED]') {
+    const message = 'Account password could not be decrypted for rotation';
+    await recordFailedRotation({ accountId: id, rotatedBy: ownerId, rotationType, message });
+    throw new Error(message);
+  }
+
+  let newPassword;
+  try {
+    newPassword = await generatePolicyPassword(decrypted);
+    await storePendingPassword(id, newPassword, safeKey);
+  } catch (error) {
+    await recordFailedRotation({ accountId: id, rotatedBy: ownerId, rotationType, message: error.message });
+    throw error;
+  }
+
+  // Change the password on the target first; the vault only follows a verified change
+  const { PasswordRotationService } = await import('../cpm/services/PasswordRotationService.js');
+  const { CPMConfig } = await import('../cpm/config/cpmConfig.js');
+  const rotationService = new PasswordRotationService(CPMConfig.getInstance());
+
+  let result;
+  try {
+    result = await rotationService.rotate(driver, {
+      id: account.id,
+      ...buildRotationTarget(decrypted, driver),
+      password: decrypted.password,
+      newPassword
+    });
+  } catch (error) {
+    result = { success: false, passwordChanged: null, message: error.message };
+  }
+
+  // A failed rollback leaves the target on the new password, so the vault follows it;
+  // when the target state is unknown the vault keeps the old one and the pending one.
+  // Either way the account is flagged for attention.
+  let updates = null;
+  if (result.success || result.passwordChanged === true) {
+    const rotatedAt = new Date();
+    updates = {
+      encrypted_password: encryptField(newPassword, safeKey),
+      ...PENDING_PASSWORD_CLEARED,
+      last_rotated: rotatedAt,
+      next_rotation: computeNextRotation({ ...account, last_rotated: rotatedAt }),
+      status: result.success ? 'active' : 'rotation_required',
+    };
+  } else if (result.passwordChanged === null) {
+    updates = { status: 'rotation_required' };
+  } else {
+    updates = { ...PENDING_PASSWORD_CLEARED };
+  }
+
+  // The vault follows the target before anything else can fail
+  if (updates) {
+    const { error: updateError } = await supabase.from(TABLE).update(updates).eq('id', id).single();
+    if (updateError) {
+      throw new Error('Rotation failed');
+    }
+  }
+  if (updates?.encrypted_password) {
+    await storePreviousVersion({
+      accountId: id,
+      safeId: account.safe_id || null,
+      password: decrypted.password,
+      source: 'rotation',
+      rotationType,
+      validFrom: account.last_rotated || account.created_at,
+      replacedBy: ownerId
+    });
+  }
+
+  // Services, tasks and config files using the account follow a verified change
+  let dependencyResults = [];
+  if (result.success) {
+    const { propagateToDependencies } = await import('./dependencyService.js');
+    try {
+      dependencyResults = await propagateToDependencies({
+        account: decrypted,
+        previousPassword: decrypted.password,
+        newPassword,
+        userId: ownerId
+      });
+    } catch (error) {
+      console.error(`Failed to update dependencies of account ${id}:`, error);
+      dependencyResults = [{ status: 'failed', message: `Dependencies could not be updated: ${error.message}` }];
+    }
+  }
 
   const rotationHistoryEntry = {
     account_id: id,
     rotated_by: ownerId,
     rotation_type: rotationType,
-    previous_password_hash: currentPasswordHash,
-    rotation_status: 'success',
+    previous_password_fingerprint: fingerprintPassword(decrypted.password),
+    rotation_status: result.success ? 'success' : 'failed',
+    error_message: result.success ? null : result.message,
+    dependency_results: dependencyResults,
     rotated_at: new Date(),
   };
 
-  const historyQuery = supabase.from(HISTORY_TABLE).insert([rotationHistoryEntry]);
-
-  const [{ error: updateError }, { error: historyError }] = await Promise.all([updateQuery, historyQuery]);
+  const { error: historyError } = await supabase.from(HISTORY_TABLE).insert([rotationHistoryEntry]);
+  if (historyError) {
+    console.error('Failed to record rotation history:', historyError);
+  }
 
-  if (updateError || historyError) {
-    throw new Error('Rotation failed');
+  if (!result.success) {
+    const error = new Error(`Password rotation failed: ${result.message}`);
+    error.status = 502;
+    throw error;
   }
 
   return {
     ...account,
     decrypted_password: newPassword,
+    dependency_results: dependencyResults,
+  };
+}
+
+const PENDING_PASSWORD_CLEARED = { encrypted_pending_password: null, pending_password_at: null };
+
+// The new password is stored before the target is contacted, so it survives a vault
+// update failing after the target already changed
+async function storePendingPassword(id, newPassword, safeKey) {
+  const { error } = await supabase
+    .from(TABLE)
+    .update({ encrypted_pending_password: encryptField(newPassword, safeKey), pending_password_at: new Date().toISOString() })
+    .eq('id', id);
+  if (error) throw new Error(`The new password could not be stored before rotation: ${error.message}`);
+}
+
+// The password change already happened, so a version that cannot be stored is logged, not thrown
+async function storePreviousVersion(version) {
+  try {
+    await recordPasswordVersion(version);
+  } catch (error) {
+    console.error(`Failed to store previous password version of account ${version.accountId}:`, error);
+  }
+}
+
+/**
+ * Re-encrypt an account's previous password versions for the safe it moved to.
+ * The account has already moved; versions left behind stay readable, so failures are logged.
+ */
+export async function moveVersionsWithAccount(accountId, toSafeId) {
+  try {
+    await moveAccountVersions({ accountId, toSafeId: toSafeId || null });
+  } catch (error) {
+    console.error(`Failed to move password versions of account ${accountId}:`, error);
+  }
+}
+
+// History entry for a rotation that failed before the target was contacted
+async function recordFailedRotation({ accountId, rotatedBy, rotationType, message }) {
+  const { error } = await supabase.from(HISTORY_TABLE).insert([{
+    account_id: accountId,
+    rotated_by: rotatedBy || null,
+    rotation_type: rotationType,
+    rotation_status: 'failed',
+    error_message: message,
+    rotated_at: new Date(),
+  }]);
+  if (error) {
+    console.error('Failed to record rotation failure:', error);
+  }
+}
+
+/**
+ * Reset a password the target no longer accepts: the reconcile account sets a newly
+ * generated password on the target, and the vault, dependencies and vault credentials
+ * for the same host and user follow it.
+ * @param {string} trigger - 'manual', or 'verification' when a verifier hit an authentication failure
+ * @returns {Promise<Object>} Account with decrypted_password, dependency_results and credentials_updated
+ */
+export async function reconcileAccountPassword({ id, ownerId, role, trigger = 'manual', reason }) {
+  const account = await getAccountById({ id, ownerId, role, action: 'rotate' });
+  if (account.account_type === SSH_KEY_ACCOUNT_TYPE) {
+    const error = new Error('ssh_key accounts are rotated, not reconciled');
+    error.status = 400;
+    throw error;
+  }
+  if (!account.reconcile_account_id) {
+    const error = new Error('Account has no reconcile account; link one with reconcile_account_id');
+    error.status = 400;
+    throw error;
+  }
+  if (trigger === 'manual') {
+    await assertNotCheckedOutByOther(account, ownerId);
+  }
+
+  const rotatedBy = ownerId || null;
+  // Failures before the target is contacted are recorded like rotation failures
+  const fail = async (message, status) => {
+    await recordFailedRotation({ accountId: id, rotatedBy, rotationType: 'reconcile', message });
+    const error = new Error(message);
+    error.status = status;
+    return error;
+  };
+
+  const driver = resolveRotationDriver(account, await getPlatform(account.platform_id));
+  if (!driver) {
+    throw await fail(`No rotation driver for ${account.system_type} accounts${account.connection_method ? ` over ${account.connection_method}` : ''}`, 400);
+  }
+
+  let reconcileAccount;
+  try {
+    reconcileAccount = await getAccountById({ id: account.reconcile_account_id, role: 'Admin' });
+  } catch (error) {
+    throw await fail('Reconcile account not found', 400);
+  }
+  if (!reconcileAccount.password || reconcileAccount.password === '[DECRYPTION_FAILED]') {
+    throw await fail('Reconcile account password could not be decrypted', 500);
+  }
+
+  const safeKey = account.safe_id ? await getSafeDataKey(account.safe_id) : null;
+  let newPassword;
+  try {
+    newPassword = await generatePolicyPassword(account);
+    await storePendingPassword(id, newPassword, safeKey);
+  } catch (error) {
+    await recordFailedRotation({ accountId: id, rotatedBy, rotationType: 'reconcile', message: error.message });
+    throw error;
+  }
+
+  const { PasswordRotationService } = await import('../cpm/services/PasswordRotationService.js');
+  const { CPMConfig } = await import('../cpm/config/cpmConfig.js');
+  const rotationService = new PasswordRotationService(CPMConfig.getInstance());
+
+  let result;
+  try {
+    result = await rotationService.reconcile(driver, {
+      id: account.id,
+      ...buildRotationTarget(account, driver),
+      newPassword,
+      reconcileUsername: reconcileAccount.username,
+      reconcilePassword: reconcileAccount.password
+    });
+  } catch (error) {
+    result = { success: false, passwordChanged: null, message: error.message };
+  }
+
+  // As with rotation, the vault follows the target whenever the reset went through
+  const previousPassword = account.password === '[DECRYPTION_FAILED]' ? null : account.password;
+  let updates = null;
+  if (result.passwordChanged === true) {
+    const reconciledAt = new Date();
+    updates = {
+      encrypted_password: encryptField(newPassword, safeKey),
+      ...PENDING_PASSWORD_CLEARED,
+      last_rotated: reconciledAt,
+      last_reconciled_at: reconciledAt,
+      next_rotation: computeNextRotation({ ...account, last_rotated: reconciledAt }),
+      status: result.success ? 'active' : 'rotation_required',
+    };
+  } else if (result.passwordChanged === null) {
+    updates = { status: 'rotation_required' };
+  } else {
+    updates = { ...PENDING_PASSWORD_CLEARED };
+  }
+
+  if (updates) {
+    const { error: updateError } = await supabase.from(TABLE).update(updates).eq('id', id).single();
+    if (updateError) {
+      throw new Error('Reconcile failed');
+    }
+  }
+  if (updates?.encrypted_password) {
+    await storePreviousVersion({
+      accountId: id,
+      safeId: account.safe_id || null,
+      password: previousPassword,
+      source: 'reconcile',
+      rotationType: trigger,
+      validFrom: account.last_rotated || account.created_at,
+      replacedBy: rotatedBy
+    });
+  }
+
+  let dependencyResults = [];
+  let credentialsUpdated = [];
+  if (result.success) {
+    const { propagateToDependencies } = await import('./dependencyService.js');
+    try {
+      dependencyResults = await propagateToDependencies({ account, previousPassword, newPassword, userId: rotatedBy });
+    } catch (error) {
+      console.error(`Failed to update dependencies of account ${id}:`, error);
+      dependencyResults = [{ status: 'failed', message: `Dependencies could not be updated: ${error.message}` }];
+    }
+    credentialsUpdated = await syncMatchingCredentials(account, newPassword);
+  }
+
+  const { error: historyError } = await supabase.from(HISTORY_TABLE).insert([{
+    account_id: id,
+    rotated_by: rotatedBy,
+    rotation_type: 'reconcile',
+    previous_password_fingerprint: previousPassword ? fingerprintPassword(previousPassword) : null,
+    rotation_status: result.success ? 'success' : 'failed',
+    error_message: result.success ? null : result.message,
+    dependency_results: dependencyResults,
+    rotated_at: new Date(),
+  }]);
+  if (historyError) {
+    console.error('Failed to record reconcile history:', historyError);
+  }
+
+  await createAuditLog({
+    userId: rotatedBy || 'system',
+    action: result.success ? 'account_reconciled' : 'account_reconcile_failed',
+    resource: `account:${id}`,
+    metadata: {
+      trigger,
+      reason: reason || null,
+      reconcile_account_id: account.reconcile_account_id,
+      driver,
+      message: result.message,
+      password_changed: result.passwordChanged,
+      credentials_updated: credentialsUpdated,
+      dependencies_failed: dependencyResults.filter(entry => entry.status === 'failed').length
+    }
+  });
+
+  if (!result.success) {
+    const error = new Error(`Reconcile failed: ${result.message}`);
+    error.status = 502;
+    throw error;
+  }
+
+  const { password, ...rest } = account;
+  return {
+    ...rest,
+    ...updates,
+    decrypted_password: newPassword,
+    dependency_results: dependencyResults,
+    credentials_updated: credentialsUpdated,
   };
 }
 
-export async function listRotationHistory(accountId) {
+/**
+ * Reconcile after a verifier reported an authentication failure for the account.
+ * Accounts without a reconcile account are left for a manual reset.
+ * @returns {Promise<Object|null>} Reconciled account, or null when nothing was reconciled
+ */
+export async function reconcileAfterAuthenticationFailure(account) {
+  if (!account.reconcile_account_id) return null;
+
+  try {
+    return await reconcileAccountPassword({ id: account.id, role: 'Admin', trigger: 'verification' });
+  } catch (error) {
+    console.error(`Automatic reconcile of account ${account.id} failed:`, error.message);
+    return null;
+  }
+}
+
+// Vault credentials for the same host and user hold the stale password too; they get
+// the new one (inside the JSON value when they store one) and are verified again
+async function syncMatchingCredentials(account, newPassword) {
+  const { findCredentialsByHostAndUser, updateCredential } = await import('./credentialService.js');
+  const credentials = await findCredentialsByHostAndUser({
+    host: account.hostname_ip,
+    username: account.username,
+    ownerId: account.owner_id
+  });
+
+  const updated = [];
+  for (const credential of credentials) {
+    let value = newPassword;
+    try {
+      const parsed = JSON.parse(credential.password);
+      if (parsed && typeof parsed === 'object' && 'password' in parsed) {
+        value = JSON.stringify({ ...parsed, password: newPassword });
+      }
+    } catch (error) {
+      // Plain password value
+    }
+
+    try {
+      await updateCredential({
+        id: credential.id,
+        role: 'Admin',
+        updates: { value, status: 'pending', verification_error: null }
+      });
+      updated.push(credential.id);
+    } catch (error) {
+      console.error(`Failed to update credential ${credential.id} after reconcile:`, error);
+    }
+  }
+  return updated;
+}
+
+// Next scheduled rotation (interval_days after the last rotation, or after creation),
+// or null when the account's policy does not schedule rotations
+export function computeNextRotation(account) {
+  const policy = account.rotation_policy || {};
+  const intervalDays = parseInt(policy.interval_days);
+  if (policy.enabled !== true || !intervalDays || intervalDays < 1) {
+    return null;
+  }
+
+  const base = new Date(account.last_rotated || account.created_at || Date.now());
+  return new Date(base.getTime() + intervalDays * DAY_MS).toISOString();
+}
+
+// Rotation driver for an account's target system (its platform's driver first), or null when it has none
+function resolveRotationDriver(account, platform) {
+  if (platform?.rotation_driver) {
+    return platform.rotation_driver;
+  }
+
+  const credentialType = mapAccountTypeToCredentialType(account.system_type, account.connection_method);
+  if (credentialType === 'ssh' || credentialType === 'database') {
+    return credentialType;
+  }
+
+  const systemType = account.system_type?.toLowerCase() || '';
+  const connectionMethod = account.connection_method?.toLowerCase() || '';
+  if (systemType.includes('windows') || ['rdp', 'winrm', 'powershell'].includes(connectionMethod)) {
+    return 'windows';
+  }
+  return null;
+}
+
+function buildRotationTarget(account, driver) {
+  const target = {
+    host: account.hostname_ip,
+    port: account.port,
+    username: account.username
+  };
+
+  if (driver === 'windows' && !['WinRM', 'PowerShell'].includes(account.connection_method)) {
+    // Rotation always goes over WinRM, not the port used to connect (e.g. RDP)
+    target.port = null;
+  }
+  if (driver === 'database') {
+    // Platforms named after the engine (MySQL, PostgreSQL, ...) pick the driver; otherwise the port does
+    target.type = account.platform_id;
+  }
+  return target;
+}
+
+export async function listRotationHistory(accountId, { ownerId, role }) {
+  await getAccountById({ id: accountId, ownerId, role });
+
   const { data, error } = await supabase
     .from(HISTORY_TABLE)
     .select('*')
@@ -388,27 +1100,27 @@ export async function listRotationHistory(accountId) {
 
 export async function getAccountStatistics({ ownerId, role }) {
   try {
-    let baseQuery = supabase.from(TABLE);
-    
-    if (role === 'User') {
-      baseQuery = baseQuery.eq('owner_id', ownerId);
-    }
+    const access = await resolveSafeAccess({ userId: ownerId, role });
+    const accountQuery = (columns, options) => scopeAccountQuery(
+      supabase.from(TABLE).select(columns, options).is('deleted_at', null),
+      access
+    );
     
     const [totalResult, activeResult, inactiveResult, rotationDueResult, systemTypesResult] = await Promise.all([
       // Total accounts
-      baseQuery.select('id', { count: 'exact', head: true }),
+      accountQuery('id', { count: 'exact', head: true }),
       
       // Active accounts
-      baseQuery.select('id', { count: 'exact', head: true }).eq('status', 'active'),
+      accountQuery('id', { count: 'exact', head: true }).eq('status', 'active'),
       
       // Inactive accounts
-      baseQuery.select('id', { count: 'exact', head: true }).eq('status', 'inactive'),
+      accountQuery('id', { count: 'exact', head: true }).eq('status', 'inactive'),
       
       // Accounts requiring rotation (overdue)
-      baseQuery.select('id', { count: 'exact', head: true }).lt('next_rotation', new Date().toISOString()),
+      accountQuery('id', { count: 'exact', head: true }).lt('next_rotation', new Date().toISOString()),
       
       // System type distribution
-      baseQuery.select('system_type')
+      accountQuery('system_type')
     ]);
     
     // Count by system type
@@ -431,64 +1143,31 @@ export async function getAccountStatistics({ ownerId, role }) {
   }
 }
 
+// Password from complexity requirements alone; rotations use generatePolicyPassword
 export function generateSecurePassword(requirements = {}) {
-  const {
-    min_length = 16,
-    require_uppercase = true,
-    require_lowercase = true,
-    require_numbers = true,
-    require_symbols = true
-  } = requirements;
-  
-  const lowercase = 'abcdefghijklmnopqrstuvwxyz';
-  const uppercase = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
-  const numbers = '0123456789';
-  const symbols = '!@#$%^&*()_+-=[]{}|;:,.<>?';
-  
-  let charset = '';
-  let requiredChars = '';
-  
-  if (require_lowercase) {
-    charset += lowercase;
-    requiredChars += lowercase[Math.floor(Math.random() * lowercase.length)];
-  }
-  
-  if (require_uppercase) {
-    charset += uppercase;
-    requiredChars += uppercase[Math.floor(Math.random() * uppercase.length)];
-  }
-  
-  if (require_numbers) {
-    charset += numbers;
-    requiredChars += numbers[Math.floor(Math.random() * numbers.length)];
-  }
-  
-  if (require_symbols) {
-    charset += symbols;
-    requiredChars += symbols[Math.floor(Math.random() * symbols.length)];
-  }
-  
-  // Generate remaining characters
-  const remainingLength = min_length - requiredChars.length;
-  let password = requiredChars;
-  
-  for (let i = 0; i < remainingLength; i++) {
-    password += charset[Math.floor(Math.random() * charset.length)];
-  }
-  
-  // Shuffle the password
-  return password.split('').sort(() => Math.random() - 0.5).join('');
+  return generatePassword(mergePolicies(requirements));
 }
 
-export async function checkAccountsRequiringRotation() {
+// Active accounts past next_rotation whose policy allows automatic rotation,
+// in id order so callers can page through them with afterId
+export async function checkAccountsRequiringRotation({ afterId = null, limit = 100 } = {}) {
   const now = new Date().toISOString();
   
-  const { data, error } = await supabase
+  let query = supabaseAdmin
     .from(TABLE)
-    .select('*')
+    .select('id, owner_id, safe_id, rotation_policy, next_rotation')
+    .is('deleted_at', null)
     .eq('status', 'active')
-    .lt('next_rotation', now);
+    .lte('next_rotation', now)
+    .eq('rotation_policy->>auto_rotate', 'true')
+    .order('id', { ascending: true })
+    .limit(limit);
+  
+  if (afterId) {
+    query = query.gt('id', afterId);
+  }
     
+  const { data, error } = await query;
   if (error) throw error;
   return data || [];
 }
@@ -497,8 +1176,8 @@ export async function validateAccountCredentials({ id, ownerId, role, force = fa
   try {
     console.log(`Starting account validation for account ${id}, ownerId: ${ownerId}, role: ${role}`);
     
-    // Get the account details
-    const account = await getAccountById({ id, ownerId, role });
+    // Verification connects with the stored password
+    const account = await getAccountById({ id, ownerId, role, action: 'use' });
     if (!account) {
       throw new Error('Account not found');
     }
@@ -520,35 +1199,20 @@ export async function validateAccountCredentials({ id, ownerId, role, force = fa
     let password = account.password;
     if (!password && account.encrypted_password) {
       try {
-        password = decryptField(account.encrypted_password);
+        const safeKey = account.safe_id ? await getSafeDataKey(account.safe_id) : null;
+        password = decryptField(account.encrypted_password, safeKey);
       } catch (error) {
         console.error('Failed to decrypt account password:', error);
         throw new Error('Account password could not be decrypted for validation');
       }
     }
     
-    if (!password) {
+    if (!password && !account.private_key) {
       throw new Error('Account password is missing or could not be decrypted');
     }
     
     // Create credential data in the format expected by CPM verifiers
-    const connectionConfig = {
-      host: account.hostname_ip,
-      port: account.port,
-      username: account.username,
-      password: password
-    };
-    
-    const credentialData = {
-      id: account.id,
-      type: credentialType,
-      host: account.hostname_ip,
-      port: account.port,
-      username: account.username,
-      value: encrypt(JSON.stringify(connectionConfig)), // Encrypt the connection config
-      connection_method: account.connection_method,
-      system_type: account.system_type
-    };
+    const credentialData = accountAsCredential({ ...account, password });
     
     console.log(`Account mapped to credential type: ${credentialType}`);
     
@@ -593,6 +1257,33 @@ export async function validateAccountCredentials({ id, ownerId, role, force = fa
   }
 }
 
+// An account in the credential shape CPM verifiers take: the password both in plain
+// form (account existence checks) and as the encrypted connection config (verify)
+export function accountAsCredential(account) {
+  const connectionConfig = {
+    host: account.hostname_ip,
+    port: account.port,
+    username: account.username,
+    password: account.password,
+    privateKey: account.private_key
+  };
+
+  return {
+    id: account.id,
+    account_id: account.id,
+    type: mapAccountTypeToCredentialType(account.system_type, account.connection_method),
+    host: account.hostname_ip,
+    port: account.port,
+    username: account.username,
+    password: account.password,
+    privateKey: account.private_key,
+    value: encryptField(JSON.stringify(connectionConfig)),
+    connection_method: account.connection_method,
+    system_type: account.system_type,
+    platform_id: account.platform_id
+  };
+}
+
 function mapAccountTypeToCredentialType(systemType, connectionMethod) {
   // Map account system types to credential types that CPM verifiers understand
   const systemTypeLower = systemType?.toLowerCase() || '';
@@ -714,11 +1405,12 @@ export async function getValidationHistory({ accountId, ownerId, role }) {
   }
 }
 
-export async function findAccountsForVerification({ statuses, lastValidatedBefore, limit = 10 }) {
+export async function findAccountsForVerification({ statuses, lastValidatedBefore, platformIds, excludePlatformIds = [], limit = 10 }) {
   try {
     let query = supabase
       .from(TABLE)
       .select('*')
+      .is('deleted_at', null)
       .in('status', statuses);
     
     // Add condition for accounts that haven't been validated recently
@@ -726,6 +1418,14 @@ export async function findAccountsForVerification({ statuses, lastValidatedBefor
       query = query.or(`last_validated_at.is.null,last_validated_at.lt.${lastValidatedBefore}`);
     }
     
+    // Platforms with their own verification frequency are selected separately
+    if (platformIds) {
+      query = query.in('platform_id', platformIds);
+    }
+    if (excludePlatformIds.length > 0) {
+      query = query.or(`platform_id.is.null,platform_id.not.in.(${excludePlatformIds.map(id => `"${id}"`).join(',')})`);
+    }
+    
     query = query
       .order('created_at', { ascending: true })
       .limit(limit);
@@ -734,7 +1434,8 @@ export async function findAccountsForVerification({ statuses, lastValidatedBefor
     if (error) throw error;
     
     // Decrypt the accounts before returning
-    return (data || []).map(account => decryptAccountFields(account));
+    const safeKeys = await getSafeDataKeys((data || []).map(account => account.safe_id));
+    return (data || []).map(account => decryptAccountFields(account, safeKeys.get(account.safe_id) || null));
     
   } catch (error) {
     console.error('Failed to find accounts for verification:', error);
@@ -810,7 +1511,8 @@ export async function getAccountVerificationStatistics() {
   try {
     const { data, error } = await supabase
       .from(TABLE)
-      .select('last_validation_status, status');
+      .select('last_validation_status, status')
+      .is('deleted_at', null);
     
     if (error) throw error;
     
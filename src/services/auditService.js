@@ -1,7 +1,21 @@
 import supabase from '../utils/supabaseClient.js';
+import { fetchPage } from '../utils/listQuery.js';
 
 const TABLE = 'audit_logs';
 
+// Columns GET /audit can sort and filter on
+export const AUDIT_LOG_LIST = {
+  sortable: ['created_at', 'action', 'resource'],
+  filters: {
+    action: 'text',
+    resource: 'text',
+    user_id: 'uuid',
+    created_at: 'date'
+  },
+  defaultSort: '-created_at',
+  defaultLimit: 100
+};
+
 export async function logAction({ userId, action, resource, metadata = {} }) {
   const entry = {
     user_id: userId,
@@ -14,16 +28,17 @@ export async function logAction({ userId, action, resource, metadata = {} }) {
   if (error) throw error;
 }
 
-export async function listLogs({ limit = 100, userId, role }) {
-  let query = supabase
-    .from(TABLE)
-    .select('*')
-    .order('created_at', { ascending: false })
-    .limit(limit);
-  if (role === 'User') {
-    query = query.eq('user_id', userId);
-  }
-  const { data, error } = await query;
-  if (error) throw error;
-  return data;
-} 
\ No newline at end of file
+/**
+ * One page of GET /audit
+ * @param {Object} list - Parsed list query (see AUDIT_LOG_LIST)
+ * @returns {Promise<Object>} fetchPage result
+ */
+export async function listLogPage({ userId, role, list }) {
+  return fetchPage((columns, options) => {
+    let query = supabase.from(TABLE).select(columns, options);
+    if (role === 'User') {
+      query = query.eq('user_id', userId);
+    }
+    return query;
+  }, list);
+}
@@ -0,0 +1,420 @@
+import crypto from 'crypto';
+import { v4 as uuidv4 } from 'uuid';
+import { supabaseAdmin } from '../utils/supabaseClient.js';
+import { keyManager } from '../utils/keyManagement.js';
+import {
+  encryptField,
+  decryptField,
+  encryptAccountFields,
+  decryptAccountFields,
+  blindIndexAccountFields,
+  generateSafeDataKey
+} from '../utils/secureEncryption.js';
+import { getSafeDataKey, getSafeDataKeys } from './safeService.js';
+
+const BACKUP_FORMAT = 'cybervault-backup';
+const BACKUP_VERSION = 1;
+const PAGE_SIZE = 1000;
+const MAX_RECORDED_ERRORS = 100;
+
+// Restore order follows foreign keys: safes before their permissions and accounts
+// Restored in this order, so referenced tables come first
+const BACKUP_TABLES = [
+  'safes', 'user_groups', 'user_group_members', 'safe_permissions', 'platforms', 'access_policies', 'privileged_accounts', 'credentials',
+  'account_dependencies', 'account_password_versions'
+];
+
+// Tables without an id column, identified by these columns instead
+const COMPOSITE_KEYS = {
+  user_group_members: ['group_id', 'user_id']
+};
+
+// Tables whose names are unique, so a name held by another row is a conflict too
+const NAMED_TABLES = ['safes', 'user_groups'];
+
+export const CONFLICT_STRATEGIES = ['skip', 'overwrite', 'rename'];
+
+// Columns rebuilt on restore instead of being carried in the archive (a pending
+// rotation password is dropped)
+const ACCOUNT_DERIVED_COLUMNS = [
+  'encrypted_name', 'encrypted_username', 'encrypted_hostname_ip', 'encrypted_password', 'encrypted_notes', 'encrypted_private_key',
+  'username_hash', 'hostname_hash', 'username_tokens', 'hostname_tokens', 'blind_index_version',
+  'encrypted_pending_password', 'pending_password_at'
+];
+const ACCOUNT_SECRET_FIELDS = ['name', 'username', 'hostname_ip', 'password', 'notes', 'private_key'];
+const CREDENTIAL_SECRET_FIELDS = ['value', 'connection_string'];
+
+function isMissingTableError(error) {
+  return error?.code === '42P01' || error?.code === 'PGRST205';
+}
+
+function hashRows(rows) {
+  return crypto.createHash('sha256').update(JSON.stringify(rows)).digest('hex');
+}
+
+function badRequest(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+function keyColumns(table) {
+  return COMPOSITE_KEYS[table] || ['id'];
+}
+
+function rowKey(table, row) {
+  return keyColumns(table).map(column => row[column]).join(':');
+}
+
+async function fetchAllRows(table) {
+  const rows = [];
+  let offset = 0;
+
+  while (true) {
+    let query = supabaseAdmin.from(table).select('*');
+    keyColumns(table).forEach(column => {
+      query = query.order(column, { ascending: true });
+    });
+
+    const { data, error } = await query.range(offset, offset + PAGE_SIZE - 1);
+
+    if (error) throw error;
+    rows.push(...(data || []));
+    if (!data || data.length < PAGE_SIZE) break;
+    offset += PAGE_SIZE;
+  }
+
+  return rows;
+}
+
+// Replace ciphertext with plaintext so the archive does not depend on our keys
+async function exportRows(table, rows) {
+  if (table === 'safes') {
+    return rows.map(({ wrapped_data_key, ...safe }) => safe);
+  }
+
+  if (table === 'privileged_accounts') {
+    const safeKeys = await getSafeDataKeys(rows.map(row => row.safe_id));
+    return rows.map(row => {
+      const decrypted = decryptAccountFields(row, safeKeys.get(row.safe_id) || null);
+      const secrets = {};
+      for (const field of ACCOUNT_SECRET_FIELDS) {
+        if (row[`encrypted_${field}`]) secrets[field] = decrypted[field];
+      }
+      const account = { ...row };
+      ACCOUNT_DERIVED_COLUMNS.forEach(column => delete account[column]);
+      return { ...account, secrets };
+    });
+  }
+
+  if (table === 'account_password_versions') {
+    const safeKeys = await getSafeDataKeys(rows.map(row => row.safe_id));
+    return rows.map(({ encrypted_password, ...version }) => ({
+      ...version,
+      secrets: { password: decryptField(encrypted_password, safeKeys.get(version.safe_id) || null) }
+    }));
+  }
+
+  if (table === 'credentials') {
+    return rows.map(row => {
+      const secrets = {};
+      for (const field of CREDENTIAL_SECRET_FIELDS) {
+        if (row[field]) secrets[field] = decryptField(row[field]);
+      }
+      const credential = { ...row };
+      CREDENTIAL_SECRET_FIELDS.forEach(field => delete credential[field]);
+      return { ...credential, secrets };
+    });
+  }
+
+  return rows;
+}
+
+/**
+ * Export the vault into a single archive encrypted with the backup passphrase
+ * (KeyManager backup format). The manifest is repeated inside the encrypted
+ * payload so a tampered outer copy is detected on restore.
+ */
+export async function createBackup({ passphrase, userId }) {
+  const data = {};
+  const manifest = { tables: {} };
+
+  for (const table of BACKUP_TABLES) {
+    let rows;
+    try {
+      rows = await fetchAllRows(table);
+    } catch (error) {
+      if (!isMissingTableError(error)) throw error;
+      manifest.tables[table] = { skipped: true, reason: 'table not found' };
+      continue;
+    }
+
+    data[table] = await exportRows(table, rows);
+    manifest.tables[table] = { count: data[table].length, sha256: hashRows(data[table]) };
+  }
+
+  const createdAt = new Date().toISOString();
+  const payload = { format: BACKUP_FORMAT, version: BACKUP_VERSION, created_at: createdAt, manifest, data };
+
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    created_at: createdAt,
+    created_by: userId || null,
+    manifest,
+    backup: keyManager.createKeyBackup(payload, passphrase)
+  };
+}
+
+// Decrypt an archive and check every table against the manifest
+function openArchive(archive, passphrase) {
+  if (!archive || archive.format !== BACKUP_FORMAT || !archive.backup) {
+    throw badRequest('Not a CyberVault backup archive');
+  }
+  if (archive.version !== BACKUP_VERSION) {
+    throw badRequest(`Unsupported backup version ${archive.version}`);
+  }
+
+  let payload;
+  try {
+    payload = keyManager.restoreKeyBackup(archive.backup, passphrase);
+  } catch (error) {
+    throw badRequest('Unable to decrypt backup - wrong passphrase or corrupted archive');
+  }
+
+  const problems = [];
+  if (JSON.stringify(payload.manifest) !== JSON.stringify(archive.manifest)) {
+    problems.push('Archive manifest does not match the encrypted manifest');
+  }
+  for (const [table, entry] of Object.entries(payload.manifest.tables)) {
+    if (entry.skipped) continue;
+    const rows = payload.data[table] || [];
+    if (rows.length !== entry.count || hashRows(rows) !== entry.sha256) {
+      problems.push(`Table ${table} does not match its manifest entry`);
+    }
+  }
+
+  if (problems.length > 0) {
+    const error = badRequest('Backup integrity check failed');
+    error.errors = problems;
+    throw error;
+  }
+
+  return payload;
+}
+
+// Keys (see rowKey) of the rows that already exist
+async function findExistingKeys(table, rows) {
+  const [first, ...rest] = keyColumns(table);
+  const values = [...new Set(rows.map(row => row[first]))];
+  const existing = new Set();
+
+  for (let i = 0; i < values.length; i += PAGE_SIZE) {
+    const { data, error } = await supabaseAdmin
+      .from(table)
+      .select([first, ...rest].join(', '))
+      .in(first, values.slice(i, i + PAGE_SIZE));
+    if (error) throw error;
+    (data || []).forEach(row => existing.add(rowKey(table, row)));
+  }
+  return existing;
+}
+
+async function findExistingNames(table, names) {
+  const { data, error } = await supabaseAdmin
+    .from(table)
+    .select('id, name')
+    .in('name', names);
+  if (error) throw error;
+  return new Map((data || []).map(row => [row.name, row.id]));
+}
+
+// Decide per row whether it is created, skipped, overwritten or renamed
+async function planTable(table, rows, conflict, idMap) {
+  // Composite keys are made of references, so they are compared after remapping
+  const composite = Boolean(COMPOSITE_KEYS[table]);
+  const keyed = composite ? rows.map(row => remapReferences(table, row, idMap)) : rows;
+
+  const existingKeys = await findExistingKeys(table, keyed);
+  const existingNames = NAMED_TABLES.includes(table) && rows.length > 0
+    ? await findExistingNames(table, rows.map(row => row.name))
+    : new Map();
+
+  return rows.map((row, index) => {
+    const nameOwner = existingNames.get(row.name);
+    const idTaken = existingKeys.has(rowKey(table, keyed[index]));
+    // A name held by a different row is a conflict too (names are unique)
+    const nameTaken = nameOwner !== undefined && nameOwner !== row.id;
+
+    if (!idTaken && !nameTaken) {
+      return { row, action: 'create' };
+    }
+    if (conflict === 'overwrite' && !nameTaken) {
+      return { row, action: 'overwrite' };
+    }
+    // A membership that already exists cannot be restored under another key
+    if (conflict === 'skip' || composite) {
+      return { row, action: 'skip' };
+    }
+
+    // rename (or overwrite blocked by another row's name): restore as a new record
+    const newId = uuidv4();
+    idMap[table].set(row.id, newId);
+    return { row, action: 'rename', newId };
+  });
+}
+
+function remapReferences(table, row, idMap) {
+  const mapped = { ...row };
+  const remap = (column, source) => {
+    if (mapped[column] && idMap[source].has(mapped[column])) {
+      mapped[column] = idMap[source].get(mapped[column]);
+    }
+  };
+
+  if (table === 'safe_permissions' || table === 'privileged_accounts' || table === 'account_password_versions') {
+    remap('safe_id', 'safes');
+  }
+  if (table === 'safe_permissions' || table === 'user_group_members') {
+    remap('group_id', 'user_groups');
+  }
+  if (table === 'account_password_versions') {
+    remap('account_id', 'privileged_accounts');
+  }
+  if (table === 'privileged_accounts') {
+    remap('platform_id', 'platforms');
+  }
+  if (table === 'account_dependencies') {
+    remap('account_id', 'privileged_accounts');
+    remap('connect_account_id', 'privileged_accounts');
+    const credentialId = mapped.settings?.credential_id;
+    if (credentialId && idMap.credentials.has(credentialId)) {
+      mapped.settings = { ...mapped.settings, credential_id: idMap.credentials.get(credentialId) };
+    }
+  }
+  return mapped;
+}
+
+// Turn an archive row back into a database row encrypted under the current keys
+async function prepareRow(table, { row, action, newId }, idMap) {
+  const prepared = remapReferences(table, row, idMap);
+  if (action === 'rename') {
+    prepared.id = newId;
+  }
+
+  if (NAMED_TABLES.includes(table) && action === 'rename') {
+    prepared.name = `${row.name} (restored ${new Date().toISOString().slice(0, 10)})`;
+  }
+
+  if (table === 'safes') {
+    // Overwritten safes keep their existing data key so current accounts stay readable
+    if (action !== 'overwrite') {
+      prepared.wrapped_data_key = generateSafeDataKey().wrappedKey;
+    }
+  }
+
+  if (table === 'privileged_accounts') {
+    const { secrets = {}, ...account } = prepared;
+    const safeKey = account.safe_id ? await getSafeDataKey(account.safe_id) : null;
+    return {
+      ...account,
+      ...encryptAccountFields(secrets, safeKey),
+      ...blindIndexAccountFields({
+        username: secrets.username || account.username,
+        hostname_ip: secrets.hostname_ip || account.hostname_ip
+      })
+    };
+  }
+
+  if (table === 'account_password_versions') {
+    const { secrets = {}, ...version } = prepared;
+    const safeKey = version.safe_id ? await getSafeDataKey(version.safe_id) : null;
+    return { ...version, encrypted_password: encryptField(secrets.password, safeKey) };
+  }
+
+  if (table === 'credentials') {
+    const { secrets = {}, ...credential } = prepared;
+    for (const field of CREDENTIAL_SECRET_FIELDS) {
+      credential[field] = secrets[field] ? encryptField(secrets[field]) : null;
+    }
+    return credential;
+  }
+
+  return prepared;
+}
+
+async function writeRow(table, action, row) {
+  if (action === 'overwrite') {
+    let query = supabaseAdmin.from(table).update(row);
+    keyColumns(table).forEach(column => {
+      query = query.eq(column, row[column]);
+    });
+    const { error } = await query;
+    if (error) throw error;
+    return;
+  }
+
+  const { error } = await supabaseAdmin.from(table).insert([row]);
+  if (error) throw error;
+}
+
+/**
+ * Restore an archive. A dry run decrypts and verifies the archive and reports
+ * what would happen without writing anything.
+ */
+export async function restoreBackup({ archive, passphrase, conflict = 'skip', dryRun = false }) {
+  if (!CONFLICT_STRATEGIES.includes(conflict)) {
+    throw badRequest(`Conflict strategy must be one of: ${CONFLICT_STRATEGIES.join(', ')}`);
+  }
+
+  const payload = openArchive(archive, passphrase);
+  const idMap = Object.fromEntries(BACKUP_TABLES.map(table => [table, new Map()]));
+  const result = {
+    dry_run: dryRun,
+    conflict,
+    integrity: 'verified',
+    backup_created_at: payload.created_at,
+    tables: {},
+    errors: []
+  };
+
+  for (const table of BACKUP_TABLES) {
+    const entry = payload.manifest.tables[table];
+    if (!entry || entry.skipped) {
+      result.tables[table] = { skipped: true };
+      continue;
+    }
+
+    const rows = payload.data[table] || [];
+    let plan;
+    try {
+      plan = await planTable(table, rows, conflict, idMap);
+    } catch (error) {
+      if (!isMissingTableError(error)) throw error;
+      result.tables[table] = { skipped: true, reason: 'table not found in this database' };
+      continue;
+    }
+
+    const stats = { total: rows.length, create: 0, overwrite: 0, rename: 0, skip: 0, failed: 0 };
+    result.tables[table] = stats;
+
+    for (const item of plan) {
+      if (dryRun || item.action === 'skip') {
+        stats[item.action]++;
+        continue;
+      }
+
+      try {
+        await writeRow(table, item.action, await prepareRow(table, item, idMap));
+        stats[item.action]++;
+      } catch (error) {
+        stats.failed++;
+        if (result.errors.length < MAX_RECORDED_ERRORS) {
+          result.errors.push({ table, id: item.row.id || rowKey(table, item.row), message: error.message });
+        }
+      }
+    }
+  }
+
+  return result;
+}
@@ -0,0 +1,355 @@
+import { v4 as uuidv4 } from 'uuid';
+import { supabaseAdmin } from '../utils/supabaseClient.js';
+import { getAccountById, rotateAccountPassword } from './accountService.js';
+import { logAction } from './auditService.js';
+import { resolveSafeAccess, accountActions, withholdSecrets } from './safeAccessService.js';
+import { SSH_KEY_ACCOUNT_TYPE } from '../utils/sshKeys.js';
+import logger from '../utils/logger.js';
+
+const TABLE = 'account_checkouts';
+
+export const DEFAULT_CHECKOUT_MINUTES = 60;
+export const MAX_CHECKOUT_MINUTES = parseInt(process.env.CHECKOUT_MAX_MINUTES) || 480;
+
+function httpError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Checkout rules from the account's safe settings:
+ *   require_checkout      - password is only released through a checkout
+ *   rotate_after_checkin  - rotate the password when it is checked in or expires
+ *   max_checkout_minutes  - upper bound for a single checkout
+ *   require_ticket        - a ticket reference is mandatory
+ */
+export async function getCheckoutPolicy(safeId) {
+  const defaults = {
+    require_checkout: false,
+    rotate_after_checkin: false,
+    max_checkout_minutes: MAX_CHECKOUT_MINUTES,
+    require_ticket: false
+  };
+  if (!safeId) return defaults;
+
+  const { data, error } = await supabaseAdmin
+    .from('safes')
+    .select('settings')
+    .eq('id', safeId)
+    .single();
+
+  if (error) throw error;
+  const settings = data?.settings || {};
+
+  return {
+    require_checkout: settings.require_checkout === true,
+    rotate_after_checkin: settings.rotate_after_checkin === true,
+    max_checkout_minutes: Math.min(parseInt(settings.max_checkout_minutes) || MAX_CHECKOUT_MINUTES, MAX_CHECKOUT_MINUTES),
+    require_ticket: settings.require_ticket === true
+  };
+}
+
+export async function getActiveCheckout(accountId) {
+  const { data, error } = await supabaseAdmin
+    .from(TABLE)
+    .select('*')
+    .eq('account_id', accountId)
+    .eq('status', 'active')
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+// Account IDs per checkout lookup, keeping the request URL short on large exports
+const LOOKUP_BATCH_SIZE = 200;
+
+// Active checkouts by account ID and checkout policies by safe ID
+async function loadCheckoutState(accounts) {
+  const checkouts = new Map();
+  for (let start = 0; start < accounts.length; start += LOOKUP_BATCH_SIZE) {
+    const { data: active, error } = await supabaseAdmin
+      .from(TABLE)
+      .select('*')
+      .in('account_id', accounts.slice(start, start + LOOKUP_BATCH_SIZE).map(account => account.id))
+      .eq('status', 'active');
+    if (error) throw error;
+    (active || []).forEach(checkout => checkouts.set(checkout.account_id, checkout));
+  }
+
+  const policies = new Map();
+  for (const safeId of new Set(accounts.map(account => account.safe_id).filter(Boolean))) {
+    policies.set(safeId, await getCheckoutPolicy(safeId));
+  }
+  return { checkouts, policies };
+}
+
+// Secrets are locked for the caller while someone else holds the checkout, or while
+// the safe requires a checkout the caller does not hold
+function isLockedFor(account, { checkouts, policies }, userId) {
+  const checkout = checkouts.get(account.id) || null;
+  const heldByCaller = checkout && checkout.user_id === userId;
+  const requireCheckout = policies.get(account.safe_id)?.require_checkout;
+  return Boolean((checkout || requireCheckout) && !heldByCaller);
+}
+
+/**
+ * Attach the active checkout to accounts and withhold secrets (password, private
+ * key) the caller may not see: one checked out by someone else, or one in a
+ * require_checkout safe that the caller has not checked out.
+ */
+export async function applyCheckoutVisibility(accounts, userId) {
+  const list = Array.isArray(accounts) ? accounts : [accounts];
+  if (list.length === 0) return accounts;
+
+  const state = await loadCheckoutState(list);
+  const visible = list.map(account => {
+    const result = { ...account, checkout: state.checkouts.get(account.id) || null };
+    return isLockedFor(account, state, userId) ? withholdSecrets(result) : result;
+  });
+
+  return Array.isArray(accounts) ? visible : visible[0];
+}
+
+/**
+ * Refuse to release or change the secrets of accounts the caller has locked out
+ * of: 409 while someone else holds the checkout, 403 in a require_checkout safe
+ * without the caller's own checkout.
+ * @param {Object|Object[]} accounts - Rows with id and safe_id
+ */
+export async function assertNotCheckedOutByOther(accounts, userId) {
+  const list = Array.isArray(accounts) ? accounts : [accounts];
+  if (list.length === 0) return;
+
+  const state = await loadCheckoutState(list);
+  const locked = list.filter(account => isLockedFor(account, state, userId));
+  if (locked.length === 0) return;
+
+  const heldByOthers = locked.filter(account => state.checkouts.has(account.id));
+  if (heldByOthers.length > 0) {
+    const conflict = httpError(heldByOthers.length === 1 && list.length === 1
+      ? 'Account is checked out by another user'
+      : `${heldByOthers.length} account(s) are checked out by other users`, 409);
+    conflict.errors = heldByOthers.map(account => {
+      const holder = state.checkouts.get(account.id);
+      return { account_id: account.id, checked_out_by: holder.user_id, expires_at: holder.expires_at };
+    });
+    throw conflict;
+  }
+
+  const error = httpError(locked.length === 1 && list.length === 1
+    ? 'The account\'s safe requires a checkout; check the account out first'
+    : `${locked.length} account(s) are in safes that require a checkout; check them out first`, 403);
+  error.errors = locked.map(account => ({ account_id: account.id, safe_id: account.safe_id }));
+  throw error;
+}
+
+export async function listCheckouts(accountId, { limit = 50 } = {}) {
+  const { data, error } = await supabaseAdmin
+    .from(TABLE)
+    .select('*')
+    .eq('account_id', accountId)
+    .order('checked_out_at', { ascending: false })
+    .limit(limit);
+
+  if (error) throw error;
+  return data || [];
+}
+
+/**
+ * Take the exclusive lock on an account and release its password, or the private
+ * key of an ssh_key account.
+ * The partial unique index on (account_id) WHERE status = 'active' makes
+ * concurrent checkouts fail with 409.
+ */
+export async function checkoutAccount({ accountId, userId, role, reason, ticketId, durationMinutes }) {
+  const account = await getAccountById({ id: accountId, ownerId: userId, role, action: 'retrieve_password' });
+  const policy = await getCheckoutPolicy(account.safe_id);
+
+  const minutes = parseInt(durationMinutes) || Math.min(DEFAULT_CHECKOUT_MINUTES, policy.max_checkout_minutes);
+  if (minutes < 1 || minutes > policy.max_checkout_minutes) {
+    throw httpError(`Checkout duration must be between 1 and ${policy.max_checkout_minutes} minutes`, 400);
+  }
+  if (policy.require_ticket && !ticketId) {
+    throw httpError('A ticket reference is required to check out accounts in this safe', 400);
+  }
+
+  // Release a lapsed lock before trying to take it
+  await expireCheckouts({ accountId });
+
+  const now = new Date();
+  const checkout = {
+    id: uuidv4(),
+    account_id: accountId,
+    user_id: userId,
+    reason,
+    ticket_id: ticketId || null,
+    status: 'active',
+    checked_out_at: now.toISOString(),
+    expires_at: new Date(now.getTime() + minutes * 60 * 1000).toISOString()
+  };
+
+  const { data, error } = await supabaseAdmin
+    .from(TABLE)
+    .insert([checkout])
+    .select()
+    .single();
+
+  if (error) {
+    if (error.code === '23505') {
+      const holder = await getActiveCheckout(accountId);
+      const conflict = httpError('Account is already checked out', 409);
+      conflict.errors = holder ? [{ checked_out_by: holder.user_id, expires_at: holder.expires_at }] : undefined;
+      throw conflict;
+    }
+    throw error;
+  }
+
+  await logAction({
+    userId,
+    action: 'account_checked_out',
+    resource: `account:${accountId}`,
+    metadata: {
+      checkout_id: data.id,
+      reason,
+      ticket_id: data.ticket_id,
+      expires_at: data.expires_at
+    }
+  });
+
+  return {
+    checkout: data,
+    account_id: accountId,
+    username: account.username,
+    hostname_ip: account.hostname_ip,
+    password: account.password,
+    ...(account.account_type === SSH_KEY_ACCOUNT_TYPE && { private_key: account.private_key })
+  };
+}
+
+// Rotate after check-in/expiry when the safe asks for it; failures are recorded, not thrown
+async function rotateAfterRelease(checkout, account) {
+  try {
+    // System-initiated, so the owner filter applied to 'User' callers does not apply
+    await rotateAccountPassword({ id: account.id, ownerId: checkout.user_id, role: 'Admin', rotationType: 'automatic' });
+    return 'success';
+  } catch (error) {
+    logger.error(`Post-checkout rotation failed for account ${account.id}: ${error.message}`);
+    return 'failed';
+  }
+}
+
+async function releaseCheckout(checkout, { status, releasedBy }) {
+  const { data: account, error: accountError } = await supabaseAdmin
+    .from('privileged_accounts')
+    .select('id, owner_id, safe_id')
+    .eq('id', checkout.account_id)
+    .single();
+  if (accountError) throw accountError;
+
+  const policy = await getCheckoutPolicy(account.safe_id);
+  const updates = {
+    status,
+    checked_in_at: new Date().toISOString(),
+    checked_in_by: releasedBy || null
+  };
+
+  // Only the request that flips the row from active releases it
+  const { data, error } = await supabaseAdmin
+    .from(TABLE)
+    .update(updates)
+    .eq('id', checkout.id)
+    .eq('status', 'active')
+    .select()
+    .maybeSingle();
+  if (error) throw error;
+  if (!data) return null;
+
+  if (!policy.rotate_after_checkin) {
+    return data;
+  }
+
+  const rotationStatus = await rotateAfterRelease(data, account);
+  const { data: rotated, error: rotationError } = await supabaseAdmin
+    .from(TABLE)
+    .update({ rotation_status: rotationStatus })
+    .eq('id', data.id)
+    .select()
+    .single();
+  if (rotationError) throw rotationError;
+
+  return rotated;
+}
+
+export async function checkinAccount({ accountId, userId, role }) {
+  // Access check on the account itself
+  const account = await getAccountById({ id: accountId, ownerId: userId, role });
+
+  const active = await getActiveCheckout(accountId);
+  if (!active) {
+    throw httpError('Account is not checked out', 409);
+  }
+  // Forcing someone else's checkin takes manage_members on the account's safe
+  if (active.user_id !== userId) {
+    const access = await resolveSafeAccess({ userId, role });
+    if (!accountActions(account, access).has('manage_members')) {
+      throw httpError('Only the user holding the checkout or a safe manager can check it in', 403);
+    }
+  }
+
+  const released = await releaseCheckout(active, { status: 'checked_in', releasedBy: userId });
+  if (!released) {
+    throw httpError('Account is not checked out', 409);
+  }
+
+  await logAction({
+    userId,
+    action: 'account_checked_in',
+    resource: `account:${accountId}`,
+    metadata: {
+      checkout_id: released.id,
+      checked_out_by: released.user_id,
+      forced: released.user_id !== userId,
+      rotation_status: released.rotation_status || null
+    }
+  });
+
+  return released;
+}
+
+// Mark lapsed checkouts as expired (optionally for one account) and rotate where configured
+export async function expireCheckouts({ accountId } = {}) {
+  let query = supabaseAdmin
+    .from(TABLE)
+    .select('*')
+    .eq('status', 'active')
+    .lt('expires_at', new Date().toISOString());
+
+  if (accountId) {
+    query = query.eq('account_id', accountId);
+  }
+
+  const { data, error } = await query;
+  if (error) throw error;
+
+  const expired = [];
+  for (const checkout of data || []) {
+    const released = await releaseCheckout(checkout, { status: 'expired' });
+    if (!released) continue;
+
+    expired.push(released);
+    await logAction({
+      userId: released.user_id,
+      action: 'account_checkout_expired',
+      resource: `account:${released.account_id}`,
+      metadata: {
+        checkout_id: released.id,
+        expires_at: released.expires_at,
+        rotation_status: released.rotation_status || null
+      }
+    });
+  }
+
+  return expired;
+}
@@ -1,8 +1,29 @@
 import { supabaseAdmin } from '../utils/supabaseClient.js';
-import { encrypt, decrypt } from '../utils/encryption.js';
+import { encryptField, decryptField } from '../utils/secureEncryption.js';
+import { fetchPage } from '../utils/listQuery.js';
+import { scopeCredentialQuery } from './safeAccessService.js';
 
 const TABLE = 'credentials';
 
+// Columns GET /credentials can sort and filter on
+export const CREDENTIAL_LIST = {
+  sortable: ['created_at', 'updated_at', 'name', 'type', 'status', 'host', 'verified_at'],
+  filters: {
+    type: 'text',
+    status: 'text',
+    name: 'text',
+    host: 'text',
+    username: 'text',
+    system_type: 'text',
+    user_id: 'uuid',
+    port: 'integer',
+    created_at: 'date',
+    updated_at: 'date',
+    verified_at: 'date'
+  },
+  defaultSort: '-created_at'
+};
+
 export async function createCredential({ 
   userId, 
   type, 
@@ -17,10 +38,10 @@ export async function createCredential({
   ssl_enabled,
   additional_params
 }) {
-  const encryptedValue = encrypt(value);
+  const encryptedValue = encryptField(value);
   
   // Encrypt connection string if provided
-  const encryptedConnectionString = connection_string ? encrypt(connection_string) : null;
+  const encryptedConnectionString = connection_string ? encryptField(connection_string) : null;
   
   const { data, error } = await supabaseAdmin
     .from(TABLE)
@@ -49,10 +70,8 @@ export async function createCredential({
 export async function getCredentials({ userId, role }) {
   console.log(`Fetching credentials for userId: ${userId}, role: ${role}`);
   
-  let query = supabaseAdmin.from(TABLE).select('*');
-  if (role === 'User') {
-    query = query.eq('user_id', userId);
-  }
+  let query = supabaseAdmin.from(TABLE).select('*').is('deleted_at', null);
+  query = scopeCredentialQuery(query, { userId, role });
   
   const { data, error } = await query;
   
@@ -70,8 +89,8 @@ export async function getCredentials({ userId, role }) {
   try {
     return data.map((cred) => ({ 
       ...cred, 
-      value: decrypt(cred.value),
-      connection_string: cred.connection_string ? decrypt(cred.connection_string) : null
+      value: decryptField(cred.value),
+      connection_string: cred.connection_string ? decryptField(cred.connection_string) : null
     }));
   } catch (decryptError) {
     console.error('Decryption error:', decryptError);
@@ -79,41 +98,69 @@ export async function getCredentials({ userId, role }) {
   }
 }
 
-export async function getCredentialById({ id, userId, role }) {
-  let query = supabaseAdmin.from(TABLE).select('*').eq('id', id).single();
-  if (role === 'User') {
-    query = query.eq('user_id', userId);
+/**
+ * One page of GET /credentials
+ * @param {Object} list - Parsed list query (see CREDENTIAL_LIST)
+ * @returns {Promise<Object>} fetchPage result with decrypted credentials as rows
+ */
+export async function listCredentialPage({ userId, role, list }) {
+  const page = await fetchPage((columns, options) => {
+    let query = supabaseAdmin.from(TABLE).select(columns, options).is('deleted_at', null);
+    query = scopeCredentialQuery(query, { userId, role });
+    return query;
+  }, list);
+
+  try {
+    return {
+      ...page,
+      rows: page.rows.map((cred) => ({
+        ...cred,
+        value: decryptField(cred.value),
+        connection_string: cred.connection_string ? decryptField(cred.connection_string) : null
+      }))
+    };
+  } catch (decryptError) {
+    console.error('Decryption error:', decryptError);
+    throw new Error('Failed to decrypt credential values');
   }
+}
+
+export async function getCredentialById({ id, userId, role }) {
+  let query = supabaseAdmin.from(TABLE).select('*').eq('id', id).is('deleted_at', null).single();
+  query = scopeCredentialQuery(query, { userId, role });
   const { data, error } = await query;
   if (error) throw error;
   return { 
     ...data, 
-    value: decrypt(data.value),
-    connection_string: data.connection_string ? decrypt(data.connection_string) : null
+    value: decryptField(data.value),
+    connection_string: data.connection_string ? decryptField(data.connection_string) : null
   };
 }
 
 export async function updateCredential({ id, userId, role, updates }) {
   if (updates.value) {
-    updates.value = encrypt(updates.value);
+    updates.value = encryptField(updates.value);
   }
   if (updates.connection_string) {
-    updates.connection_string = encrypt(updates.connection_string);
-  }
-  let query = supabaseAdmin.from(TABLE).update(updates).eq('id', id).single();
-  if (role === 'User') {
-    query = query.eq('user_id', userId);
+    updates.connection_string = encryptField(updates.connection_string);
   }
+  let query = supabaseAdmin.from(TABLE).update(updates).eq('id', id).is('deleted_at', null).single();
+  query = scopeCredentialQuery(query, { userId, role });
   const { data, error } = await query;
   if (error) throw error;
   return data;
 }
 
+// Moves the credential to the recycle bin; recycleBinService restores or purges it
 export async function deleteCredential({ id, userId, role }) {
-  let query = supabaseAdmin.from(TABLE).delete().eq('id', id).single();
-  if (role === 'User') {
-    query = query.eq('user_id', userId);
-  }
+  let query = supabaseAdmin
+    .from(TABLE)
+    .update({ deleted_at: new Date().toISOString(), deleted_by: userId || null })
+    .eq('id', id)
+    .is('deleted_at', null)
+    .select('id, name, type, user_id, deleted_at')
+    .single();
+  query = scopeCredentialQuery(query, { userId, role });
   const { data, error } = await query;
   if (error) throw error;
   return data;
@@ -124,6 +171,7 @@ export async function findCredentialsByHostAndUser({ host, username, ownerId })
     const { data, error } = await supabaseAdmin
       .from(TABLE)
       .select('*')
+      .is('deleted_at', null)
       .eq('host', host)
       .eq('username', username)
       .eq('user_id', ownerId);
@@ -132,8 +180,8 @@ export async function findCredentialsByHostAndUser({ host, username, ownerId })
     
     return (data || []).map(credential => ({
       ...credential,
-      password: decrypt(credential.value), // Decrypt the password
-      connection_string: credential.connection_string ? decrypt(credential.connection_string) : null
+      password: decryptField(credential.value), // Decrypt the password
+      connection_string: credential.connection_string ? decryptField(credential.connection_string) : null
     }));
     
   } catch (error) {
@@ -375,6 +423,7 @@ export async function findCredentialsByHost({ host, ownerId }) {
     const { data, error } = await supabaseAdmin
       .from(TABLE)
       .select('*')
+      .is('deleted_at', null)
       .eq('host', host)
       .eq('user_id', ownerId);
     
@@ -382,8 +431,8 @@ export async function findCredentialsByHost({ host, ownerId }) {
     
     return (data || []).map(credential => ({
       ...credential,
-      password: decrypt(credential.value), // Decrypt the password
-      connection_string: credential.connection_string ? decrypt(credential.connection_string) : null
+      password: decryptField(credential.value), // Decrypt the password
+      connection_string: credential.connection_string ? decryptField(credential.connection_string) : null
     }));
     
   } catch (error) {
@@ -95,8 +95,8 @@ export async function getValidationData({ userId, role, range = '24h' }) {
     };
 
     // Build queries based on user role
-    let accountQuery = supabaseAdmin.from('privileged_accounts').select('*', { count: 'exact' });
-    let credentialQuery = supabaseAdmin.from('credentials').select('*', { count: 'exact' });
+    let accountQuery = supabaseAdmin.from('privileged_accounts').select('*', { count: 'exact' }).is('deleted_at', null);
+    let credentialQuery = supabaseAdmin.from('credentials').select('*', { count: 'exact' }).is('deleted_at', null);
     
     if (role === 'User') {
       accountQuery = accountQuery.eq('owner_id', userId);
@@ -509,7 +509,8 @@ export async function getSystemHealthData({ userId, role, range = '24h' }) {
     try {
       let accountQuery = supabaseAdmin
         .from('privileged_accounts')
-        .select('system_type, hostname_ip, last_validation_status');
+        .select('system_type, hostname_ip, last_validation_status')
+        .is('deleted_at', null);
 
       if (role === 'User') {
         accountQuery = accountQuery.eq('owner_id', userId);
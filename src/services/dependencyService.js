@@ -0,0 +1,291 @@
+import { supabaseAdmin } from '../utils/supabaseClient.js';
+import { getAccountById } from './accountService.js';
+import { getCredentialById, updateCredential } from './credentialService.js';
+import { logAction } from './auditService.js';
+import logger from '../utils/logger.js';
+
+const TABLE = 'account_dependencies';
+
+/**
+ * Where an account's password is used:
+ *   windows_service   - name is the service name
+ *   scheduled_task    - name is the task path (\Folder\Task)
+ *   iis_app_pool      - name is the application pool
+ *   config_file       - name is the file path; settings.key picks a key = value line,
+ *                       otherwise the old password is replaced wherever it appears
+ *   connection_string - settings.credential_id is a vault credential whose
+ *                       connection string (and value) embed the password
+ * settings.login overrides the account name written to Windows dependencies,
+ * settings.restart (default true) restarts services and recycles app pools,
+ * settings.sudo and settings.restart_command apply to config files.
+ */
+export const DEPENDENCY_TYPES = ['windows_service', 'scheduled_task', 'iis_app_pool', 'config_file', 'connection_string'];
+
+// Types updated on a remote host rather than in the vault
+const REMOTE_TYPES = ['windows_service', 'scheduled_task', 'iis_app_pool', 'config_file'];
+
+const EDITABLE_FIELDS = ['type', 'name', 'host', 'port', 'connect_account_id', 'settings', 'enabled'];
+
+function httpError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function pickEditable(fields) {
+  return Object.fromEntries(
+    Object.entries(fields).filter(([key, value]) => EDITABLE_FIELDS.includes(key) && value !== undefined)
+  );
+}
+
+async function assertValidDependency(dependency, { accountId, userId, role }) {
+  if (REMOTE_TYPES.includes(dependency.type) && !dependency.host) {
+    throw httpError(`host is required for ${dependency.type} dependencies`, 400);
+  }
+  if (dependency.type === 'connection_string') {
+    if (!dependency.settings?.credential_id) {
+      throw httpError('settings.credential_id is required for connection_string dependencies', 400);
+    }
+    try {
+      await getCredentialById({ id: dependency.settings.credential_id, userId, role });
+    } catch (error) {
+      throw httpError('Credential referenced by settings.credential_id not found', 400);
+    }
+  }
+  if (dependency.connect_account_id) {
+    if (dependency.connect_account_id === accountId) {
+      throw httpError('connect_account_id must be another account; leave it empty to connect as this account', 400);
+    }
+    try {
+      await getAccountById({ id: dependency.connect_account_id, ownerId: userId, role, action: 'use' });
+    } catch (error) {
+      throw httpError('Account referenced by connect_account_id not found', 400);
+    }
+  }
+}
+
+async function getDependency(accountId, dependencyId) {
+  const { data, error } = await supabaseAdmin
+    .from(TABLE)
+    .select('*')
+    .eq('id', dependencyId)
+    .eq('account_id', accountId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!data) throw httpError('Dependency not found', 404);
+  return data;
+}
+
+export async function listDependencies({ accountId, userId, role }) {
+  // Access check on the account itself
+  await getAccountById({ id: accountId, ownerId: userId, role });
+
+  const { data, error } = await supabaseAdmin
+    .from(TABLE)
+    .select('*')
+    .eq('account_id', accountId)
+    .order('created_at', { ascending: true });
+
+  if (error) throw error;
+  return data || [];
+}
+
+export async function createDependency({ accountId, userId, role, fields }) {
+  await getAccountById({ id: accountId, ownerId: userId, role, action: 'update' });
+
+  const dependency = {
+    account_id: accountId,
+    ...pickEditable(fields),
+    created_by: userId,
+    created_at: new Date().toISOString(),
+    updated_at: new Date().toISOString()
+  };
+  await assertValidDependency(dependency, { accountId, userId, role });
+
+  const { data, error } = await supabaseAdmin
+    .from(TABLE)
+    .insert([dependency])
+    .select()
+    .single();
+
+  if (error) throw error;
+
+  await logAction({
+    userId,
+    action: 'account_dependency_created',
+    resource: `account:${accountId}`,
+    metadata: { dependency_id: data.id, type: data.type, name: data.name, host: data.host }
+  });
+
+  return data;
+}
+
+export async function updateDependency({ accountId, dependencyId, userId, role, updates }) {
+  await getAccountById({ id: accountId, ownerId: userId, role, action: 'update' });
+  const existing = await getDependency(accountId, dependencyId);
+
+  const changes = pickEditable(updates);
+  await assertValidDependency({ ...existing, ...changes }, { accountId, userId, role });
+
+  const { data, error } = await supabaseAdmin
+    .from(TABLE)
+    .update({ ...changes, updated_at: new Date().toISOString() })
+    .eq('id', dependencyId)
+    .select()
+    .single();
+
+  if (error) throw error;
+
+  await logAction({
+    userId,
+    action: 'account_dependency_updated',
+    resource: `account:${accountId}`,
+    metadata: { dependency_id: dependencyId, fields: Object.keys(changes) }
+  });
+
+  return data;
+}
+
+export async function deleteDependency({ accountId, dependencyId, userId, role }) {
+  await getAccountById({ id: accountId, ownerId: userId, role, action: 'update' });
+  const existing = await getDependency(accountId, dependencyId);
+
+  const { error } = await supabaseAdmin
+    .from(TABLE)
+    .delete()
+    .eq('id', dependencyId);
+
+  if (error) throw error;
+
+  await logAction({
+    userId,
+    action: 'account_dependency_deleted',
+    resource: `account:${accountId}`,
+    metadata: { dependency_id: dependencyId, type: existing.type, name: existing.name, host: existing.host }
+  });
+}
+
+// Vault credential whose connection string embeds the account password
+async function updateConnectionString(dependency, { previousPassword, newPassword }) {
+  const credential = await getCredentialById({ id: dependency.settings.credential_id, role: 'Admin' });
+
+  const updates = {};
+  if (credential.connection_string?.includes(previousPassword)) {
+    updates.connection_string = credential.connection_string.split(previousPassword).join(newPassword);
+  }
+  if (credential.value === previousPassword) {
+    updates.value = newPassword;
+  }
+  if (Object.keys(updates).length === 0) {
+    return { success: false, message: `Current password not found in credential ${credential.name || credential.id}` };
+  }
+
+  await updateCredential({ id: credential.id, role: 'Admin', updates });
+  return { success: true, message: `Updated credential ${credential.name || credential.id}` };
+}
+
+async function pushDependency(dependency, { account, previousPassword, newPassword, propagationService }) {
+  if (dependency.type === 'connection_string') {
+    return updateConnectionString(dependency, { previousPassword, newPassword });
+  }
+
+  // Hosts are reached as the connect account, or as the rotated account with its new password
+  let connectUsername = account.username;
+  let connectPassword = newPassword;
+  if (dependency.connect_account_id) {
+    const connectAccount = await getAccountById({ id: dependency.connect_account_id, role: 'Admin' });
+    connectUsername = connectAccount.username;
+    connectPassword = connectAccount.password;
+  }
+
+  const settings = dependency.settings || {};
+  return propagationService.push(dependency.type, {
+    name: dependency.name,
+    path: dependency.name,
+    host: dependency.host,
+    port: dependency.port,
+    connectUsername,
+    connectPassword,
+    login: settings.login || account.username,
+    key: settings.key,
+    oldPassword: previousPassword,
+    password: newPassword,
+    restart: settings.restart,
+    sudo: settings.sudo === true,
+    restartCommand: settings.restart_command
+  });
+}
+
+/**
+ * Push a rotated password to every enabled dependency of the account. Failures
+ * are reported per dependency and never undo the rotation.
+ * @param {Object} account - Decrypted account
+ * @returns {Promise<Object[]>} [{ dependency_id, type, name, host, status, message, pushed_at }]
+ */
+export async function propagateToDependencies({ account, previousPassword, newPassword, userId }) {
+  const { data: dependencies, error } = await supabaseAdmin
+    .from(TABLE)
+    .select('*')
+    .eq('account_id', account.id)
+    .eq('enabled', true)
+    .order('created_at', { ascending: true });
+
+  if (error) throw error;
+  if (!dependencies || dependencies.length === 0) return [];
+
+  const { DependencyPropagationService } = await import('../cpm/services/DependencyPropagationService.js');
+  const { CPMConfig } = await import('../cpm/config/cpmConfig.js');
+  const propagationService = new DependencyPropagationService(CPMConfig.getInstance());
+
+  const results = [];
+  for (const dependency of dependencies) {
+    let result;
+    try {
+      result = await pushDependency(dependency, { account, previousPassword, newPassword, propagationService });
+    } catch (pushError) {
+      result = { success: false, message: pushError.message };
+    }
+
+    const pushedAt = new Date().toISOString();
+    results.push({
+      dependency_id: dependency.id,
+      type: dependency.type,
+      name: dependency.name,
+      host: dependency.host,
+      status: result.success ? 'success' : 'failed',
+      message: result.message,
+      pushed_at: pushedAt
+    });
+
+    const { error: updateError } = await supabaseAdmin
+      .from(TABLE)
+      .update({
+        last_push_status: result.success ? 'success' : 'failed',
+        last_push_message: result.message,
+        last_pushed_at: pushedAt
+      })
+      .eq('id', dependency.id);
+    if (updateError) {
+      logger.error(`Failed to record push status for dependency ${dependency.id}:`, updateError);
+    }
+  }
+
+  const failed = results.filter(result => result.status === 'failed');
+  if (failed.length > 0) {
+    logger.warn(`Password for account ${account.id} could not be pushed to ${failed.length} of ${results.length} dependencies`);
+  }
+
+  await logAction({
+    userId: userId || null,
+    action: 'account_dependencies_updated',
+    resource: `account:${account.id}`,
+    metadata: {
+      total: results.length,
+      failed: failed.length,
+      results: results.map(({ dependency_id, type, name, status }) => ({ dependency_id, type, name, status }))
+    }
+  });
+
+  return results;
+}
@@ -3,8 +3,9 @@ import { logtail } from '../utils/logger.js';
 import * as credentialService from './credentialService.js';
 import { NodeSSH } from 'node-ssh';
 import { WindowsVerifier } from '../cpm/verifiers/WindowsVerifier.js';
-import { decrypt, encrypt } from '../utils/encryption.js';
+import { encryptField, decryptField, blindIndexAccountFields } from '../utils/secureEncryption.js';
 import { v4 as uuidv4 } from 'uuid';
+import { fetchPage } from '../utils/listQuery.js';
 
 // Discovery target types
 export const TARGET_TYPES = {
@@ -33,6 +34,34 @@ export const SCAN_STATUS = {
   CANCELLED: 'cancelled'
 };
 
+// Columns GET /discovery/scans can sort and filter on
+export const SCAN_LIST = {
+  sortable: ['created_at', 'updated_at', 'started_at', 'status'],
+  filters: {
+    status: 'text',
+    target_id: 'uuid',
+    user_id: 'uuid',
+    created_at: 'date',
+    started_at: 'date'
+  },
+  defaultSort: '-created_at'
+};
+
+// Columns GET /discovery/accounts can sort and filter on
+export const DISCOVERED_ACCOUNT_LIST = {
+  sortable: ['discovered_at', 'created_at', 'status', 'system_type'],
+  filters: {
+    status: 'text',
+    system_type: 'text',
+    account_type: 'text',
+    discovery_scan_id: 'uuid',
+    owner_id: 'uuid',
+    discovered_at: 'date',
+    created_at: 'date'
+  },
+  defaultSort: '-discovered_at'
+};
+
 /**
  * Create a discovery target
  */
@@ -460,7 +489,7 @@ async function enumerateLinuxAccounts(target, credential) {
     let password;
     try {
       if (credential.value) {
-        password = decrypt(credential.value);
+        password = decryptField(credential.value);
       } else {
         password = credential.password;
       }
@@ -929,7 +958,8 @@ async function storeDiscoveredAccounts(scanId, target, accounts, userId) {
       id: uuidv4(),
       owner_id: userId,
       username: account.username,
-      encrypted_password: encrypt('[DISCOVERED_ACCOUNT_NO_PASSWORD]'), // Placeholder for discovered accounts
+      encrypted_password: encryptField('[DISCOVERED_ACCOUNT_NO_PASSWORD]'), // Placeholder for discovered accounts
+      ...blindIndexAccountFields({ username: account.username, hostname_ip: target.hostname }),
       system_type: mapTargetTypeToSystemType(target.target_type),
       hostname_ip: target.hostname,
       account_description: `Discovered via ${target.name} scan`,
@@ -1026,6 +1056,28 @@ export async function getDiscoveryScans({ userId, role, targetId = null, limit =
   }
 }
 
+/**
+ * One page of GET /discovery/scans
+ * @param {Object} list - Parsed list query (see SCAN_LIST)
+ */
+export async function listScanPage({ userId, role, targetId = null, list }) {
+  return fetchPage((columns, options) => {
+    let query = supabaseAdmin.from('discovery_scans').select(columns, options);
+
+    if (role === 'User') {
+      query = query.eq('user_id', userId);
+    }
+
+    if (targetId) {
+      query = query.eq('target_id', targetId);
+    }
+    return query;
+  }, list, `
+    *,
+    discovery_targets:target_id (name, target_type, hostname)
+  `);
+}
+
 /**
  * Get discovered accounts pending approval
  */
@@ -1035,6 +1087,7 @@ export async function getDiscoveredAccounts({ userId, role, scanId = null, statu
       .from('privileged_accounts')
       .select('*')
       .eq('discovered', true)
+      .is('deleted_at', null)
       .order('discovered_at', { ascending: false });
 
     if (role === 'User') {
@@ -1059,6 +1112,36 @@ export async function getDiscoveredAccounts({ userId, role, scanId = null, statu
   }
 }
 
+/**
+ * One page of GET /discovery/accounts; without a status filter only accounts
+ * awaiting approval (inactive) are listed
+ * @param {Object} list - Parsed list query (see DISCOVERED_ACCOUNT_LIST)
+ */
+export async function listDiscoveredAccountPage({ userId, role, scanId = null, list }) {
+  const statusFiltered = list.filters.some(filter => filter.column === 'status');
+
+  return fetchPage((columns, options) => {
+    let query = supabaseAdmin
+      .from('privileged_accounts')
+      .select(columns, options)
+      .eq('discovered', true)
+      .is('deleted_at', null);
+
+    if (role === 'User') {
+      query = query.eq('owner_id', userId);
+    }
+
+    if (scanId) {
+      query = query.eq('discovery_scan_id', scanId);
+    }
+
+    if (!statusFiltered) {
+      query = query.eq('status', 'inactive');
+    }
+    return query;
+  }, list);
+}
+
 /**
  * Approve and onboard discovered accounts
  */
@@ -0,0 +1,47 @@
+import { supabaseAdmin } from '../utils/supabaseClient.js';
+
+// Columns holding ciphertext written by encryptField (or a legacy format awaiting migration)
+export const ENCRYPTED_COLUMNS = {
+  safes: ['wrapped_data_key'],
+  privileged_accounts: ['encrypted_name', 'encrypted_username', 'encrypted_hostname_ip', 'encrypted_password', 'encrypted_notes', 'encrypted_private_key', 'encrypted_pending_password'],
+  credentials: ['value', 'connection_string'],
+  ssh_certificate_authorities: ['encrypted_private_key'],
+  account_password_versions: ['encrypted_password']
+};
+
+// Account fields and password versions in a safe are encrypted with the safe's data key instead
+export const SAFE_KEYED_TABLES = ['privileged_accounts', 'account_password_versions'];
+
+const ENVELOPE_PATTERN = 'ev1:%';
+const SAFE_ENVELOPE_PATTERN = 'sv1:%';
+
+// Count values per table/column that are still in a pre-envelope format
+export async function countLegacyCiphertexts() {
+  const tables = {};
+  let total = 0;
+
+  for (const [table, columns] of Object.entries(ENCRYPTED_COLUMNS)) {
+    tables[table] = {};
+
+    for (const column of columns) {
+      const { count, error } = await supabaseAdmin
+        .from(table)
+        .select('id', { count: 'exact', head: true })
+        .not(column, 'is', null)
+        .not(column, 'like', ENVELOPE_PATTERN)
+        .not(column, 'like', SAFE_ENVELOPE_PATTERN);
+
+      if (error) throw error;
+
+      tables[table][column] = count || 0;
+      total += count || 0;
+    }
+  }
+
+  return {
+    total,
+    tables,
+    migration_complete: total === 0,
+    checked_at: new Date().toISOString()
+  };
+}
@@ -0,0 +1,239 @@
+import { supabaseAdmin } from '../utils/supabaseClient.js';
+import { logAction } from './auditService.js';
+
+const TABLE = 'user_groups';
+const MEMBERS_TABLE = 'user_group_members';
+
+const EDITABLE_FIELDS = ['name', 'description'];
+
+function httpError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function pickEditable(fields) {
+  return Object.fromEntries(
+    Object.entries(fields).filter(([key, value]) => EDITABLE_FIELDS.includes(key) && value !== undefined)
+  );
+}
+
+// Members must be existing users
+async function assertUsersExist(userIds) {
+  const { data, error } = await supabaseAdmin
+    .from('profiles')
+    .select('id')
+    .in('id', userIds);
+
+  if (error) throw error;
+  const found = new Set((data || []).map(profile => profile.id));
+  const missing = userIds.filter(id => !found.has(id));
+  if (missing.length > 0) {
+    throw httpError(`Unknown user(s): ${missing.join(', ')}`, 400);
+  }
+}
+
+export async function listGroups() {
+  const { data, error } = await supabaseAdmin
+    .from(TABLE)
+    .select(`*, ${MEMBERS_TABLE}(count)`)
+    .order('name', { ascending: true });
+
+  if (error) throw error;
+  return (data || []).map(({ [MEMBERS_TABLE]: members, ...group }) => ({
+    ...group,
+    member_count: members?.[0]?.count || 0
+  }));
+}
+
+/**
+ * A group with its members
+ * @returns {Promise<Object>} Group with members: [{ user_id, role, added_by, added_at }]
+ */
+export async function getGroupById(id) {
+  const { data: group, error } = await supabaseAdmin
+    .from(TABLE)
+    .select('*')
+    .eq('id', id)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!group) throw httpError(`Group ${id} not found`, 404);
+
+  return { ...group, members: await listGroupMembers(id) };
+}
+
+export async function listGroupMembers(groupId) {
+  const { data, error } = await supabaseAdmin
+    .from(MEMBERS_TABLE)
+    .select(`
+      user_id,
+      added_by,
+      added_at,
+      profiles!user_group_members_user_id_fkey(
+        id,
+        role
+      )
+    `)
+    .eq('group_id', groupId)
+    .order('added_at', { ascending: true });
+
+  if (error) throw error;
+  return (data || []).map(({ profiles, ...member }) => ({ ...member, role: profiles?.role || null }));
+}
+
+/**
+ * IDs of the groups a user belongs to
+ */
+export async function listUserGroupIds(userId) {
+  const { data, error } = await supabaseAdmin
+    .from(MEMBERS_TABLE)
+    .select('group_id')
+    .eq('user_id', userId);
+
+  if (error) throw error;
+  return (data || []).map(member => member.group_id);
+}
+
+export async function createGroup({ userId, members = [], ...fields }) {
+  const memberIds = [...new Set(members)];
+  if (memberIds.length > 0) await assertUsersExist(memberIds);
+
+  const { data: group, error } = await supabaseAdmin
+    .from(TABLE)
+    .insert([{
+      ...pickEditable(fields),
+      created_by: userId,
+      created_at: new Date().toISOString(),
+      updated_at: new Date().toISOString()
+    }])
+    .select()
+    .single();
+
+  if (error) {
+    if (error.code === '23505') {
+      throw httpError(`Group '${fields.name}' already exists`, 409);
+    }
+    throw error;
+  }
+
+  if (memberIds.length > 0) {
+    await insertMembers(group.id, memberIds, userId);
+  }
+
+  await logAction({
+    userId,
+    action: 'group_created',
+    resource: `group:${group.id}`,
+    metadata: { name: group.name, members: memberIds }
+  });
+
+  return getGroupById(group.id);
+}
+
+export async function updateGroup({ id, userId, updates }) {
+  await getGroupById(id);
+
+  const changes = pickEditable(updates);
+  const { data, error } = await supabaseAdmin
+    .from(TABLE)
+    .update({ ...changes, updated_at: new Date().toISOString() })
+    .eq('id', id)
+    .select()
+    .single();
+
+  if (error) {
+    if (error.code === '23505') {
+      throw httpError(`Group '${changes.name}' already exists`, 409);
+    }
+    throw error;
+  }
+
+  await logAction({
+    userId,
+    action: 'group_updated',
+    resource: `group:${id}`,
+    metadata: { fields: Object.keys(changes) }
+  });
+
+  return data;
+}
+
+// Safe permissions granted to the group are deleted with it
+export async function deleteGroup({ id, userId }) {
+  const group = await getGroupById(id);
+
+  const { error } = await supabaseAdmin
+    .from(TABLE)
+    .delete()
+    .eq('id', id);
+
+  if (error) throw error;
+
+  await logAction({
+    userId,
+    action: 'group_deleted',
+    resource: `group:${id}`,
+    metadata: { name: group.name, members: group.members.map(member => member.user_id) }
+  });
+}
+
+async function insertMembers(groupId, memberIds, addedBy) {
+  const { error } = await supabaseAdmin
+    .from(MEMBERS_TABLE)
+    .upsert(
+      memberIds.map(memberId => ({
+        group_id: groupId,
+        user_id: memberId,
+        added_by: addedBy,
+        added_at: new Date().toISOString()
+      })),
+      { onConflict: 'group_id,user_id', ignoreDuplicates: true }
+    );
+
+  if (error) throw error;
+}
+
+/**
+ * Add users to a group; existing members are left as they are
+ * @returns {Promise<Object[]>} Members after the change
+ */
+export async function addGroupMembers({ id, userIds, userId }) {
+  await getGroupById(id);
+  const memberIds = [...new Set(userIds)];
+  await assertUsersExist(memberIds);
+  await insertMembers(id, memberIds, userId);
+
+  await logAction({
+    userId,
+    action: 'group_members_added',
+    resource: `group:${id}`,
+    metadata: { members: memberIds }
+  });
+
+  return listGroupMembers(id);
+}
+
+// Access through the group ends with the membership; permissions are resolved per request
+export async function removeGroupMember({ id, memberId, userId }) {
+  await getGroupById(id);
+
+  const { data, error } = await supabaseAdmin
+    .from(MEMBERS_TABLE)
+    .delete()
+    .eq('group_id', id)
+    .eq('user_id', memberId)
+    .select('user_id');
+
+  if (error) throw error;
+  if (!data || data.length === 0) {
+    throw httpError(`User ${memberId} is not a member of group ${id}`, 404);
+  }
+
+  await logAction({
+    userId,
+    action: 'group_member_removed',
+    resource: `group:${id}`,
+    metadata: { member: memberId }
+  });
+}
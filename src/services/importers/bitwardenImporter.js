@@ -0,0 +1,66 @@
+/**
+ * Bitwarden JSON export importer (unencrypted personal or organization export)
+ * Folders, or the first collection for organization exports, become folders.
+ * Only login items carry credentials; other item types are reported as skipped.
+ */
+
+const LOGIN_ITEM = 1;
+
+function badFile(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+/**
+ * @param {string|Object} file - Export JSON text or parsed object
+ * @returns {Object[]} Normalized entries
+ */
+export function parse(file) {
+  let data = file;
+  if (typeof file === 'string') {
+    try {
+      data = JSON.parse(file);
+    } catch (error) {
+      throw badFile('Bitwarden export is not valid JSON');
+    }
+  }
+
+  if (data?.encrypted) {
+    throw badFile('Encrypted Bitwarden exports are not supported; export as unencrypted JSON');
+  }
+  if (!Array.isArray(data?.items)) {
+    throw badFile('Not a Bitwarden JSON export (items missing)');
+  }
+
+  const folders = new Map((data.folders || []).map(folder => [folder.id, folder.name]));
+  const collections = new Map((data.collections || []).map(collection => [collection.id, collection.name]));
+
+  return data.items.map(item => {
+    const fields = Object.fromEntries((item.fields || []).map(field => [field.name, field.value ?? '']));
+    const folder = folders.get(item.folderId) || collections.get(item.collectionIds?.[0]) || null;
+
+    if (item.type !== LOGIN_ITEM) {
+      return { source_id: item.id, folder, title: item.name || '', skip: 'Only login items can be imported' };
+    }
+
+    return {
+      source_id: item.id,
+      folder,
+      title: item.name || '',
+      username: item.login?.username || '',
+      password: item.login?.password || '',
+      url: item.login?.uris?.[0]?.uri || '',
+      notes: item.notes || '',
+      tags: [],
+      fields: {
+        ...fields,
+        name: item.name || '',
+        username: item.login?.username || '',
+        password: item.login?.password || '',
+        uri: item.login?.uris?.[0]?.uri || '',
+        notes: item.notes || ''
+      }
+    };
+  });
+}
@@ -0,0 +1,52 @@
+/**
+ * CyberArk account CSV importer (PVWA bulk upload / export format)
+ * The Safe column becomes the folder and PlatformID the platform_id.
+ */
+
+import { parseCsv } from '../../utils/csv.js';
+
+// Normalized field -> accepted column names (compared case-insensitively, spaces ignored)
+const COLUMNS = {
+  title: ['name', 'accountname', 'objectname'],
+  username: ['username'],
+  password: ['password', 'secret'],
+  address: ['address', 'hostname'],
+  port: ['port'],
+  folder: ['safe', 'safename'],
+  platform_id: ['platformid', 'policyid'],
+  notes: ['notes', 'description', 'comment']
+};
+
+function normalizeColumn(name) {
+  return name.toLowerCase().replace(/[\s_]/g, '');
+}
+
+function pick(row, names) {
+  const key = Object.keys(row).find(column => names.includes(normalizeColumn(column)));
+  return key ? row[key] : '';
+}
+
+/**
+ * @param {string} file - CSV text
+ * @returns {Object[]} Normalized entries
+ */
+export function parse(file) {
+  return parseCsv(String(file)).map((row, index) => {
+    const address = pick(row, COLUMNS.address);
+    const username = pick(row, COLUMNS.username);
+
+    return {
+      source_id: String(index + 1),
+      folder: pick(row, COLUMNS.folder) || null,
+      title: pick(row, COLUMNS.title) || (username && address ? `${username}@${address}` : ''),
+      username,
+      password: pick(row, COLUMNS.password),
+      host: address,
+      port: pick(row, COLUMNS.port),
+      platform_id: pick(row, COLUMNS.platform_id),
+      notes: pick(row, COLUMNS.notes),
+      tags: [],
+      fields: row
+    };
+  });
+}
@@ -0,0 +1,84 @@
+/**
+ * KeePass KDBX importer (KDBX 3.1 and 4)
+ * Groups become folders (path below the root group); the recycle bin is skipped.
+ */
+
+import kdbxweb from '../../utils/keepass.js';
+
+const STANDARD_FIELDS = ['Title', 'UserName', 'Password', 'URL', 'Notes'];
+
+function toArrayBuffer(buffer) {
+  return buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength);
+}
+
+function fieldText(value) {
+  if (value instanceof kdbxweb.ProtectedValue) return value.getText();
+  return value === undefined || value === null ? '' : String(value);
+}
+
+function badFile(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+/**
+ * @param {Buffer} file - KDBX file contents
+ * @param {Object} options - password (master password), keyFile (Buffer, optional)
+ * @returns {Promise<Object[]>} Normalized entries
+ */
+export async function parse(file, { password, keyFile } = {}) {
+  if (!Buffer.isBuffer(file) || file.length === 0) {
+    throw badFile('KeePass import requires the database file (base64)');
+  }
+
+  const credentials = new kdbxweb.Credentials(
+    password ? kdbxweb.ProtectedValue.fromString(password) : null,
+    keyFile ? toArrayBuffer(keyFile) : null
+  );
+
+  let db;
+  try {
+    db = await kdbxweb.Kdbx.load(toArrayBuffer(file), credentials);
+  } catch (error) {
+    if (error.code === kdbxweb.Consts.ErrorCodes.InvalidKey) {
+      throw badFile('Wrong KeePass master password or key file');
+    }
+    throw badFile(`Unable to read KeePass database: ${error.message}`);
+  }
+
+  const recycleBin = db.meta.recycleBinEnabled ? db.meta.recycleBinUuid?.id : null;
+  const entries = [];
+
+  const walk = (group, path) => {
+    if (recycleBin && group.uuid?.id === recycleBin) return;
+
+    for (const entry of group.entries) {
+      const fields = {};
+      for (const [name, value] of entry.fields) {
+        fields[name] = fieldText(value);
+      }
+      const custom = Object.fromEntries(Object.entries(fields).filter(([name]) => !STANDARD_FIELDS.includes(name)));
+
+      entries.push({
+        source_id: entry.uuid.id,
+        folder: path.length > 0 ? path.join('/') : null,
+        title: fields.Title || '',
+        username: fields.UserName || '',
+        password: fields.Password || '',
+        url: fields.URL || '',
+        notes: fields.Notes || '',
+        tags: entry.tags || [],
+        fields: { ...custom, ...fields }
+      });
+    }
+
+    for (const child of group.groups) {
+      walk(child, [...path, child.name]);
+    }
+  };
+
+  // The root group itself is not a folder
+  walk(db.getDefaultGroup(), []);
+  return entries;
+}
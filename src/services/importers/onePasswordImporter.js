@@ -0,0 +1,46 @@
+/**
+ * 1Password CSV export importer
+ * Handles the 1Password 7/8 column names; a Vault or Folder column becomes the folder.
+ */
+
+import { parseCsv } from '../../utils/csv.js';
+
+// Normalized field -> accepted column names (compared case-insensitively)
+const COLUMNS = {
+  title: ['title', 'name'],
+  username: ['username', 'login_username', 'user name'],
+  password: ['password', 'login_password'],
+  url: ['url', 'website', 'login_url', 'urls'],
+  notes: ['notes', 'notesplain', 'note'],
+  folder: ['vault', 'folder'],
+  tags: ['tags']
+};
+
+function pick(row, names) {
+  const key = Object.keys(row).find(column => names.includes(column.toLowerCase()));
+  return key ? row[key] : '';
+}
+
+/**
+ * @param {string} file - CSV text
+ * @returns {Object[]} Normalized entries
+ */
+export function parse(file) {
+  return parseCsv(String(file)).map((row, index) => {
+    if (pick(row, ['archived']).toLowerCase() === 'true') {
+      return { source_id: String(index + 1), folder: null, title: pick(row, COLUMNS.title), skip: 'Archived item' };
+    }
+
+    return {
+      source_id: String(index + 1),
+      folder: pick(row, COLUMNS.folder) || null,
+      title: pick(row, COLUMNS.title),
+      username: pick(row, COLUMNS.username),
+      password: pick(row, COLUMNS.password),
+      url: pick(row, COLUMNS.url).split(/[\s,]+/)[0] || '',
+      notes: pick(row, COLUMNS.notes),
+      tags: pick(row, COLUMNS.tags).split(/[;,]/).map(tag => tag.trim()).filter(Boolean),
+      fields: row
+    };
+  });
+}
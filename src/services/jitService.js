@@ -1,9 +1,37 @@
 import supabase, { supabaseAdmin } from '../utils/supabaseClient.js';
 import { v4 as uuidv4 } from 'uuid';
+import { fetchPage } from '../utils/listQuery.js';
 
 const TABLE = 'jit_sessions';
 
-export async function requestJITAccess({ userId, resource, system, reason, durationMinutes }) {
+// Columns GET /jit can sort and filter on, on top of its status parameter
+export const SESSION_LIST = {
+  sortable: ['created_at', 'expires_at', 'resource', 'system'],
+  filters: {
+    resource: 'text',
+    system: 'text',
+    user_id: 'uuid',
+    created_at: 'date',
+    expires_at: 'date'
+  },
+  defaultSort: '-created_at'
+};
+
+function httpError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+const SESSION_COLUMNS = `
+  *,
+  profiles!jit_sessions_user_id_fkey(
+    id,
+    role
+  )
+`;
+
+export async function requestJITAccess({ userId, resource, system, reason, durationMinutes, sshPrincipals }) {
   // Validate required fields
   if (!reason || reason.trim() === '') {
     throw new Error('Business justification reason is required and cannot be empty');
@@ -19,6 +47,10 @@ export async function requestJITAccess({ userId, resource, system, reason, durat
     expires_at: expiresAt,
     active: true,
   };
+  // Only sent when given, so the column is not required before the SSH CA migration
+  if (sshPrincipals && sshPrincipals.length > 0) {
+    session.ssh_principals = [...new Set(sshPrincipals)];
+  }
   const { data, error } = await supabase.from(TABLE).insert([session]).single();
   if (error) throw error;
   return data;
@@ -54,71 +86,35 @@ export async function listActiveSessions({ userId, role }) {
   return await enrichSessionsWithUserData(data || []);
 }
 
-export async function listSessionHistory({ userId, role, limit = 50, offset = 0 }) {
-  console.log(`Fetching JIT session history for userId: ${userId}, role: ${role}`);
-  
-  let query = supabase
-    .from(TABLE)
-    .select(`
-      *,
-      profiles!jit_sessions_user_id_fkey(
-        id,
-        role
-      )
-    `)
-    .eq('active', false)
-    .order('created_at', { ascending: false })
-    .range(offset, offset + limit - 1);
-    
-  if (role === 'User') {
-    query = query.eq('user_id', userId);
-  }
-  
-  const { data, error } = await query;
-  if (error) throw error;
-  
-  return await enrichSessionsWithUserData(data || []);
-}
-
-export async function getAllSessions({ userId, role, status = 'all', limit = 50, offset = 0 }) {
-  console.log(`Fetching all JIT sessions for userId: ${userId}, role: ${role}, status: ${status}`);
-  
-  // Cleanup expired sessions first
+/**
+ * One page of GET /jit
+ * @param {string} status - active, history, expired, expiring_soon or all
+ * @param {Object} list - Parsed list query (see SESSION_LIST)
+ * @returns {Promise<Object>} fetchPage result with enriched sessions as rows
+ */
+export async function listSessionPage({ userId, role, status = 'active', list }) {
   await cleanupExpiredSessions();
-  
+
   const nowIso = new Date().toISOString();
-  
-  let query = supabase
-    .from(TABLE)
-    .select(`
-      *,
-      profiles!jit_sessions_user_id_fkey(
-        id,
-        role
-      )
-    `)
-    .order('created_at', { ascending: false })
-    .range(offset, offset + limit - 1);
-  
-  // Apply status filter
-  if (status === 'active') {
-    query = query.eq('active', true).gt('expires_at', nowIso);
-  } else if (status === 'expired') {
-    query = query.eq('active', false);
-  } else if (status === 'expiring_soon') {
-    const soonThreshold = new Date(Date.now() + 30 * 60 * 1000).toISOString(); // 30 minutes
-    query = query.eq('active', true).gt('expires_at', nowIso).lt('expires_at', soonThreshold);
-  }
-  // status === 'all' means no additional filter
-    
-  if (role === 'User') {
-    query = query.eq('user_id', userId);
-  }
-  
-  const { data, error } = await query;
-  if (error) throw error;
-  
-  return await enrichSessionsWithUserData(data || []);
+  const page = await fetchPage((columns, options) => {
+    let query = supabase.from(TABLE).select(columns, options);
+
+    if (status === 'active') {
+      query = query.eq('active', true).gt('expires_at', nowIso);
+    } else if (status === 'history' || status === 'expired') {
+      query = query.eq('active', false);
+    } else if (status === 'expiring_soon') {
+      const soonThreshold = new Date(Date.now() + 30 * 60 * 1000).toISOString(); // 30 minutes
+      query = query.eq('active', true).gt('expires_at', nowIso).lt('expires_at', soonThreshold);
+    }
+
+    if (role === 'User') {
+      query = query.eq('user_id', userId);
+    }
+    return query;
+  }, list, SESSION_COLUMNS);
+
+  return { ...page, rows: await enrichSessionsWithUserData(page.rows) };
 }
 
 // Helper function to enrich sessions with user data
@@ -267,6 +263,45 @@ export async function extendSession({ id, userId, role, additionalMinutes }) {
   return data;
 }
 
+/**
+ * Approve or reject a pending session; requesters cannot decide their own.
+ * A rejected session ends immediately.
+ * @returns {Promise<Object>} Updated session
+ */
+export async function reviewSession({ id, userId, approved }) {
+  const { data: session, error: selectError } = await supabase
+    .from(TABLE)
+    .select('id, user_id, approval_status')
+    .eq('id', id)
+    .maybeSingle();
+
+  if (selectError) throw selectError;
+  if (!session) throw httpError('Session not found', 404);
+  if (session.user_id === userId) {
+    throw httpError('Sessions must be approved by someone other than the requester', 403);
+  }
+
+  const updates = {
+    approval_status: approved ? 'approved' : 'rejected',
+    approved_by: userId,
+    approved_at: new Date().toISOString()
+  };
+  if (!approved) updates.active = false;
+
+  // Only a pending session can be decided, even when two reviewers race
+  const { data, error } = await supabase
+    .from(TABLE)
+    .update(updates)
+    .eq('id', id)
+    .eq('approval_status', 'pending')
+    .select()
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!data) throw httpError(`Session is already ${session.approval_status}`, 409);
+  return data;
+}
+
 export async function getSessionById({ id, userId, role }) {
   let query = supabase.from(TABLE).select('*').eq('id', id).single();
   if (role === 'User') {
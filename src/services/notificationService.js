@@ -0,0 +1,75 @@
+import { supabaseAdmin } from '../utils/supabaseClient.js';
+import { getNotificationPreferences } from './userService.js';
+import logger from '../utils/logger.js';
+
+const TABLE = 'notifications';
+
+/**
+ * Store an in-app notification for a user unless they turned off the matching
+ * preference (a key of notification_preferences, e.g. credentialRotation).
+ * Returns the notification, or null when it was suppressed.
+ */
+export async function notifyUser({ userId, type, title, message, metadata = {}, preference }) {
+  if (!userId) return null;
+
+  if (preference) {
+    const preferences = await getNotificationPreferences(userId);
+    if (preferences[preference] === false) {
+      return null;
+    }
+  }
+
+  const { data, error } = await supabaseAdmin
+    .from(TABLE)
+    .insert([{
+      user_id: userId,
+      type,
+      title,
+      message,
+      metadata,
+      created_at: new Date().toISOString()
+    }])
+    .select()
+    .single();
+
+  if (error) {
+    logger.error(`Failed to store ${type} notification for user ${userId}:`, error);
+    throw error;
+  }
+  return data;
+}
+
+export async function listNotifications({ userId, unreadOnly = false, limit = 50, offset = 0 }) {
+  let query = supabaseAdmin
+    .from(TABLE)
+    .select('*', { count: 'exact' })
+    .eq('user_id', userId)
+    .order('created_at', { ascending: false })
+    .range(offset, offset + limit - 1);
+
+  if (unreadOnly) {
+    query = query.is('read_at', null);
+  }
+
+  const { data, error, count } = await query;
+  if (error) throw error;
+  return { notifications: data || [], total: count || 0 };
+}
+
+export async function markNotificationRead({ id, userId }) {
+  const { data, error } = await supabaseAdmin
+    .from(TABLE)
+    .update({ read_at: new Date().toISOString() })
+    .eq('id', id)
+    .eq('user_id', userId)
+    .select()
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!data) {
+    const notFound = new Error('Notification not found');
+    notFound.status = 404;
+    throw notFound;
+  }
+  return data;
+}
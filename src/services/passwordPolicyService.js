@@ -0,0 +1,308 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { supabaseAdmin } from '../utils/supabaseClient.js';
+import { decryptField, matchesPasswordFingerprint } from '../utils/secureEncryption.js';
+import { getSafeDataKey } from './safeService.js';
+import { getPlatform } from './platformService.js';
+import logger from '../utils/logger.js';
+
+const HISTORY_TABLE = 'account_rotation_history';
+
+const LOWERCASE = 'abcdefghijklmnopqrstuvwxyz';
+const UPPERCASE = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+const NUMBERS = '0123456789';
+const SYMBOLS = '!@#$%^&*()_+-=[]{}|;:,.<>?~';
+
+const GENERATED_LENGTH = 24;
+const MAX_GENERATION_ATTEMPTS = 20;
+// Username fragments shorter than this are too common to reject on
+const USERNAME_FRAGMENT_LENGTH = 3;
+
+export const DEFAULT_PASSWORD_POLICY = {
+  min_length: 12,
+  max_length: 128,
+  require_uppercase: true,
+  require_lowercase: true,
+  require_numbers: true,
+  require_symbols: false,
+  forbidden_characters: '',
+  disallow_username: true,
+  history_count: 5,
+  check_banned: true
+};
+
+// Built-in rules per system type: characters that break SQL literals or shell quoting,
+// and platform length limits
+const SYSTEM_TYPE_RULES = {
+  Database: { forbidden_characters: '\'"`\\;' },
+  'Oracle DB': { forbidden_characters: '\'"`\\;@', max_length: 30 },
+  Linux: { forbidden_characters: '\'"`$\\' },
+  Network: { forbidden_characters: '\'"`$\\' },
+  Windows: { forbidden_characters: '"', max_length: 127 }
+};
+
+// Built-in rules per platform_id (case-insensitive), applied alongside the platform's own password_policy
+const PLATFORM_RULES = {
+  unixssh: SYSTEM_TYPE_RULES.Linux,
+  winserverlocal: SYSTEM_TYPE_RULES.Windows,
+  windomain: { ...SYSTEM_TYPE_RULES.Windows, require_symbols: true },
+  oracle: SYSTEM_TYPE_RULES['Oracle DB'],
+  mysql: { ...SYSTEM_TYPE_RULES.Database, max_length: 32 },
+  postgresql: SYSTEM_TYPE_RULES.Database,
+  mssql: { ...SYSTEM_TYPE_RULES.Database, max_length: 128 },
+  mongodb: SYSTEM_TYPE_RULES.Database
+};
+
+function policyError(message, errors) {
+  const error = new Error(message);
+  error.status = 400;
+  error.errors = errors;
+  return error;
+}
+
+/**
+ * Combine policy layers so the strictest value of each rule wins
+ */
+export function mergePolicies(...layers) {
+  const merged = { ...DEFAULT_PASSWORD_POLICY };
+  const forbidden = new Set(merged.forbidden_characters);
+
+  for (const layer of layers) {
+    if (!layer || typeof layer !== 'object') continue;
+
+    if (layer.min_length !== undefined) merged.min_length = Math.max(merged.min_length, parseInt(layer.min_length) || 0);
+    if (layer.max_length !== undefined) merged.max_length = Math.min(merged.max_length, parseInt(layer.max_length) || merged.max_length);
+    if (layer.history_count !== undefined) merged.history_count = Math.max(merged.history_count, parseInt(layer.history_count) || 0);
+    for (const rule of ['require_uppercase', 'require_lowercase', 'require_numbers', 'require_symbols', 'disallow_username', 'check_banned']) {
+      if (layer[rule] === true) merged[rule] = true;
+    }
+    for (const character of String(layer.forbidden_characters || '')) {
+      forbidden.add(character);
+    }
+  }
+
+  merged.forbidden_characters = [...forbidden].join('');
+  if (merged.min_length > merged.max_length) {
+    logger.warn(`Password policy min_length ${merged.min_length} exceeds max_length ${merged.max_length}; using max_length`);
+    merged.min_length = merged.max_length;
+  }
+  return merged;
+}
+
+// Built-in rules for well-known platform ids plus the platform definition's password_policy
+export async function getPlatformRules(platformId) {
+  if (!platformId) return [];
+
+  const platform = await getPlatform(platformId);
+  return [PLATFORM_RULES[String(platformId).toLowerCase()], platform?.password_policy];
+}
+
+async function getSafePasswordPolicy(safeId) {
+  if (!safeId) return null;
+
+  const { data, error } = await supabaseAdmin
+    .from('safes')
+    .select('settings')
+    .eq('id', safeId)
+    .single();
+
+  if (error) throw error;
+  return data?.settings?.password_policy || null;
+}
+
+/**
+ * Effective policy for an account: defaults, system type, platform, safe
+ * settings.password_policy and the account's rotation_policy.complexity_requirements
+ */
+export async function resolvePasswordPolicy({ system_type, platform_id, safe_id, rotation_policy }) {
+  return mergePolicies(
+    SYSTEM_TYPE_RULES[system_type],
+    ...await getPlatformRules(platform_id),
+    await getSafePasswordPolicy(safe_id),
+    rotation_policy?.complexity_requirements
+  );
+}
+
+let bannedPasswords = null;
+
+function normalizeForBannedCheck(password) {
+  const substitutions = { '@': 'a', '4': 'a', '0': 'o', '1': 'i', '!': 'i', '3': 'e', '$': 's', '5': 's', '7': 't' };
+  return String(password).toLowerCase().replace(/[@401!3$57]/g, character => substitutions[character]);
+}
+
+function loadBannedPasswords() {
+  if (bannedPasswords) return bannedPasswords;
+
+  const defaultFile = path.join(path.dirname(fileURLToPath(import.meta.url)), '../config/banned-passwords.txt');
+  const files = [defaultFile, process.env.PASSWORD_BANNED_LIST_FILE].filter(Boolean);
+
+  bannedPasswords = new Set();
+  for (const file of files) {
+    try {
+      fs.readFileSync(file, 'utf8')
+        .split(/\r?\n/)
+        .map(line => line.trim())
+        .filter(line => line && !line.startsWith('#'))
+        .forEach(line => bannedPasswords.add(normalizeForBannedCheck(line)));
+    } catch (error) {
+      logger.error(`Failed to load banned password list ${file}: ${error.message}`);
+    }
+  }
+  return bannedPasswords;
+}
+
+export function isBannedPassword(password) {
+  const banned = loadBannedPasswords();
+  const lowered = String(password).toLowerCase();
+  const normalized = normalizeForBannedCheck(password);
+  // "Summer2024!" is as weak as "summer"
+  const stripped = lowered.replace(/^[^a-z]+|[^a-z]+$/g, '');
+
+  return banned.has(lowered) || banned.has(normalized) || (stripped.length > 0 && banned.has(normalizeForBannedCheck(stripped)));
+}
+
+function containsUsername(password, username) {
+  if (!username) return false;
+  const lowered = password.toLowerCase();
+  // Domain accounts (DOMAIN\user, user@domain) are checked by their user part too
+  const parts = String(username).toLowerCase().split(/[\\@.\s_-]+/);
+
+  return [String(username).toLowerCase(), ...parts]
+    .filter(part => part.length >= USERNAME_FRAGMENT_LENGTH)
+    .some(part => lowered.includes(part));
+}
+
+/**
+ * Check a password against a resolved policy
+ * @returns {string[]} Violations (empty when the password complies)
+ */
+export function validatePassword(password, policy, { username } = {}) {
+  const violations = [];
+  const value = String(password || '');
+
+  if (value.length < policy.min_length) violations.push(`Password must be at least ${policy.min_length} characters long`);
+  if (value.length > policy.max_length) violations.push(`Password must be at most ${policy.max_length} characters long`);
+  if (policy.require_uppercase && !/[A-Z]/.test(value)) violations.push('Password must contain an uppercase letter');
+  if (policy.require_lowercase && !/[a-z]/.test(value)) violations.push('Password must contain a lowercase letter');
+  if (policy.require_numbers && !/[0-9]/.test(value)) violations.push('Password must contain a number');
+  if (policy.require_symbols && !/[^A-Za-z0-9]/.test(value)) violations.push('Password must contain a symbol');
+
+  const forbidden = [...new Set([...value].filter(character => policy.forbidden_characters.includes(character)))];
+  if (forbidden.length > 0) violations.push(`Password contains forbidden characters: ${forbidden.join(' ')}`);
+
+  if (policy.disallow_username && containsUsername(value, username)) violations.push('Password must not contain the username');
+  if (policy.check_banned && isBannedPassword(value)) violations.push('Password is on the banned password list');
+
+  return violations;
+}
+
+/**
+ * True when the password matches the account's current password or one of the
+ * last history_count passwords it replaced
+ */
+export async function isPasswordReused({ accountId, password, historyCount, currentEncryptedPassword, safeId }) {
+  if (!accountId || historyCount < 1) return false;
+
+  if (currentEncryptedPassword) {
+    const safeKey = safeId ? await getSafeDataKey(safeId) : null;
+    if (decryptField(currentEncryptedPassword, safeKey) === password) return true;
+  }
+
+  const { data, error } = await supabaseAdmin
+    .from(HISTORY_TABLE)
+    .select('previous_password_fingerprint')
+    .eq('account_id', accountId)
+    .not('previous_password_fingerprint', 'is', null)
+    .order('rotated_at', { ascending: false })
+    .limit(historyCount);
+
+  if (error) throw error;
+  return (data || []).some(row => matchesPasswordFingerprint(password, row.previous_password_fingerprint));
+}
+
+/**
+ * Reject a user-supplied password that breaks the account's policy or reuses a
+ * recent password. account holds the values the account will have (system_type,
+ * platform_id, safe_id, rotation_policy, username); current is the stored row
+ * when an existing account is updated.
+ */
+export async function assertPasswordAllowed(password, account, current = null) {
+  const policy = await resolvePasswordPolicy(account);
+  const violations = validatePassword(password, policy, { username: account.username });
+
+  if (violations.length === 0 && current && await isPasswordReused({
+    accountId: current.id,
+    password,
+    historyCount: policy.history_count,
+    currentEncryptedPassword: current.encrypted_password,
+    safeId: current.safe_id
+  })) {
+    violations.push(`Password must not match any of the last ${policy.history_count} passwords`);
+  }
+
+  if (violations.length > 0) {
+    throw policyError('Password does not satisfy the password policy', violations);
+  }
+  return policy;
+}
+
+function randomCharacter(charset) {
+  return charset[crypto.randomInt(charset.length)];
+}
+
+/**
+ * Random password satisfying the policy's length, character class and forbidden
+ * character rules
+ */
+export function generatePassword(policy = DEFAULT_PASSWORD_POLICY) {
+  const allowed = charset => [...charset].filter(character => !policy.forbidden_characters.includes(character)).join('');
+  const classes = [
+    { charset: allowed(LOWERCASE), required: policy.require_lowercase },
+    { charset: allowed(UPPERCASE), required: policy.require_uppercase },
+    { charset: allowed(NUMBERS), required: policy.require_numbers },
+    { charset: allowed(SYMBOLS), required: policy.require_symbols }
+  ];
+
+  if (classes.some(({ charset, required }) => required && charset.length === 0)) {
+    throw policyError('Password policy forbids every character of a required class', []);
+  }
+
+  const charset = classes.map(({ charset }) => charset).join('');
+  const length = Math.min(Math.max(policy.min_length, GENERATED_LENGTH), policy.max_length);
+  const characters = classes.filter(({ required }) => required).map(({ charset: set }) => randomCharacter(set));
+  while (characters.length < length) {
+    characters.push(randomCharacter(charset));
+  }
+
+  // Fisher-Yates so the required characters are not always up front
+  for (let i = characters.length - 1; i > 0; i--) {
+    const j = crypto.randomInt(i + 1);
+    [characters[i], characters[j]] = [characters[j], characters[i]];
+  }
+  return characters.join('');
+}
+
+/**
+ * Generate a rotation password for a stored account (decrypted username) that
+ * passes its policy and is not a recently used password
+ */
+export async function generatePolicyPassword(account) {
+  const policy = await resolvePasswordPolicy(account);
+
+  for (let attempt = 0; attempt < MAX_GENERATION_ATTEMPTS; attempt++) {
+    const password = generatePassword(policy);
+    if (validatePassword(password, policy, { username: account.username }).length > 0) continue;
+    if (await isPasswordReused({
+      accountId: account.id,
+      password,
+      historyCount: policy.history_count,
+      currentEncryptedPassword: account.encrypted_password,
+      safeId: account.safe_id
+    })) continue;
+    return password;
+  }
+
+  throw policyError('Could not generate a password that satisfies the password policy', []);
+}
@@ -0,0 +1,195 @@
+import { supabaseAdmin } from '../utils/supabaseClient.js';
+import { encryptField, decryptField } from '../utils/secureEncryption.js';
+import { getAccountById } from './accountService.js';
+import { getSafeDataKey } from './safeService.js';
+import { logAction } from './auditService.js';
+import { resolveSafeAccess, accountActions } from './safeAccessService.js';
+import { assertNotCheckedOutByOther } from './checkoutService.js';
+
+const TABLE = 'account_password_versions';
+
+// Metadata returned by the versions list; the ciphertext only leaves through reveal
+const VERSION_COLUMNS = 'id, version, source, rotation_type, valid_from, replaced_at, replaced_by';
+
+function httpError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+async function getLatestVersion(accountId) {
+  const { data, error } = await supabaseAdmin
+    .from(TABLE)
+    .select('version')
+    .eq('account_id', accountId)
+    .order('version', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data?.version || 0;
+}
+
+/**
+ * Keep a replaced password as the account's next version, encrypted with the data
+ * key of the account's safe so destroying that key also destroys the versions
+ * @param {string} source - manual, rotation or reconcile
+ * @returns {Promise<Object|null>} Version metadata, or null when there was no readable password
+ */
+export async function recordPasswordVersion({ accountId, safeId = null, password, source, rotationType = null, validFrom = null, replacedBy = null }) {
+  if (!password || password === '[DECRYPTION_FAILED]') return null;
+
+  const safeKey = safeId ? await getSafeDataKey(safeId) : null;
+  const entry = {
+    account_id: accountId,
+    safe_id: safeId,
+    encrypted_password: encryptField(password, safeKey),
+    source,
+    rotation_type: rotationType,
+    valid_from: validFrom,
+    replaced_at: new Date().toISOString(),
+    replaced_by: replacedBy
+  };
+
+  // A concurrent change can take the same number; the unique constraint catches it
+  for (let attempt = 0; attempt < 3; attempt++) {
+    const version = (await getLatestVersion(accountId)) + 1;
+    const { data, error } = await supabaseAdmin
+      .from(TABLE)
+      .insert([{ ...entry, version }])
+      .select(VERSION_COLUMNS)
+      .single();
+
+    if (!error) return data;
+    if (error.code !== '23505') throw error;
+  }
+  throw new Error(`Could not allocate a password version for account ${accountId}`);
+}
+
+/**
+ * Re-encrypt an account's versions for the safe it moved to (null: no safe). Each row
+ * records its own safe_id, so versions not yet moved stay readable under the old key.
+ * @returns {Promise<number>} Versions re-encrypted
+ */
+export async function moveAccountVersions({ accountId, toSafeId = null }) {
+  const { data: versions, error } = await supabaseAdmin
+    .from(TABLE)
+    .select('id, safe_id, encrypted_password')
+    .eq('account_id', accountId);
+
+  if (error) throw error;
+
+  const toKey = toSafeId ? await getSafeDataKey(toSafeId) : null;
+  const fromKeys = new Map();
+  let moved = 0;
+
+  for (const version of versions || []) {
+    if ((version.safe_id || null) === toSafeId) continue;
+
+    if (version.safe_id && !fromKeys.has(version.safe_id)) {
+      fromKeys.set(version.safe_id, await getSafeDataKey(version.safe_id));
+    }
+    const fromKey = version.safe_id ? fromKeys.get(version.safe_id) : null;
+
+    // Conditional on the ciphertext read, so a concurrent rewrite is not undone
+    const { data: updated, error: updateError } = await supabaseAdmin
+      .from(TABLE)
+      .update({
+        safe_id: toSafeId,
+        encrypted_password: encryptField(decryptField(version.encrypted_password, fromKey), toKey)
+      })
+      .eq('id', version.id)
+      .eq('encrypted_password', version.encrypted_password)
+      .select('id');
+
+    if (updateError) throw updateError;
+    moved += (updated || []).length;
+  }
+
+  return moved;
+}
+
+// Admins, or a live grant with view_previous_versions on the account's safe
+async function canViewPreviousVersions(account, userId, role) {
+  const access = await resolveSafeAccess({ userId, role });
+  return accountActions(account, access).has('view_previous_versions');
+}
+
+/**
+ * Previous password versions of an account, newest first, without the passwords
+ * @returns {Promise<Object>} { data, count, current_version, can_reveal }
+ */
+export async function listPasswordVersions({ id, ownerId, role }) {
+  const account = await getAccountById({ id, ownerId, role });
+
+  const { data, error } = await supabaseAdmin
+    .from(TABLE)
+    .select(VERSION_COLUMNS)
+    .eq('account_id', id)
+    .order('version', { ascending: false });
+
+  if (error) throw error;
+  const versions = data || [];
+
+  return {
+    data: versions,
+    count: versions.length,
+    // The account's current password is the version after the newest stored one
+    current_version: (versions[0]?.version || 0) + 1,
+    can_reveal: await canViewPreviousVersions(account, ownerId, role)
+  };
+}
+
+/**
+ * Decrypt a previous password version. Needs view_previous_versions on the account's
+ * safe (or the Admin role); granted and refused attempts are both audited.
+ * @returns {Promise<Object>} { account_id, version, password, valid_from, replaced_at }
+ */
+export async function revealPasswordVersion({ id, version, ownerId, role, reason }) {
+  const account = await getAccountById({ id, ownerId, role });
+
+  if (!(await canViewPreviousVersions(account, ownerId, role))) {
+    await logAction({
+      userId: ownerId,
+      action: 'password_version_reveal_denied',
+      resource: `account:${id}`,
+      metadata: { version, safe_id: account.safe_id || null, reason: reason || null }
+    });
+    throw httpError('Revealing previous versions requires the view_previous_versions permission on the account\'s safe', 403);
+  }
+  await assertNotCheckedOutByOther(account, ownerId);
+
+  const { data: entry, error } = await supabaseAdmin
+    .from(TABLE)
+    .select(`${VERSION_COLUMNS}, safe_id, encrypted_password`)
+    .eq('account_id', id)
+    .eq('version', version)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!entry) throw httpError(`Account has no password version ${version}`, 404);
+
+  let password;
+  try {
+    const safeKey = entry.safe_id ? await getSafeDataKey(entry.safe_id) : null;
+    password = decryptField(entry.encrypted_password, safeKey);
+  } catch (decryptError) {
+    throw httpError(`Password version ${version} could not be decrypted`, 500);
+  }
+
+  await logAction({
+    userId: ownerId,
+    action: 'password_version_revealed',
+    resource: `account:${id}`,
+    metadata: { version, safe_id: account.safe_id || null, reason: reason || null }
+  });
+
+  return {
+    account_id: id,
+    version: entry.version,
+    password,
+    source: entry.source,
+    valid_from: entry.valid_from,
+    replaced_at: entry.replaced_at
+  };
+}
@@ -0,0 +1,171 @@
+import { supabaseAdmin } from '../utils/supabaseClient.js';
+import { logActivity } from './safeService.js';
+import { notifyUser } from './notificationService.js';
+import { resolveSafeAccess, safeIdsWith } from './safeAccessService.js';
+import logger from '../utils/logger.js';
+
+const TABLE = 'safe_permissions';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Expiry notices sent per run; the rest wait for the next run
+const BATCH_SIZE = 500;
+
+export const EXPIRY_NOTICE_DAYS = parseInt(process.env.SAFE_PERMISSION_EXPIRY_NOTICE_DAYS) || 7;
+
+const GRANT_COLUMNS = `
+  id,
+  safe_id,
+  user_id,
+  group_id,
+  permission_level,
+  valid_from,
+  expires_at,
+  safes(id, name, owner_id, deleted_at),
+  user_groups(id, name)
+`;
+
+function daysLeft(expiresAt, now) {
+  return Math.max(0, Math.ceil((new Date(expiresAt) - now) / DAY_MS));
+}
+
+function toExpiration(grant, now) {
+  return {
+    id: grant.id,
+    safe_id: grant.safe_id,
+    safe_name: grant.safes?.name || null,
+    source: grant.group_id ? 'group' : 'user',
+    user_id: grant.user_id,
+    group_id: grant.group_id,
+    group_name: grant.user_groups?.name || null,
+    permission_level: grant.permission_level,
+    valid_from: grant.valid_from,
+    expires_at: grant.expires_at,
+    days_left: daysLeft(grant.expires_at, now)
+  };
+}
+
+function granteeLabel(grant) {
+  return grant.group_id ? `group '${grant.user_groups?.name || grant.group_id}'` : `user ${grant.user_id}`;
+}
+
+/**
+ * Delete permissions past their valid_until (expires_at), logging permission_expired
+ * to each safe's activity log
+ * @returns {Promise<number>} Number of permissions removed
+ */
+export async function expirePermissions(now = new Date()) {
+  const { data: expired, error } = await supabaseAdmin
+    .from(TABLE)
+    .delete()
+    .lte('expires_at', now.toISOString())
+    .select('id, safe_id, user_id, group_id, permission_level, valid_from, expires_at, granted_by');
+
+  if (error) throw error;
+
+  for (const grant of expired || []) {
+    try {
+      await logActivity({
+        safeId: grant.safe_id,
+        userId: null,
+        action: 'permission_expired',
+        details: {
+          permission_id: grant.id,
+          user_id: grant.user_id,
+          group_id: grant.group_id,
+          permission_level: grant.permission_level,
+          valid_from: grant.valid_from,
+          expires_at: grant.expires_at,
+          granted_by: grant.granted_by
+        }
+      });
+    } catch (logError) {
+      logger.error(`Failed to log expiry of safe permission ${grant.id}:`, logError);
+    }
+  }
+
+  return (expired || []).length;
+}
+
+/**
+ * Warn safe owners about permissions expiring within EXPIRY_NOTICE_DAYS; each
+ * permission is announced once
+ * @returns {Promise<number>} Number of notices sent
+ */
+export async function sendExpiryNotices(now = new Date()) {
+  const horizon = new Date(now.getTime() + EXPIRY_NOTICE_DAYS * DAY_MS);
+
+  const { data: expiring, error } = await supabaseAdmin
+    .from(TABLE)
+    .select(GRANT_COLUMNS)
+    .gt('expires_at', now.toISOString())
+    .lte('expires_at', horizon.toISOString())
+    .is('expiry_notice_sent_at', null)
+    .order('expires_at', { ascending: true })
+    .limit(BATCH_SIZE);
+
+  if (error) throw error;
+
+  let sent = 0;
+  for (const grant of expiring || []) {
+    try {
+      // Claim the notice first; a failed write must not turn into a notice on every run
+      const { data: claimed, error: claimError } = await supabaseAdmin
+        .from(TABLE)
+        .update({ expiry_notice_sent_at: now.toISOString() })
+        .eq('id', grant.id)
+        .is('expiry_notice_sent_at', null)
+        .select('id');
+
+      if (claimError) throw claimError;
+      if (!claimed || claimed.length === 0) continue;
+
+      const safe = grant.safes;
+      if (safe?.owner_id && !safe.deleted_at) {
+        const days = daysLeft(grant.expires_at, now);
+        await notifyUser({
+          userId: safe.owner_id,
+          type: 'safe_permission_expiring',
+          title: 'Safe permission expiring',
+          message: `The ${grant.permission_level} permission of ${granteeLabel(grant)} on safe '${safe.name}' expires in ${days} day(s).`,
+          metadata: toExpiration(grant, now)
+        });
+        sent++;
+      }
+    } catch (noticeError) {
+      logger.error(`Failed to send expiry notice for safe permission ${grant.id}:`, noticeError);
+    }
+  }
+
+  return sent;
+}
+
+/**
+ * Permissions expiring within the next `days` on safes the caller may manage
+ * members of (every safe for Admins), soonest first
+ * @returns {Promise<Object[]>} { id, safe_id, safe_name, source, user_id, group_id, group_name, permission_level, valid_from, expires_at, days_left }
+ */
+export async function listUpcomingExpirations({ userId, role, days = EXPIRY_NOTICE_DAYS }) {
+  const access = await resolveSafeAccess({ userId, role });
+  const now = new Date();
+  const horizon = new Date(now.getTime() + days * DAY_MS);
+
+  let query = supabaseAdmin
+    .from(TABLE)
+    .select(GRANT_COLUMNS)
+    .gt('expires_at', now.toISOString())
+    .lte('expires_at', horizon.toISOString())
+    .order('expires_at', { ascending: true });
+
+  if (!access.isAdmin) {
+    const safeIds = safeIdsWith(access, 'manage_members');
+    if (safeIds.length === 0) return [];
+    query = query.in('safe_id', safeIds);
+  }
+
+  const { data, error } = await query;
+  if (error) throw error;
+
+  return (data || [])
+    .filter(grant => !grant.safes?.deleted_at)
+    .map(grant => toExpiration(grant, now));
+}
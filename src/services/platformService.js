@@ -0,0 +1,201 @@
+import { supabaseAdmin } from '../utils/supabaseClient.js';
+import { logAction } from './auditService.js';
+
+const TABLE = 'platforms';
+
+// Keys of CPMService's verifier map and PasswordRotationService's ROTATION_DRIVERS
+export const VERIFIER_TYPES = ['ssh', 'windows', 'database', 'website', 'api_token', 'certificate'];
+export const ROTATION_DRIVER_TYPES = ['ssh', 'windows', 'database'];
+
+// Account fields a platform can make mandatory
+export const ACCOUNT_PROPERTIES = ['name', 'hostname_ip', 'port', 'username', 'connection_method', 'safe_id', 'notes'];
+
+export const DEFAULT_VERIFICATION_HOURS = 24;
+
+const EDITABLE_FIELDS = [
+  'name', 'description', 'system_type', 'connection_method', 'default_port', 'verifier',
+  'rotation_driver', 'password_policy', 'verification_frequency_hours', 'required_properties', 'active'
+];
+
+function httpError(message, status, errors) {
+  const error = new Error(message);
+  error.status = status;
+  if (errors) error.errors = errors;
+  return error;
+}
+
+function pickEditable(fields) {
+  return Object.fromEntries(
+    Object.entries(fields).filter(([key, value]) => EDITABLE_FIELDS.includes(key) && value !== undefined)
+  );
+}
+
+export async function listPlatforms({ active } = {}) {
+  let query = supabaseAdmin
+    .from(TABLE)
+    .select('*')
+    .order('id', { ascending: true });
+
+  if (active !== undefined) {
+    query = query.eq('active', active);
+  }
+
+  const { data, error } = await query;
+  if (error) throw error;
+  return data || [];
+}
+
+// Platform row, or null when platform_id is not a defined platform
+export async function getPlatform(platformId) {
+  if (!platformId) return null;
+
+  const { data, error } = await supabaseAdmin
+    .from(TABLE)
+    .select('*')
+    .eq('id', platformId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+export async function getPlatformById(platformId) {
+  const platform = await getPlatform(platformId);
+  if (!platform) {
+    throw httpError(`Platform '${platformId}' not found`, 404);
+  }
+  return platform;
+}
+
+export async function createPlatform({ id, userId, ...fields }) {
+  const platform = {
+    id,
+    ...pickEditable(fields),
+    created_by: userId,
+    created_at: new Date().toISOString(),
+    updated_at: new Date().toISOString()
+  };
+
+  const { data, error } = await supabaseAdmin
+    .from(TABLE)
+    .insert([platform])
+    .select()
+    .single();
+
+  if (error) {
+    if (error.code === '23505') {
+      throw httpError(`Platform '${id}' already exists`, 409);
+    }
+    throw error;
+  }
+
+  await logAction({
+    userId,
+    action: 'platform_created',
+    resource: `platform:${id}`,
+    metadata: { name: data.name, verifier: data.verifier, rotation_driver: data.rotation_driver }
+  });
+
+  return data;
+}
+
+export async function updatePlatform({ id, userId, updates }) {
+  await getPlatformById(id);
+
+  const changes = pickEditable(updates);
+  const { data, error } = await supabaseAdmin
+    .from(TABLE)
+    .update({ ...changes, updated_at: new Date().toISOString() })
+    .eq('id', id)
+    .select()
+    .single();
+
+  if (error) throw error;
+
+  await logAction({
+    userId,
+    action: 'platform_updated',
+    resource: `platform:${id}`,
+    metadata: { fields: Object.keys(changes) }
+  });
+
+  return data;
+}
+
+// Platforms still referenced by accounts are deactivated rather than deleted
+export async function deletePlatform({ id, userId }) {
+  await getPlatformById(id);
+
+  const { count, error: countError } = await supabaseAdmin
+    .from('privileged_accounts')
+    .select('id', { count: 'exact', head: true })
+    .eq('platform_id', id);
+
+  if (countError) throw countError;
+  if (count > 0) {
+    throw httpError(`Platform '${id}' is used by ${count} account(s); deactivate it instead`, 409);
+  }
+
+  const { error } = await supabaseAdmin
+    .from(TABLE)
+    .delete()
+    .eq('id', id);
+
+  if (error) throw error;
+
+  await logAction({
+    userId,
+    action: 'platform_deleted',
+    resource: `platform:${id}`,
+    metadata: {}
+  });
+}
+
+/**
+ * Check account fields against its platform and fill in the platform's
+ * connection method and default port where the account has none.
+ * @returns {Promise<Object>} { platform, defaults } - platform is null without a platform_id
+ */
+export async function applyPlatformToAccount(account) {
+  if (!account.platform_id) {
+    return { platform: null, defaults: {} };
+  }
+
+  const platform = await getPlatform(account.platform_id);
+  if (!platform) {
+    throw httpError(`Unknown platform '${account.platform_id}'`, 400);
+  }
+  if (platform.active === false) {
+    throw httpError(`Platform '${account.platform_id}' is inactive`, 400);
+  }
+
+  const defaults = {};
+  if (!account.connection_method && platform.connection_method) {
+    defaults.connection_method = platform.connection_method;
+  }
+  if (!account.port && platform.default_port) {
+    defaults.port = platform.default_port;
+  }
+
+  const values = { ...account, ...defaults };
+  const problems = [];
+  if (platform.system_type && values.system_type !== platform.system_type) {
+    problems.push(`Platform '${platform.id}' is for ${platform.system_type} accounts`);
+  }
+  for (const property of platform.required_properties || []) {
+    const value = values[property];
+    if (value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0)) {
+      problems.push(`${property} is required by platform '${platform.id}'`);
+    }
+  }
+
+  if (problems.length > 0) {
+    throw httpError('Account does not satisfy its platform definition', 400, problems);
+  }
+  return { platform, defaults };
+}
+
+// Verification interval in hours for accounts of a platform
+export function getVerificationFrequency(platform) {
+  return parseInt(platform?.verification_frequency_hours) || DEFAULT_VERIFICATION_HOURS;
+}
@@ -0,0 +1,318 @@
+import { supabaseAdmin } from '../utils/supabaseClient.js';
+import { decryptAccountFields } from '../utils/secureEncryption.js';
+import { getSafeDataKeys } from './safeService.js';
+import { logAction } from './auditService.js';
+import { resolveSafeAccess, accountActions, safeActions, safeIdsWith } from './safeAccessService.js';
+
+export const RECYCLE_BIN_TYPES = ['account', 'credential', 'safe'];
+
+export const DEFAULT_RETENTION_DAYS = parseInt(process.env.RECYCLE_BIN_RETENTION_DAYS) || 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Deleted rows the purge job handles per type and run; the rest waits for the next run
+const PURGE_BATCH_SIZE = 500;
+
+// Table behind each item type
+const SOURCES = {
+  account: { table: 'privileged_accounts' },
+  credential: { table: 'credentials' },
+  safe: { table: 'safes' }
+};
+
+// The purge job acts on every item
+const SYSTEM_ACCESS = { userId: null, role: 'Admin', isAdmin: true, safes: new Map() };
+
+function httpError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// Binned accounts and safes take delete on their safe, which the owner level of
+// own accounts outside safes includes; credentials belong to the user who stored them
+function canManageDeleted(type, row, access) {
+  if (type === 'account') return accountActions(row, access).has('delete');
+  if (type === 'safe') return safeActions(row, access).has('delete');
+  return access.isAdmin || row.user_id === access.userId;
+}
+
+// Includes the caller's own binned safes, which resolveSafeAccess leaves out by default
+function resolveBinAccess({ userId, role }) {
+  return resolveSafeAccess({ userId, role, includeDeletedSafes: true });
+}
+
+// Deleted rows of a type, narrowed to those canManageDeleted allows
+function deletedRows(type, columns, access) {
+  const query = supabaseAdmin
+    .from(SOURCES[type].table)
+    .select(columns)
+    .not('deleted_at', 'is', null);
+
+  if (access.isAdmin) return query;
+  if (type === 'credential') return query.eq('user_id', access.userId);
+
+  const safeIds = safeIdsWith(access, 'delete');
+  if (type === 'safe') return query.in('id', safeIds);
+
+  const own = `and(safe_id.is.null,owner_id.eq.${access.userId})`;
+  return query.or(safeIds.length > 0 ? `${own},safe_id.in.(${safeIds.join(',')})` : own);
+}
+
+async function findDeletedItem(type, id, access) {
+  const { data, error } = await supabaseAdmin
+    .from(SOURCES[type].table)
+    .select('*')
+    .eq('id', id)
+    .not('deleted_at', 'is', null)
+    .maybeSingle();
+  if (error) throw error;
+  if (!data || !canManageDeleted(type, data, access)) {
+    throw httpError(`No ${type} ${id} in the recycle bin`, 404);
+  }
+  return data;
+}
+
+// retention_days of the given safes, keyed by safe id
+async function getRetentionDays(safeIds) {
+  const ids = [...new Set(safeIds.filter(Boolean))];
+  if (ids.length === 0) return new Map();
+
+  const { data, error } = await supabaseAdmin
+    .from('safes')
+    .select('id, retention_days')
+    .in('id', ids);
+
+  if (error) throw error;
+  return new Map((data || []).map(safe => [safe.id, safe.retention_days]));
+}
+
+function purgeAfter(deletedAt, retentionDays) {
+  return new Date(new Date(deletedAt).getTime() + (retentionDays || DEFAULT_RETENTION_DAYS) * DAY_MS);
+}
+
+function accountLabel(account) {
+  if (account.name && account.name !== '[DECRYPTION_FAILED]') return account.name;
+  return `${account.username}@${account.hostname_ip}`;
+}
+
+/**
+ * Items in the recycle bin the caller may restore or purge (all of them for Admins),
+ * newest first: accounts and safes with delete on the safe, own credentials
+ * @param {string} [type] - account, credential or safe; all types when omitted
+ * @returns {Promise<Object[]>} { type, id, name, safe_id, deleted_at, deleted_by, deleted_with_safe, purge_after }
+ */
+export async function listDeletedItems({ userId, role, type }) {
+  const scope = await resolveBinAccess({ userId, role });
+  const types = type ? [type] : RECYCLE_BIN_TYPES;
+  const items = [];
+
+  if (types.includes('account')) {
+    const { data, error } = await deletedRows('account',
+      'id, safe_id, owner_id, encrypted_name, encrypted_username, encrypted_hostname_ip, system_type, deleted_at, deleted_by, deleted_with_safe',
+      scope);
+    if (error) throw error;
+
+    const safeKeys = await getSafeDataKeys((data || []).map(row => row.safe_id));
+    const retention = await getRetentionDays((data || []).map(row => row.safe_id));
+    (data || []).forEach(row => {
+      const account = decryptAccountFields(row, safeKeys.get(row.safe_id) || null);
+      items.push({
+        type: 'account',
+        id: row.id,
+        name: accountLabel(account),
+        system_type: row.system_type,
+        safe_id: row.safe_id,
+        owner_id: row.owner_id,
+        deleted_at: row.deleted_at,
+        deleted_by: row.deleted_by,
+        deleted_with_safe: row.deleted_with_safe,
+        purge_after: purgeAfter(row.deleted_at, retention.get(row.safe_id)).toISOString()
+      });
+    });
+  }
+
+  if (types.includes('credential')) {
+    const { data, error } = await deletedRows('credential', 'id, name, type, user_id, deleted_at, deleted_by', scope);
+    if (error) throw error;
+
+    (data || []).forEach(row => items.push({
+      type: 'credential',
+      id: row.id,
+      name: row.name,
+      credential_type: row.type,
+      safe_id: null,
+      owner_id: row.user_id,
+      deleted_at: row.deleted_at,
+      deleted_by: row.deleted_by,
+      deleted_with_safe: false,
+      purge_after: purgeAfter(row.deleted_at, null).toISOString()
+    }));
+  }
+
+  if (types.includes('safe')) {
+    const { data, error } = await deletedRows('safe', 'id, name, owner_id, retention_days, deleted_at, deleted_by', scope);
+    if (error) throw error;
+
+    (data || []).forEach(row => items.push({
+      type: 'safe',
+      id: row.id,
+      name: row.name,
+      safe_id: row.id,
+      owner_id: row.owner_id,
+      deleted_at: row.deleted_at,
+      deleted_by: row.deleted_by,
+      deleted_with_safe: false,
+      purge_after: purgeAfter(row.deleted_at, row.retention_days).toISOString()
+    }));
+  }
+
+  return items.sort((a, b) => new Date(b.deleted_at) - new Date(a.deleted_at));
+}
+
+/**
+ * Take an item out of the recycle bin. Restoring a safe also restores the accounts
+ * deleted with it; an account in a deleted safe can only come back with the safe.
+ * @returns {Promise<Object>} { type, id, restored_accounts }
+ */
+export async function restoreItem({ type, id, userId, role }) {
+  const item = await findDeletedItem(type, id, await resolveBinAccess({ userId, role }));
+
+  if (type === 'account' && item.safe_id) {
+    const { data: safe, error } = await supabaseAdmin
+      .from('safes')
+      .select('id, name, deleted_at')
+      .eq('id', item.safe_id)
+      .maybeSingle();
+    if (error) throw error;
+    if (safe?.deleted_at) {
+      throw httpError(`The account's safe '${safe.name}' is in the recycle bin; restore the safe first`, 409);
+    }
+  }
+
+  const restore = type === 'account'
+    ? { deleted_at: null, deleted_by: null, deleted_with_safe: false }
+    : { deleted_at: null, deleted_by: null };
+
+  const { error } = await supabaseAdmin
+    .from(SOURCES[type].table)
+    .update(restore)
+    .eq('id', id);
+  if (error) throw error;
+
+  let restoredAccounts = 0;
+  if (type === 'safe') {
+    const { data: accounts, error: accountsError } = await supabaseAdmin
+      .from('privileged_accounts')
+      .update({ deleted_at: null, deleted_by: null, deleted_with_safe: false })
+      .eq('safe_id', id)
+      .eq('deleted_with_safe', true)
+      .select('id');
+    if (accountsError) throw accountsError;
+    restoredAccounts = (accounts || []).length;
+  }
+
+  await logAction({
+    userId,
+    action: 'recycle_bin_restored',
+    resource: `${type}:${id}`,
+    metadata: { deleted_at: item.deleted_at, restored_accounts: restoredAccounts }
+  });
+
+  return { type, id, restored_accounts: restoredAccounts };
+}
+
+// Hard delete; a safe takes every binned account encrypted with its data key along
+async function purgeRows(type, ids) {
+  if (ids.length === 0) return { purged: 0, accounts: 0 };
+
+  let accounts = 0;
+  if (type === 'safe') {
+    const { data, error } = await supabaseAdmin
+      .from('privileged_accounts')
+      .delete()
+      .in('safe_id', ids)
+      .not('deleted_at', 'is', null)
+      .select('id');
+    if (error) throw error;
+    accounts = (data || []).length;
+  }
+
+  const { data, error } = await supabaseAdmin
+    .from(SOURCES[type].table)
+    .delete()
+    .in('id', ids)
+    .not('deleted_at', 'is', null)
+    .select('id');
+  if (error) throw error;
+
+  return { purged: (data || []).length, accounts };
+}
+
+/**
+ * Permanently delete an item from the recycle bin
+ * @returns {Promise<Object>} { type, id, purged_accounts }
+ */
+export async function purgeItem({ type, id, userId, role }) {
+  const item = await findDeletedItem(type, id, await resolveBinAccess({ userId, role }));
+  const result = await purgeRows(type, [id]);
+
+  await logAction({
+    userId,
+    action: 'recycle_bin_purged',
+    resource: `${type}:${id}`,
+    metadata: { deleted_at: item.deleted_at, purged_accounts: result.accounts }
+  });
+
+  return { type, id, purged_accounts: result.accounts };
+}
+
+/**
+ * Purge items whose retention has passed: the safe's retention_days for safes and
+ * their accounts, RECYCLE_BIN_RETENTION_DAYS otherwise
+ * @returns {Promise<Object>} Purged counts per type
+ */
+export async function purgeExpiredItems(now = new Date()) {
+  const scope = SYSTEM_ACCESS;
+  const oldestFirst = query => query.order('deleted_at', { ascending: true }).limit(PURGE_BATCH_SIZE);
+
+  const [safesResult, accountsResult, credentialsResult] = await Promise.all([
+    oldestFirst(deletedRows('safe', 'id, retention_days, deleted_at', scope)),
+    oldestFirst(deletedRows('account', 'id, safe_id, deleted_at, deleted_with_safe', scope)),
+    oldestFirst(deletedRows('credential', 'id, deleted_at', scope))
+  ]);
+  for (const result of [safesResult, accountsResult, credentialsResult]) {
+    if (result.error) throw result.error;
+  }
+
+  const expired = (rows, retentionOf) => (rows || [])
+    .filter(row => purgeAfter(row.deleted_at, retentionOf(row)) <= now)
+    .map(row => row.id);
+
+  const retention = await getRetentionDays((accountsResult.data || []).map(row => row.safe_id));
+
+  // Accounts deleted with their safe are purged together with it
+  const safes = await purgeRows('safe', expired(safesResult.data, row => row.retention_days));
+  const accounts = await purgeRows('account', expired(
+    (accountsResult.data || []).filter(row => !row.deleted_with_safe),
+    row => retention.get(row.safe_id)
+  ));
+  const credentials = await purgeRows('credential', expired(credentialsResult.data, () => null));
+
+  const counts = {
+    safes: safes.purged,
+    accounts: accounts.purged + safes.accounts,
+    credentials: credentials.purged
+  };
+
+  if (counts.safes + counts.accounts + counts.credentials > 0) {
+    await logAction({
+      userId: null,
+      action: 'recycle_bin_expired_purged',
+      resource: 'recycle_bin',
+      metadata: counts
+    });
+  }
+
+  return counts;
+}
@@ -0,0 +1,207 @@
+import { supabaseAdmin } from '../utils/supabaseClient.js';
+import { listUserGroupIds } from './groupService.js';
+
+const SAFES_TABLE = 'safes';
+const PERMISSIONS_TABLE = 'safe_permissions';
+
+/**
+ * Actions a safe permission can allow on the safe and the accounts in it:
+ *   list                   - see the account (or safe) in lists
+ *   view_metadata          - read an account's details without its password
+ *   retrieve_password      - read the password or private key, check the account out
+ *   use                    - connect with the account (verification, sessions)
+ *   update                 - edit accounts and their dependencies, edit the safe
+ *   rotate                 - rotate and reconcile passwords
+ *   delete                 - move accounts (or the safe) to the recycle bin
+ *   manage_members         - grant and revoke safe permissions
+ *   view_previous_versions - reveal previous password versions (its own grant flag)
+ */
+export const SAFE_ACTIONS = [
+  'list', 'view_metadata', 'retrieve_password', 'use', 'update', 'rotate', 'delete', 'manage_members', 'view_previous_versions'
+];
+
+// Each permission level includes the actions of the levels below it
+const READ_ACTIONS = ['list', 'view_metadata', 'retrieve_password', 'use'];
+const WRITE_ACTIONS = [...READ_ACTIONS, 'update', 'rotate'];
+const ADMIN_ACTIONS = [...WRITE_ACTIONS, 'delete', 'manage_members'];
+
+export const PERMISSION_LEVEL_ACTIONS = {
+  read: READ_ACTIONS,
+  write: WRITE_ACTIONS,
+  admin: ADMIN_ACTIONS,
+  owner: ADMIN_ACTIONS
+};
+
+// Owning a safe or an account counts as the owner level
+const OWNER_ACTIONS = PERMISSION_LEVEL_ACTIONS.owner;
+
+function httpError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * A grant counts between its valid_from and its expires_at (valid_until)
+ */
+export function isGrantActive(grant, now = Date.now()) {
+  if (grant.valid_from && new Date(grant.valid_from).getTime() > now) return false;
+  return !grant.expires_at || new Date(grant.expires_at).getTime() > now;
+}
+
+function addActions(safes, safeId, actions) {
+  if (!safes.has(safeId)) safes.set(safeId, new Set());
+  const granted = safes.get(safeId);
+  actions.forEach(action => granted.add(action));
+}
+
+// Grant rows held by the user directly or through any of their groups
+function grantsQuery(userId, groupIds) {
+  const query = supabaseAdmin
+    .from(PERMISSIONS_TABLE)
+    .select('safe_id, permission_level, view_previous_versions, valid_from, expires_at');
+
+  if (groupIds.length === 0) return query.eq('user_id', userId);
+  return query.or(`user_id.eq.${userId},group_id.in.(${groupIds.join(',')})`);
+}
+
+/**
+ * Effective safe permissions of a user: Admins may do everything, everyone else
+ * gets the owner level on safes they own plus the union of their active grants,
+ * whether made to them or to one of their groups. Resolved per request, so group
+ * membership changes apply immediately.
+ * @param {boolean} [includeDeletedSafes] - Also own safes in the recycle bin
+ * @returns {Promise<Object>} { userId, role, isAdmin, safes: Map<safe id, Set<action>> }
+ */
+export async function resolveSafeAccess({ userId, role, includeDeletedSafes = false }) {
+  const access = { userId, role, isAdmin: role === 'Admin', safes: new Map() };
+  if (access.isAdmin || !userId) return access;
+
+  const groupIds = await listUserGroupIds(userId);
+  let ownedQuery = supabaseAdmin
+    .from(SAFES_TABLE)
+    .select('id')
+    .eq('owner_id', userId);
+  if (!includeDeletedSafes) {
+    ownedQuery = ownedQuery.is('deleted_at', null);
+  }
+  const [ownedResult, grantsResult] = await Promise.all([ownedQuery, grantsQuery(userId, groupIds)]);
+  if (ownedResult.error) throw ownedResult.error;
+  if (grantsResult.error) throw grantsResult.error;
+
+  (ownedResult.data || []).forEach(safe => addActions(access.safes, safe.id, OWNER_ACTIONS));
+
+  const now = Date.now();
+  (grantsResult.data || [])
+    .filter(grant => isGrantActive(grant, now))
+    .forEach(grant => {
+      addActions(access.safes, grant.safe_id, PERMISSION_LEVEL_ACTIONS[grant.permission_level] || []);
+      if (grant.view_previous_versions) {
+        addActions(access.safes, grant.safe_id, ['view_previous_versions']);
+      }
+    });
+
+  return access;
+}
+
+/**
+ * Actions the user may take on a safe
+ * @returns {Set<string>}
+ */
+export function safeActions(safe, access) {
+  if (access.isAdmin) return new Set(SAFE_ACTIONS);
+  return new Set(access.safes.get(safe.id) || []);
+}
+
+/**
+ * Actions the user may take on an account: whatever their permissions on the
+ * account's safe allow, or the owner level on their own accounts outside safes.
+ * Owning an account in a safe grants nothing, so revoked or expired grants end access.
+ * @returns {Set<string>}
+ */
+export function accountActions(account, access) {
+  if (access.isAdmin) return new Set(SAFE_ACTIONS);
+
+  if (account.safe_id) return new Set(access.safes.get(account.safe_id) || []);
+  if (account.owner_id && account.owner_id === access.userId) return new Set(OWNER_ACTIONS);
+  return new Set();
+}
+
+// Hidden resources are reported as missing; visible ones name the missing action
+function assertAction(actions, action, resource) {
+  if (actions.has(action)) return;
+  if (!actions.has('list') && !actions.has('view_metadata')) {
+    throw httpError(`${resource} not found`, 404);
+  }
+  throw httpError(`The ${action} permission is required for this ${resource.toLowerCase()}`, 403);
+}
+
+export function assertSafeAction(safe, access, action) {
+  assertAction(safeActions(safe, access), action, 'Safe');
+}
+
+export function assertAccountAction(account, access, action) {
+  assertAction(accountActions(account, access), action, 'Account');
+}
+
+// Safe IDs where the user holds the action
+export function safeIdsWith(access, action) {
+  return [...access.safes.entries()]
+    .filter(([, actions]) => actions.has(action))
+    .map(([safeId]) => safeId);
+}
+
+/**
+ * Restrict a safes query to safes the user may list; Admins see all of them
+ */
+export function scopeSafeQuery(query, access, column = 'id') {
+  if (access.isAdmin) return query;
+  return query.in(column, safeIdsWith(access, 'list'));
+}
+
+/**
+ * Restrict an accounts query to the user's own accounts outside safes and the
+ * accounts of safes they may list
+ */
+export function scopeAccountQuery(query, access) {
+  if (access.isAdmin) return query;
+  const own = `and(safe_id.is.null,owner_id.eq.${access.userId})`;
+  const ids = safeIdsWith(access, 'list');
+  if (ids.length === 0) return query.or(own);
+  return query.or(`${own},safe_id.in.(${ids.join(',')})`);
+}
+
+/**
+ * Credentials are not kept in safes; they belong to the user who stored them
+ */
+export function scopeCredentialQuery(query, { userId, role }) {
+  if (role === 'Admin') return query;
+  return query.eq('user_id', userId);
+}
+
+// Decrypted secret fields of an account response
+export const ACCOUNT_SECRET_FIELDS = ['password', 'private_key', 'pending_password'];
+
+/**
+ * Copy of an account without its secret fields, flagged as password_withheld
+ */
+export function withholdSecrets(account) {
+  const rest = { ...account };
+  ACCOUNT_SECRET_FIELDS.forEach(field => delete rest[field]);
+  return { ...rest, password_withheld: true };
+}
+
+/**
+ * Drop passwords and private keys the user may not retrieve, flagging them as
+ * password_withheld like checkout-held accounts
+ */
+export function applySecretVisibility(accounts, access) {
+  const list = Array.isArray(accounts) ? accounts : [accounts];
+
+  const visible = list.map(account => {
+    if (accountActions(account, access).has('retrieve_password')) return account;
+    return withholdSecrets(account);
+  });
+
+  return Array.isArray(accounts) ? visible : visible[0];
+}
@@ -1,11 +1,61 @@
 import supabase, { supabaseAdmin } from '../utils/supabaseClient.js';
 import { v4 as uuidv4 } from 'uuid';
+import { generateSafeDataKey, unwrapSafeDataKey, reencryptAccountFields, decryptAccountFields } from '../utils/secureEncryption.js';
+import { fetchPage } from '../utils/listQuery.js';
+import { resolveSafeAccess, assertSafeAction, scopeSafeQuery, applySecretVisibility, isGrantActive, PERMISSION_LEVEL_ACTIONS } from './safeAccessService.js';
+import { getGroupById } from './groupService.js';
+import { moveVersionsWithAccount } from './accountService.js';
 
 const SAFES_TABLE = 'safes';
 const PERMISSIONS_TABLE = 'safe_permissions';
 const ACTIVITY_LOG_TABLE = 'safe_activity_log';
 
-export async function createSafe({ name, description, ownerId, safe_type, access_level, settings }) {
+// Ciphertext and blind index columns of accounts stay server side
+const ACCOUNT_INTERNAL_COLUMNS = [
+  'encrypted_name', 'encrypted_username', 'encrypted_hostname_ip', 'encrypted_password', 'encrypted_notes',
+  'encrypted_private_key', 'encrypted_pending_password',
+  'username_hash', 'hostname_hash', 'username_tokens', 'hostname_tokens', 'blind_index_version'
+];
+
+// Columns GET /safes can sort and filter on
+export const SAFE_LIST = {
+  sortable: ['created_at', 'updated_at', 'name', 'safe_type', 'access_level', 'status'],
+  filters: {
+    name: 'text',
+    safe_type: 'text',
+    access_level: 'text',
+    status: 'text',
+    owner_id: 'uuid',
+    created_at: 'date',
+    updated_at: 'date'
+  },
+  defaultSort: '-created_at'
+};
+
+// Fields PUT /safes/:id may change; ownership, key material and deletion have their own paths
+const EDITABLE_FIELDS = ['name', 'description', 'safe_type', 'access_level', 'status', 'settings', 'retention_days'];
+
+function httpError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function pickEditable(fields) {
+  return Object.fromEntries(
+    Object.entries(fields).filter(([key, value]) => EDITABLE_FIELDS.includes(key) && value !== undefined)
+  );
+}
+
+// Wrapped data keys are internal; never return them to clients
+function withoutKeyMaterial(safe) {
+  if (!safe) return safe;
+  const { wrapped_data_key, ...rest } = safe;
+  return rest;
+}
+
+export async function createSafe({ name, description, ownerId, safe_type, access_level, settings, retention_days }) {
+  const { wrappedKey } = generateSafeDataKey();
   const safe = {
     id: uuidv4(),
     name,
@@ -14,6 +64,8 @@ export async function createSafe({ name, description, ownerId, safe_type, access
     safe_type,
     access_level,
     settings,
+    retention_days: retention_days ?? null,
+    wrapped_data_key: wrappedKey,
     status: 'active',
     created_at: new Date()
   };
@@ -21,10 +73,55 @@ export async function createSafe({ name, description, ownerId, safe_type, access
   const { data, error } = await supabase
     .from(SAFES_TABLE)
     .insert([safe])
+    .select()
     .single();
 
   if (error) throw error;
-  return data;
+  return withoutKeyMaterial(data);
+}
+
+/**
+ * Unwrapped data key for a safe's accounts. Safes created before per-safe keys
+ * get one on first use.
+ */
+export async function getSafeDataKey(safeId) {
+  const { data: safe, error } = await supabaseAdmin
+    .from(SAFES_TABLE)
+    .select('id, wrapped_data_key')
+    .eq('id', safeId)
+    .single();
+
+  if (error) throw error;
+  if (safe.wrapped_data_key) {
+    return unwrapSafeDataKey(safe.wrapped_data_key);
+  }
+
+  const { key, wrappedKey } = generateSafeDataKey();
+  const { data: updated, error: updateError } = await supabaseAdmin
+    .from(SAFES_TABLE)
+    .update({ wrapped_data_key: wrappedKey })
+    .eq('id', safeId)
+    .is('wrapped_data_key', null)
+    .select('id');
+
+  if (updateError) throw updateError;
+
+  // Another request assigned a key first; use theirs
+  if (!updated || updated.length === 0) {
+    return await getSafeDataKey(safeId);
+  }
+  return key;
+}
+
+// Data keys for several safes, keyed by safe id
+export async function getSafeDataKeys(safeIds) {
+  const uniqueIds = [...new Set(safeIds.filter(Boolean))];
+  const keys = new Map();
+
+  for (const safeId of uniqueIds) {
+    keys.set(safeId, await getSafeDataKey(safeId));
+  }
+  return keys;
 }
 
 export async function listSafes({ ownerId, role, safe_type, access_level, status, limit = 50, offset = 0 }) {
@@ -34,12 +131,11 @@ export async function listSafes({ ownerId, role, safe_type, access_level, status
   let query = supabase
     .from(SAFES_TABLE)
     .select('*')
+    .is('deleted_at', null)
     .order('created_at', { ascending: false })
     .range(offset, offset + limit - 1);
 
-  if (role === 'User') {
-    query = query.eq('owner_id', ownerId);
-  }
+  query = scopeSafeQuery(query, await resolveSafeAccess({ userId: ownerId, role }));
   
   // Apply filters
   if (safe_type) {
@@ -62,6 +158,21 @@ export async function listSafes({ ownerId, role, safe_type, access_level, status
   return await enrichSafesWithUserData(data || []);
 }
 
+/**
+ * One page of GET /safes
+ * @param {Object} list - Parsed list query (see SAFE_LIST)
+ * @returns {Promise<Object>} fetchPage result with enriched safes as rows
+ */
+export async function listSafePage({ ownerId, role, list }) {
+  const access = await resolveSafeAccess({ userId: ownerId, role });
+  const page = await fetchPage((columns, options) => {
+    const query = supabase.from(SAFES_TABLE).select(columns, options).is('deleted_at', null);
+    return scopeSafeQuery(query, access);
+  }, list);
+
+  return { ...page, rows: await enrichSafesWithUserData(page.rows) };
+}
+
 // Helper function to enrich safes with user data and account counts
 async function enrichSafesWithUserData(safes) {
   if (!safes || safes.length === 0) {
@@ -82,7 +193,8 @@ async function enrichSafesWithUserData(safes) {
     const { data: accountCounts, error: countError } = await supabase
       .from('privileged_accounts')
       .select('safe_id')
-      .in('safe_id', safeIds);
+      .in('safe_id', safeIds)
+      .is('deleted_at', null);
     
     if (countError) {
       console.warn('Could not fetch account counts:', countError);
@@ -107,64 +219,109 @@ async function enrichSafesWithUserData(safes) {
     }
     
     return safes.map(safe => ({
-      ...safe,
+      ...withoutKeyMaterial(safe),
       owner_email: userEmailMap[safe.owner_id] || 'Unknown User',
       account_count: accountCountMap[safe.id] || 0,
       permission_count: 0 // TODO: Fetch permissions separately if needed
     }));
   } catch (error) {
     console.error('Error enriching safes with user data:', error);
-    return safes;
+    return safes.map(withoutKeyMaterial);
   }
 }
 
-export async function getSafeById({ id, ownerId, role }) {
-  let query = supabase.from(SAFES_TABLE).select('*').eq('id', id).single();
-
-  if (role === 'User') {
-    query = query.eq('owner_id', ownerId);
-  }
+/**
+ * A safe the user may take the given action on (see safeAccessService.SAFE_ACTIONS)
+ */
+export async function getSafeById({ id, ownerId, role, action = 'view_metadata' }) {
+  const { data, error } = await supabase
+    .from(SAFES_TABLE)
+    .select('*')
+    .eq('id', id)
+    .is('deleted_at', null)
+    .maybeSingle();
 
-  const { data, error } = await query;
   if (error) throw error;
+  if (!data) throw httpError('Safe not found', 404);
+  assertSafeAction(data, await resolveSafeAccess({ userId: ownerId, role }), action);
 
-  return data;
+  return withoutKeyMaterial(data);
 }
 
 export async function updateSafe({ id, ownerId, role, updates }) {
-  let query = supabase
+  await getSafeById({ id, ownerId, role, action: 'update' });
+
+  const changes = pickEditable(updates);
+  // Settings hold the checkout and password policies, and retention decides how long
+  // deleted accounts stay restorable; both are the managers' call
+  if (changes.settings !== undefined || changes.retention_days !== undefined) {
+    await getSafeById({ id, ownerId, role, action: 'manage_members' });
+  }
+
+  const { data, error } = await supabase
     .from(SAFES_TABLE)
-    .update(updates)
+    .update(changes)
     .eq('id', id)
+    .is('deleted_at', null)
     .single();
 
-  if (role === 'User') {
-    query = query.eq('owner_id', ownerId);
-  }
-
-  const { data, error } = await query;
   if (error) throw error;
-  return data;
+  return withoutKeyMaterial(data);
 }
 
+/**
+ * Move a safe and the accounts in it to the recycle bin. The accounts are marked
+ * deleted_with_safe so restoring the safe brings exactly them back.
+ */
 export async function deleteSafe({ id, ownerId, role }) {
-  let query = supabase.from(SAFES_TABLE).delete().eq('id', id).single();
+  await getSafeById({ id, ownerId, role, action: 'delete' });
 
-  if (role === 'User') {
-    query = query.eq('owner_id', ownerId);
-  }
+  const deletedAt = new Date().toISOString();
+  const { data, error } = await supabase
+    .from(SAFES_TABLE)
+    .update({ deleted_at: deletedAt, deleted_by: ownerId || null })
+    .eq('id', id)
+    .is('deleted_at', null)
+    .select('id, name, deleted_at')
+    .single();
 
-  const { data, error } = await query;
   if (error) throw error;
-  return data;
+
+  const { data: accounts, error: accountsError } = await supabaseAdmin
+    .from('privileged_accounts')
+    .update({ deleted_at: deletedAt, deleted_by: ownerId || null, deleted_with_safe: true })
+    .eq('safe_id', id)
+    .is('deleted_at', null)
+    .select('id');
+  if (accountsError) throw accountsError;
+
+  return { ...data, account_count: (accounts || []).length };
 }
 
-export async function grantPermission({ safeId, userId, permission_level, granted_by }) {
+/**
+ * Grant a permission on a safe to a user or, with groupId, to every member of a group.
+ * valid_from and valid_until bound it in time; the expiry job removes it after valid_until.
+ */
+export async function grantPermission({ safeId, userId, groupId, permission_level, view_previous_versions = false, valid_from, valid_until, granted_by, role }) {
+  await getSafeById({ id: safeId, ownerId: granted_by, role, action: 'manage_members' });
+  if (groupId) await getGroupById(groupId);
+
+  if (valid_until && new Date(valid_until) <= new Date()) {
+    throw httpError('valid_until must be in the future', 400);
+  }
+  if (valid_from && valid_until && new Date(valid_from) >= new Date(valid_until)) {
+    throw httpError('valid_from must be before valid_until', 400);
+  }
+
   const permission = {
     id: uuidv4(),
     safe_id: safeId,
-    user_id: userId,
+    user_id: groupId ? null : userId,
+    group_id: groupId || null,
     permission_level,
+    view_previous_versions,
+    valid_from: valid_from || null,
+    expires_at: valid_until || null,
     granted_by,
     granted_at: new Date()
   };
@@ -174,7 +331,12 @@ export async function grantPermission({ safeId, userId, permission_level, grante
     .insert([permission])
     .single();
 
-  if (error) throw error;
+  if (error) {
+    if (error.code === '23505') {
+      throw httpError(`The ${groupId ? 'group' : 'user'} already has a permission on this safe`, 409);
+    }
+    throw error;
+  }
   return data;
 }
 
@@ -199,7 +361,9 @@ export async function logActivity({ safeId, userId, action, details, ip_address,
   return data;
 }
 
-export async function listActivityLog(safeId) {
+export async function listActivityLog(safeId, { ownerId, role }) {
+  await getSafeById({ id: safeId, ownerId, role });
+
   const { data, error } = await supabase
     .from(ACTIVITY_LOG_TABLE)
     .select('*')
@@ -210,7 +374,12 @@ export async function listActivityLog(safeId) {
   return data;
 }
 
-export async function listSafePermissions(safeId) {
+/**
+ * Permission grants on a safe; source tells whether each was made to a user or a group
+ */
+export async function listSafePermissions(safeId, { ownerId, role }) {
+  await getSafeById({ id: safeId, ownerId, role });
+
   const { data, error } = await supabase
     .from(PERMISSIONS_TABLE)
     .select(`
@@ -218,50 +387,132 @@ export async function listSafePermissions(safeId) {
       profiles!safe_permissions_user_id_fkey(
         id,
         role
+      ),
+      user_groups(
+        id,
+        name
       )
     `)
     .eq('safe_id', safeId)
     .order('granted_at', { ascending: false });
 
   if (error) throw error;
-  return data;
+  return (data || []).map(({ user_groups: group, ...permission }) => ({
+    ...permission,
+    source: permission.group_id ? 'group' : 'user',
+    group: group || null
+  }));
+}
+
+/**
+ * What each user may do on a safe: the owner, direct grants and group grants
+ * expanded to the group's current members, merged per user
+ * @returns {Promise<Object[]>} [{ user_id, actions, sources: [{ type, permission_level, group_id, group_name, expires_at }] }]
+ */
+export async function listEffectivePermissions(safeId, { ownerId, role }) {
+  const safe = await getSafeById({ id: safeId, ownerId, role });
+
+  const { data: grants, error } = await supabaseAdmin
+    .from(PERMISSIONS_TABLE)
+    .select('user_id, group_id, permission_level, view_previous_versions, valid_from, expires_at, user_groups(id, name)')
+    .eq('safe_id', safeId);
+  if (error) throw error;
+
+  const now = Date.now();
+  const live = (grants || []).filter(grant => isGrantActive(grant, now));
+
+  const groupIds = [...new Set(live.map(grant => grant.group_id).filter(Boolean))];
+  let memberships = [];
+  if (groupIds.length > 0) {
+    const { data, error: membersError } = await supabaseAdmin
+      .from('user_group_members')
+      .select('group_id, user_id')
+      .in('group_id', groupIds);
+    if (membersError) throw membersError;
+    memberships = data || [];
+  }
+
+  const users = new Map();
+  const add = (userId, actions, source) => {
+    if (!users.has(userId)) users.set(userId, { user_id: userId, actions: new Set(), sources: [] });
+    const entry = users.get(userId);
+    actions.forEach(action => entry.actions.add(action));
+    entry.sources.push(source);
+  };
+  const grantActions = grant => [
+    ...(PERMISSION_LEVEL_ACTIONS[grant.permission_level] || []),
+    ...(grant.view_previous_versions ? ['view_previous_versions'] : [])
+  ];
+
+  if (safe.owner_id) {
+    add(safe.owner_id, PERMISSION_LEVEL_ACTIONS.owner, { type: 'owner', permission_level: 'owner' });
+  }
+
+  live.forEach(grant => {
+    const source = {
+      type: grant.group_id ? 'group' : 'user',
+      permission_level: grant.permission_level,
+      view_previous_versions: grant.view_previous_versions,
+      expires_at: grant.expires_at
+    };
+    if (!grant.group_id) {
+      add(grant.user_id, grantActions(grant), source);
+      return;
+    }
+    source.group_id = grant.group_id;
+    source.group_name = grant.user_groups?.name || null;
+    memberships
+      .filter(member => member.group_id === grant.group_id)
+      .forEach(member => add(member.user_id, grantActions(grant), source));
+  });
+
+  return [...users.values()].map(entry => ({ ...entry, actions: [...entry.actions] }));
 }
 
 export async function revokePermission({ permissionId, ownerId, role }) {
-  let query = supabase.from(PERMISSIONS_TABLE).delete().eq('id', permissionId);
-  
-  // Only allow owners, admins, or the user themselves to revoke permissions
-  if (role !== 'Admin' && role !== 'Manager') {
-    query = query.in('safe_id', 
-      supabase.from(SAFES_TABLE).select('id').eq('owner_id', ownerId)
-    );
+  const { data: permission, error: fetchError } = await supabaseAdmin
+    .from(PERMISSIONS_TABLE)
+    .select('id, safe_id, user_id')
+    .eq('id', permissionId)
+    .maybeSingle();
+
+  if (fetchError) throw fetchError;
+  if (!permission) throw httpError('Permission not found', 404);
+
+  // Members may always give up their own permission
+  if (permission.user_id !== ownerId) {
+    await getSafeById({ id: permission.safe_id, ownerId, role, action: 'manage_members' });
   }
-  
-  const { data, error } = await query.single();
+
+  const { data, error } = await supabase
+    .from(PERMISSIONS_TABLE)
+    .delete()
+    .eq('id', permissionId)
+    .single();
   if (error) throw error;
   return data;
 }
 
 export async function getSafeStatistics({ ownerId, role }) {
   try {
-    let baseQuery = supabase.from(SAFES_TABLE);
-    
-    if (role === 'User') {
-      baseQuery = baseQuery.select().eq('owner_id', ownerId);
-    }
+    const access = await resolveSafeAccess({ userId: ownerId, role });
+    const safeQuery = (columns, options) => scopeSafeQuery(
+      supabase.from(SAFES_TABLE).select(columns, options).is('deleted_at', null),
+      access
+    );
     
     const [totalResult, activeResult, sharedResult, typeDistResult] = await Promise.all([
       // Total safes
-      baseQuery.select('id', { count: 'exact', head: true }),
+      safeQuery('id', { count: 'exact', head: true }),
       
       // Active safes
-      baseQuery.select('id', { count: 'exact', head: true }).eq('status', 'active'),
+      safeQuery('id', { count: 'exact', head: true }).eq('status', 'active'),
       
       // Shared safes
-      baseQuery.select('id', { count: 'exact', head: true }).neq('access_level', 'private'),
+      safeQuery('id', { count: 'exact', head: true }).neq('access_level', 'private'),
       
       // Type distribution
-      baseQuery.select('safe_type')
+      safeQuery('safe_type')
     ]);
     
     // Count by safe type
@@ -283,53 +534,68 @@ export async function getSafeStatistics({ ownerId, role }) {
   }
 }
 
+/**
+ * Decrypted accounts of a safe; listing the safe lists every account in it, while
+ * passwords and private keys need retrieve_password
+ */
 export async function getSafeAccounts(safeId, { ownerId, role }) {
-  // First verify user has access to the safe
-  const safe = await getSafeById({ id: safeId, ownerId, role });
-  if (!safe) {
-    throw new Error('Safe not found or access denied');
-  }
+  await getSafeById({ id: safeId, ownerId, role, action: 'list' });
   
-  // Get accounts in this safe
-  let query = supabase
+  const { data, error } = await supabase
     .from('privileged_accounts')
     .select('*')
-    .eq('safe_id', safeId);
-    
-  if (role === 'User') {
-    query = query.eq('owner_id', ownerId);
-  }
-  
-  const { data, error } = await query;
+    .eq('safe_id', safeId)
+    .is('deleted_at', null);
   if (error) throw error;
+  if (!data || data.length === 0) return [];
   
-  return data || [];
+  const safeKey = await getSafeDataKey(safeId);
+  const accounts = data.map(account => {
+    const decrypted = decryptAccountFields(account, safeKey);
+    ACCOUNT_INTERNAL_COLUMNS.forEach(column => delete decrypted[column]);
+    return decrypted;
+  });
+  return applySecretVisibility(accounts, await resolveSafeAccess({ userId: ownerId, role }));
 }
 
 export async function moveSafeAccounts({ sourceId, targetId, accountIds, ownerId, role }) {
-  // Verify user has access to both safes
-  const [sourceSafe, targetSafe] = await Promise.all([
-    getSafeById({ id: sourceId, ownerId, role }),
-    getSafeById({ id: targetId, ownerId, role })
+  // Moving accounts changes both safes
+  await Promise.all([
+    getSafeById({ id: sourceId, ownerId, role, action: 'update' }),
+    getSafeById({ id: targetId, ownerId, role, action: 'update' })
   ]);
   
-  if (!sourceSafe || !targetSafe) {
-    throw new Error('One or both safes not found or access denied');
-  }
-  
-  // Move accounts
-  let query = supabase
+  const { data: accounts, error } = await supabase
     .from('privileged_accounts')
-    .update({ safe_id: targetId })
-    .in('id', accountIds);
+    .select('*')
+    .in('id', accountIds)
+    .eq('safe_id', sourceId)
+    .is('deleted_at', null);
+  if (error) throw error;
+  
+  // Re-encrypt each account from its current safe key into the target safe's key
+  const sourceKeys = await getSafeDataKeys((accounts || []).map(account => account.safe_id));
+  const targetKey = await getSafeDataKey(targetId);
+  const data = [];
+  
+  for (const account of accounts || []) {
+    const updates = {
+      ...reencryptAccountFields(account, sourceKeys.get(account.safe_id) || null, targetKey),
+      safe_id: targetId
+    };
+    
+    const { data: moved, error: moveError } = await supabase
+      .from('privileged_accounts')
+      .update(updates)
+      .eq('id', account.id)
+      .select('id, safe_id')
+      .single();
     
-  if (role === 'User') {
-    query = query.eq('owner_id', ownerId);
+    if (moveError) throw moveError;
+    await moveVersionsWithAccount(account.id, targetId);
+    data.push(moved);
   }
   
-  const { data, error } = await query;
-  if (error) throw error;
-  
   // Log the move activity
   await logActivity({
     safeId: targetId,
@@ -337,8 +603,8 @@ export async function moveSafeAccounts({ sourceId, targetId, accountIds, ownerId
     action: 'accounts_moved',
     details: {
       source_safe_id: sourceId,
-      account_count: accountIds.length,
-      account_ids: accountIds
+      account_count: data.length,
+      account_ids: data.map(account => account.id)
     }
   });
   
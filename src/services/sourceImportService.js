@@ -0,0 +1,137 @@
+import * as keepassImporter from './importers/keepassImporter.js';
+import * as bitwardenImporter from './importers/bitwardenImporter.js';
+import * as onePasswordImporter from './importers/onePasswordImporter.js';
+import * as cyberarkImporter from './importers/cyberarkImporter.js';
+import { listPlatforms } from './platformService.js';
+import { assertImportSize, normalizeImportRow } from './accountImportService.js';
+
+const IMPORTERS = {
+  keepass: keepassImporter,
+  bitwarden: bitwardenImporter,
+  '1password': onePasswordImporter,
+  cyberark: cyberarkImporter
+};
+
+export const IMPORT_SOURCES = Object.keys(IMPORTERS);
+export const IMPORT_TARGETS = ['auto', 'accounts', 'credentials'];
+
+// URL scheme -> system type and connection method for entries without a platform
+const SCHEMES = {
+  ssh: { system_type: 'Linux', connection_method: 'SSH' },
+  sftp: { system_type: 'Linux', connection_method: 'SFTP' },
+  rdp: { system_type: 'Windows', connection_method: 'RDP' },
+  winrm: { system_type: 'Windows', connection_method: 'WinRM' },
+  http: { system_type: 'Website', connection_method: 'HTTP' },
+  https: { system_type: 'Website', connection_method: 'HTTPS' },
+  mysql: { system_type: 'Database', connection_method: 'SQL' },
+  postgres: { system_type: 'Database', connection_method: 'SQL' },
+  postgresql: { system_type: 'Database', connection_method: 'SQL' },
+  mssql: { system_type: 'Database', connection_method: 'SQL' },
+  sqlserver: { system_type: 'Database', connection_method: 'SQL' },
+  oracle: { system_type: 'Oracle DB', connection_method: 'SQL' },
+  mongodb: { system_type: 'Database', connection_method: 'Custom' }
+};
+
+const SCHEME_PATTERN = /^[a-z][a-z0-9+.-]*:\/\//i;
+
+function parseUrl(value) {
+  if (!value) return null;
+  try {
+    // Bare hostnames ("db01.example.com") are common in password managers
+    return new URL(SCHEME_PATTERN.test(value) ? value : `placeholder://${value}`);
+  } catch (error) {
+    return null;
+  }
+}
+
+function decodeFile(source, body) {
+  const data = body.data ?? body.file;
+  if (data === undefined || data === null || data === '') {
+    const error = new Error('Import file is required (data)');
+    error.status = 400;
+    throw error;
+  }
+  // KDBX is binary and travels base64-encoded; the others are text or JSON
+  return source === 'keepass' ? Buffer.from(String(data), 'base64') : data;
+}
+
+/**
+ * Turn a normalized importer entry into an import row. mapping.fields maps
+ * row fields to source field names, mapping.defaults fills empty fields,
+ * mapping.safes renames folders and mapping.default_safe catches entries
+ * without a folder.
+ */
+function entryToRow(entry, { mapping, target, platforms }) {
+  if (entry.skip) {
+    return { skip: entry.skip, name: entry.title, safe_name: entry.folder || undefined };
+  }
+
+  const url = parseUrl(entry.host || entry.url);
+  const scheme = url ? SCHEMES[url.protocol.replace(':', '').toLowerCase()] : null;
+  const platform = entry.platform_id ? platforms.get(entry.platform_id) : null;
+
+  const row = {
+    name: entry.title,
+    username: entry.username,
+    password: entry.password,
+    hostname_ip: url?.hostname || undefined,
+    port: entry.port || url?.port || undefined,
+    system_type: platform?.system_type || scheme?.system_type,
+    connection_method: scheme?.connection_method,
+    // Unknown platforms are kept so the import reports them instead of dropping them
+    platform_id: entry.platform_id || undefined,
+    notes: entry.notes,
+    tags: entry.tags,
+    safe_name: mapping.safes?.[entry.folder] ?? entry.folder ?? mapping.default_safe
+  };
+
+  for (const [field, sourceField] of Object.entries(mapping.fields || {})) {
+    if (entry.fields?.[sourceField] !== undefined) row[field] = entry.fields[sourceField];
+  }
+  for (const [field, value] of Object.entries(mapping.defaults || {})) {
+    if (row[field] === undefined || row[field] === null || row[field] === '') row[field] = value;
+  }
+
+  const normalized = normalizeImportRow(row);
+  const asAccount = target === 'accounts' || (target === 'auto' && normalized.hostname_ip);
+  if (asAccount) {
+    if (!normalized.system_type) normalized.system_type = 'Misc';
+    return normalized;
+  }
+
+  // Credentials have no safe; the folder is kept for reference
+  return {
+    target: 'credential',
+    type: normalized.type,
+    name: normalized.name || normalized.username,
+    username: normalized.username,
+    password: normalized.password,
+    host: normalized.hostname_ip,
+    port: normalized.port,
+    additional_params: { imported_from: entry.source, folder: entry.folder || null, tags: normalized.tags || [] }
+  };
+}
+
+/**
+ * Parse an export from another password manager or PAM into import rows
+ * @param {string} source - One of IMPORT_SOURCES
+ * @param {Object} body - data (file contents; base64 for KeePass), password / key_file
+ *   for KeePass, mapping and target
+ * @returns {Promise<Object[]>} Rows for importAccounts
+ */
+export async function parseSourceImport(source, body) {
+  const importer = IMPORTERS[source];
+  const entries = await importer.parse(decodeFile(source, body), {
+    password: body.password,
+    keyFile: body.key_file ? Buffer.from(String(body.key_file), 'base64') : null
+  });
+  assertImportSize(entries);
+
+  const platforms = new Map();
+  if (entries.some(entry => entry.platform_id)) {
+    (await listPlatforms({ active: true })).forEach(platform => platforms.set(platform.id, platform));
+  }
+
+  const options = { mapping: body.mapping || {}, target: body.target || 'auto', platforms };
+  return entries.map(entry => entryToRow({ ...entry, source }, options));
+}
@@ -0,0 +1,273 @@
+import supabase, { supabaseAdmin } from '../utils/supabaseClient.js';
+import { encryptField, decryptField } from '../utils/secureEncryption.js';
+import { generateCaKeyPair, signUserCertificate, randomSerial, CERTIFICATE_EXTENSIONS } from '../utils/sshCertificates.js';
+import { parseListQuery, MAX_LIMIT } from '../utils/listQuery.js';
+import { logAction } from './auditService.js';
+import { listAccountPage, ACCOUNT_LIST } from './accountService.js';
+import { resolveSafeAccess, accountActions } from './safeAccessService.js';
+
+const TABLE = 'ssh_certificate_authorities';
+const JIT_TABLE = 'jit_sessions';
+
+export const MAX_CERTIFICATE_MINUTES = parseInt(process.env.SSH_CA_MAX_CERT_MINUTES) || 480;
+
+// Extensions granted to every certificate; unknown names are ignored
+export const CERTIFICATE_EXTENSION_NAMES = (process.env.SSH_CA_CERT_EXTENSIONS || 'permit-pty')
+  .split(',')
+  .map(name => name.trim())
+  .filter(name => CERTIFICATE_EXTENSIONS.includes(name));
+
+// Tolerates clock skew between the vault and the target hosts
+const BACKDATE_MS = 5 * 60 * 1000;
+
+// Columns safe to return; the private key never leaves this module
+const PUBLIC_COLUMNS = 'id, public_key, fingerprint, status, created_by, created_at, rotated_at';
+
+function httpError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+async function createAuthority(userId) {
+  const keyPair = generateCaKeyPair(`cybervault-user-ca-${new Date().toISOString().slice(0, 10)}`);
+  const { data, error } = await supabaseAdmin
+    .from(TABLE)
+    .insert([{
+      public_key: keyPair.publicKey,
+      encrypted_private_key: encryptField(keyPair.privateKey),
+      fingerprint: keyPair.fingerprint,
+      status: 'active',
+      created_by: userId || null
+    }])
+    .select('*')
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+async function findActiveAuthority() {
+  const { data, error } = await supabaseAdmin
+    .from(TABLE)
+    .select('*')
+    .eq('status', 'active')
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * The CA key currently signing certificates; an Admin creates the first one with rotateAuthority
+ * @returns {Promise<Object>} CA row including encrypted_private_key
+ */
+export async function getActiveAuthority() {
+  const authority = await findActiveAuthority();
+  if (!authority) {
+    throw httpError('No SSH certificate authority exists yet; an Admin creates it with POST /ssh-ca/rotate', 409);
+  }
+  return authority;
+}
+
+export async function listAuthorities() {
+  const { data, error } = await supabaseAdmin
+    .from(TABLE)
+    .select(PUBLIC_COLUMNS)
+    .order('created_at', { ascending: false });
+
+  if (error) throw error;
+  return data || [];
+}
+
+/**
+ * Replace the signing key, or create the first one. The old key stays trusted as
+ * 'previous' so certificates it issued keep working until they expire; the key
+ * before it is revoked.
+ * @returns {Promise<Object>} { active, previous } without private keys; previous is null for the first key
+ */
+export async function rotateAuthority({ userId }) {
+  const pick = ({ encrypted_private_key: _omit, ...authority }) => authority;
+
+  const current = await findActiveAuthority();
+  if (!current) {
+    // A concurrent first creation is rejected by the single-active index
+    const created = await createAuthority(userId);
+    await logAction({
+      userId,
+      action: 'ssh_ca_created',
+      resource: `ssh_ca:${created.id}`,
+      metadata: { fingerprint: created.fingerprint }
+    });
+    return { active: pick(created), previous: null };
+  }
+
+  const rotatedAt = new Date().toISOString();
+
+  const { error: revokeError } = await supabaseAdmin
+    .from(TABLE)
+    .update({ status: 'revoked', rotated_at: rotatedAt })
+    .eq('status', 'previous');
+  if (revokeError) throw revokeError;
+
+  const { error: retireError } = await supabaseAdmin
+    .from(TABLE)
+    .update({ status: 'previous', rotated_at: rotatedAt })
+    .eq('id', current.id);
+  if (retireError) throw retireError;
+
+  const created = await createAuthority(userId);
+
+  await logAction({
+    userId,
+    action: 'ssh_ca_rotated',
+    resource: `ssh_ca:${created.id}`,
+    metadata: { fingerprint: created.fingerprint, previous_id: current.id, previous_fingerprint: current.fingerprint }
+  });
+
+  return { active: pick(created), previous: pick({ ...current, status: 'previous', rotated_at: rotatedAt }) };
+}
+
+/**
+ * Public keys hosts should list in sshd's TrustedUserCAKeys file; read-only, so
+ * empty until an Admin creates the CA
+ * @returns {Promise<string[]>} OpenSSH public key lines, active key first
+ */
+export async function getTrustedUserCaKeys() {
+  const { data, error } = await supabaseAdmin
+    .from(TABLE)
+    .select('public_key, status')
+    .in('status', ['active', 'previous'])
+    .order('created_at', { ascending: false });
+
+  if (error) throw error;
+  return (data || []).map(row => row.public_key);
+}
+
+const USER_AT_HOST = /^([^@\s]+)@([^@\s]+)$/;
+
+// Principals a session names: explicit ones, else the login of a user@host resource
+function sessionPrincipals(session) {
+  if (Array.isArray(session.ssh_principals) && session.ssh_principals.length > 0) {
+    return session.ssh_principals;
+  }
+  const match = USER_AT_HOST.exec(session.system || session.resource || '');
+  return match ? [match[1]] : [];
+}
+
+// Host of a user@host or bare host system/resource
+function sessionHost(session) {
+  const target = String(session.system || session.resource || '').trim();
+  const match = USER_AT_HOST.exec(target);
+  if (match) return match[2];
+  return target && !/[@\s]/.test(target) ? target : null;
+}
+
+// A principal is only granted through a vault account for that login on the host
+// which the requester may use
+async function usablePrincipals({ userId, role, host, principals }) {
+  const access = await resolveSafeAccess({ userId, role });
+  const list = parseListQuery({ limit: String(MAX_LIMIT) }, ACCOUNT_LIST);
+  const usable = [];
+
+  for (const principal of principals) {
+    const { rows } = await listAccountPage({ ownerId: userId, role, username: principal, hostname: host, match: 'exact', list });
+    if (rows.some(account => accountActions(account, access).has('use'))) {
+      usable.push(principal);
+    }
+  }
+  return usable;
+}
+
+/**
+ * Sign a public key for the caller's active, approved JIT session. Principals come
+ * from the session, each backed by an account on the session host the caller may
+ * use, and the certificate never outlives the session.
+ * @param {string[]} [principals] - Optional subset of the session's principals
+ * @returns {Promise<Object>} { certificate, serial, key_id, principals, valid_after, valid_before, ca_fingerprint }
+ */
+export async function issueCertificate({ userId, role, sessionId, publicKey, principals }) {
+  const { data: session, error: sessionError } = await supabase
+    .from(JIT_TABLE)
+    .select('*')
+    .eq('id', sessionId)
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (sessionError) throw sessionError;
+  if (!session) throw httpError('JIT session not found', 404);
+
+  const now = new Date();
+  const sessionEnd = new Date(session.expires_at);
+  if (!session.active || sessionEnd <= now) {
+    throw httpError('JIT session is not active', 403);
+  }
+  if (session.approval_status !== 'approved') {
+    throw httpError('JIT session has not been approved', 403);
+  }
+
+  const sessionAllows = sessionPrincipals(session);
+  if (sessionAllows.length === 0) {
+    throw httpError('JIT session does not define SSH principals', 400);
+  }
+  const host = sessionHost(session);
+  if (!host) {
+    throw httpError('JIT session does not name a host', 400);
+  }
+  const requested = principals && principals.length > 0 ? [...new Set(principals)] : sessionAllows;
+  const outsideSession = requested.filter(principal => !sessionAllows.includes(principal));
+  if (outsideSession.length > 0) {
+    throw httpError(`Principals not granted by the JIT session: ${outsideSession.join(', ')}`, 403);
+  }
+  const usable = await usablePrincipals({ userId, role, host, principals: requested });
+  const denied = requested.filter(principal => !usable.includes(principal));
+  if (denied.length > 0) {
+    throw httpError(`No account on ${host} you may use for: ${denied.join(', ')}`, 403);
+  }
+
+  const validAfter = new Date(now.getTime() - BACKDATE_MS);
+  const validBefore = new Date(Math.min(sessionEnd.getTime(), now.getTime() + MAX_CERTIFICATE_MINUTES * 60 * 1000));
+  const serial = randomSerial();
+  const keyId = `cybervault:${userId}:jit:${session.id}`;
+
+  const authority = await getActiveAuthority();
+  const { certificate, publicKeyFingerprint } = signUserCertificate({
+    caPrivateKey: decryptField(authority.encrypted_private_key),
+    caPublicKey: authority.public_key,
+    publicKey,
+    serial,
+    keyId,
+    principals: requested,
+    validAfter,
+    validBefore,
+    extensions: CERTIFICATE_EXTENSION_NAMES
+  });
+
+  await logAction({
+    userId,
+    action: 'ssh_certificate_issued',
+    resource: `jit_session:${session.id}`,
+    metadata: {
+      serial,
+      host,
+      key_id: keyId,
+      principals: requested,
+      valid_after: validAfter.toISOString(),
+      valid_before: validBefore.toISOString(),
+      public_key_fingerprint: publicKeyFingerprint,
+      ca_id: authority.id,
+      ca_fingerprint: authority.fingerprint
+    }
+  });
+
+  return {
+    certificate,
+    serial,
+    key_id: keyId,
+    principals: requested,
+    valid_after: validAfter.toISOString(),
+    valid_before: validBefore.toISOString(),
+    public_key_fingerprint: publicKeyFingerprint,
+    ca_fingerprint: authority.fingerprint
+  };
+}
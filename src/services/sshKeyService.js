@@ -0,0 +1,210 @@
+import supabase from '../utils/supabaseClient.js';
+import { encryptField, decryptAccountFields } from '../utils/secureEncryption.js';
+import { generateSshKeyPair, SSH_KEY_ACCOUNT_TYPE } from '../utils/sshKeys.js';
+import { getSafeDataKey, getSafeDataKeys } from './safeService.js';
+import { getAccountById, computeNextRotation } from './accountService.js';
+import { resolveSafeAccess, scopeAccountQuery } from './safeAccessService.js';
+
+const TABLE = 'privileged_accounts';
+const HISTORY_TABLE = 'account_rotation_history';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Report columns; the private key and password are never selected
+const REPORT_COLUMNS = [
+  'id', 'owner_id', 'safe_id', 'status', 'encrypted_name', 'encrypted_username', 'encrypted_hostname_ip',
+  'key_algorithm', 'key_bits', 'key_fingerprint', 'key_created_at', 'last_rotated', 'next_rotation', 'rotation_policy'
+].join(', ');
+
+function httpError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function keyAgeDays(account, now = Date.now()) {
+  const createdAt = account.key_created_at || account.last_rotated;
+  return createdAt ? Math.floor((now - new Date(createdAt).getTime()) / DAY_MS) : null;
+}
+
+async function recordKeyRotation({ account, rotatedBy, rotationType, result }) {
+  const { error } = await supabase.from(HISTORY_TABLE).insert([{
+    account_id: account.id,
+    rotated_by: rotatedBy || null,
+    rotation_type: rotationType,
+    previous_key_fingerprint: account.key_fingerprint || null,
+    rotation_status: result.success ? 'success' : 'failed',
+    error_message: result.success ? (result.oldKeyRemoved === false ? result.message : null) : result.message,
+    rotated_at: new Date(),
+  }]);
+  if (error) {
+    console.error('Failed to record key rotation history:', error);
+  }
+}
+
+/**
+ * Rotate the key pair of an ssh_key account: a new pair of the same algorithm and
+ * size is generated, installed in authorized_keys with the current key, verified and
+ * stored, and the old public key is removed from the target.
+ * @param {Object} account - Account row as stored (encrypted)
+ * @returns {Promise<Object>} Account with the new public_key and key_fingerprint
+ */
+export async function rotateAccountKey({ account, rotatedBy, rotationType = 'manual' }) {
+  const safeKey = account.safe_id ? await getSafeDataKey(account.safe_id) : null;
+  const decrypted = decryptAccountFields(account, safeKey);
+  if (!decrypted.private_key || decrypted.private_key === '[DECRYPTION_FAILED]') {
+    const result = { success: false, message: 'Account private key could not be decrypted for rotation' };
+    await recordKeyRotation({ account, rotatedBy, rotationType, result });
+    throw httpError(result.message, 500);
+  }
+
+  const keyPair = generateSshKeyPair({
+    algorithm: account.key_algorithm || 'ed25519',
+    bits: account.key_algorithm === 'rsa' ? account.key_bits : undefined,
+    comment: `${decrypted.username}@${decrypted.hostname_ip}`
+  });
+
+  const { PasswordRotationService } = await import('../cpm/services/PasswordRotationService.js');
+  const { CPMConfig } = await import('../cpm/config/cpmConfig.js');
+  const rotationService = new PasswordRotationService(CPMConfig.getInstance());
+
+  let result;
+  try {
+    result = await rotationService.rotate('ssh_key', {
+      id: account.id,
+      host: decrypted.hostname_ip,
+      port: account.port,
+      username: decrypted.username,
+      privateKey: decrypted.private_key,
+      publicKey: account.public_key,
+      newPrivateKey: keyPair.privateKey,
+      newPublicKey: keyPair.publicKey
+    });
+  } catch (error) {
+    result = { success: false, passwordChanged: null, message: error.message };
+  }
+
+  // A failed key rotation leaves the old key in place, so only a verified one is stored
+  let updates = null;
+  if (result.success) {
+    const rotatedAt = new Date();
+    updates = {
+      encrypted_private_key: encryptField(keyPair.privateKey, safeKey),
+      public_key: keyPair.publicKey,
+      key_algorithm: keyPair.algorithm,
+      key_bits: keyPair.bits,
+      key_fingerprint: keyPair.fingerprint,
+      key_created_at: rotatedAt,
+      last_rotated: rotatedAt,
+      next_rotation: computeNextRotation({ ...account, last_rotated: rotatedAt }),
+      status: 'active',
+    };
+  } else if (result.passwordChanged === null) {
+    updates = { status: 'rotation_required' };
+  }
+
+  if (updates) {
+    const { error: updateError } = await supabase.from(TABLE).update(updates).eq('id', account.id).single();
+    if (updateError) {
+      throw new Error('Rotation failed');
+    }
+  }
+
+  await recordKeyRotation({ account, rotatedBy, rotationType, result });
+
+  if (!result.success) {
+    throw httpError(`Key rotation failed: ${result.message}`, 502);
+  }
+
+  return {
+    ...account,
+    ...updates,
+    encrypted_private_key: undefined,
+    previous_key_fingerprint: account.key_fingerprint,
+    old_key_removed: result.oldKeyRemoved !== false,
+    message: result.message,
+  };
+}
+
+/**
+ * Public half of an ssh_key account, ready for authorized_keys
+ * @returns {Promise<Object>} { account_id, public_key, key_algorithm, key_bits, key_fingerprint, key_created_at, key_age_days }
+ */
+export async function getPublicKey({ id, ownerId, role }) {
+  const account = await getAccountById({ id, ownerId, role });
+  if (account.account_type !== SSH_KEY_ACCOUNT_TYPE) {
+    throw httpError('Account is not an ssh_key account', 400);
+  }
+
+  return {
+    account_id: account.id,
+    username: account.username,
+    hostname_ip: account.hostname_ip,
+    public_key: account.public_key,
+    key_algorithm: account.key_algorithm,
+    key_bits: account.key_bits,
+    key_fingerprint: account.key_fingerprint,
+    key_created_at: account.key_created_at,
+    key_age_days: keyAgeDays(account)
+  };
+}
+
+/**
+ * Age and fingerprint of every ssh_key account the caller can see, oldest key first
+ * @param {Object} filters - min_age_days, key_algorithm, safe_id
+ * @returns {Promise<Object>} { summary: { total, by_algorithm, overdue, oldest_age_days }, keys }
+ */
+export async function getKeyReport({ ownerId, role, filters = {} }) {
+  let query = supabase
+    .from(TABLE)
+    .select(REPORT_COLUMNS)
+    .eq('account_type', SSH_KEY_ACCOUNT_TYPE)
+    .is('deleted_at', null)
+    .order('key_created_at', { ascending: true, nullsFirst: true });
+
+  query = scopeAccountQuery(query, await resolveSafeAccess({ userId: ownerId, role }));
+  if (filters.key_algorithm) query = query.eq('key_algorithm', filters.key_algorithm);
+  if (filters.safe_id) query = query.eq('safe_id', filters.safe_id);
+  if (filters.min_age_days !== undefined) {
+    query = query.lte('key_created_at', new Date(Date.now() - filters.min_age_days * DAY_MS).toISOString());
+  }
+
+  const { data, error } = await query;
+  if (error) throw error;
+
+  const now = Date.now();
+  const safeKeys = await getSafeDataKeys((data || []).map(row => row.safe_id));
+  const keys = (data || []).map(row => {
+    const account = decryptAccountFields(row, safeKeys.get(row.safe_id) || null);
+    return {
+      account_id: account.id,
+      name: account.name || null,
+      username: account.username,
+      hostname_ip: account.hostname_ip,
+      safe_id: account.safe_id,
+      status: account.status,
+      key_algorithm: account.key_algorithm,
+      key_bits: account.key_bits,
+      key_fingerprint: account.key_fingerprint,
+      key_created_at: account.key_created_at,
+      key_age_days: keyAgeDays(account, now),
+      next_rotation: account.next_rotation,
+      rotation_overdue: Boolean(account.next_rotation && new Date(account.next_rotation).getTime() < now)
+    };
+  });
+
+  const byAlgorithm = {};
+  keys.forEach(key => {
+    const label = key.key_algorithm === 'rsa' ? `rsa-${key.key_bits}` : key.key_algorithm || 'unknown';
+    byAlgorithm[label] = (byAlgorithm[label] || 0) + 1;
+  });
+
+  return {
+    summary: {
+      total: keys.length,
+      by_algorithm: byAlgorithm,
+      overdue: keys.filter(key => key.rotation_overdue).length,
+      oldest_age_days: keys.reduce((oldest, key) => Math.max(oldest, key.key_age_days ?? 0), 0)
+    },
+    keys
+  };
+}
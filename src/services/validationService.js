@@ -1,4 +1,5 @@
 import supabase from '../utils/supabaseClient.js';
+import { resolveSafeAccess, scopeAccountQuery, scopeCredentialQuery } from './safeAccessService.js';
 
 export async function getValidationStatistics(userId, userRole) {
   try {
@@ -23,14 +24,16 @@ export async function getValidationStatistics(userId, userRole) {
       recentActivity: []
     };
 
-    // Build queries based on user role
-    let accountQuery = supabase.from('privileged_accounts').select('last_validation_status', { count: 'exact' });
-    let credentialQuery = supabase.from('credentials').select('status', { count: 'exact' });
-    
-    if (userRole === 'User') {
-      accountQuery = accountQuery.eq('owner_id', userId);
-      credentialQuery = credentialQuery.eq('user_id', userId);
-    }
+    // Build queries based on the user's safe permissions
+    const access = await resolveSafeAccess({ userId, role: userRole });
+    const accountQuery = scopeAccountQuery(
+      supabase.from('privileged_accounts').select('last_validation_status', { count: 'exact' }).is('deleted_at', null),
+      access
+    );
+    const credentialQuery = scopeCredentialQuery(
+      supabase.from('credentials').select('status', { count: 'exact' }).is('deleted_at', null),
+      { userId, role: userRole }
+    );
 
     // Get account statistics
     const [
@@ -148,10 +151,7 @@ export async function getResourceValidationStatus({ resourceType, resourceId, us
           .from(table)
           .select('id, last_validation_status, last_validated_at, validation_message')
           .eq('id', resourceId);
-        
-        if (role === 'User') {
-          query = query.eq('owner_id', userId);
-        }
+        query = scopeAccountQuery(query, await resolveSafeAccess({ userId, role }));
         break;
 
       case 'credential':
@@ -160,10 +160,7 @@ export async function getResourceValidationStatus({ resourceType, resourceId, us
           .from(table)
           .select('id, status, last_verification_attempt, verification_error')
           .eq('id', resourceId);
-        
-        if (role === 'User') {
-          query = query.eq('user_id', userId);
-        }
+        query = scopeCredentialQuery(query, { userId, role });
         break;
 
       default:
@@ -320,10 +317,10 @@ export async function getAccountsValidationStatus({ userId, role, range = '24h'
     };
 
     // Get account statistics
-    let accountQuery = supabase.from('privileged_accounts').select('*', { count: 'exact' });
-    if (role === 'User') {
-      accountQuery = accountQuery.eq('owner_id', userId);
-    }
+    const accountQuery = scopeAccountQuery(
+      supabase.from('privileged_accounts').select('*', { count: 'exact' }).is('deleted_at', null),
+      await resolveSafeAccess({ userId, role })
+    );
 
     const [
       totalAccounts,
@@ -444,10 +441,10 @@ export async function getAccountsValidationStatistics({ userId, role, range = '2
     };
 
     // Get account statistics
-    let accountQuery = supabase.from('privileged_accounts').select('*', { count: 'exact' });
-    if (role === 'User') {
-      accountQuery = accountQuery.eq('owner_id', userId);
-    }
+    const accountQuery = scopeAccountQuery(
+      supabase.from('privileged_accounts').select('*', { count: 'exact' }).is('deleted_at', null),
+      await resolveSafeAccess({ userId, role })
+    );
 
     const [
       totalAccounts,
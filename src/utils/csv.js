@@ -0,0 +1,92 @@
+/**
+ * Minimal RFC 4180 CSV parsing: quoted fields, doubled quotes, CRLF/LF line
+ * endings and line breaks inside quotes.
+ */
+
+/**
+ * Parse CSV text into rows of fields
+ * @param {string} text - CSV text
+ * @returns {string[][]} Rows, blank lines skipped
+ */
+export function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  // Strip a UTF-8 byte order mark left by spreadsheet exports
+  const input = String(text).replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const character = input[i];
+
+    if (inQuotes) {
+      if (character === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (character === '"') {
+        inQuotes = false;
+      } else {
+        field += character;
+      }
+      continue;
+    }
+
+    if (character === '"' && field === '') {
+      inQuotes = true;
+    } else if (character === ',') {
+      row.push(field);
+      field = '';
+    } else if (character === '\n' || character === '\r') {
+      if (character === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += character;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error('CSV ends inside a quoted field');
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(fields => fields.some(value => value.trim() !== ''));
+}
+
+/**
+ * Parse CSV text with a header row into objects keyed by the trimmed header names
+ * @param {string} text - CSV text
+ * @returns {Object[]} One object per data row
+ */
+export function parseCsv(text) {
+  const [header, ...rows] = parseCsvRows(text);
+  if (!header) return [];
+
+  const columns = header.map(name => name.trim());
+  return rows.map(fields => Object.fromEntries(columns.map((column, index) => [column, fields[index] ?? ''])));
+}
+
+function formatCsvField(value) {
+  if (value === undefined || value === null) return '';
+  const text = Array.isArray(value) ? value.join(';') : String(value);
+  return /[",\r\n]/.test(text) || text !== text.trim() ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Format objects as CSV with a header row; arrays are joined with ; (as parseCsv's callers expect for tags)
+ * @param {Object[]} rows - Rows to write
+ * @param {string[]} columns - Column names, in order
+ * @returns {string} CSV text with CRLF line endings
+ */
+export function toCsv(rows, columns) {
+  const lines = [columns.map(formatCsvField).join(',')];
+  for (const row of rows) {
+    lines.push(columns.map(column => formatCsvField(row[column])).join(','));
+  }
+  return `${lines.join('\r\n')}\r\n`;
+}
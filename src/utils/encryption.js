@@ -1,21 +1,65 @@
+/**
+ * Legacy AES-256-CBC helpers (static IV, no integrity check).
+ * New values are written with encryptField from secureEncryption.js; these
+ * helpers remain so ciphertexts written before the migration stay readable.
+ */
+
 import crypto from 'crypto';
-import { ENCRYPTION_KEY, ENCRYPTION_IV } from '../config/env.js';
+import { ENCRYPTION_IV } from '../config/env.js';
+import { keyManager } from './keyManagement.js';
 
 const algorithm = 'aes-256-cbc';
 
-const key = Buffer.from(ENCRYPTION_KEY, 'hex');
 const iv = Buffer.from(ENCRYPTION_IV, 'hex');
 
+// Ciphertexts are tagged with the master key version: k<version>:<hex>
+const versionPattern = /^k(\d+):([0-9a-f]+)$/i;
+
+function decryptWithKey(encryptedHex, keyHex) {
+  const decipher = crypto.createDecipheriv(algorithm, Buffer.from(keyHex, 'hex'), iv);
+  let decrypted = decipher.update(encryptedHex, 'hex', 'utf8');
+  decrypted += decipher.final('utf8');
+  return decrypted;
+}
+
+/**
+ * @deprecated Use encryptField from secureEncryption.js for new values
+ */
 export function encrypt(plainText) {
+  const version = keyManager.getCurrentKeyVersion();
+  const key = Buffer.from(keyManager.getKeyByVersion(version), 'hex');
   const cipher = crypto.createCipheriv(algorithm, key, iv);
   let encrypted = cipher.update(plainText, 'utf8', 'hex');
   encrypted += cipher.final('hex');
-  return encrypted;
+  return `k${version}:${encrypted}`;
 }
 
 export function decrypt(encryptedText) {
-  const decipher = crypto.createDecipheriv(algorithm, key, iv);
-  let decrypted = decipher.update(encryptedText, 'hex', 'utf8');
-  decrypted += decipher.final('utf8');
-  return decrypted;
-} 
\ No newline at end of file
+  const match = versionPattern.exec(encryptedText);
+  if (match) {
+    return decryptWithKey(match[2], keyManager.getKeyByVersion(match[1]));
+  }
+
+  // Untagged values predate key versioning; try the current key, then retired keys
+  let lastError;
+  for (const { key } of keyManager.getKeyRing()) {
+    try {
+      return decryptWithKey(encryptedText, key);
+    } catch (error) {
+      lastError = error;
+    }
+  }
+  throw lastError || new Error('Decryption failed');
+}
+
+// True for CBC ciphertexts, tagged (k<version>:<hex>) or untagged hex
+export function isCbcCiphertext(encryptedText) {
+  if (typeof encryptedText !== 'string') return false;
+  return versionPattern.test(encryptedText) || /^(?:[0-9a-f]{2})+$/i.test(encryptedText);
+}
+
+// Master key version a ciphertext was written with (null for untagged values)
+export function getKeyVersion(encryptedText) {
+  const match = versionPattern.exec(encryptedText || '');
+  return match ? parseInt(match[1]) : null;
+}
@@ -0,0 +1,24 @@
+/**
+ * kdbxweb with an Argon2 implementation (the KDBX4 default KDF), which the
+ * library leaves to the host. Import kdbxweb from here.
+ */
+
+import kdbxweb from 'kdbxweb';
+import { argon2d, argon2id } from 'hash-wasm';
+
+// Memory arrives in KiB
+kdbxweb.CryptoEngine.setArgon2Impl(async (password, salt, memory, iterations, length, parallelism, type) => {
+  const argon2 = type === kdbxweb.CryptoEngine.Argon2TypeArgon2id ? argon2id : argon2d;
+  const hash = await argon2({
+    password: new Uint8Array(password),
+    salt: new Uint8Array(salt),
+    memorySize: memory,
+    iterations,
+    hashLength: length,
+    parallelism,
+    outputType: 'binary'
+  });
+  return hash.buffer.slice(hash.byteOffset, hash.byteOffset + hash.byteLength);
+});
+
+export default kdbxweb;
@@ -1,12 +1,328 @@
 import crypto from 'crypto';
 import fs from 'fs';
 import path from 'path';
+import { supabaseAdmin } from './supabaseClient.js';
+import { createKmsProvider } from './kms/index.js';
+import { split, combine, getShareIndex } from './shamir.js';
+
+const KEYS_TABLE = 'encryption_keys';
+const SEAL_TABLE = 'vault_seal';
 
 // Key rotation management for enhanced security
 class KeyManager {
   constructor() {
-    this.keyRotationInterval = 30 * 24 * 60 * 60 * 1000; // 30 days
+    this.keyRotationInterval = (parseInt(process.env.ENCRYPTION_KEY_ROTATION_DAYS) || 30) * 24 * 60 * 60 * 1000; // Default 30 days
     this.keyHistoryLimit = 5; // Keep last 5 keys for decryption
+    this.keyRing = null;
+    this.provider = null;
+    this.currentKeyVersion = null;
+    this.currentKeyCreatedAt = null;
+    this.sealed = false;
+    this.sealConfig = null;
+    this.rootKey = null;
+    this.unsealShares = new Map();
+  }
+
+  // KMS provider name: 'env' keeps keys in environment variables, others store wrapped keys
+  getProviderName() {
+    return (process.env.KMS_PROVIDER || 'env').toLowerCase();
+  }
+
+  usesExternalProvider() {
+    return this.getProviderName() !== 'env';
+  }
+
+  // SEAL_MODE=shamir keeps the key ring locked until key custodians submit their shares
+  isSealEnabled() {
+    return (process.env.SEAL_MODE || 'none').toLowerCase() === 'shamir';
+  }
+
+  // Keys come from initialize()/unseal() rather than being read from the environment on demand
+  usesLoadedKeyRing() {
+    return this.usesExternalProvider() || this.isSealEnabled();
+  }
+
+  isSealed() {
+    return this.sealed;
+  }
+
+  /**
+   * Load the key ring. With an external provider the wrapped data keys are read
+   * from the encryption_keys table and unwrapped through the provider.
+   */
+  async initialize() {
+    if (this.usesExternalProvider()) {
+      this.provider = createKmsProvider(this.getProviderName());
+      await this.provider.initialize();
+    }
+
+    // Once the seal has been set up the API always boots sealed
+    if (this.isSealEnabled()) {
+      this.sealConfig = await this.fetchSealConfig();
+      if (this.sealConfig) {
+        this.sealed = true;
+        this.keyRing = null;
+        return this.getKeyStatus();
+      }
+    }
+
+    if (this.usesExternalProvider()) {
+      await this.loadWrappedKeyRing();
+    } else {
+      this.keyRing = this.loadKeyRing();
+      this.currentKeyVersion = this.getEnvironmentKeyVersion();
+      this.currentKeyCreatedAt = process.env.ENCRYPTION_KEY_CREATED_AT || null;
+    }
+    return this.getKeyStatus();
+  }
+
+  async loadWrappedKeyRing() {
+    let rows = await this.fetchKeyRecords();
+
+    if (rows.length === 0) {
+      rows = [await this.bootstrapWrappedKey()];
+    }
+
+    const ring = new Map();
+    for (const row of rows) {
+      const dataKey = await this.provider.unwrapKey(row.wrapped_key);
+      ring.set(row.version, dataKey.toString('hex'));
+    }
+
+    const current = rows.find(row => row.status === 'active') || rows[0];
+    this.currentKeyVersion = current.version;
+    this.currentKeyCreatedAt = current.created_at;
+    this.keyRing = ring;
+  }
+
+  async fetchKeyRecords() {
+    const { data, error } = await supabaseAdmin
+      .from(KEYS_TABLE)
+      .select('version, wrapped_key, kms_provider, status, created_at')
+      .neq('status', 'destroyed')
+      .order('version', { ascending: false });
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  // First start with a KMS provider: adopt ENCRYPTION_KEY if still set so existing data stays readable
+  async bootstrapWrappedKey() {
+    const legacyKey = process.env.ENCRYPTION_KEY;
+    const key = this.validateKey(legacyKey) ? legacyKey : this.generateKey();
+    const version = this.validateKey(legacyKey) ? (parseInt(process.env.ENCRYPTION_KEY_VERSION) || 1) : 1;
+
+    return await this.storeWrappedKey(version, key);
+  }
+
+  async storeWrappedKey(version, key) {
+    const record = {
+      version,
+      wrapped_key: await this.provider.wrapKey(Buffer.from(key, 'hex')),
+      kms_provider: this.provider.name,
+      status: 'active',
+      created_at: new Date().toISOString()
+    };
+
+    const { data, error } = await supabaseAdmin
+      .from(KEYS_TABLE)
+      .insert([record])
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * Generate a new data key, wrap it with the provider and make it current.
+   * Retired versions stay in the ring for decryption until re-encryption completes.
+   */
+  async rotateKey() {
+    if (!this.usesExternalProvider()) {
+      const error = new Error('The env provider rotates keys through ENCRYPTION_KEY, ENCRYPTION_KEY_VERSION and ENCRYPTION_KEY_HISTORY');
+      error.status = 400;
+      throw error;
+    }
+    this.assertUnsealed();
+    if (!this.keyRing) {
+      throw new Error('Key manager has not been initialized');
+    }
+
+    const version = Math.max(...this.keyRing.keys()) + 1;
+
+    // Store the new key before retiring the old ones, so a failed insert leaves the
+    // current key active; only older versions are retired, never a newer one written
+    // by a concurrent rotation
+    await this.storeWrappedKey(version, this.generateKey());
+
+    const { error } = await supabaseAdmin
+      .from(KEYS_TABLE)
+      .update({ status: 'retired', retired_at: new Date().toISOString() })
+      .eq('status', 'active')
+      .lt('version', version);
+    if (error) throw error;
+
+    await this.loadWrappedKeyRing();
+
+    // Keep the sealed copy of the key ring in step with the new version
+    if (this.sealConfig) {
+      await this.storeSealConfig(this.sealConfig.secret_shares, this.sealConfig.secret_threshold, this.rootKey);
+    }
+
+    return this.getKeyStatus();
+  }
+
+  async fetchSealConfig() {
+    const { data, error } = await supabaseAdmin
+      .from(SEAL_TABLE)
+      .select('*')
+      .eq('id', 1)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  }
+
+  // Encrypt the unwrapped key ring with the root key using the key backup format
+  async storeSealConfig(shares, threshold, rootKey, userId = null) {
+    const keys = Object.fromEntries(this.ensureKeyRing());
+    const backup = this.createKeyBackup({
+      current_version: this.getCurrentKeyVersion(),
+      current_created_at: this.currentKeyCreatedAt,
+      keys
+    }, rootKey.toString('hex'));
+
+    const record = {
+      id: 1,
+      key_backup: backup,
+      secret_shares: shares,
+      secret_threshold: threshold,
+      updated_at: new Date().toISOString()
+    };
+    if (userId) {
+      record.initialized_by = userId;
+    }
+
+    const { data, error } = await supabaseAdmin
+      .from(SEAL_TABLE)
+      .upsert([record])
+      .select()
+      .single();
+
+    if (error) throw error;
+    this.sealConfig = data;
+    return data;
+  }
+
+  /**
+   * Set up (or re-key) the seal: a new root key protects the current key ring
+   * and is split into Shamir shares. The shares are returned once and never stored.
+   */
+  async initializeSeal({ shares, threshold, userId }) {
+    if (!this.isSealEnabled()) {
+      const error = new Error('Seal mode is disabled - set SEAL_MODE=shamir to use key shares');
+      error.status = 400;
+      throw error;
+    }
+    this.assertUnsealed();
+
+    const rootKey = crypto.randomBytes(32);
+    await this.storeSealConfig(shares, threshold, rootKey, userId);
+    this.rootKey = rootKey;
+    this.unsealShares.clear();
+
+    return {
+      shares: split(rootKey, shares, threshold),
+      secret_shares: shares,
+      secret_threshold: threshold
+    };
+  }
+
+  /**
+   * Submit one key share. Once the threshold is reached the root key is rebuilt
+   * and the key ring restored from the sealed backup.
+   */
+  async submitUnsealShare(share, userId = null) {
+    if (!this.sealed) {
+      return this.getSealStatus();
+    }
+
+    const index = getShareIndex(share);
+    if (!index) {
+      const error = new Error('Invalid key share');
+      error.status = 400;
+      throw error;
+    }
+    this.unsealShares.set(index, { share, userId });
+
+    if (this.unsealShares.size < this.sealConfig.secret_threshold) {
+      return this.getSealStatus();
+    }
+
+    const shares = [...this.unsealShares.values()].map(entry => entry.share);
+    this.unsealShares.clear();
+
+    let restored;
+    let rootKey;
+    try {
+      rootKey = combine(shares);
+      restored = this.restoreKeyBackup(this.sealConfig.key_backup, rootKey.toString('hex'));
+    } catch (err) {
+      const error = new Error('Unseal failed - the submitted key shares do not match. Progress has been reset');
+      error.status = 400;
+      throw error;
+    }
+
+    this.keyRing = new Map(Object.entries(restored.keys).map(([version, key]) => [Number(version), key]));
+    this.currentKeyVersion = restored.current_version;
+    this.currentKeyCreatedAt = restored.current_created_at;
+    this.rootKey = rootKey;
+    this.sealed = false;
+
+    return this.getSealStatus();
+  }
+
+  // Discard shares submitted so far
+  resetUnsealProgress() {
+    this.unsealShares.clear();
+    return this.getSealStatus();
+  }
+
+  // Drop all key material from memory; secret routes return 503 until unsealed again
+  seal() {
+    if (!this.isSealEnabled() || !this.sealConfig) {
+      const error = new Error('The seal has not been initialized');
+      error.status = 400;
+      throw error;
+    }
+
+    if (this.rootKey) this.rootKey.fill(0);
+    this.rootKey = null;
+    this.keyRing = null;
+    this.unsealShares.clear();
+    this.sealed = true;
+
+    return this.getSealStatus();
+  }
+
+  getSealStatus() {
+    return {
+      seal_mode: this.isSealEnabled() ? 'shamir' : 'none',
+      initialized: !!this.sealConfig,
+      sealed: this.sealed,
+      secret_shares: this.sealConfig?.secret_shares ?? null,
+      secret_threshold: this.sealConfig?.secret_threshold ?? null,
+      progress: this.unsealShares.size
+    };
+  }
+
+  assertUnsealed() {
+    if (this.sealed) {
+      const error = new Error('Vault is sealed');
+      error.status = 503;
+      throw error;
+    }
   }
 
   // Generate a new encryption key
@@ -14,8 +330,15 @@ class KeyManager {
     return crypto.randomBytes(32).toString('hex');
   }
 
-  // Get current encryption key from environment or key store
+  // Get current encryption key from the loaded key ring or the environment
   getCurrentKey() {
+    if (this.usesLoadedKeyRing()) {
+      return this.getKeyByVersion(this.getCurrentKeyVersion());
+    }
+    return this.getEnvironmentKey();
+  }
+
+  getEnvironmentKey() {
     const key = process.env.ENCRYPTION_KEY;
     if (!key) {
       throw new Error('ENCRYPTION_KEY not found in environment variables');
@@ -26,19 +349,126 @@ class KeyManager {
     return key;
   }
 
-  // Key derivation for different purposes
-  deriveKey(masterKey, purpose, salt) {
-    const info = Buffer.from(purpose, 'utf8');
-    return crypto.pbkdf2Sync(masterKey, salt, 100000, 32, 'sha256');
+  // Version number of the current key (bumped on every rotation)
+  getCurrentKeyVersion() {
+    if (this.usesLoadedKeyRing()) {
+      this.assertUnsealed();
+      if (this.currentKeyVersion === null) {
+        throw new Error('Key manager has not been initialized');
+      }
+      return this.currentKeyVersion;
+    }
+    return this.getEnvironmentKeyVersion();
+  }
+
+  getEnvironmentKeyVersion() {
+    const version = parseInt(process.env.ENCRYPTION_KEY_VERSION) || 1;
+    if (version < 1) {
+      throw new Error('ENCRYPTION_KEY_VERSION must be a positive integer');
+    }
+    return version;
+  }
+
+  // Load the current key plus retired keys from ENCRYPTION_KEY_HISTORY ("version:hexkey,...")
+  loadKeyRing() {
+    const currentVersion = this.getEnvironmentKeyVersion();
+    const ring = new Map([[currentVersion, this.getEnvironmentKey()]]);
+
+    const history = (process.env.ENCRYPTION_KEY_HISTORY || '')
+      .split(',')
+      .map(entry => entry.trim())
+      .filter(Boolean)
+      .map(entry => {
+        const [version, key] = entry.split(':');
+        const parsedVersion = parseInt(version);
+        if (!parsedVersion || !this.validateKey(key)) {
+          throw new Error(`Invalid ENCRYPTION_KEY_HISTORY entry for version ${version}`);
+        }
+        return { version: parsedVersion, key };
+      })
+      .filter(entry => entry.version !== currentVersion)
+      .sort((a, b) => b.version - a.version)
+      .slice(0, this.keyHistoryLimit);
+
+    for (const { version, key } of history) {
+      ring.set(version, key);
+    }
+
+    return ring;
+  }
+
+  ensureKeyRing() {
+    this.assertUnsealed();
+    if (!this.keyRing) {
+      if (this.usesLoadedKeyRing()) {
+        throw new Error('Key manager has not been initialized');
+      }
+      this.keyRing = this.loadKeyRing();
+    }
+    return this.keyRing;
   }
 
-  // Generate key for specific tenant/environment
-  generateTenantKey(tenantId) {
-    const masterKey = this.getCurrentKey();
-    const salt = crypto.createHash('sha256').update(tenantId).digest();
-    return this.deriveKey(masterKey, `tenant:${tenantId}`, salt);
+  // Keys usable for decryption, current key first
+  getKeyRing() {
+    const ring = this.ensureKeyRing();
+    const currentVersion = this.getCurrentKeyVersion();
+    return [...ring.entries()]
+      .map(([version, key]) => ({ version, key }))
+      .sort((a, b) => (b.version === currentVersion) - (a.version === currentVersion) || b.version - a.version);
   }
 
+  // Look up a key by version; retired keys are only kept for decryption
+  getKeyByVersion(version) {
+    const key = this.ensureKeyRing().get(Number(version));
+    if (!key) {
+      throw new Error(`Encryption key version ${version} is not available`);
+    }
+    return key;
+  }
+
+  // Drop the cached env key ring so configuration changes are picked up
+  reloadKeyRing() {
+    if (!this.usesLoadedKeyRing()) {
+      this.keyRing = null;
+    }
+    return this.getKeyRing();
+  }
+
+  // Summary of key versions without exposing key material
+  getKeyStatus() {
+    if (this.sealed) {
+      return {
+        provider: this.getProviderName(),
+        sealed: true,
+        current_version: null,
+        available_versions: [],
+        key_created_at: null,
+        rotation_interval_days: Math.round(this.keyRotationInterval / (24 * 60 * 60 * 1000)),
+        rotation_due: null
+      };
+    }
+
+    const createdAtSource = this.usesLoadedKeyRing()
+      ? this.currentKeyCreatedAt
+      : process.env.ENCRYPTION_KEY_CREATED_AT;
+    const createdAt = createdAtSource ? new Date(createdAtSource) : null;
+    const validCreatedAt = createdAt && !isNaN(createdAt.getTime()) ? createdAt : null;
+
+    return {
+      provider: this.getProviderName(),
+      sealed: false,
+      current_version: this.getCurrentKeyVersion(),
+      available_versions: this.getKeyRing().map(entry => entry.version),
+      key_created_at: validCreatedAt ? validCreatedAt.toISOString() : null,
+      rotation_interval_days: Math.round(this.keyRotationInterval / (24 * 60 * 60 * 1000)),
+      rotation_due: validCreatedAt ? this.shouldRotateKey(validCreatedAt.getTime()) : null
+    };
+  }
+
+  // Per-safe data keys are random and wrapped under the master key (see
+  // generateSafeDataKey in secureEncryption.js) rather than derived from it,
+  // so deleting a safe's wrapped key crypto-shreds that safe alone.
+
   // Validate key strength
   validateKey(key) {
     if (!key) return false;
@@ -61,7 +491,8 @@ class KeyManager {
   // Create a secure backup of keys (encrypted with a different key)
   createKeyBackup(keys, backupPassphrase) {
     const algorithm = 'aes-256-gcm';
-    const backupKey = crypto.scryptSync(backupPassphrase, 'backup-salt', 32);
+    const salt = this.generateSalt();
+    const backupKey = crypto.scryptSync(backupPassphrase, salt, 32);
     const iv = crypto.randomBytes(16);
     
     const cipher = crypto.createCipheriv(algorithm, backupKey, iv);
@@ -73,13 +504,16 @@ class KeyManager {
       encrypted,
       iv: iv.toString('hex'),
       authTag: authTag.toString('hex'),
+      salt: salt.toString('hex'),
       algorithm
     };
   }
 
   // Restore keys from backup
   restoreKeyBackup(backup, backupPassphrase) {
-    const backupKey = crypto.scryptSync(backupPassphrase, 'backup-salt', 32);
+    // Backups written before per-backup salts used a fixed salt
+    const salt = backup.salt ? Buffer.from(backup.salt, 'hex') : 'backup-salt';
+    const backupKey = crypto.scryptSync(backupPassphrase, salt, 32);
     const decipher = crypto.createDecipheriv(
       backup.algorithm,
       backupKey,
@@ -0,0 +1,108 @@
+/**
+ * Local Keystore KMS Provider
+ * Wraps data keys with a key-encryption key kept in a passphrase-protected file
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+
+const algorithm = 'aes-256-gcm';
+const ivLength = 12;
+const tagLength = 16;
+const wrappedPrefix = 'keystore:v1:';
+
+export class LocalKeystoreProvider {
+  constructor({ keystorePath, passphrase }) {
+    this.name = 'keystore';
+    this.keystorePath = keystorePath;
+    this.passphrase = passphrase;
+    this.keyEncryptionKey = null;
+  }
+
+  /**
+   * Unlock the keystore, creating it on first use
+   */
+  async initialize() {
+    if (!this.keystorePath) {
+      throw new Error('KMS_KEYSTORE_PATH is required for the keystore provider');
+    }
+    if (!this.passphrase) {
+      throw new Error('A keystore passphrase is required (KMS_KEYSTORE_PASSPHRASE_FILE or KMS_KEYSTORE_PASSPHRASE)');
+    }
+
+    if (!fs.existsSync(this.keystorePath)) {
+      this.createKeystore();
+    }
+
+    const keystore = JSON.parse(fs.readFileSync(this.keystorePath, 'utf8'));
+    const passphraseKey = this.derivePassphraseKey(keystore.kdf);
+
+    try {
+      this.keyEncryptionKey = this.open(passphraseKey, Buffer.from(keystore.wrapped_key, 'base64'));
+    } catch (error) {
+      throw new Error('Unable to unlock keystore - wrong passphrase or corrupted file');
+    }
+  }
+
+  async wrapKey(dataKey) {
+    this.assertUnlocked();
+    return wrappedPrefix + this.seal(this.keyEncryptionKey, dataKey).toString('base64');
+  }
+
+  async unwrapKey(wrappedKey) {
+    this.assertUnlocked();
+    if (!wrappedKey.startsWith(wrappedPrefix)) {
+      throw new Error('Wrapped key was not produced by the keystore provider');
+    }
+    return this.open(this.keyEncryptionKey, Buffer.from(wrappedKey.slice(wrappedPrefix.length), 'base64'));
+  }
+
+  createKeystore() {
+    const kdf = {
+      algorithm: 'scrypt',
+      salt: crypto.randomBytes(32).toString('base64'),
+      N: 32768,
+      r: 8,
+      p: 1
+    };
+    const keyEncryptionKey = crypto.randomBytes(32);
+    const keystore = {
+      format: 1,
+      kdf,
+      wrapped_key: this.seal(this.derivePassphraseKey(kdf), keyEncryptionKey).toString('base64'),
+      created_at: new Date().toISOString()
+    };
+
+    fs.mkdirSync(path.dirname(this.keystorePath), { recursive: true });
+    fs.writeFileSync(this.keystorePath, JSON.stringify(keystore, null, 2), { mode: 0o600 });
+  }
+
+  derivePassphraseKey(kdf) {
+    return crypto.scryptSync(this.passphrase, Buffer.from(kdf.salt, 'base64'), 32, {
+      N: kdf.N,
+      r: kdf.r,
+      p: kdf.p,
+      maxmem: 128 * kdf.N * kdf.r * 2
+    });
+  }
+
+  seal(key, plainBuffer) {
+    const iv = crypto.randomBytes(ivLength);
+    const cipher = crypto.createCipheriv(algorithm, key, iv);
+    const encrypted = Buffer.concat([cipher.update(plainBuffer), cipher.final()]);
+    return Buffer.concat([iv, cipher.getAuthTag(), encrypted]);
+  }
+
+  open(key, sealed) {
+    const decipher = crypto.createDecipheriv(algorithm, key, sealed.subarray(0, ivLength));
+    decipher.setAuthTag(sealed.subarray(ivLength, ivLength + tagLength));
+    return Buffer.concat([decipher.update(sealed.subarray(ivLength + tagLength)), decipher.final()]);
+  }
+
+  assertUnlocked() {
+    if (!this.keyEncryptionKey) {
+      throw new Error('Keystore provider has not been initialized');
+    }
+  }
+}
@@ -0,0 +1,68 @@
+/**
+ * Vault Transit KMS Provider
+ * Wraps data keys through the HashiCorp Vault transit secrets engine API
+ */
+
+import axios from 'axios';
+
+export class VaultTransitProvider {
+  constructor({ address, token, mount = 'transit', keyName = 'cybervault', namespace, timeout = 10000 }) {
+    this.name = 'vault-transit';
+    this.address = address?.replace(/\/+$/, '');
+    this.token = token;
+    this.mount = mount;
+    this.keyName = keyName;
+    this.namespace = namespace;
+    this.timeout = timeout;
+  }
+
+  /**
+   * Check that the transit key is reachable with the configured token
+   */
+  async initialize() {
+    if (!this.address) {
+      throw new Error('VAULT_ADDR is required for the vault-transit provider');
+    }
+    if (!this.token) {
+      throw new Error('A Vault token is required (VAULT_TOKEN_FILE or VAULT_TOKEN)');
+    }
+
+    await this.request('get', `/v1/${this.mount}/keys/${this.keyName}`);
+  }
+
+  async wrapKey(dataKey) {
+    const response = await this.request('post', `/v1/${this.mount}/encrypt/${this.keyName}`, {
+      plaintext: Buffer.from(dataKey).toString('base64')
+    });
+    return response.data.ciphertext;
+  }
+
+  async unwrapKey(wrappedKey) {
+    const response = await this.request('post', `/v1/${this.mount}/decrypt/${this.keyName}`, {
+      ciphertext: wrappedKey
+    });
+    return Buffer.from(response.data.plaintext, 'base64');
+  }
+
+  async request(method, urlPath, data) {
+    const headers = { 'X-Vault-Token': this.token };
+    if (this.namespace) {
+      headers['X-Vault-Namespace'] = this.namespace;
+    }
+
+    try {
+      const response = await axios({
+        method,
+        url: `${this.address}${urlPath}`,
+        data,
+        headers,
+        timeout: this.timeout
+      });
+      return response.data;
+    } catch (error) {
+      const vaultErrors = error.response?.data?.errors;
+      const detail = Array.isArray(vaultErrors) && vaultErrors.length > 0 ? vaultErrors.join('; ') : error.message;
+      throw new Error(`Vault transit request failed: ${detail}`);
+    }
+  }
+}
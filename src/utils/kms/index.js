@@ -0,0 +1,46 @@
+/**
+ * Key Management Service providers
+ *
+ * A provider wraps and unwraps data keys so that key material never has to
+ * live in plain environment variables. Every provider exposes:
+ *   - name
+ *   - initialize(): Promise<void>
+ *   - wrapKey(dataKey: Buffer): Promise<string>
+ *   - unwrapKey(wrappedKey: string): Promise<Buffer>
+ */
+
+import fs from 'fs';
+import { LocalKeystoreProvider } from './LocalKeystoreProvider.js';
+import { VaultTransitProvider } from './VaultTransitProvider.js';
+
+// Prefer secrets mounted as files over plain environment variables
+function readSecret(fileVariable, variable) {
+  const filePath = process.env[fileVariable];
+  if (filePath) {
+    return fs.readFileSync(filePath, 'utf8').trim();
+  }
+  return process.env[variable];
+}
+
+export function createKmsProvider(name) {
+  switch (name) {
+    case 'keystore':
+      return new LocalKeystoreProvider({
+        keystorePath: process.env.KMS_KEYSTORE_PATH,
+        passphrase: readSecret('KMS_KEYSTORE_PASSPHRASE_FILE', 'KMS_KEYSTORE_PASSPHRASE')
+      });
+    case 'vault-transit':
+      return new VaultTransitProvider({
+        address: process.env.VAULT_ADDR,
+        token: readSecret('VAULT_TOKEN_FILE', 'VAULT_TOKEN'),
+        mount: process.env.VAULT_TRANSIT_MOUNT || 'transit',
+        keyName: process.env.VAULT_TRANSIT_KEY || 'cybervault',
+        namespace: process.env.VAULT_NAMESPACE,
+        timeout: parseInt(process.env.VAULT_TIMEOUT) || 10000
+      });
+    default:
+      throw new Error(`Unknown KMS provider '${name}'. Supported providers: env, keystore, vault-transit`);
+  }
+}
+
+export { LocalKeystoreProvider, VaultTransitProvider };
@@ -0,0 +1,258 @@
+/**
+ * Shared list contract: cursor or offset pagination, multi-field sort, filter
+ * operators and total counts for the list endpoints.
+ *
+ *   ?limit=50&cursor=<next_cursor>          keyset page after the previous one
+ *   ?limit=50&offset=100                    offset page (kept for older clients)
+ *   ?sort=-created_at,status                '-' sorts descending; id breaks ties
+ *   ?status=active                          eq
+ *   ?status[in]=active,inactive             in
+ *   ?created_at[gte]=2025-01-01             gte / lte on dates and numbers
+ */
+
+export const DEFAULT_LIMIT = 50;
+export const MAX_LIMIT = 200;
+
+// Operators each filter type accepts
+const TYPE_OPERATORS = {
+  text: ['eq', 'in'],
+  uuid: ['eq', 'in'],
+  boolean: ['eq'],
+  integer: ['eq', 'in', 'gte', 'lte'],
+  date: ['eq', 'gte', 'lte']
+};
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+function invalid(field, message) {
+  return { field, message };
+}
+
+function parseValue(type, raw) {
+  const value = String(raw).trim();
+  switch (type) {
+    case 'uuid':
+      return UUID_PATTERN.test(value) ? value : undefined;
+    case 'boolean':
+      return value === 'true' ? true : value === 'false' ? false : undefined;
+    case 'integer':
+      return /^-?\d+$/.test(value) ? parseInt(value) : undefined;
+    case 'date': {
+      const time = Date.parse(value);
+      return Number.isNaN(time) ? undefined : new Date(time).toISOString();
+    }
+    default:
+      return value === '' ? undefined : value;
+  }
+}
+
+function parseFilter(column, type, raw, errors) {
+  // ?status=active is shorthand for ?status[eq]=active
+  const operations = raw !== null && typeof raw === 'object' && !Array.isArray(raw) ? raw : { eq: raw };
+  const filters = [];
+
+  for (const [operator, operand] of Object.entries(operations)) {
+    if (!TYPE_OPERATORS[type].includes(operator)) {
+      errors.push(invalid(column, `Operator '${operator}' is not supported; use one of: ${TYPE_OPERATORS[type].join(', ')}`));
+      continue;
+    }
+
+    if (operator === 'in') {
+      const items = (Array.isArray(operand) ? operand : String(operand).split(',')).map(item => parseValue(type, item));
+      if (items.length === 0 || items.length > MAX_LIMIT || items.includes(undefined)) {
+        errors.push(invalid(column, `'${column}[in]' must be a comma-separated list of valid ${type} values`));
+        continue;
+      }
+      filters.push({ column, operator, value: items });
+      continue;
+    }
+
+    const value = Array.isArray(operand) ? undefined : parseValue(type, operand);
+    if (value === undefined) {
+      errors.push(invalid(column, `'${column}' must be a valid ${type} value`));
+      continue;
+    }
+    filters.push({ column, operator, value });
+  }
+
+  return filters;
+}
+
+function parseSort(raw, spec, errors) {
+  const fields = String(raw || spec.defaultSort || '-created_at').split(',').map(field => field.trim()).filter(Boolean);
+  const sort = [];
+
+  for (const field of fields) {
+    const ascending = !field.startsWith('-');
+    const column = field.replace(/^[-+]/, '');
+    if (!spec.sortable.includes(column)) {
+      errors.push(invalid('sort', `Cannot sort by '${column}'; use one of: ${spec.sortable.join(', ')}`));
+    } else if (!sort.some(entry => entry.column === column)) {
+      sort.push({ column, ascending });
+    }
+  }
+
+  // A unique last key makes the order, and so the cursor, deterministic
+  if (!sort.some(entry => entry.column === 'id')) {
+    sort.push({ column: 'id', ascending: true });
+  }
+  return sort;
+}
+
+function sortKey(sort) {
+  return sort.map(({ column, ascending }) => `${ascending ? '' : '-'}${column}`).join(',');
+}
+
+function encodeCursor(sort, row) {
+  return Buffer.from(JSON.stringify({ s: sortKey(sort), v: sort.map(({ column }) => row[column] ?? null) })).toString('base64url');
+}
+
+function decodeCursor(raw, sort, errors) {
+  try {
+    const cursor = JSON.parse(Buffer.from(String(raw), 'base64url').toString('utf8'));
+    if (cursor.s !== sortKey(sort) || !Array.isArray(cursor.v) || cursor.v.length !== sort.length) {
+      errors.push(invalid('cursor', 'Cursor does not match the requested sort; restart from the first page'));
+      return null;
+    }
+    return cursor.v;
+  } catch (error) {
+    errors.push(invalid('cursor', 'Cursor is malformed'));
+    return null;
+  }
+}
+
+/**
+ * Parse pagination, sort and filters from a request's query string
+ * @param {Object} query - req.query
+ * @param {Object} spec - { sortable: [columns], filters: { column: type }, defaultSort, defaultLimit }
+ * @returns {Object} { limit, offset, cursor, sort, filters, errors }
+ */
+export function parseListQuery(query, spec) {
+  const errors = [];
+
+  let limit = spec.defaultLimit || DEFAULT_LIMIT;
+  if (query.limit !== undefined) {
+    limit = parseInt(query.limit);
+    if (!/^\d+$/.test(String(query.limit)) || limit < 1 || limit > MAX_LIMIT) {
+      errors.push(invalid('limit', `Limit must be between 1 and ${MAX_LIMIT}`));
+    }
+  }
+
+  let offset = 0;
+  if (query.offset !== undefined) {
+    offset = parseInt(query.offset);
+    if (!/^\d+$/.test(String(query.offset))) {
+      errors.push(invalid('offset', 'Offset must be a non-negative integer'));
+    }
+  }
+  if (query.cursor !== undefined && query.offset !== undefined) {
+    errors.push(invalid('cursor', 'Use either cursor or offset, not both'));
+  }
+
+  const sort = parseSort(query.sort, spec, errors);
+  const cursor = query.cursor !== undefined ? decodeCursor(query.cursor, sort, errors) : null;
+
+  const filters = Object.entries(spec.filters || {})
+    .filter(([column]) => query[column] !== undefined)
+    .flatMap(([column, type]) => parseFilter(column, type, query[column], errors));
+
+  return { limit, offset, cursor, sort, filters, errors };
+}
+
+// Quoted so dates, commas and parentheses survive PostgREST's or() syntax
+function literal(value) {
+  return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+// Rows strictly after the cursor in sort order; Postgres puts nulls last ascending and first descending
+function afterCursor(sort, values) {
+  const branches = [];
+
+  sort.forEach(({ column, ascending }, index) => {
+    const value = values[index];
+    const equal = values.slice(0, index).map((previous, i) => (
+      previous === null ? `${sort[i].column}.is.null` : `${sort[i].column}.eq.${literal(previous)}`
+    ));
+
+    let after;
+    if (value === null) {
+      after = ascending ? [] : [`${column}.not.is.null`];
+    } else {
+      after = ascending ? [`${column}.gt.${literal(value)}`, `${column}.is.null`] : [`${column}.lt.${literal(value)}`];
+    }
+
+    after.forEach(condition => {
+      const terms = [...equal, condition];
+      branches.push(terms.length === 1 ? terms[0] : `and(${terms.join(',')})`);
+    });
+  });
+
+  return branches.join(',');
+}
+
+function applyFilters(query, filters) {
+  return filters.reduce((current, { column, operator, value }) => current[operator](column, value), query);
+}
+
+/**
+ * Fetch one page of a list
+ * @param {Function} buildQuery - (columns, options) => scoped supabase select, without order or range
+ * @param {Object} list - parseListQuery result
+ * @param {string} [columns='*'] - Columns to select; must include the sort columns
+ * @returns {Promise<Object>} { rows, total, limit, offset, nextCursor, pageCount }
+ */
+export async function fetchPage(buildQuery, list, columns = '*') {
+  // On a cursor page the count must ignore the cursor condition, so it runs separately
+  let query = applyFilters(buildQuery(columns, list.cursor ? undefined : { count: 'exact' }), list.filters);
+  const countQuery = list.cursor
+    ? applyFilters(buildQuery('id', { count: 'exact', head: true }), list.filters)
+    : null;
+
+  if (list.cursor) {
+    query = query.or(afterCursor(list.sort, list.cursor));
+  }
+  for (const { column, ascending } of list.sort) {
+    query = query.order(column, { ascending });
+  }
+  // One extra row tells whether another page follows
+  query = list.cursor ? query.limit(list.limit + 1) : query.range(list.offset, list.offset + list.limit);
+
+  const [{ data, count, error }, countResult] = await Promise.all([query, countQuery]);
+  if (error) throw error;
+  if (countResult?.error) throw countResult.error;
+
+  const rows = (data || []).slice(0, list.limit);
+  const total = countResult ? countResult.count : count;
+
+  return {
+    rows,
+    total: total ?? rows.length,
+    limit: list.limit,
+    offset: list.cursor ? null : list.offset,
+    nextCursor: (data || []).length > list.limit ? encodeCursor(list.sort, rows[rows.length - 1]) : null,
+    pageCount: Math.ceil((total ?? rows.length) / list.limit)
+  };
+}
+
+/**
+ * Set X-Total-Count, X-Page-Count and X-Next-Cursor for a page; the counts are
+ * left out when the total is unknown (null)
+ * @returns {Object} Pagination block for JSON bodies
+ */
+export function setPageHeaders(res, page) {
+  if (page.total !== null) {
+    res.set('X-Total-Count', String(page.total));
+    res.set('X-Page-Count', String(page.pageCount));
+  }
+  if (page.nextCursor) {
+    res.set('X-Next-Cursor', page.nextCursor);
+  }
+
+  return {
+    limit: page.limit,
+    offset: page.offset,
+    next_cursor: page.nextCursor,
+    total: page.total,
+    page_count: page.pageCount
+  };
+}
@@ -1,88 +1,216 @@
 import crypto from 'crypto';
-import { ENCRYPTION_KEY } from '../config/env.js';
+import { keyManager } from './keyManagement.js';
+import { decrypt as decryptCbc, isCbcCiphertext } from './encryption.js';
 
 const algorithm = 'aes-256-gcm';
 const keyLength = 32; // 256 bits
 const ivLength = 16; // 128 bits
 const tagLength = 16; // 128 bits
 const saltLength = 32; // 256 bits
+const envelopeIvLength = 12; // 96 bits, recommended for GCM
+const envelopePrefix = 'ev1';
+const safeEnvelopePrefix = 'sv1';
+
+// Account columns encrypted with the owning safe's data key
+const ACCOUNT_FIELDS = ['name', 'username', 'hostname_ip', 'password', 'notes', 'private_key'];
+
+// Keys derived per master key version and purpose, cached until the key ring changes
+// (reload, rotation, seal/unseal)
+const derivedKeys = new Map();
+let cachedKeyRing = null;
+
+// Blind index values are truncated HMACs; prefixes shorter than this are not indexed
+const indexHashLength = 16;
+export const MIN_INDEX_PREFIX_LENGTH = 3;
+const maxIndexPrefixLength = 64;
 
 // Derive key from master key using PBKDF2
 function deriveKey(masterKey, salt) {
   return crypto.pbkdf2Sync(masterKey, salt, 100000, keyLength, 'sha256');
 }
 
-// Encrypt with random IV and authentication tag
-export function encryptField(plainText) {
+function getDerivedKey(version, purpose) {
+  // Throws while the vault is sealed
+  const masterKeyHex = keyManager.getKeyByVersion(version);
+  const keyRing = keyManager.ensureKeyRing();
+  if (keyRing !== cachedKeyRing) {
+    derivedKeys.forEach(key => key.fill(0));
+    derivedKeys.clear();
+    cachedKeyRing = keyRing;
+  }
+
+  const info = `cybervault:${purpose}:v${version}`;
+  if (!derivedKeys.has(info)) {
+    const masterKey = Buffer.from(masterKeyHex, 'hex');
+    derivedKeys.set(info, Buffer.from(crypto.hkdfSync('sha256', masterKey, Buffer.alloc(0), info, keyLength)));
+  }
+  return derivedKeys.get(info);
+}
+
+function getKeyEncryptionKey(version) {
+  return getDerivedKey(version, 'kek');
+}
+
+// AES-256-GCM with a random IV; output is iv + authTag + ciphertext
+function seal(key, plainBuffer) {
+  const iv = crypto.randomBytes(envelopeIvLength);
+  const cipher = crypto.createCipheriv(algorithm, key, iv);
+  const encrypted = Buffer.concat([cipher.update(plainBuffer), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), encrypted]);
+}
+
+function open(key, sealed) {
+  const iv = sealed.subarray(0, envelopeIvLength);
+  const authTag = sealed.subarray(envelopeIvLength, envelopeIvLength + tagLength);
+  const encrypted = sealed.subarray(envelopeIvLength + tagLength);
+
+  const decipher = crypto.createDecipheriv(algorithm, key, iv);
+  decipher.setAuthTag(authTag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]);
+}
+
+// Pre-versioning format: salt + iv + authTag + data, key derived from the master key with PBKDF2
+function decryptLegacyField(encryptedData, masterKeyHex) {
+  const masterKey = Buffer.from(masterKeyHex, 'hex');
+  const combined = Buffer.from(encryptedData, 'base64');
+
+  const salt = combined.subarray(0, saltLength);
+  const iv = combined.subarray(saltLength, saltLength + ivLength);
+  const authTag = combined.subarray(saltLength + ivLength, saltLength + ivLength + tagLength);
+  const encrypted = combined.subarray(saltLength + ivLength + tagLength);
+
+  const key = deriveKey(masterKey, salt);
+
+  const decipher = crypto.createDecipheriv(algorithm, key, iv);
+  decipher.setAuthTag(authTag);
+
+  let decrypted = decipher.update(encrypted, null, 'utf8');
+  decrypted += decipher.final('utf8');
+
+  return decrypted;
+}
+
+/**
+ * Encrypt a value with envelope encryption.
+ * A random data key encrypts the value and is itself wrapped by the current
+ * master key version: ev1:<keyVersion>:<wrappedDataKey>:<payload>
+ * When a safe data key is given the value is sealed with it instead: sv1:<payload>
+ */
+export function encryptField(plainText, safeKey = null) {
   if (!plainText || plainText === null || plainText === undefined) {
     return null;
   }
   
   try {
-    const masterKey = Buffer.from(ENCRYPTION_KEY, 'hex');
-    const salt = crypto.randomBytes(saltLength);
-    const iv = crypto.randomBytes(ivLength);
-    const key = deriveKey(masterKey, salt);
-    
-    const cipher = crypto.createCipheriv(algorithm, key, iv);
-    let encrypted = cipher.update(String(plainText), 'utf8', 'hex');
-    encrypted += cipher.final('hex');
-    const authTag = cipher.getAuthTag();
-    
-    // Combine salt + iv + authTag + encrypted data
-    const combined = Buffer.concat([
-      salt,
-      iv,
-      authTag,
-      Buffer.from(encrypted, 'hex')
-    ]);
-    
-    return combined.toString('base64');
+    if (safeKey) {
+      return `${safeEnvelopePrefix}:${seal(safeKey, Buffer.from(String(plainText), 'utf8')).toString('base64')}`;
+    }
+
+    const version = keyManager.getCurrentKeyVersion();
+    const dataKey = crypto.randomBytes(keyLength);
+    const wrappedKey = seal(getKeyEncryptionKey(version), dataKey);
+    const payload = seal(dataKey, Buffer.from(String(plainText), 'utf8'));
+
+    return [
+      envelopePrefix,
+      version,
+      wrappedKey.toString('base64'),
+      payload.toString('base64')
+    ].join(':');
   } catch (error) {
+    // Surface the sealed state (503) rather than a generic failure
+    if (keyManager.isSealed()) throw error;
     console.error('Encryption error:', error);
     throw new Error('Encryption failed');
   }
 }
 
-// Decrypt with authentication verification
-export function decryptField(encryptedData) {
+/**
+ * Decrypt with authentication verification.
+ * Also reads the pre-migration formats (AES-CBC with a static IV and the
+ * PBKDF2-derived GCM format) so existing rows stay readable until re-encrypted.
+ */
+export function decryptField(encryptedData, safeKey = null) {
   if (!encryptedData || encryptedData === null || encryptedData === undefined) {
     return null;
   }
   
   try {
-    const masterKey = Buffer.from(ENCRYPTION_KEY, 'hex');
-    const combined = Buffer.from(encryptedData, 'base64');
-    
-    // Extract components
-    const salt = combined.subarray(0, saltLength);
-    const iv = combined.subarray(saltLength, saltLength + ivLength);
-    const authTag = combined.subarray(saltLength + ivLength, saltLength + ivLength + tagLength);
-    const encrypted = combined.subarray(saltLength + ivLength + tagLength);
-    
-    const key = deriveKey(masterKey, salt);
-    
-    const decipher = crypto.createDecipheriv(algorithm, key, iv);
-    decipher.setAuthTag(authTag);
-    
-    let decrypted = decipher.update(encrypted, null, 'utf8');
-    decrypted += decipher.final('utf8');
-    
-    return decrypted;
+    if (isSafeCiphertext(encryptedData)) {
+      if (!safeKey) {
+        throw new Error('Value is encrypted with a safe data key');
+      }
+      return open(safeKey, Buffer.from(encryptedData.slice(safeEnvelopePrefix.length + 1), 'base64')).toString('utf8');
+    }
+
+    const version = getFieldKeyVersion(encryptedData);
+
+    if (version !== null) {
+      const [, , wrappedKey, payload] = encryptedData.split(':');
+      const dataKey = open(getKeyEncryptionKey(version), Buffer.from(wrappedKey, 'base64'));
+      return open(dataKey, Buffer.from(payload, 'base64')).toString('utf8');
+    }
+
+    if (isCbcCiphertext(encryptedData)) {
+      return decryptCbc(encryptedData);
+    }
+
+    // Unversioned values predate key rotation; try the current key, then retired keys
+    for (const { key } of keyManager.getKeyRing()) {
+      try {
+        return decryptLegacyField(encryptedData, key);
+      } catch (legacyError) {
+        // Authentication failed with this key, try the next one
+      }
+    }
+
+    throw new Error('No available key could decrypt the value');
   } catch (error) {
+    if (keyManager.isSealed()) throw error;
     console.error('Decryption error:', error);
     throw new Error('Decryption failed or data integrity compromised');
   }
 }
 
-// Encrypt multiple fields at once
-export function encryptAccountFields(accountData) {
-  const fieldsToEncrypt = ['name', 'username', 'hostname_ip', 'password', 'notes'];
+// True for values written before the envelope format (CBC or PBKDF2-derived GCM)
+export function isLegacyCiphertext(encryptedData) {
+  return Boolean(encryptedData) && !isSafeCiphertext(encryptedData) && getFieldKeyVersion(encryptedData) === null;
+}
+
+// True for values sealed with a safe data key rather than the master key
+export function isSafeCiphertext(encryptedData) {
+  return typeof encryptedData === 'string' && encryptedData.startsWith(`${safeEnvelopePrefix}:`);
+}
+
+// Master key version an encrypted value was written with (null for unversioned values)
+export function getFieldKeyVersion(encryptedData) {
+  if (typeof encryptedData !== 'string' || !encryptedData.startsWith(`${envelopePrefix}:`)) {
+    return null;
+  }
+  const version = parseInt(encryptedData.split(':')[1]);
+  return Number.isNaN(version) ? null : version;
+}
+
+// True when a value is not yet encrypted under the current master key version
+// (safe-keyed values follow their safe key, which is rewrapped instead)
+export function needsReencryption(encryptedData) {
+  if (!encryptedData || isSafeCiphertext(encryptedData)) return false;
+  return getFieldKeyVersion(encryptedData) !== keyManager.getCurrentKeyVersion();
+}
+
+// Decrypt with whichever key wrote the value and encrypt again under the current key
+export function reencryptField(encryptedData) {
+  if (!encryptedData) return encryptedData;
+  return encryptField(decryptField(encryptedData));
+}
+
+// Encrypt multiple fields at once, with the account's safe data key when it has one
+export function encryptAccountFields(accountData, safeKey = null) {
   const encrypted = { ...accountData };
   
-  for (const field of fieldsToEncrypt) {
+  for (const field of ACCOUNT_FIELDS) {
     if (accountData[field]) {
-      encrypted[`encrypted_${field}`] = encryptField(accountData[field]);
+      encrypted[`encrypted_${field}`] = encryptField(accountData[field], safeKey);
       delete encrypted[field]; // Remove plain text
     }
   }
@@ -91,15 +219,14 @@ export function encryptAccountFields(accountData) {
 }
 
 // Decrypt multiple fields at once
-export function decryptAccountFields(encryptedData) {
-  const fieldsToDecrypt = ['name', 'username', 'hostname_ip', 'password', 'notes'];
+export function decryptAccountFields(encryptedData, safeKey = null) {
   const decrypted = { ...encryptedData };
   
-  for (const field of fieldsToDecrypt) {
+  for (const field of ACCOUNT_FIELDS) {
     const encryptedField = `encrypted_${field}`;
     if (encryptedData[encryptedField]) {
       try {
-        decrypted[field] = decryptField(encryptedData[encryptedField]);
+        decrypted[field] = decryptField(encryptedData[encryptedField], safeKey);
       } catch (error) {
         console.error(`Failed to decrypt ${field}:`, error);
         decrypted[field] = '[DECRYPTION_FAILED]';
@@ -110,13 +237,122 @@ export function decryptAccountFields(encryptedData) {
   return decrypted;
 }
 
+// Re-encrypt an account row's encrypted columns from one safe key to another
+// (null means the master key); returns only the changed columns
+export function reencryptAccountFields(account, fromKey, toKey) {
+  const updates = {};
+  
+  for (const field of ACCOUNT_FIELDS) {
+    const encryptedField = `encrypted_${field}`;
+    if (account[encryptedField]) {
+      updates[encryptedField] = encryptField(decryptField(account[encryptedField], fromKey), toKey);
+    }
+  }
+  // A rotation's pending password follows the account's key too
+  if (account.encrypted_pending_password) {
+    updates.encrypted_pending_password = encryptField(decryptField(account.encrypted_pending_password, fromKey), toKey);
+  }
+  
+  return updates;
+}
+
+// New random data key for a safe, wrapped under the current master key
+export function generateSafeDataKey() {
+  const key = crypto.randomBytes(keyLength);
+  return { key, wrappedKey: encryptField(key.toString('hex')) };
+}
+
+export function unwrapSafeDataKey(wrappedKey) {
+  return Buffer.from(decryptField(wrappedKey), 'hex');
+}
+
 // Generate secure encryption key (run once for setup)
 export function generateEncryptionKey() {
   return crypto.randomBytes(32).toString('hex');
 }
 
-// Hash sensitive data for indexing (one-way, for search purposes)
-export function hashForIndexing(data) {
+// Blind index values are case-insensitive
+function normalizeForIndexing(data) {
+  return String(data).trim().toLowerCase();
+}
+
+function indexHmac(input, scope, keyVersion) {
+  return crypto
+    .createHmac('sha256', getDerivedKey(keyVersion, 'blind-index'))
+    .update(`${scope}:${input}`)
+    .digest('hex')
+    .substring(0, indexHashLength);
+}
+
+/**
+ * Keyed HMAC blind index for exact-match search over an encrypted field.
+ * The scope (e.g. 'username') keeps equal values in different columns unlinkable.
+ */
+export function hashForIndexing(data, scope = 'default', keyVersion = keyManager.getCurrentKeyVersion()) {
+  if (!data) return null;
+  return indexHmac(`exact:${normalizeForIndexing(data)}`, scope, keyVersion);
+}
+
+// One blind index token per prefix of the value, for prefix search
+export function prefixTokensForIndexing(data, scope = 'default', keyVersion = keyManager.getCurrentKeyVersion()) {
   if (!data) return null;
-  return crypto.createHash('sha256').update(String(data)).digest('hex').substring(0, 16);
+  const value = normalizeForIndexing(data).substring(0, maxIndexPrefixLength);
+  const tokens = [];
+  for (let length = MIN_INDEX_PREFIX_LENGTH; length <= value.length; length++) {
+    tokens.push(indexHmac(`prefix:${value.substring(0, length)}`, scope, keyVersion));
+  }
+  return tokens;
+}
+
+/**
+ * Index values to search for, one per key version still in the ring, so rows
+ * indexed before a key rotation keep matching until they are backfilled.
+ */
+export function searchTokensForIndexing(query, scope, { prefix = false } = {}) {
+  const value = prefix
+    ? normalizeForIndexing(query).substring(0, maxIndexPrefixLength)
+    : query;
+  return keyManager.getKeyRing().map(({ version }) => prefix
+    ? indexHmac(`prefix:${value}`, scope, version)
+    : hashForIndexing(value, scope, version));
+}
+
+/**
+ * Keyed HMAC of a password for reuse checks, tagged with the key version:
+ * p<version>:<hex>. Unlike ciphertext it can only be compared, not decrypted.
+ */
+export function fingerprintPassword(password, keyVersion = keyManager.getCurrentKeyVersion()) {
+  if (!password) return null;
+  const digest = crypto
+    .createHmac('sha256', getDerivedKey(keyVersion, 'password-history'))
+    .update(String(password))
+    .digest('hex');
+  return `p${keyVersion}:${digest}`;
+}
+
+export function matchesPasswordFingerprint(password, fingerprint) {
+  const match = /^p(\d+):([0-9a-f]{64})$/.exec(fingerprint || '');
+  if (!match || !password) return false;
+
+  let candidate;
+  try {
+    candidate = fingerprintPassword(password, parseInt(match[1]));
+  } catch (error) {
+    if (error.status === 503) throw error;
+    // Fingerprints under a key that has left the ring can no longer be checked
+    return false;
+  }
+  return crypto.timingSafeEqual(Buffer.from(candidate), Buffer.from(fingerprint));
+}
+
+// Blind index columns for the username and hostname of an account
+export function blindIndexAccountFields({ username, hostname_ip }) {
+  const keyVersion = keyManager.getCurrentKeyVersion();
+  return {
+    username_hash: hashForIndexing(username, 'username', keyVersion),
+    username_tokens: prefixTokensForIndexing(username, 'username', keyVersion),
+    hostname_hash: hashForIndexing(hostname_ip, 'hostname', keyVersion),
+    hostname_tokens: prefixTokensForIndexing(hostname_ip, 'hostname', keyVersion),
+    blind_index_version: keyVersion
+  };
 }
\ No newline at end of file
@@ -0,0 +1,117 @@
+/**
+ * Shamir's Secret Sharing over GF(256)
+ * Splits a secret into N shares so that any M of them reconstruct it
+ * and fewer than M reveal nothing about it.
+ */
+
+import crypto from 'crypto';
+
+// Log/exp tables for GF(2^8) with the AES polynomial (x^8 + x^4 + x^3 + x + 1), generator 3
+const EXP = new Uint8Array(510);
+const LOG = new Uint8Array(256);
+
+let value = 1;
+for (let i = 0; i < 255; i++) {
+  EXP[i] = value;
+  LOG[value] = i;
+  const doubled = ((value << 1) ^ (value & 0x80 ? 0x1b : 0)) & 0xff;
+  value ^= doubled;
+}
+for (let i = 255; i < 510; i++) {
+  EXP[i] = EXP[i - 255];
+}
+
+function multiply(a, b) {
+  if (a === 0 || b === 0) return 0;
+  return EXP[LOG[a] + LOG[b]];
+}
+
+function divide(a, b) {
+  if (b === 0) throw new Error('Division by zero');
+  if (a === 0) return 0;
+  return EXP[(LOG[a] + 255 - LOG[b]) % 255];
+}
+
+// Evaluate the polynomial with the given coefficients at x (Horner's method)
+function evaluate(coefficients, x) {
+  let result = 0;
+  for (let i = coefficients.length - 1; i >= 0; i--) {
+    result = multiply(result, x) ^ coefficients[i];
+  }
+  return result;
+}
+
+/**
+ * Split a secret into shares
+ * @param {Buffer} secret - Secret bytes
+ * @param {number} shares - Number of shares to create (1-255)
+ * @param {number} threshold - Shares required to reconstruct (1-shares)
+ * @returns {string[]} Base64 shares; the first byte of each is its x coordinate
+ */
+export function split(secret, shares, threshold) {
+  if (!Number.isInteger(shares) || shares < 1 || shares > 255) {
+    throw new Error('Share count must be between 1 and 255');
+  }
+  if (!Number.isInteger(threshold) || threshold < 1 || threshold > shares) {
+    throw new Error('Threshold must be between 1 and the share count');
+  }
+
+  const outputs = Array.from({ length: shares }, (_, i) => {
+    const share = Buffer.alloc(secret.length + 1);
+    share[0] = i + 1;
+    return share;
+  });
+
+  for (let byteIndex = 0; byteIndex < secret.length; byteIndex++) {
+    const coefficients = [secret[byteIndex], ...crypto.randomBytes(threshold - 1)];
+    for (const share of outputs) {
+      share[byteIndex + 1] = evaluate(coefficients, share[0]);
+    }
+  }
+
+  return outputs.map(share => share.toString('base64'));
+}
+
+/**
+ * Reconstruct a secret from at least threshold shares
+ * @param {string[]} shares - Base64 shares produced by split()
+ * @returns {Buffer} Secret bytes
+ */
+export function combine(shares) {
+  const points = shares.map(share => Buffer.from(share, 'base64'));
+
+  if (points.length === 0) {
+    throw new Error('At least one share is required');
+  }
+  const length = points[0].length;
+  if (length < 2 || points.some(point => point.length !== length)) {
+    throw new Error('Shares are malformed or have different lengths');
+  }
+  const xs = points.map(point => point[0]);
+  if (xs.includes(0) || new Set(xs).size !== xs.length) {
+    throw new Error('Shares must have distinct, non-zero indexes');
+  }
+
+  // Lagrange interpolation at x = 0, byte by byte
+  const secret = Buffer.alloc(length - 1);
+  for (let byteIndex = 1; byteIndex < length; byteIndex++) {
+    let result = 0;
+    for (let i = 0; i < points.length; i++) {
+      let basis = 1;
+      for (let j = 0; j < points.length; j++) {
+        if (i === j) continue;
+        basis = multiply(basis, divide(xs[j], xs[j] ^ xs[i]));
+      }
+      result ^= multiply(points[i][byteIndex], basis);
+    }
+    secret[byteIndex - 1] = result;
+  }
+
+  return secret;
+}
+
+// Index (x coordinate) of a share, or null if it cannot be decoded
+export function getShareIndex(share) {
+  const decoded = Buffer.from(String(share), 'base64');
+  return decoded.length > 1 ? decoded[0] : null;
+}
@@ -0,0 +1,121 @@
+/**
+ * OpenSSH user certificates (PROTOCOL.certkeys) signed by an Ed25519 CA key.
+ */
+
+import crypto from 'crypto';
+import ssh2 from 'ssh2';
+import { fingerprintPublicKey } from './sshKeys.js';
+
+const { utils: sshUtils } = ssh2;
+
+const USER_CERTIFICATE = 1;
+
+// Certificate type for each user key type that can be signed
+const CERTIFICATE_TYPES = {
+  'ssh-ed25519': 'ssh-ed25519-cert-v01@openssh.com',
+  'ssh-rsa': 'ssh-rsa-cert-v01@openssh.com',
+  'ecdsa-sha2-nistp256': 'ecdsa-sha2-nistp256-cert-v01@openssh.com',
+  'ecdsa-sha2-nistp384': 'ecdsa-sha2-nistp384-cert-v01@openssh.com',
+  'ecdsa-sha2-nistp521': 'ecdsa-sha2-nistp521-cert-v01@openssh.com'
+};
+
+export const CERTIFICATE_EXTENSIONS = [
+  'permit-X11-forwarding', 'permit-agent-forwarding', 'permit-port-forwarding', 'permit-pty', 'permit-user-rc'
+];
+
+// Unix login names, optionally with a realm (user@EXAMPLE.COM) for Kerberos-style principals
+export const PRINCIPAL_PATTERN = /^[A-Za-z0-9_][A-Za-z0-9_.@-]{0,63}$/;
+
+function badRequest(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+function sshString(value) {
+  const data = Buffer.isBuffer(value) ? value : Buffer.from(String(value));
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  return Buffer.concat([length, data]);
+}
+
+function uint32(value) {
+  const buffer = Buffer.alloc(4);
+  buffer.writeUInt32BE(value);
+  return buffer;
+}
+
+function uint64(value) {
+  const buffer = Buffer.alloc(8);
+  buffer.writeBigUInt64BE(BigInt(value));
+  return buffer;
+}
+
+/**
+ * New Ed25519 CA key pair
+ * @param {string} comment - Comment on the published public key
+ * @returns {Object} { privateKey (PKCS#8 PEM), publicKey (OpenSSH line), fingerprint }
+ */
+export function generateCaKeyPair(comment) {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+  const raw = Buffer.from(publicKey.export({ format: 'jwk' }).x, 'base64url');
+  const line = `ssh-ed25519 ${Buffer.concat([sshString('ssh-ed25519'), sshString(raw)]).toString('base64')} ${comment}`;
+
+  return {
+    privateKey: privateKey.export({ type: 'pkcs8', format: 'pem' }),
+    publicKey: line,
+    fingerprint: fingerprintPublicKey(line)
+  };
+}
+
+// Random positive 63-bit serial, kept as a string because it exceeds Number precision
+export function randomSerial() {
+  return (crypto.randomBytes(8).readBigUInt64BE() & 0x7fffffffffffffffn).toString();
+}
+
+/**
+ * Sign a user public key into an OpenSSH user certificate
+ * @param {Object} options - caPrivateKey (PEM), caPublicKey (OpenSSH line), publicKey (user's
+ *   OpenSSH public key), serial, keyId, principals, validAfter and validBefore (Date), extensions
+ * @returns {Object} { certificate (OpenSSH line), publicKeyFingerprint }
+ */
+export function signUserCertificate({ caPrivateKey, caPublicKey, publicKey, serial, keyId, principals, validAfter, validBefore, extensions = [] }) {
+  const parsed = sshUtils.parseKey(String(publicKey).trim());
+  if (parsed instanceof Error) {
+    throw badRequest(`Invalid SSH public key: ${parsed.message}`);
+  }
+  const key = Array.isArray(parsed) ? parsed[0] : parsed;
+  const certificateType = CERTIFICATE_TYPES[key.type];
+  if (!certificateType) {
+    throw badRequest(`Cannot sign '${key.type}' keys; use one of: ${Object.keys(CERTIFICATE_TYPES).join(', ')}`);
+  }
+
+  // The certificate repeats the key's own fields, i.e. its blob after the type name
+  const blob = key.getPublicSSH();
+  const keyFields = blob.subarray(4 + blob.readUInt32BE(0));
+  const caBlob = Buffer.from(caPublicKey.trim().split(/\s+/)[1], 'base64');
+
+  const body = Buffer.concat([
+    sshString(certificateType),
+    sshString(crypto.randomBytes(32)),
+    keyFields,
+    uint64(serial),
+    uint32(USER_CERTIFICATE),
+    sshString(keyId),
+    sshString(Buffer.concat(principals.map(sshString))),
+    uint64(Math.floor(validAfter.getTime() / 1000)),
+    uint64(Math.floor(validBefore.getTime() / 1000)),
+    sshString(Buffer.alloc(0)), // critical options
+    sshString(Buffer.concat([...extensions].sort().map(name => Buffer.concat([sshString(name), sshString(Buffer.alloc(0))])))),
+    sshString(Buffer.alloc(0)), // reserved
+    sshString(caBlob)
+  ]);
+
+  const signature = crypto.sign(null, body, crypto.createPrivateKey(caPrivateKey));
+  const certificate = Buffer.concat([body, sshString(Buffer.concat([sshString('ssh-ed25519'), sshString(signature)]))]);
+
+  return {
+    certificate: `${certificateType} ${certificate.toString('base64')} ${keyId}`,
+    publicKeyFingerprint: fingerprintPublicKey(publicKey)
+  };
+}
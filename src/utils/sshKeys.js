@@ -0,0 +1,100 @@
+/**
+ * SSH key pairs for ssh_key accounts: generation, inspection of imported private
+ * keys and OpenSSH-style SHA256 fingerprints.
+ */
+
+import crypto from 'crypto';
+import ssh2 from 'ssh2';
+
+const { utils: sshUtils } = ssh2;
+
+export const SSH_KEY_ACCOUNT_TYPE = 'ssh_key';
+export const SSH_KEY_ALGORITHMS = ['ed25519', 'rsa'];
+export const RSA_KEY_BITS = [2048, 3072, 4096];
+const DEFAULT_RSA_BITS = 4096;
+
+// ssh2 key type names for each algorithm
+const KEY_TYPES = { 'ssh-ed25519': 'ed25519', 'ssh-rsa': 'rsa' };
+
+function badRequest(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+// SHA256:<unpadded base64 of the public key blob>, as printed by ssh-keygen -l
+function fingerprintParsedKey(parsedKey) {
+  const digest = crypto.createHash('sha256').update(parsedKey.getPublicSSH()).digest('base64');
+  return `SHA256:${digest.replace(/=+$/, '')}`;
+}
+
+function describeParsedKey(parsedKey) {
+  const algorithm = KEY_TYPES[parsedKey.type];
+  if (!algorithm) {
+    throw badRequest(`Unsupported SSH key type '${parsedKey.type}'; use ${SSH_KEY_ALGORITHMS.join(' or ')}`);
+  }
+
+  const bits = algorithm === 'rsa'
+    ? crypto.createPublicKey(parsedKey.getPublicPEM()).asymmetricKeyDetails.modulusLength
+    : 256;
+  return { algorithm, bits, fingerprint: fingerprintParsedKey(parsedKey) };
+}
+
+/**
+ * Generate a key pair in OpenSSH format
+ * @param {Object} options - algorithm (ed25519 or rsa), bits (RSA only), comment
+ * @returns {Object} { privateKey, publicKey (authorized_keys line), algorithm, bits, fingerprint }
+ */
+export function generateSshKeyPair({ algorithm = 'ed25519', bits, comment = '' } = {}) {
+  if (!SSH_KEY_ALGORITHMS.includes(algorithm)) {
+    throw badRequest(`Key algorithm must be one of: ${SSH_KEY_ALGORITHMS.join(', ')}`);
+  }
+  if (algorithm === 'rsa' && bits && !RSA_KEY_BITS.includes(Number(bits))) {
+    throw badRequest(`RSA keys must be ${RSA_KEY_BITS.join(', ')} bits`);
+  }
+
+  const options = { comment };
+  if (algorithm === 'rsa') options.bits = Number(bits) || DEFAULT_RSA_BITS;
+  const { private: privateKey, public: publicKey } = sshUtils.generateKeyPairSync(algorithm, options);
+
+  return { privateKey, publicKey, ...describeParsedKey(sshUtils.parseKey(privateKey)) };
+}
+
+/**
+ * Public key and details of an existing private key (OpenSSH or PEM, unencrypted)
+ * @param {string} privateKey - Private key text
+ * @param {string} comment - Comment for the authorized_keys line
+ * @returns {Object} { privateKey, publicKey, algorithm, bits, fingerprint }
+ */
+export function inspectSshPrivateKey(privateKey, comment = '') {
+  const parsed = sshUtils.parseKey(privateKey);
+  if (parsed instanceof Error) {
+    throw badRequest(/encrypted/i.test(parsed.message)
+      ? 'Passphrase-protected private keys are not supported; remove the passphrase before importing'
+      : `Invalid SSH private key: ${parsed.message}`);
+  }
+  const key = Array.isArray(parsed) ? parsed[0] : parsed;
+  if (!key.isPrivateKey()) {
+    throw badRequest('A private key is required, not a public key');
+  }
+
+  const publicKey = `${key.type} ${key.getPublicSSH().toString('base64')}${comment ? ` ${comment}` : ''}`;
+  return { privateKey, publicKey, ...describeParsedKey(key) };
+}
+
+/**
+ * Fingerprint of an authorized_keys line or public key
+ * @returns {string|null} SHA256 fingerprint, or null when the key cannot be parsed
+ */
+export function fingerprintPublicKey(publicKey) {
+  const parsed = sshUtils.parseKey(publicKey);
+  if (parsed instanceof Error) return null;
+  return fingerprintParsedKey(Array.isArray(parsed) ? parsed[0] : parsed);
+}
+
+// Base64 key blob of an authorized_keys line, which identifies the key whatever its options and comment
+export function publicKeyBlob(publicKey) {
+  const fields = String(publicKey).trim().split(/\s+/);
+  const typeIndex = fields.findIndex(field => Object.keys(KEY_TYPES).includes(field) || field.startsWith('ecdsa-') || field.startsWith('sk-'));
+  return typeIndex >= 0 ? fields[typeIndex + 1] || null : null;
+}
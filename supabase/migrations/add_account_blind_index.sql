@@ -0,0 +1,25 @@
+-- Migration: Keyed blind index for username/hostname search
+-- Run this in Supabase SQL editor or via supabase db push
+
+-- username_hash / hostname_hash (added in secure_schema_update.sql) now hold keyed HMACs
+-- of the lower-cased value; the token arrays hold one HMAC per prefix (3+ characters)
+ALTER TABLE public.privileged_accounts
+ADD COLUMN IF NOT EXISTS username_hash varchar(16),
+ADD COLUMN IF NOT EXISTS hostname_hash varchar(16),
+ADD COLUMN IF NOT EXISTS username_tokens text[],
+ADD COLUMN IF NOT EXISTS hostname_tokens text[],
+ADD COLUMN IF NOT EXISTS blind_index_version integer;
+
+CREATE INDEX IF NOT EXISTS idx_privileged_accounts_username_hash ON public.privileged_accounts(username_hash);
+CREATE INDEX IF NOT EXISTS idx_privileged_accounts_hostname_hash ON public.privileged_accounts(hostname_hash);
+CREATE INDEX IF NOT EXISTS idx_privileged_accounts_username_tokens ON public.privileged_accounts USING GIN (username_tokens);
+CREATE INDEX IF NOT EXISTS idx_privileged_accounts_hostname_tokens ON public.privileged_accounts USING GIN (hostname_tokens);
+CREATE INDEX IF NOT EXISTS idx_privileged_accounts_blind_index_version ON public.privileged_accounts(blind_index_version);
+
+-- Existing rows have no blind_index_version; POST /api/v1/system/blind-index/backfill indexes them
+
+COMMENT ON COLUMN public.privileged_accounts.username_hash IS 'Keyed HMAC blind index of the lower-cased username (exact match)';
+COMMENT ON COLUMN public.privileged_accounts.hostname_hash IS 'Keyed HMAC blind index of the lower-cased hostname/IP (exact match)';
+COMMENT ON COLUMN public.privileged_accounts.username_tokens IS 'Keyed HMAC of each username prefix (prefix match)';
+COMMENT ON COLUMN public.privileged_accounts.hostname_tokens IS 'Keyed HMAC of each hostname/IP prefix (prefix match)';
+COMMENT ON COLUMN public.privileged_accounts.blind_index_version IS 'Master key version the blind index was computed with';
@@ -0,0 +1,49 @@
+-- Migration: Exclusive checkout/check-in for privileged accounts
+-- Run this in Supabase SQL editor or via supabase db push
+
+CREATE TABLE IF NOT EXISTS public.account_checkouts (
+    id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+    account_id uuid NOT NULL REFERENCES public.privileged_accounts(id) ON DELETE CASCADE,
+    user_id uuid REFERENCES public.profiles(id) ON DELETE SET NULL,
+    reason text NOT NULL,
+    ticket_id text,
+    status text NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'checked_in', 'expired')),
+    checked_out_at timestamp with time zone DEFAULT now(),
+    expires_at timestamp with time zone NOT NULL,
+    checked_in_at timestamp with time zone,
+    checked_in_by uuid REFERENCES public.profiles(id) ON DELETE SET NULL,
+    rotation_status text CHECK (rotation_status IN ('success', 'failed'))
+);
+
+-- At most one active checkout per account; this is the exclusive lock
+CREATE UNIQUE INDEX IF NOT EXISTS idx_account_checkouts_active
+ON public.account_checkouts(account_id) WHERE status = 'active';
+
+CREATE INDEX IF NOT EXISTS idx_account_checkouts_account_id
+ON public.account_checkouts(account_id, checked_out_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_account_checkouts_expires_at
+ON public.account_checkouts(expires_at) WHERE status = 'active';
+
+ALTER TABLE public.account_checkouts ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view own checkouts"
+ON public.account_checkouts
+FOR SELECT
+USING (user_id = auth.uid());
+
+-- Managers and Admins can view all checkouts
+CREATE POLICY "Elevated users can view all checkouts"
+ON public.account_checkouts
+FOR SELECT
+USING (
+    EXISTS (
+        SELECT 1 FROM public.profiles p
+        WHERE p.id = auth.uid()
+        AND p.role IN ('Admin', 'Manager')
+    )
+);
+
+COMMENT ON TABLE public.account_checkouts IS 'Exclusive password checkouts; safe settings require_checkout, rotate_after_checkin, max_checkout_minutes and require_ticket control the policy';
+COMMENT ON COLUMN public.account_checkouts.status IS 'active, checked_in, or expired (released by the expiry job)';
+COMMENT ON COLUMN public.account_checkouts.rotation_status IS 'Result of the post-checkin rotation when the safe has rotate_after_checkin';
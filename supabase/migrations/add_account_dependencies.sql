@@ -0,0 +1,50 @@
+-- Migration: Account dependencies updated after password rotation
+-- Run this in Supabase SQL editor or via supabase db push
+
+CREATE TABLE IF NOT EXISTS public.account_dependencies (
+    id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+    account_id uuid NOT NULL REFERENCES public.privileged_accounts(id) ON DELETE CASCADE,
+    type text NOT NULL CHECK (type IN ('windows_service', 'scheduled_task', 'iis_app_pool', 'config_file', 'connection_string')),
+    name text NOT NULL,
+    host text,
+    port integer CHECK (port BETWEEN 1 AND 65535),
+    connect_account_id uuid REFERENCES public.privileged_accounts(id) ON DELETE SET NULL,
+    settings jsonb DEFAULT '{}'::jsonb,
+    enabled boolean NOT NULL DEFAULT true,
+    last_push_status text CHECK (last_push_status IN ('success', 'failed')),
+    last_push_message text,
+    last_pushed_at timestamp with time zone,
+    created_by uuid REFERENCES public.profiles(id) ON DELETE SET NULL,
+    created_at timestamp with time zone DEFAULT now(),
+    updated_at timestamp with time zone DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_account_dependencies_account_id
+ON public.account_dependencies(account_id);
+
+ALTER TABLE public.account_dependencies ENABLE ROW LEVEL SECURITY;
+
+-- Visible to whoever can see the account; changes go through the service role
+CREATE POLICY "Account dependencies: owner access"
+ON public.account_dependencies
+FOR SELECT
+USING (
+    EXISTS (
+        SELECT 1 FROM public.privileged_accounts pa
+        WHERE pa.id = account_dependencies.account_id
+        AND (pa.owner_id = auth.uid() OR EXISTS (
+            SELECT 1 FROM public.profiles p
+            WHERE p.id = auth.uid() AND p.role IN ('Admin', 'Manager')
+        ))
+    )
+);
+
+-- Per-dependency outcome of the push that follows a successful rotation
+ALTER TABLE public.account_rotation_history
+ADD COLUMN IF NOT EXISTS dependency_results jsonb DEFAULT '[]'::jsonb;
+
+COMMENT ON TABLE public.account_dependencies IS 'Places an account password is used (Windows services, scheduled tasks, IIS app pools, config files, connection strings); updated after each successful rotation';
+COMMENT ON COLUMN public.account_dependencies.name IS 'Service name, task path, app pool name or config file path';
+COMMENT ON COLUMN public.account_dependencies.connect_account_id IS 'Account used to reach the host; null connects as the rotated account with its new password';
+COMMENT ON COLUMN public.account_dependencies.settings IS 'login, restart (Windows); key, sudo, restart_command (config_file); credential_id (connection_string)';
+COMMENT ON COLUMN public.account_rotation_history.dependency_results IS 'Per-dependency push results: dependency_id, type, name, host, status, message, pushed_at';
@@ -0,0 +1,23 @@
+-- Migration: Store wrapped data keys for KMS-backed key management
+-- Run this in Supabase SQL editor or via supabase db push
+
+-- Each row is a data key wrapped by the configured KMS provider (keystore or Vault transit)
+CREATE TABLE IF NOT EXISTS public.encryption_keys (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  version integer NOT NULL UNIQUE CHECK (version > 0),
+  wrapped_key text NOT NULL,
+  kms_provider text NOT NULL CHECK (kms_provider IN ('keystore', 'vault-transit')),
+  status text NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'retired', 'destroyed')),
+  created_at timestamp with time zone DEFAULT now(),
+  retired_at timestamp with time zone
+);
+
+-- Only one key version may be active at a time
+CREATE UNIQUE INDEX IF NOT EXISTS idx_encryption_keys_single_active
+ON public.encryption_keys(status) WHERE status = 'active';
+
+-- Only the service role (server side) may read or write wrapped keys
+ALTER TABLE public.encryption_keys ENABLE ROW LEVEL SECURITY;
+
+COMMENT ON TABLE public.encryption_keys IS 'Data keys wrapped by the KMS provider; plaintext keys never leave application memory';
+COMMENT ON COLUMN public.encryption_keys.wrapped_key IS 'Provider-specific wrapped key (keystore:v1:... or vault:v1:...)';
@@ -0,0 +1,18 @@
+-- Migration: Approval of JIT sessions
+-- Run this in Supabase SQL editor or via supabase db push
+
+-- Sessions start pending; SSH certificates are only issued for approved ones
+ALTER TABLE public.jit_sessions
+ADD COLUMN IF NOT EXISTS approval_status text NOT NULL DEFAULT 'pending'
+CHECK (approval_status IN ('pending', 'approved', 'rejected'));
+
+ALTER TABLE public.jit_sessions
+ADD COLUMN IF NOT EXISTS approved_by uuid REFERENCES auth.users(id) ON DELETE SET NULL;
+
+ALTER TABLE public.jit_sessions
+ADD COLUMN IF NOT EXISTS approved_at timestamp with time zone;
+
+COMMENT ON COLUMN public.jit_sessions.approval_status IS 'pending until an Admin or Manager other than the requester approves or rejects the session';
+COMMENT ON COLUMN public.jit_sessions.approved_by IS 'User who approved or rejected the session';
+COMMENT ON COLUMN public.jit_sessions.approved_at IS 'When the session was approved or rejected';
+COMMENT ON COLUMN public.jit_sessions.ssh_principals IS 'Principals for SSH certificates issued under the session; defaults to the user part of a user@host resource. Each needs a vault account on the session host the requester may use';
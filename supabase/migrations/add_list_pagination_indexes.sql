@@ -0,0 +1,16 @@
+-- Migration: Indexes for keyset (cursor) pagination on list endpoints
+-- Run this in Supabase SQL editor or via supabase db push
+
+-- Lists default to newest first with id breaking ties; cursor pages seek on (created_at, id)
+CREATE INDEX IF NOT EXISTS idx_privileged_accounts_created_id ON public.privileged_accounts(created_at DESC, id);
+CREATE INDEX IF NOT EXISTS idx_credentials_created_id ON public.credentials(created_at DESC, id);
+CREATE INDEX IF NOT EXISTS idx_safes_created_id ON public.safes(created_at DESC, id);
+CREATE INDEX IF NOT EXISTS idx_jit_sessions_created_id ON public.jit_sessions(created_at DESC, id);
+CREATE INDEX IF NOT EXISTS idx_audit_logs_created_id ON public.audit_logs(created_at DESC, id);
+CREATE INDEX IF NOT EXISTS idx_discovery_scans_created_id ON public.discovery_scans(created_at DESC, id);
+
+-- Discovered accounts default to newest discovery first
+CREATE INDEX IF NOT EXISTS idx_privileged_accounts_discovered_at_id
+ON public.privileged_accounts(discovered_at DESC, id) WHERE discovered = true;
+
+COMMENT ON INDEX public.idx_audit_logs_created_id IS 'Keyset pagination for GET /api/v1/audit; also serves X-Total-Count with created_at filters';
@@ -0,0 +1,14 @@
+-- Migration: Password policy engine (history reuse prevention)
+-- Run this in Supabase SQL editor or via supabase db push
+
+-- Keyed HMAC of the password a rotation or manual change replaced, so reuse can be
+-- detected without keeping old passwords decryptable
+ALTER TABLE public.account_rotation_history
+ADD COLUMN IF NOT EXISTS previous_password_fingerprint text;
+
+COMMENT ON COLUMN public.account_rotation_history.previous_password_fingerprint IS 'p<key version>:<HMAC-SHA256> of the replaced password, checked against the history_count most recent entries';
+
+-- Per-safe rules live in safes.settings.password_policy:
+-- { min_length, max_length, require_uppercase, require_lowercase, require_numbers,
+--   require_symbols, forbidden_characters, disallow_username, history_count, check_banned }
+COMMENT ON COLUMN public.safes.settings IS 'Safe settings: checkout policy (require_checkout, rotate_after_checkin, max_checkout_minutes, require_ticket) and password_policy';
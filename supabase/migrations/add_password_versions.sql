@@ -0,0 +1,45 @@
+-- Migration: Previous password versions retrievable under permission
+-- Run this in Supabase SQL editor or via supabase db push
+
+-- Every rotation, reconcile and manual change keeps the replaced password here,
+-- encrypted like the account itself: with the data key of safe_id, or the master
+-- key outside safes. Moving the account re-encrypts its versions.
+CREATE TABLE IF NOT EXISTS public.account_password_versions (
+    id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+    account_id uuid NOT NULL REFERENCES public.privileged_accounts(id) ON DELETE CASCADE,
+    version integer NOT NULL CHECK (version >= 1),
+    encrypted_password text NOT NULL,
+    source text NOT NULL CHECK (source IN ('manual', 'rotation', 'reconcile')),
+    rotation_type text,
+    valid_from timestamp with time zone,
+    replaced_at timestamp with time zone NOT NULL DEFAULT now(),
+    replaced_by uuid REFERENCES public.profiles(id) ON DELETE SET NULL,
+    UNIQUE(account_id, version)
+);
+
+ALTER TABLE public.account_password_versions
+ADD COLUMN IF NOT EXISTS safe_id uuid REFERENCES public.safes(id) ON DELETE CASCADE;
+
+-- Versions written before safe_id existed follow their account; the re-encryption
+-- job then moves them onto the safe's data key
+UPDATE public.account_password_versions v
+SET safe_id = a.safe_id
+FROM public.privileged_accounts a
+WHERE v.account_id = a.id
+  AND v.safe_id IS NULL
+  AND a.safe_id IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_account_password_versions_account_version
+ON public.account_password_versions(account_id, version DESC);
+
+-- Ciphertext is only read through the API, which checks view_previous_versions
+ALTER TABLE public.account_password_versions ENABLE ROW LEVEL SECURITY;
+
+-- Dedicated safe permission for revealing previous versions; Admins always have it
+ALTER TABLE public.safe_permissions
+ADD COLUMN IF NOT EXISTS view_previous_versions boolean NOT NULL DEFAULT false;
+
+COMMENT ON TABLE public.account_password_versions IS 'Replaced account passwords; version n was the account password until replaced_at';
+COMMENT ON COLUMN public.account_password_versions.safe_id IS 'Safe whose data key encrypts the version; NULL means the master key';
+COMMENT ON COLUMN public.account_password_versions.valid_from IS 'When the version became the account password (last_rotated or created_at at the time)';
+COMMENT ON COLUMN public.safe_permissions.view_previous_versions IS 'Allows revealing previous password versions of accounts in the safe';
@@ -0,0 +1,14 @@
+-- Migration: Pending rotation passwords
+-- Run this in Supabase SQL editor or via supabase db push
+
+-- Rotation and reconcile store the new password here before the target is changed,
+-- so it is not lost when the vault update fails afterwards. Cleared once the
+-- outcome is known; kept when the target state is unknown (status rotation_required).
+ALTER TABLE public.privileged_accounts
+ADD COLUMN IF NOT EXISTS encrypted_pending_password text;
+
+ALTER TABLE public.privileged_accounts
+ADD COLUMN IF NOT EXISTS pending_password_at timestamp with time zone;
+
+COMMENT ON COLUMN public.privileged_accounts.encrypted_pending_password IS 'New password of a rotation or reconcile in progress, encrypted like encrypted_password';
+COMMENT ON COLUMN public.privileged_accounts.pending_password_at IS 'When the pending password was stored';
@@ -0,0 +1,52 @@
+-- Migration: Platform definitions behind privileged_accounts.platform_id
+-- Run this in Supabase SQL editor or via supabase db push
+
+-- The id is the platform_id value accounts already carry (e.g. UnixSSH, WinDomain)
+CREATE TABLE IF NOT EXISTS public.platforms (
+    id text PRIMARY KEY,
+    name text NOT NULL,
+    description text,
+    system_type text,
+    connection_method text,
+    default_port integer CHECK (default_port BETWEEN 1 AND 65535),
+    verifier text CHECK (verifier IN ('ssh', 'windows', 'database', 'website', 'api_token', 'certificate')),
+    rotation_driver text CHECK (rotation_driver IN ('ssh', 'windows', 'database')),
+    password_policy jsonb DEFAULT '{}'::jsonb,
+    verification_frequency_hours integer CHECK (verification_frequency_hours BETWEEN 1 AND 8760),
+    required_properties jsonb DEFAULT '[]'::jsonb,
+    active boolean NOT NULL DEFAULT true,
+    created_by uuid REFERENCES public.profiles(id) ON DELETE SET NULL,
+    created_at timestamp with time zone DEFAULT now(),
+    updated_at timestamp with time zone DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_privileged_accounts_platform_id
+ON public.privileged_accounts(platform_id);
+
+ALTER TABLE public.platforms ENABLE ROW LEVEL SECURITY;
+
+-- Every signed-in user can read platform definitions; changes go through the service role
+CREATE POLICY "Authenticated users can view platforms"
+ON public.platforms
+FOR SELECT
+USING (auth.uid() IS NOT NULL);
+
+-- Built-in platforms matching the platform_id values used so far
+INSERT INTO public.platforms (id, name, system_type, connection_method, default_port, verifier, rotation_driver, password_policy, required_properties)
+VALUES
+    ('UnixSSH', 'Unix via SSH', 'Linux', 'SSH', 22, 'ssh', 'ssh', '{"forbidden_characters": "''\"`$\\"}', '["hostname_ip", "username"]'),
+    ('WinServerLocal', 'Windows Server local account', 'Windows', 'WinRM', 5985, 'windows', 'windows', '{"max_length": 127}', '["hostname_ip", "username"]'),
+    ('WinDomain', 'Windows domain account', 'Windows', 'WinRM', 5985, 'windows', 'windows', '{"max_length": 127, "require_symbols": true}', '["hostname_ip", "username"]'),
+    ('Oracle', 'Oracle Database', 'Oracle DB', 'SQL', 1521, 'database', NULL, '{"max_length": 30}', '["hostname_ip", "port", "username"]'),
+    ('MySQL', 'MySQL / MariaDB', 'Database', 'SQL', 3306, 'database', 'database', '{"max_length": 32}', '["hostname_ip", "port", "username"]'),
+    ('PostgreSQL', 'PostgreSQL', 'Database', 'SQL', 5432, 'database', 'database', '{}', '["hostname_ip", "port", "username"]'),
+    ('MSSQL', 'Microsoft SQL Server', 'Database', 'SQL', 1433, 'database', 'database', '{"max_length": 128}', '["hostname_ip", "port", "username"]'),
+    ('MongoDB', 'MongoDB', 'Database', 'Custom', 27017, 'database', 'database', '{}', '["hostname_ip", "port", "username"]')
+ON CONFLICT (id) DO NOTHING;
+
+COMMENT ON TABLE public.platforms IS 'Platform definitions: connection defaults, CPM verifier, rotation driver, password policy and verification frequency for accounts with this platform_id';
+COMMENT ON COLUMN public.platforms.verifier IS 'CPM verifier used for accounts on this platform; null falls back to the credential type mapping';
+COMMENT ON COLUMN public.platforms.rotation_driver IS 'Password rotation driver; null falls back to the system type / connection method mapping';
+COMMENT ON COLUMN public.platforms.password_policy IS 'Password rules merged (strictest wins) with the safe and account rotation policy';
+COMMENT ON COLUMN public.platforms.verification_frequency_hours IS 'How often accounts are re-verified; null means every 24 hours';
+COMMENT ON COLUMN public.platforms.required_properties IS 'Account fields that must be set on accounts of this platform';
@@ -0,0 +1,25 @@
+-- Migration: Reconcile and logon accounts for out-of-sync passwords
+-- Run this in Supabase SQL editor or via supabase db push
+
+ALTER TABLE public.privileged_accounts
+ADD COLUMN IF NOT EXISTS reconcile_account_id uuid REFERENCES public.privileged_accounts(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS logon_account_id uuid REFERENCES public.privileged_accounts(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS last_reconciled_at timestamp with time zone;
+
+CREATE INDEX IF NOT EXISTS idx_privileged_accounts_reconcile_account_id
+ON public.privileged_accounts(reconcile_account_id);
+
+CREATE INDEX IF NOT EXISTS idx_privileged_accounts_logon_account_id
+ON public.privileged_accounts(logon_account_id);
+
+-- Reconciles are recorded alongside rotations
+ALTER TABLE public.account_rotation_history
+DROP CONSTRAINT IF EXISTS account_rotation_history_rotation_type_check;
+
+ALTER TABLE public.account_rotation_history
+ADD CONSTRAINT account_rotation_history_rotation_type_check
+CHECK (rotation_type IN ('manual', 'automatic', 'forced', 'reconcile'));
+
+COMMENT ON COLUMN public.privileged_accounts.reconcile_account_id IS 'Privileged account that resets this password when the vault copy no longer works on the target';
+COMMENT ON COLUMN public.privileged_accounts.logon_account_id IS 'Account used to log in to the target before acting on this one, for systems where it cannot log in directly';
+COMMENT ON COLUMN public.privileged_accounts.last_reconciled_at IS 'When the password was last reset through the reconcile account';
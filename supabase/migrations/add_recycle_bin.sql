@@ -0,0 +1,33 @@
+-- Migration: Recycle bin (soft delete) for accounts, credentials and safes
+-- Run this in Supabase SQL editor or via supabase db push
+
+-- Deleting sets deleted_at; rows stay restorable until purged after the retention period
+ALTER TABLE public.privileged_accounts
+ADD COLUMN IF NOT EXISTS deleted_at timestamp with time zone,
+ADD COLUMN IF NOT EXISTS deleted_by uuid REFERENCES auth.users(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS deleted_with_safe boolean NOT NULL DEFAULT false;
+
+ALTER TABLE public.credentials
+ADD COLUMN IF NOT EXISTS deleted_at timestamp with time zone,
+ADD COLUMN IF NOT EXISTS deleted_by uuid REFERENCES auth.users(id) ON DELETE SET NULL;
+
+ALTER TABLE public.safes
+ADD COLUMN IF NOT EXISTS deleted_at timestamp with time zone,
+ADD COLUMN IF NOT EXISTS deleted_by uuid REFERENCES auth.users(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS retention_days integer CHECK (retention_days BETWEEN 1 AND 3650);
+
+-- The bin and the purge job only look at deleted rows
+CREATE INDEX IF NOT EXISTS idx_privileged_accounts_deleted_at
+ON public.privileged_accounts(deleted_at) WHERE deleted_at IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_credentials_deleted_at
+ON public.credentials(deleted_at) WHERE deleted_at IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_safes_deleted_at
+ON public.safes(deleted_at) WHERE deleted_at IS NOT NULL;
+
+COMMENT ON COLUMN public.privileged_accounts.deleted_at IS 'Set when the account is moved to the recycle bin; NULL for live accounts';
+COMMENT ON COLUMN public.privileged_accounts.deleted_with_safe IS 'Deleted together with its safe; restoring the safe restores the account';
+COMMENT ON COLUMN public.credentials.deleted_at IS 'Set when the credential is moved to the recycle bin; NULL for live credentials';
+COMMENT ON COLUMN public.safes.deleted_at IS 'Set when the safe is moved to the recycle bin; NULL for live safes';
+COMMENT ON COLUMN public.safes.retention_days IS 'Days deleted items of this safe stay in the recycle bin; NULL uses RECYCLE_BIN_RETENTION_DAYS';
@@ -0,0 +1,43 @@
+-- Migration: Automatic rotation scheduler and in-app notifications
+-- Run this in Supabase SQL editor or via supabase db push
+
+-- next_rotation already exists; the scheduler job now maintains it from rotation_policy
+ALTER TABLE public.privileged_accounts
+ADD COLUMN IF NOT EXISTS rotation_notice_for timestamp with time zone;
+
+COMMENT ON COLUMN public.privileged_accounts.next_rotation IS 'Next scheduled rotation: last rotation (or creation) plus rotation_policy.interval_days; null when the policy is disabled';
+COMMENT ON COLUMN public.privileged_accounts.rotation_notice_for IS 'next_rotation value the owner was last notified about, so each rotation is announced once';
+
+CREATE INDEX IF NOT EXISTS idx_account_rotation_history_account_rotated_at
+ON public.account_rotation_history(account_id, rotated_at DESC);
+
+CREATE TABLE IF NOT EXISTS public.notifications (
+    id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id uuid NOT NULL REFERENCES public.profiles(id) ON DELETE CASCADE,
+    type text NOT NULL,
+    title text NOT NULL,
+    message text,
+    metadata jsonb DEFAULT '{}'::jsonb,
+    read_at timestamp with time zone,
+    created_at timestamp with time zone DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_notifications_user_created_at
+ON public.notifications(user_id, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_notifications_unread
+ON public.notifications(user_id) WHERE read_at IS NULL;
+
+ALTER TABLE public.notifications ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view own notifications"
+ON public.notifications
+FOR SELECT
+USING (user_id = auth.uid());
+
+CREATE POLICY "Users can mark own notifications read"
+ON public.notifications
+FOR UPDATE
+USING (user_id = auth.uid());
+
+COMMENT ON TABLE public.notifications IS 'In-app notifications (rotation notices and other alerts), filtered by user_preferences.notification_preferences';
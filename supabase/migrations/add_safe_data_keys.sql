@@ -0,0 +1,9 @@
+-- Migration: Per-safe data encryption keys
+-- Run this in Supabase SQL editor or via supabase db push
+
+-- Random data key per safe, wrapped under the master key (ev1 envelope).
+-- Account fields in the safe are encrypted with it (sv1 format).
+ALTER TABLE public.safes
+ADD COLUMN IF NOT EXISTS wrapped_data_key text;
+
+COMMENT ON COLUMN public.safes.wrapped_data_key IS 'Safe data key wrapped under the master key; clearing it crypto-shreds the safe''s accounts';
@@ -0,0 +1,25 @@
+-- Migration: Time-bound safe permissions with automatic expiry
+-- Run this in Supabase SQL editor or via supabase db push
+
+-- expires_at already ends a permission; valid_from delays its start
+ALTER TABLE public.safe_permissions
+ADD COLUMN IF NOT EXISTS valid_from timestamp with time zone;
+
+-- Set once the safe owner has been warned about the coming expiry
+ALTER TABLE public.safe_permissions
+ADD COLUMN IF NOT EXISTS expiry_notice_sent_at timestamp with time zone;
+
+ALTER TABLE public.safe_permissions
+DROP CONSTRAINT IF EXISTS safe_permissions_validity_check;
+
+ALTER TABLE public.safe_permissions
+ADD CONSTRAINT safe_permissions_validity_check
+CHECK (valid_from IS NULL OR expires_at IS NULL OR valid_from < expires_at);
+
+-- The expiry job and the upcoming expirations list scan by expires_at
+CREATE INDEX IF NOT EXISTS idx_safe_permissions_expires_at
+ON public.safe_permissions(expires_at) WHERE expires_at IS NOT NULL;
+
+COMMENT ON COLUMN public.safe_permissions.valid_from IS 'Permission grants no access before this time; NULL means immediately';
+COMMENT ON COLUMN public.safe_permissions.expires_at IS 'valid_until: the expiry job deletes the permission and logs permission_expired to safe_activity_log';
+COMMENT ON COLUMN public.safe_permissions.expiry_notice_sent_at IS 'When the safe owner was notified of the upcoming expiry';
@@ -0,0 +1,30 @@
+-- Migration: Built-in SSH certificate authority for JIT sessions
+-- Run this in Supabase SQL editor or via supabase db push
+
+-- CA key pairs; hosts trust the active and previous keys so rotation does not cut off live certificates
+CREATE TABLE IF NOT EXISTS public.ssh_certificate_authorities (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  public_key text NOT NULL,
+  encrypted_private_key text NOT NULL,
+  fingerprint text NOT NULL,
+  status text NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'previous', 'revoked')),
+  created_by uuid REFERENCES auth.users(id) ON DELETE SET NULL,
+  created_at timestamp with time zone DEFAULT now(),
+  rotated_at timestamp with time zone
+);
+
+-- Only one CA key may be active at a time
+CREATE UNIQUE INDEX IF NOT EXISTS idx_ssh_certificate_authorities_single_active
+ON public.ssh_certificate_authorities(status) WHERE status = 'active';
+
+-- Only the service role (server side) may read or write CA keys
+ALTER TABLE public.ssh_certificate_authorities ENABLE ROW LEVEL SECURITY;
+
+-- Unix logins a JIT session may be issued certificates for
+ALTER TABLE public.jit_sessions
+ADD COLUMN IF NOT EXISTS ssh_principals text[];
+
+COMMENT ON TABLE public.ssh_certificate_authorities IS 'Ed25519 keys that sign short-lived SSH user certificates for JIT sessions';
+COMMENT ON COLUMN public.ssh_certificate_authorities.encrypted_private_key IS 'PKCS#8 CA private key, encrypted with the vault key';
+COMMENT ON COLUMN public.ssh_certificate_authorities.status IS 'active signs new certificates; previous is still published as trusted until the next rotation; revoked is neither';
+COMMENT ON COLUMN public.jit_sessions.ssh_principals IS 'Principals for SSH certificates issued under the session; defaults to the user part of a user@host resource';
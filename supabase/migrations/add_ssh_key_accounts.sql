@@ -0,0 +1,34 @@
+-- Migration: SSH key pair accounts (account_type ssh_key)
+-- Run this in Supabase SQL editor or via supabase db push
+
+ALTER TABLE public.privileged_accounts
+DROP CONSTRAINT IF EXISTS privileged_accounts_account_type_check;
+
+ALTER TABLE public.privileged_accounts
+ADD CONSTRAINT privileged_accounts_account_type_check
+CHECK (account_type IN ('Local', 'Domain', 'Service', 'Application', 'Database', 'System', 'Shared', 'Emergency', 'ssh_key'));
+
+-- Key accounts authenticate with the private key and may have no password
+ALTER TABLE public.privileged_accounts
+ALTER COLUMN encrypted_password DROP NOT NULL;
+
+ALTER TABLE public.privileged_accounts
+ADD COLUMN IF NOT EXISTS encrypted_private_key text,
+ADD COLUMN IF NOT EXISTS public_key text,
+ADD COLUMN IF NOT EXISTS key_algorithm text CHECK (key_algorithm IN ('ed25519', 'rsa')),
+ADD COLUMN IF NOT EXISTS key_bits integer,
+ADD COLUMN IF NOT EXISTS key_fingerprint text,
+ADD COLUMN IF NOT EXISTS key_created_at timestamp with time zone;
+
+CREATE INDEX IF NOT EXISTS idx_privileged_accounts_ssh_keys
+ON public.privileged_accounts(key_created_at)
+WHERE account_type = 'ssh_key';
+
+ALTER TABLE public.account_rotation_history
+ADD COLUMN IF NOT EXISTS previous_key_fingerprint text;
+
+COMMENT ON COLUMN public.privileged_accounts.encrypted_private_key IS 'OpenSSH private key of an ssh_key account, encrypted like the other account secrets';
+COMMENT ON COLUMN public.privileged_accounts.public_key IS 'authorized_keys line for the private key; not secret';
+COMMENT ON COLUMN public.privileged_accounts.key_fingerprint IS 'SHA256 fingerprint of the public key, as printed by ssh-keygen -l';
+COMMENT ON COLUMN public.privileged_accounts.key_created_at IS 'When the current key pair was generated or imported; key age is measured from here';
+COMMENT ON COLUMN public.account_rotation_history.previous_key_fingerprint IS 'Fingerprint of the key pair replaced by an ssh_key rotation';
@@ -0,0 +1,58 @@
+-- Migration: User groups and group-based safe membership
+-- Run this in Supabase SQL editor or via supabase db push
+
+CREATE TABLE IF NOT EXISTS public.user_groups (
+    id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+    name text NOT NULL UNIQUE CHECK (char_length(name) BETWEEN 2 AND 100),
+    description text,
+    created_by uuid REFERENCES public.profiles(id) ON DELETE SET NULL,
+    created_at timestamp with time zone DEFAULT now(),
+    updated_at timestamp with time zone DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS public.user_group_members (
+    group_id uuid NOT NULL REFERENCES public.user_groups(id) ON DELETE CASCADE,
+    user_id uuid NOT NULL REFERENCES public.profiles(id) ON DELETE CASCADE,
+    added_by uuid REFERENCES public.profiles(id) ON DELETE SET NULL,
+    added_at timestamp with time zone DEFAULT now(),
+    PRIMARY KEY (group_id, user_id)
+);
+
+-- Permission checks look up the groups of one user
+CREATE INDEX IF NOT EXISTS idx_user_group_members_user
+ON public.user_group_members(user_id);
+
+-- A safe permission is granted to either a user or a group
+ALTER TABLE public.safe_permissions
+ADD COLUMN IF NOT EXISTS group_id uuid REFERENCES public.user_groups(id) ON DELETE CASCADE;
+
+ALTER TABLE public.safe_permissions
+DROP CONSTRAINT IF EXISTS safe_permissions_grantee_check;
+
+ALTER TABLE public.safe_permissions
+ADD CONSTRAINT safe_permissions_grantee_check
+CHECK ((user_id IS NULL) <> (group_id IS NULL));
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_safe_permissions_safe_group
+ON public.safe_permissions(safe_id, group_id) WHERE group_id IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_safe_permissions_group
+ON public.safe_permissions(group_id);
+
+ALTER TABLE public.user_groups ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.user_group_members ENABLE ROW LEVEL SECURITY;
+
+-- Groups and memberships are readable by signed-in users; changes go through the service role
+CREATE POLICY "User groups: authenticated read"
+ON public.user_groups
+FOR SELECT
+USING (auth.uid() IS NOT NULL);
+
+CREATE POLICY "User group members: authenticated read"
+ON public.user_group_members
+FOR SELECT
+USING (auth.uid() IS NOT NULL);
+
+COMMENT ON TABLE public.user_groups IS 'Teams that receive safe permissions as a whole';
+COMMENT ON TABLE public.user_group_members IS 'Group membership; removing a row removes the access granted through the group';
+COMMENT ON COLUMN public.safe_permissions.group_id IS 'Group the permission is granted to; NULL for permissions granted to user_id';
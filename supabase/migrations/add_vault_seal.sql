@@ -0,0 +1,21 @@
+-- Migration: Sealed key ring for Shamir unseal
+-- Run this in Supabase SQL editor or via supabase db push
+
+-- Single row holding the key ring encrypted with the root key.
+-- The root key itself is never stored; it is split into shares held by key custodians.
+CREATE TABLE IF NOT EXISTS public.vault_seal (
+  id integer PRIMARY KEY DEFAULT 1 CHECK (id = 1),
+  key_backup jsonb NOT NULL,
+  secret_shares integer NOT NULL CHECK (secret_shares BETWEEN 1 AND 255),
+  secret_threshold integer NOT NULL CHECK (secret_threshold BETWEEN 1 AND 255),
+  initialized_by uuid REFERENCES auth.users(id),
+  created_at timestamp with time zone DEFAULT now(),
+  updated_at timestamp with time zone DEFAULT now(),
+  CONSTRAINT vault_seal_threshold_check CHECK (secret_threshold <= secret_shares)
+);
+
+-- Only the service role (server side) may read or write the sealed key ring
+ALTER TABLE public.vault_seal ENABLE ROW LEVEL SECURITY;
+
+COMMENT ON TABLE public.vault_seal IS 'Key ring encrypted with a Shamir-split root key; the API boots sealed until M of N shares are submitted';
+COMMENT ON COLUMN public.vault_seal.key_backup IS 'KeyManager.createKeyBackup output (AES-256-GCM)';
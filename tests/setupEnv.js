@@ -0,0 +1,11 @@
+// Fixed keys so the crypto tests never depend on a developer's .env
+Object.assign(process.env, {
+  SUPABASE_URL: 'http://localhost:54321',
+  SUPABASE_ANON_KEY: 'test-anon-key',
+  ENCRYPTION_KEY: '11'.repeat(32),
+  ENCRYPTION_KEY_VERSION: '1',
+  ENCRYPTION_KEY_HISTORY: '',
+  ENCRYPTION_IV: '22'.repeat(16),
+  KMS_PROVIDER: 'env',
+  SEAL_MODE: 'none'
+});
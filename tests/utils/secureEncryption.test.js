@@ -0,0 +1,155 @@
+import crypto from 'crypto';
+import { jest } from '@jest/globals';
+import { keyManager } from '../../src/utils/keyManagement.js';
+import { encrypt as encryptCbc } from '../../src/utils/encryption.js';
+import {
+  encryptField,
+  decryptField,
+  generateSafeDataKey,
+  unwrapSafeDataKey,
+  getFieldKeyVersion,
+  isLegacyCiphertext,
+  isSafeCiphertext,
+  needsReencryption,
+  reencryptField
+} from '../../src/utils/secureEncryption.js';
+
+const MASTER_KEY = process.env.ENCRYPTION_KEY;
+const NEXT_KEY = '33'.repeat(32);
+
+// Pre-versioning GCM format: salt + iv + authTag + data, key from PBKDF2 over the master key
+function encryptPbkdf2(plainText, masterKeyHex) {
+  const salt = crypto.randomBytes(32);
+  const iv = crypto.randomBytes(16);
+  const key = crypto.pbkdf2Sync(Buffer.from(masterKeyHex, 'hex'), salt, 100000, 32, 'sha256');
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const encrypted = Buffer.concat([cipher.update(plainText, 'utf8'), cipher.final()]);
+  return Buffer.concat([salt, iv, cipher.getAuthTag(), encrypted]).toString('base64');
+}
+
+// Untagged CBC values predate key versioning
+function encryptUntaggedCbc(plainText, masterKeyHex) {
+  const cipher = crypto.createCipheriv('aes-256-cbc', Buffer.from(masterKeyHex, 'hex'), Buffer.from(process.env.ENCRYPTION_IV, 'hex'));
+  return cipher.update(plainText, 'utf8', 'hex') + cipher.final('hex');
+}
+
+function useKeys({ version, key, history = '' }) {
+  process.env.ENCRYPTION_KEY = key;
+  process.env.ENCRYPTION_KEY_VERSION = String(version);
+  process.env.ENCRYPTION_KEY_HISTORY = history;
+  keyManager.reloadKeyRing();
+}
+
+describe('secureEncryption', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+    useKeys({ version: 1, key: MASTER_KEY });
+  });
+
+  describe('ev1 envelope', () => {
+    test('round-trips under the current master key version', () => {
+      const encrypted = encryptField('s3cret-päss');
+
+      expect(encrypted.startsWith('ev1:1:')).toBe(true);
+      expect(getFieldKeyVersion(encrypted)).toBe(1);
+      expect(decryptField(encrypted)).toBe('s3cret-päss');
+    });
+
+    test('uses a fresh data key for every value', () => {
+      expect(encryptField('same')).not.toBe(encryptField('same'));
+    });
+
+    test('stays readable with a retired key and is re-encrypted under the new one', () => {
+      const encrypted = encryptField('rotated');
+      useKeys({ version: 2, key: NEXT_KEY, history: `1:${MASTER_KEY}` });
+
+      expect(decryptField(encrypted)).toBe('rotated');
+      expect(needsReencryption(encrypted)).toBe(true);
+
+      const reencrypted = reencryptField(encrypted);
+      expect(getFieldKeyVersion(reencrypted)).toBe(2);
+      expect(decryptField(reencrypted)).toBe('rotated');
+    });
+
+    test('fails once the key version is gone', () => {
+      const encrypted = encryptField('lost');
+      useKeys({ version: 2, key: NEXT_KEY });
+
+      expect(() => decryptField(encrypted)).toThrow('Decryption failed or data integrity compromised');
+    });
+
+    test('rejects a tampered payload', () => {
+      const parts = encryptField('tamper').split(':');
+      const payload = Buffer.from(parts[3], 'base64');
+      payload[payload.length - 1] ^= 0xff;
+      parts[3] = payload.toString('base64');
+
+      expect(() => decryptField(parts.join(':'))).toThrow('Decryption failed or data integrity compromised');
+    });
+  });
+
+  describe('sv1 safe envelope', () => {
+    test('round-trips with the safe data key', () => {
+      const { key: safeKey, wrappedKey } = generateSafeDataKey();
+      expect(unwrapSafeDataKey(wrappedKey)).toEqual(safeKey);
+
+      const encrypted = encryptField('in a safe', safeKey);
+
+      expect(isSafeCiphertext(encrypted)).toBe(true);
+      expect(needsReencryption(encrypted)).toBe(false);
+      expect(decryptField(encrypted, safeKey)).toBe('in a safe');
+    });
+
+    test('cannot be read without the safe key or with another safe key', () => {
+      const encrypted = encryptField('in a safe', generateSafeDataKey().key);
+
+      expect(() => decryptField(encrypted)).toThrow('Decryption failed or data integrity compromised');
+      expect(() => decryptField(encrypted, generateSafeDataKey().key))
+        .toThrow('Decryption failed or data integrity compromised');
+    });
+  });
+
+  describe('legacy formats', () => {
+    test('reads tagged CBC values', () => {
+      const encrypted = encryptCbc('cbc value');
+
+      expect(encrypted.startsWith('k1:')).toBe(true);
+      expect(isLegacyCiphertext(encrypted)).toBe(true);
+      expect(decryptField(encrypted)).toBe('cbc value');
+    });
+
+    test('reads untagged CBC values with a retired key', () => {
+      const encrypted = encryptUntaggedCbc('old cbc value', MASTER_KEY);
+      useKeys({ version: 2, key: NEXT_KEY, history: `1:${MASTER_KEY}` });
+
+      expect(decryptField(encrypted)).toBe('old cbc value');
+    });
+
+    test('reads PBKDF2 GCM values with the current or a retired key', () => {
+      const encrypted = encryptPbkdf2('pbkdf2 value', MASTER_KEY);
+
+      expect(isLegacyCiphertext(encrypted)).toBe(true);
+      expect(decryptField(encrypted)).toBe('pbkdf2 value');
+
+      useKeys({ version: 2, key: NEXT_KEY, history: `1:${MASTER_KEY}` });
+      expect(decryptField(encrypted)).toBe('pbkdf2 value');
+      expect(getFieldKeyVersion(reencryptField(encrypted))).toBe(2);
+    });
+
+    test('fails when no key in the ring matches', () => {
+      const encrypted = encryptPbkdf2('pbkdf2 value', NEXT_KEY);
+
+      expect(() => decryptField(encrypted)).toThrow('Decryption failed or data integrity compromised');
+    });
+  });
+
+  test('leaves empty values alone', () => {
+    expect(encryptField('')).toBeNull();
+    expect(encryptField(null)).toBeNull();
+    expect(decryptField(null)).toBeNull();
+  });
+});
@@ -0,0 +1,48 @@
+import crypto from 'crypto';
+import { split, combine, getShareIndex } from '../../src/utils/shamir.js';
+
+describe('shamir', () => {
+  const secret = crypto.randomBytes(32);
+
+  test('any threshold shares reconstruct the secret', () => {
+    const shares = split(secret, 5, 3);
+
+    expect(shares).toHaveLength(5);
+    expect(combine(shares.slice(0, 3))).toEqual(secret);
+    expect(combine([shares[4], shares[1], shares[3]])).toEqual(secret);
+    expect(combine(shares)).toEqual(secret);
+  });
+
+  test('fewer than threshold shares do not reconstruct the secret', () => {
+    const shares = split(secret, 5, 3);
+
+    expect(combine(shares.slice(0, 2))).not.toEqual(secret);
+    expect(combine([shares[2], shares[4]])).not.toEqual(secret);
+  });
+
+  test('a threshold of one makes every share the secret', () => {
+    const shares = split(secret, 3, 1);
+
+    shares.forEach(share => expect(combine([share])).toEqual(secret));
+  });
+
+  test('shares carry their index in the first byte', () => {
+    expect(split(secret, 3, 2).map(getShareIndex)).toEqual([1, 2, 3]);
+    expect(getShareIndex('')).toBeNull();
+  });
+
+  test('rejects invalid share counts and thresholds', () => {
+    expect(() => split(secret, 0, 1)).toThrow('Share count must be between 1 and 255');
+    expect(() => split(secret, 256, 2)).toThrow('Share count must be between 1 and 255');
+    expect(() => split(secret, 3, 4)).toThrow('Threshold must be between 1 and the share count');
+    expect(() => split(secret, 3, 0)).toThrow('Threshold must be between 1 and the share count');
+  });
+
+  test('rejects missing, duplicate and mismatched shares', () => {
+    const shares = split(secret, 3, 2);
+
+    expect(() => combine([])).toThrow('At least one share is required');
+    expect(() => combine([shares[0], shares[0]])).toThrow('Shares must have distinct, non-zero indexes');
+    expect(() => combine([shares[0], split(Buffer.alloc(8), 3, 2)[1]])).toThrow('Shares are malformed or have different lengths');
+  });
+});